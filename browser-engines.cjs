@@ -0,0 +1,44 @@
+/**
+ * browser-engines.cjs — Which Playwright engines can race, and what they support.
+ *
+ * Chromium exposes the Chrome DevTools Protocol, which the runner uses for
+ * throttling, performance metrics and tracing. Firefox and WebKit can still
+ * race, but those features are skipped and reported back as unsupported so
+ * the summary can say so instead of silently showing empty numbers.
+ *
+ * Extracted from runner.cjs so it can be tested without loading Playwright.
+ */
+
+'use strict';
+
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+const DEFAULT_ENGINE = 'chromium';
+
+/** True if the engine exposes CDP sessions and Chromium tracing. */
+function supportsCdp(engine) {
+  return engine === 'chromium';
+}
+
+/**
+ * Create a per-racer support tracker.
+ * `note(feature)` records a feature the engine can't provide (once per feature)
+ * and logs it to stderr so the CLI shows it in the runner output.
+ */
+function createEngineSupport(engine = DEFAULT_ENGINE, id = engine) {
+  if (!BROWSER_ENGINES.includes(engine)) {
+    throw new Error(`Unknown browser engine "${engine}", valid values: ${BROWSER_ENGINES.join(', ')}`);
+  }
+  const unsupported = [];
+  return {
+    engine,
+    cdp: supportsCdp(engine),
+    unsupported,
+    note(feature) {
+      if (unsupported.includes(feature)) return;
+      unsupported.push(feature);
+      console.error(`[${id}] ${feature} unsupported on ${engine}, skipping`);
+    },
+  };
+}
+
+module.exports = { BROWSER_ENGINES, DEFAULT_ENGINE, supportsCdp, createEngineSupport };
@@ -5,6 +5,8 @@
 import { c, RACER_COLORS } from './colors.js';
 
 const SPINNER = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+// Splits per racer on the lap board; older ones scroll off to keep one line each
+const LAP_BOARD_SPLITS = 4;
 
 export function startProgress(msg) {
   let idx = 0;
@@ -28,11 +30,17 @@ export function startProgress(msg) {
 }
 
 export class RaceAnimation {
-  constructor(names, info) {
+  /** Pass `{ warmup: true }` for warm-up runs, whose results are thrown away. */
+  constructor(names, info, { warmup = false } = {}) {
     this.names = names;
     this.info = info || null;
+    this.warmup = warmup;
     this.finished = new Array(names.length).fill(false);
     this.messages = new Array(names.length).fill(null);
+    // The measurement each racer is timing right now, if any
+    this.measuring = new Array(names.length).fill(null);
+    // Lap board: each racer's latest split per measurement, { name: seconds }, in finishing order
+    this.splits = names.map(() => new Map());
     this.interval = null;
     this.frameIdx = 0;
     this.startTime = Date.now();
@@ -48,6 +56,7 @@ export class RaceAnimation {
     });
     const vsString = coloredNames.join(` ${c.dim}vs${c.reset} `);
     let header = `\n  ${c.bold}RaceForThePrize${c.reset} 🏆  ${vsString}`;
+    if (this.warmup) header += `  ${c.yellow}${c.bold}[WARM-UP]${c.reset}`;
     if (this.info) header += `\n  ${c.dim}${this.info}${c.reset}`;
     process.stderr.write(header + '\n\n');
     this.interval = setInterval(() => this._tick(), 120);
@@ -62,21 +71,69 @@ export class RaceAnimation {
 
     if (this.lines > 0) process.stderr.write(`\x1b[${this.lines}A`);
 
-    const line = `  ${c.cyan}${SPINNER[this.frameIdx]}${c.reset} ${c.dim}Elapsed: ${elapsed}s${c.reset}  ${emoji}`;
+    const lap = this.warmup ? `  ${c.yellow}warm-up lap, not scored${c.reset}` : '';
+    const line = `  ${c.cyan}${SPINNER[this.frameIdx]}${c.reset} ${c.dim}Elapsed: ${elapsed}s${c.reset}  ${emoji}${lap}`;
     this.lines = 1;
     process.stderr.write(line + '\x1b[K\n');
 
+    this.names.forEach((name, i) => {
+      const lap = this.lapLine(i);
+      if (!lap) return;
+      const nameColor = RACER_COLORS[i % RACER_COLORS.length];
+      process.stderr.write(`  ${nameColor}${c.bold}${name}:${c.reset} ${lap}\x1b[K\n`);
+      this.lines++;
+    });
+
     for (const msg of this.messages) {
       if (!msg) continue;
       const nameColor = RACER_COLORS[msg.index % RACER_COLORS.length];
-      process.stderr.write(`  ${nameColor}${c.bold}${msg.name}:${c.reset} ${c.dim}"${msg.text}" (${msg.elapsed}s)${c.reset}\x1b[K\n`);
+      process.stderr.write(`  ${nameColor}${c.bold}${msg.name}:${c.reset} ${c.dim}"${msg.text}" (${Number(msg.elapsed).toFixed(1)}s)${c.reset}\x1b[K\n`);
       this.lines++;
     }
   }
 
+  /**
+   * A racer's lap board line: its latest splits, the fastest racer's in green
+   * and the others with their gap to it, then the measurement it is timing
+   * now. Null before its first raceStart.
+   */
+  lapLine(index) {
+    const splits = [...this.splits[index]].slice(-LAP_BOARD_SPLITS).map(([name, duration]) => {
+      const best = this.leaderTime(name);
+      const time = `${duration.toFixed(3)}s`;
+      return duration <= best
+        ? `${c.dim}${name}${c.reset} ${c.green}${c.bold}${time}${c.reset}`
+        : `${c.dim}${name}${c.reset} ${time} ${c.dim}+${(duration - best).toFixed(3)}s${c.reset}`;
+    });
+    if (this.splits[index].size > LAP_BOARD_SPLITS) splits.unshift(`${c.dim}…${c.reset}`);
+    const measuring = this.measuring[index];
+    if (measuring && !this.finished[index]) splits.push(`${c.dim}⏱ ${measuring}${c.reset}`);
+    return splits.length > 0 ? splits.join('  ') : null;
+  }
+
+  /** The fastest split so far for a measurement, across racers. */
+  leaderTime(name) {
+    return Math.min(...this.splits.map(splits => splits.get(name) ?? Infinity));
+  }
+
   racerFinished(index) {
     this.finished[index] = true;
     this.messages[index] = null;
+    this.measuring[index] = null;
+  }
+
+  /** A racer's page.raceStart(name): shown until its raceEnd. */
+  measureStarted(index, name) {
+    this.measuring[index] = name;
+  }
+
+  /** A racer's page.raceEnd(name): its split goes on the lap board. */
+  measureEnded(index, name, duration) {
+    if (this.measuring[index] === name) this.measuring[index] = null;
+    if (!Number.isFinite(duration)) return;
+    // A repeated measurement moves to the end with its latest time
+    this.splits[index].delete(name);
+    this.splits[index].set(name, duration);
   }
 
   addMessage(index, name, text, elapsed) {
@@ -90,6 +147,8 @@ export class RaceAnimation {
     this.interval = null;
     this.finished = this.finished.map(() => true);
     process.stderr.write(c.showCursor);
-    process.stderr.write(`  ${c.dim}Calculating results…${c.reset}\n`);
+    process.stderr.write(this.warmup
+      ? `  ${c.dim}Warm-up finished, discarding results…${c.reset}\n`
+      : `  ${c.dim}Calculating results…${c.reset}\n`);
   }
 }
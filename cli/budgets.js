@@ -0,0 +1,159 @@
+/**
+ * budgets.js — Performance budgets for CI.
+ *
+ * `settings.budgets` maps a measurement name (or a profile metric key such as
+ * "total.lcp") to rules that mirror the summary fields they check:
+ *
+ *   "Checkout render": { "max": 1.2, "maxDiffPercent": 10, "winner": "candidate" }
+ *
+ *   max             no racer may exceed this value (seconds for measurements,
+ *                   the metric's own unit for profile metrics); or per racer,
+ *                   { "candidate": 1.2 }
+ *   maxDiffPercent  the slowest racer may be at most this much slower than the fastest
+ *   winner          this racer must win the measurement (a tie fails)
+ */
+
+import { c } from './colors.js';
+import { PROFILE_METRICS } from './profile-analysis.js';
+import { isWithinNoise } from './summary.js';
+
+/** Exit status when every racer finished but a budget failed (1 means the race itself failed). */
+export const BUDGET_EXIT_CODE = 3;
+
+const RULES = ['max', 'maxDiffPercent', 'winner'];
+
+/**
+ * Check the shape of `settings.budgets` up front.
+ * Throws with the offending budget and rule named.
+ */
+export function validateBudgets(budgets, racerNames) {
+  if (budgets == null) return;
+  if (typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw new Error('"budgets" must be an object keyed by measurement name');
+  }
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+  for (const [target, rules] of Object.entries(budgets)) {
+    if (!rules || typeof rules !== 'object') {
+      throw new Error(`Budget "${target}" must be an object like { "max": 1.2 }`);
+    }
+    for (const [rule, limit] of Object.entries(rules)) {
+      if (!RULES.includes(rule)) {
+        throw new Error(`Budget "${target}": unknown rule "${rule}", valid rules: ${RULES.join(', ')}`);
+      }
+      if (rule === 'winner') {
+        if (!racerNames.includes(limit)) {
+          throw new Error(`Budget "${target}": winner "${limit}" is not a racer, racers: ${racerNames.join(', ')}`);
+        }
+      } else if (rule === 'max' && limit && typeof limit === 'object') {
+        for (const [racer, value] of Object.entries(limit)) {
+          if (!racerNames.includes(racer)) {
+            throw new Error(`Budget "${target}": max for unknown racer "${racer}", racers: ${racerNames.join(', ')}`);
+          }
+          if (!isNumber(value)) throw new Error(`Budget "${target}": max for "${racer}" must be a non-negative number`);
+        }
+      } else if (!isNumber(limit)) {
+        throw new Error(`Budget "${target}": "${rule}" must be a non-negative number`);
+      }
+    }
+  }
+}
+
+/**
+ * Find what a budget refers to: a timed measurement by name, or a profile
+ * metric by key. Returns { values, winner, diffPercent, tie, format } or null.
+ */
+function findTarget(summary, target) {
+  const comp = summary.comparisons.find(x => x.name === target);
+  if (comp) {
+    return {
+      values: comp.racers.map(r => r?.duration ?? null),
+      winner: comp.winner,
+      diffPercent: comp.diffPercent,
+      tie: isWithinNoise(comp),
+      format: (v) => `${v.toFixed(3)}s`,
+    };
+  }
+  const metric = PROFILE_METRICS[target];
+  const profile = summary.profileComparison;
+  const metricComp = metric && profile?.[metric.scope]?.comparisons.find(x => x.key === target);
+  if (metricComp) {
+    return {
+      values: metricComp.values,
+      winner: metricComp.winner,
+      diffPercent: metricComp.diffPercent,
+      tie: false,
+      format: metric.format,
+    };
+  }
+  return null;
+}
+
+/**
+ * Check a summary against budgets.
+ * Returns { passed, failed, results: [{ target, rule, racer, limit, actual, passed, message }] }.
+ */
+export function checkBudgets(summary, budgets) {
+  const results = [];
+  const record = (target, rule, racer, limit, actual, passed, message) =>
+    results.push({ target, rule, racer, limit, actual, passed, message });
+
+  for (const [target, rules] of Object.entries(budgets || {})) {
+    const found = findTarget(summary, target);
+    if (!found) {
+      record(target, 'measured', null, null, null, false, `"${target}" was not measured`);
+      continue;
+    }
+    const { values, format } = found;
+
+    if (rules.max !== undefined) {
+      const limits = typeof rules.max === 'object'
+        ? Object.entries(rules.max)
+        : summary.racers.map(r => [r, rules.max]);
+      for (const [racer, limit] of limits) {
+        const actual = values[summary.racers.indexOf(racer)];
+        if (actual == null) {
+          record(target, 'max', racer, limit, null, false, `${racer} has no result`);
+        } else {
+          const passed = actual <= limit;
+          record(target, 'max', racer, limit, actual, passed, `${racer} ${format(actual)} ${passed ? '≤' : '>'} ${format(limit)}`);
+        }
+      }
+    }
+
+    if (rules.maxDiffPercent !== undefined) {
+      const actual = found.diffPercent;
+      if (actual == null) {
+        // A racer errored or has no value, so there is no spread to check
+        record(target, 'maxDiffPercent', null, rules.maxDiffPercent, null, false, 'no spread: needs a result from at least two racers');
+      } else {
+        const passed = actual <= rules.maxDiffPercent;
+        record(target, 'maxDiffPercent', null, rules.maxDiffPercent, actual, passed,
+          `spread ${actual.toFixed(1)}% ${passed ? '≤' : '>'} ${rules.maxDiffPercent}%`);
+      }
+    }
+
+    if (rules.winner !== undefined) {
+      const passed = found.winner === rules.winner;
+      const actual = found.winner ?? (found.tie ? 'tie (within noise)' : 'no winner');
+      record(target, 'winner', rules.winner, rules.winner, actual, passed,
+        passed ? `${rules.winner} won` : `expected ${rules.winner} to win, got ${actual}`);
+    }
+  }
+
+  const failed = results.filter(r => !r.passed).length;
+  return { passed: results.length - failed, failed, results };
+}
+
+/** Print a compact budget report: one summary line, plus one line per failure. */
+export function printBudgetReport(budgetReport) {
+  const write = (s) => process.stderr.write(s);
+  const { passed, failed, results } = budgetReport;
+  if (failed === 0) {
+    write(`  ${c.green}${c.bold}✓ Budgets:${c.reset} ${c.green}all ${passed} checks passed${c.reset}\n`);
+    return;
+  }
+  write(`  ${c.red}${c.bold}✗ Budgets:${c.reset} ${c.red}${failed} failed${c.reset}${c.dim}, ${passed} passed${c.reset}\n`);
+  for (const r of results.filter(x => !x.passed)) {
+    write(`    ${c.red}✗${c.reset} ${c.bold}${r.target}${c.reset} ${c.dim}${r.rule}${c.reset}  ${r.message}\n`);
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Bundle efficiency: how much of the JavaScript and CSS each racer loaded
+ * actually ran, from the Chromium code coverage in coverage.json
+ * (see coverage.cjs). Sizes are uncompressed source.
+ */
+
+import { c, RACER_COLORS } from './colors.js';
+import { formatBytes } from './profile-analysis.js';
+
+/** "120.3 KB of 410.2 KB (29%)", or '-' when nothing of the kind was loaded. */
+export function formatUsage(usage) {
+  if (!usage || usage.totalBytes === 0) return '-';
+  return `${formatBytes(usage.usedBytes)} of ${formatBytes(usage.totalBytes)} (${usage.usedPercent.toFixed(0)}%)`;
+}
+
+/**
+ * Build the bundle efficiency section from each racer's coverage sums
+ * ({ js, css, total } or null). The leanest racer ships the fewest unused
+ * bytes; null if fewer than two racers have coverage or they are level.
+ * Returns null when no racer has coverage.
+ */
+export function buildBundleEfficiency(racerNames, coverages) {
+  if (!coverages.some(Boolean)) return null;
+  const racers = Object.fromEntries(racerNames.map((name, i) => {
+    const cov = coverages[i];
+    return [name, cov ? { js: cov.js, css: cov.css, total: cov.total } : null];
+  }));
+
+  const ranked = racerNames
+    .filter(name => racers[name])
+    .sort((a, b) => racers[a].total.unusedBytes - racers[b].total.unusedBytes);
+  const leanest = ranked.length >= 2 && racers[ranked[0]].total.unusedBytes < racers[ranked[1]].total.unusedBytes
+    ? ranked[0]
+    : null;
+
+  return { racers, leanest };
+}
+
+/**
+ * Print bundle efficiency to the terminal.
+ * @param {Object} efficiency - Result from buildBundleEfficiency
+ * @param {string[]} racers - Racer names
+ */
+export function printBundleEfficiency(efficiency, racers) {
+  const write = (s) => process.stderr.write(s);
+  const w = 54;
+
+  write(`\n  ${c.bold}📦 Bundle Efficiency${c.reset} ${c.dim}(code loaded vs code that ran)${c.reset}\n`);
+  write(`  ${c.dim}${'─'.repeat(w)}${c.reset}\n`);
+  racers.forEach((name, i) => {
+    const color = RACER_COLORS[i % RACER_COLORS.length];
+    const usage = efficiency.racers[name];
+    if (!usage) {
+      write(`    ${color}${c.bold}${name.padEnd(12)}${c.reset} ${c.dim}(no coverage)${c.reset}\n`);
+      return;
+    }
+    const barWidth = 20;
+    const filled = usage.total.totalBytes > 0 ? Math.round(usage.total.usedBytes / usage.total.totalBytes * barWidth) : 0;
+    const bar = '▓'.repeat(filled) + '░'.repeat(barWidth - filled);
+    const medal = efficiency.leanest === name ? ' 🏆' : '';
+    write(`    ${color}${c.bold}${name.padEnd(12)}${c.reset} ${color}${bar}${c.reset}  ${formatBytes(usage.total.unusedBytes)} unused${medal}\n`);
+    write(`    ${' '.repeat(12)} ${c.dim}JS ${formatUsage(usage.js)} · CSS ${formatUsage(usage.css)}${c.reset}\n`);
+  });
+}
+
+/**
+ * Build the markdown section for bundle efficiency.
+ * @param {Object} efficiency - Result from buildBundleEfficiency
+ * @param {string[]} racers - Racer names
+ * @returns {string} Markdown content
+ */
+export function buildBundleEfficiencyMarkdown(efficiency, racers) {
+  const lines = [];
+  lines.push('### Bundle Efficiency');
+  lines.push('');
+  lines.push('*JavaScript and CSS loaded vs used during the race (uncompressed, Chromium only)*');
+  lines.push('');
+  lines.push('| Racer | JS used | CSS used | Unused |');
+  lines.push('|---|---|---|---|');
+  for (const name of racers) {
+    const usage = efficiency.racers[name];
+    if (!usage) {
+      lines.push(`| ${name} | - | - | - |`);
+      continue;
+    }
+    lines.push(`| ${name} | ${formatUsage(usage.js)} | ${formatUsage(usage.css)} | ${formatBytes(usage.total.unusedBytes)} |`);
+  }
+  lines.push('');
+  if (efficiency.leanest) {
+    lines.push(`**Leanest:** ${efficiency.leanest}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
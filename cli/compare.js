@@ -0,0 +1,154 @@
+/**
+ * compare.js — `race.js compare <resultsA> <resultsB>`: race two results
+ * folders that were recorded separately against each other.
+ *
+ * Every racer of both folders becomes a racer of the comparison; racer names
+ * that appear in both get the folder's label appended ("app-a", "app-b", or
+ * "app-release", "app-candidate" with --labels=release,candidate).
+ * Measurements are matched by name and profile metrics by key, then judged
+ * with the same rules as a live race. Multi-run folders contribute their
+ * median, and their samples, so the significance test still applies.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { computeComparison, applySignificance, computeWins, isWithinNoise, findMedianRunIndex } from './summary.js';
+import { buildProfileComparison } from './profile-analysis.js';
+import { determineOverallWinner } from './race-utils.js';
+
+export const DEFAULT_LABELS = ['a', 'b'];
+
+const LABEL_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Load a results folder: its summary.json, plus every numbered run's summary
+ * for multi-run folders. Returns { dir, summary, runs } (runs is null for a
+ * single run). Throws if the folder has no readable summary.json.
+ */
+export function loadResults(dir) {
+  const summaryPath = path.join(dir, 'summary.json');
+  if (!fs.existsSync(summaryPath)) throw new Error(`No summary.json in ${dir}`);
+  let summary;
+  try {
+    summary = JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not parse ${summaryPath}: ${e.message}`);
+  }
+  if (!Array.isArray(summary.racers) || !Array.isArray(summary.comparisons)) {
+    throw new Error(`${summaryPath} is not a race summary`);
+  }
+  const runs = summary.runs > 1
+    ? Array.from({ length: summary.runs }, (_, i) => path.join(dir, String(i + 1), 'summary.json'))
+      .filter(p => fs.existsSync(p))
+      .map(p => JSON.parse(fs.readFileSync(p, 'utf-8')))
+    : null;
+  return { dir, summary, runs };
+}
+
+/**
+ * Parse --labels=<a>,<b>. Labels end up in racer names and folder names, so
+ * they are limited to letters, digits, ".", "_" and "-".
+ * Throws on anything else.
+ */
+export function parseLabels(value) {
+  if (value == null) return DEFAULT_LABELS;
+  const labels = String(value).split(',').map(l => l.trim());
+  if (labels.length !== 2 || labels[0] === labels[1] || !labels.every(l => LABEL_PATTERN.test(l))) {
+    throw new Error(`Invalid labels "${value}", expected two different names like --labels=release,candidate`);
+  }
+  return labels;
+}
+
+/**
+ * Decide who races: [{ name, side, racer, index }] in folder order. `only`
+ * restricts both folders to the named racers. Throws if that leaves fewer
+ * than two racers.
+ */
+export function planCompareRacers(sources, labels, only = null) {
+  const picked = sources.map(s => s.summary.racers
+    .map((racer, index) => ({ racer, index }))
+    .filter(r => !only || only.includes(r.racer)));
+  const shared = new Set(picked[0].map(r => r.racer).filter(name => picked[1].some(r => r.racer === name)));
+  const entries = picked.flatMap((list, side) => list.map(({ racer, index }) => ({
+    name: shared.has(racer) ? `${racer}-${labels[side]}` : racer,
+    side,
+    racer,
+    index,
+  })));
+  if (entries.length < 2) {
+    throw new Error(`Need at least 2 racers to compare, found ${entries.length}${only ? ` matching ${only.join(', ')}` : ''}`);
+  }
+  return entries;
+}
+
+/**
+ * Find a racer's race video (and full recording, if kept) in a results
+ * folder. Multi-run folders use the run closest to the median, like their
+ * own player does. Returns { race, full } with null for missing files.
+ */
+export function findRacerVideos(source, racer) {
+  let runDir = source.dir;
+  if (source.runs?.length > 0) {
+    runDir = path.join(source.dir, String(findMedianRunIndex(source.runs, source.summary) + 1));
+  }
+  const existing = (file) => (fs.existsSync(file) ? file : null);
+  return {
+    race: existing(path.join(runDir, racer, `${racer}.race.webm`)),
+    full: existing(path.join(runDir, racer, `${racer}.full.webm`)),
+  };
+}
+
+/**
+ * Build a race summary comparing the racers of two loaded results folders.
+ * The result has the shape of buildSummary's, plus `compared`:
+ * [{ label, dir, timestamp, runs }] describing the two sources.
+ */
+export function buildCompareSummary(sources, entries, labels, resultsDir) {
+  const racers = entries.map(e => e.name);
+  const summaryOf = (e) => sources[e.side].summary;
+
+  const names = [...new Set(entries.flatMap(e => summaryOf(e).comparisons.map(comp => comp.name)))];
+  const comparisons = names.map(name => {
+    const vals = entries.map(e => {
+      const v = summaryOf(e).comparisons.find(comp => comp.name === name)?.racers[e.index];
+      return v ? { ...v } : null;
+    });
+    return applySignificance(computeComparison(name, vals, racers), racers);
+  });
+
+  const wins = computeWins(racers, comparisons);
+  const overallWinner = determineOverallWinner(wins, racers, comparisons)
+    ?? (comparisons.some(isWithinNoise) ? 'tie' : null);
+
+  const profileMetrics = entries.map(e => summaryOf(e).profileMetrics?.[e.index] ?? null);
+  const pick = (field, fallback) => Object.fromEntries(entries.map(e => [e.name, summaryOf(e)[field]?.[e.racer] ?? fallback]));
+
+  return {
+    timestamp: new Date().toISOString(),
+    resultsDir,
+    racers,
+    settings: null,
+    comparisons,
+    overallWinner,
+    wins,
+    errors: entries.flatMap(e => (summaryOf(e).errors || [])
+      .filter(err => err.startsWith(`${e.racer}: `))
+      .map(err => `${e.name}: ${err.slice(e.racer.length + 2)}`)),
+    videos: {},
+    clickCounts: pick('clickCounts', 0),
+    engines: pick('engines', 'chromium'),
+    conditions: pick('conditions', null),
+    unsupported: Object.fromEntries(entries
+      .filter(e => summaryOf(e).unsupported?.[e.racer])
+      .map(e => [e.name, summaryOf(e).unsupported[e.racer]])),
+    profileMetrics,
+    profileComparison: profileMetrics.some(Boolean) ? buildProfileComparison(racers, profileMetrics) : null,
+    compared: sources.map((s, side) => ({
+      label: labels[side],
+      dir: s.dir,
+      timestamp: s.summary.timestamp || null,
+      runs: s.summary.runs || 1,
+    })),
+    machineInfo: null,
+  };
+}
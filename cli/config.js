@@ -26,8 +26,14 @@ export function parseArgs(argv) {
   return { positional, boolFlags, kvFlags };
 }
 
+/**
+ * Find the racer scripts in a race directory: its .spec.js files, or its .js
+ * files when there are fewer than two, at most five. Files starting with `_`
+ * (shared helpers like `_shared.js`) or `.` are never racers.
+ * Returns { racerFiles, racerNames }; the name is the file name without extension.
+ */
 export function discoverRacers(raceDir) {
-  const allFiles = fs.readdirSync(raceDir).filter(f => !f.startsWith('.'));
+  const allFiles = fs.readdirSync(raceDir).filter(f => !f.startsWith('.') && !f.startsWith('_'));
   let racerFiles = allFiles.filter(f => f.endsWith('.spec.js')).sort();
 
   if (racerFiles.length < 2) {
@@ -46,23 +52,110 @@ export function discoverRacers(raceDir) {
   return { racerFiles, racerNames };
 }
 
-const VALID_NETWORKS = ['none', 'slow-3g', 'fast-3g', '4g'];
+/**
+ * The shared files in a race directory that racers import (names starting
+ * with `_`, like `_shared.js`), sorted.
+ */
+export function discoverSharedFiles(raceDir) {
+  return fs.readdirSync(raceDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.startsWith('_'))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Whether a race script is an ES module race file (`export default async
+ * ({ page, race }) => {}`) rather than a classic script run as a function body.
+ */
+export function isModuleScript(script) {
+  return /^\s*export\s+default\b/m.test(script);
+}
+
 const VALID_FORMATS = ['webm', 'mov', 'gif'];
 
+/**
+ * Resolve the browser engine for one racer.
+ * `browser` is either an engine name for every racer, or an object mapping
+ * racer names to engines (e.g. { "react": "chromium", "angular": "webkit" }).
+ */
+export function resolveRacerBrowser(browser, racerName) {
+  if (browser && typeof browser === 'object') return browser[racerName] || 'chromium';
+  return browser || 'chromium';
+}
+
+/** Settings a `racers: { "<name>": {...} }` block may override per racer. */
+export const RACER_SETTING_KEYS = ['network', 'har', 'cpuThrottle', 'viewport', 'userAgent', 'locale', 'browser', 'device'];
+
+/**
+ * Resolve the effective conditions for one racer.
+ *
+ * Priority (highest first): CLI flags > `racers.<name>` in settings.json >
+ * top-level settings.json values. CLI flags win because applyOverrides()
+ * strips the keys they set from every per-racer block.
+ */
+export function resolveRacerSettings(settings, racerName) {
+  const own = settings.racers?.[racerName] || {};
+  return {
+    network: own.network ?? settings.network ?? 'none',
+    har: own.har ?? settings.har ?? null,
+    cpuThrottle: own.cpuThrottle ?? settings.cpuThrottle ?? 1,
+    viewport: own.viewport ?? settings.viewport ?? null,
+    userAgent: own.userAgent ?? settings.userAgent ?? null,
+    locale: own.locale ?? settings.locale ?? null,
+    browser: own.browser ?? resolveRacerBrowser(settings.browser, racerName),
+    device: own.device ?? settings.device ?? null,
+  };
+}
+
+/**
+ * Check a `racers` block against the discovered racers.
+ * Returns human-readable warnings for unknown racer names and unknown keys.
+ */
+export function findRacerSettingsWarnings(settings, racerNames) {
+  const warnings = [];
+  for (const [name, own] of Object.entries(settings.racers || {})) {
+    if (!racerNames.includes(name)) {
+      warnings.push(`settings.json "racers" has an entry for unknown racer "${name}", racers are: ${racerNames.join(', ')}`);
+      continue;
+    }
+    for (const key of Object.keys(own || {})) {
+      if (!RACER_SETTING_KEYS.includes(key)) {
+        warnings.push(`Unknown per-racer setting "${key}" for "${name}", valid keys: ${RACER_SETTING_KEYS.join(', ')}`);
+      }
+    }
+  }
+  return warnings;
+}
+
+/** Drop per-racer values for keys the CLI has set, so the CLI value applies to everyone. */
+function stripRacerKeys(racers, keys) {
+  if (!racers || keys.length === 0) return racers;
+  return Object.fromEntries(Object.entries(racers).map(([name, own]) => {
+    const rest = { ...own };
+    for (const key of keys) delete rest[key];
+    return [name, rest];
+  }));
+}
+
 export function applyOverrides(settings, boolFlags, kvFlags) {
   const s = { ...settings };
   if (boolFlags.has('parallel')) s.parallel = true;
+  if (boolFlags.has('isolate')) s.isolate = true;
   if (boolFlags.has('headless')) s.headless = true;
+  if (boolFlags.has('ci')) { s.ci = true; s.headless = true; }
   if (boolFlags.has('no-overlay')) s.noOverlay = true;
   if (boolFlags.has('no-recording')) s.noRecording = true;
   if (boolFlags.has('ffmpeg')) s.ffmpeg = true;
   if (boolFlags.has('no-wasm')) s.noWasm = true;
-  if (kvFlags.network !== undefined) {
-    if (!VALID_NETWORKS.includes(kvFlags.network)) {
-      console.error(`Warning: Unknown network preset "${kvFlags.network}", valid values: ${VALID_NETWORKS.join(', ')}`);
-    }
-    s.network = kvFlags.network;
-  }
+  if (boolFlags.has('record-har')) s.recordHar = true;
+  if (boolFlags.has('force-gc')) s.forceGc = true;
+  if (boolFlags.has('coverage')) s.coverage = true;
+  // Validated (with named profiles from settings.json) in buildRaceContext
+  if (kvFlags.network !== undefined) s.network = kvFlags.network;
+  // Validated (with per-racer engines from settings.json) in buildRaceContext
+  if (kvFlags.browser !== undefined) s.browser = kvFlags.browser;
+  // Validated against Playwright's device list in buildRaceContext (see devices.js)
+  if (kvFlags.device !== undefined) s.device = kvFlags.device;
   if (kvFlags.cpu !== undefined) {
     const cpu = Number(kvFlags.cpu);
     s.cpuThrottle = Number.isFinite(cpu) && cpu >= 1 ? cpu : 1;
@@ -77,9 +170,38 @@ export function applyOverrides(settings, boolFlags, kvFlags) {
     const runs = Number(kvFlags.runs);
     s.runs = Number.isFinite(runs) && runs >= 1 ? Math.min(Math.round(runs), 100) : 1;
   }
+  if (kvFlags.warmup !== undefined) {
+    const warmup = Number(kvFlags.warmup);
+    s.warmup = Number.isFinite(warmup) && warmup >= 0 ? Math.min(Math.round(warmup), 10) : 0;
+  }
+  // Validated in buildRaceContext (see reporters/index.js)
+  if (kvFlags.reporter !== undefined) s.reporters = kvFlags.reporter;
+  // Validated in buildRaceContext (see run-order.js)
+  if (kvFlags['run-order'] !== undefined) s.runOrder = kvFlags['run-order'];
+  if (kvFlags.seed !== undefined) {
+    const seed = Number(kvFlags.seed);
+    s.seed = Number.isInteger(seed) ? seed : kvFlags.seed;
+  }
+  if (kvFlags['regression-threshold'] !== undefined) {
+    const threshold = Number(kvFlags['regression-threshold']);
+    if (Number.isFinite(threshold) && threshold >= 0) s.regressionThreshold = threshold;
+    else console.error(`Warning: Invalid regression threshold "${kvFlags['regression-threshold']}", expected a percentage`);
+  }
+  if (kvFlags['baseline-window'] !== undefined) {
+    const window = Number(kvFlags['baseline-window']);
+    if (Number.isInteger(window) && window >= 1) s.baselineWindow = window;
+    else console.error(`Warning: Invalid baseline window "${kvFlags['baseline-window']}", expected a whole number of results`);
+  }
   if (kvFlags.slowmo !== undefined) {
     const slowmo = Number(kvFlags.slowmo);
     s.slowmo = Number.isFinite(slowmo) && slowmo >= 0 ? Math.min(slowmo, 20) : 0;
   }
+  const cliRacerKeys = [
+    kvFlags.network !== undefined && 'network',
+    kvFlags.cpu !== undefined && 'cpuThrottle',
+    kvFlags.browser !== undefined && 'browser',
+    kvFlags.device !== undefined && 'device',
+  ].filter(Boolean);
+  if (s.racers) s.racers = stripRacerKeys(s.racers, cliRacerKeys);
   return s;
 }
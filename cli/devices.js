@@ -0,0 +1,30 @@
+/**
+ * Device emulation presets for `--device` / `settings.device`, from
+ * Playwright's device descriptors ("Pixel 7", "iPhone 15", "iPad Mini", ...).
+ */
+
+import playwright from 'playwright';
+
+/**
+ * Resolve a device name to the context options the runner emulates:
+ * { name, viewport, deviceScaleFactor, isMobile, hasTouch, userAgent }.
+ * Names match case-insensitively. Returns null for no device, and throws
+ * for an unknown one, suggesting names that contain it.
+ */
+export function resolveDevice(name, devices = playwright.devices) {
+  if (name == null) return null;
+  if (typeof name !== 'string') {
+    throw new Error(`Invalid device ${JSON.stringify(name)}, expected a device name like "Pixel 7"`);
+  }
+  const wanted = name.trim().toLowerCase();
+  const key = Object.keys(devices).find(k => k.toLowerCase() === wanted);
+  if (!key) {
+    const similar = Object.keys(devices).filter(k => k.toLowerCase().includes(wanted) && !k.endsWith(' landscape'));
+    const hint = similar.length > 0
+      ? `did you mean ${similar.slice(0, 5).map(k => `"${k}"`).join(', ')}?`
+      : 'see Playwright\'s device list, e.g. "Pixel 7", "iPhone 15", "iPad Mini"';
+    throw new Error(`Unknown device "${name}", ${hint}`);
+  }
+  const { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent } = devices[key];
+  return { name: key, viewport, deviceScaleFactor, isMobile, hasTouch, userAgent };
+}
@@ -0,0 +1,67 @@
+/**
+ * Progress events for the programmatic API (race() in race.js): stand-ins
+ * for the terminal animation and spinners that emit events on an
+ * EventEmitter instead of writing to stderr.
+ *
+ * Events:
+ *   run      { run, totalRuns, warmup, order } — a run or warm-up begins
+ *   start    { racers, info, warmup } — the runner is launching the browsers
+ *   message  { racer, index, text, elapsed } — a racer's page.raceMessage()
+ *   measureStart { racer, index, name, elapsed } — a racer's page.raceStart(name)
+ *   measureEnd   { racer, index, name, duration } — a racer's page.raceEnd(name), in seconds
+ *   finish   { racer, index } — a racer's browser is done
+ *   progress { message, done } — a processing step started or finished
+ *   result   { run, summary } — a run's summary (`run` is 'median' for the median of several)
+ *   warning  { message }
+ */
+
+/** Same interface as RaceAnimation (animation.js), as events. */
+export class EventAnimation {
+  constructor(events, names, info, { warmup = false } = {}) {
+    this.events = events;
+    this.names = names;
+    this.info = info || null;
+    this.warmup = warmup;
+    this.finished = new Array(names.length).fill(false);
+    // No terminal to redraw, so nothing is ever "running"
+    this.interval = null;
+  }
+
+  start() {
+    this.events.emit('start', { racers: this.names, info: this.info, warmup: this.warmup });
+  }
+
+  racerFinished(index) {
+    if (this.finished[index]) return;
+    this.finished[index] = true;
+    this.events.emit('finish', { racer: this.names[index], index });
+  }
+
+  measureStarted(index, name, elapsed) {
+    this.events.emit('measureStart', { racer: this.names[index], index, name, elapsed });
+  }
+
+  measureEnded(index, name, duration) {
+    this.events.emit('measureEnd', { racer: this.names[index], index, name, duration });
+  }
+
+  addMessage(index, name, text, elapsed) {
+    this.events.emit('message', { racer: name, index, text, elapsed: Number(elapsed) });
+  }
+
+  stop() {
+    this.finished = this.finished.map(() => true);
+  }
+}
+
+/** A startProgress() (animation.js) that emits `progress` events. */
+export function eventProgress(events) {
+  return (msg) => {
+    events.emit('progress', { message: msg, done: false });
+    return {
+      update(newMsg) { msg = newMsg; },
+      done(doneMsg) { events.emit('progress', { message: doneMsg || msg, done: true }); },
+      fail(failMsg) { events.emit('progress', { message: failMsg || msg, done: true, failed: true }); },
+    };
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * history.js — Trends and regression detection across a race's results folders.
+ *
+ * Every race leaves a results-<timestamp>/summary.json behind. `--history`
+ * loads all of them, lines up each racer's time per measurement (the median
+ * for multi-run races), and flags results that are slower than a rolling
+ * baseline of the results before them by more than a threshold.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { c, RACER_COLORS } from './colors.js';
+import { median } from './stats.js';
+
+export const DEFAULT_REGRESSION_THRESHOLD = 10;
+export const DEFAULT_BASELINE_WINDOW = 5;
+
+// A baseline of one earlier result is just noise against noise
+const MIN_BASELINE = 2;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Load every results folder with a readable summary.json, oldest first.
+ * Returns [{ dir, timestamp, summary }].
+ */
+export function loadRaceHistory(raceDir) {
+  return fs.readdirSync(raceDir)
+    .filter(f => f.startsWith('results-'))
+    .map(dir => {
+      const summaryPath = path.join(raceDir, dir, 'summary.json');
+      if (!fs.existsSync(summaryPath)) return null;
+      let summary;
+      try { summary = JSON.parse(fs.readFileSync(summaryPath, 'utf-8')); } catch { return null; }
+      if (!Array.isArray(summary.racers) || !Array.isArray(summary.comparisons)) return null;
+      const timestamp = summary.timestamp || fs.statSync(path.join(raceDir, dir)).mtime.toISOString();
+      return { dir, timestamp, summary };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.dir.localeCompare(b.dir));
+}
+
+/**
+ * Line up durations per measurement and racer across history entries.
+ * Returns [{ name, racer, values }] where values[i] belongs to entries[i]
+ * (null if that result has no time for the racer).
+ */
+export function buildHistorySeries(entries) {
+  const series = [];
+  const byKey = new Map();
+  entries.forEach((entry, i) => {
+    const { racers, comparisons } = entry.summary;
+    for (const comp of comparisons) {
+      racers.forEach((racer, r) => {
+        const duration = comp.racers[r]?.duration;
+        if (duration == null) return;
+        const key = `${comp.name}\u0000${racer}`;
+        if (!byKey.has(key)) {
+          const s = { name: comp.name, racer, values: new Array(entries.length).fill(null) };
+          byKey.set(key, s);
+          series.push(s);
+        }
+        byKey.get(key).values[i] = duration;
+      });
+    }
+  });
+  return series;
+}
+
+/**
+ * Find points in a series slower than the median of up to `window` earlier
+ * points by more than `threshold` percent.
+ * Returns [{ index, value, baseline, changePercent }].
+ */
+export function detectRegressions(values, { threshold = DEFAULT_REGRESSION_THRESHOLD, window = DEFAULT_BASELINE_WINDOW } = {}) {
+  const regressions = [];
+  const earlier = [];
+  values.forEach((value, index) => {
+    if (value == null) return;
+    if (earlier.length >= MIN_BASELINE) {
+      const baseline = median(earlier.slice(-window));
+      const changePercent = baseline > 0 ? (value - baseline) / baseline * 100 : 0;
+      if (changePercent > threshold) regressions.push({ index, value, baseline, changePercent });
+    }
+    earlier.push(value);
+  });
+  return regressions;
+}
+
+/** Render values as a unicode sparkline; gaps (null) become spaces. */
+export function sparkline(values) {
+  const present = values.filter(v => v != null);
+  if (present.length === 0) return '';
+  const min = Math.min(...present);
+  const range = Math.max(...present) - min;
+  return values.map(v => {
+    if (v == null) return ' ';
+    const level = range > 0 ? Math.round((v - min) / range * (SPARK_CHARS.length - 1)) : 0;
+    return SPARK_CHARS[level];
+  }).join('');
+}
+
+/**
+ * Everything the history view shows, without the formatting.
+ * Returns { entries, series: [{ name, racer, values, latest, best, baseline, regressions }], regressions }.
+ */
+export function buildHistoryReport(entries, options = {}) {
+  const { window = DEFAULT_BASELINE_WINDOW } = options;
+  const series = buildHistorySeries(entries).map(s => {
+    const present = s.values.filter(v => v != null);
+    const previous = present.slice(0, -1);
+    return {
+      ...s,
+      latest: present[present.length - 1] ?? null,
+      best: present.length > 0 ? Math.min(...present) : null,
+      baseline: previous.length >= MIN_BASELINE ? median(previous.slice(-window)) : null,
+      regressions: detectRegressions(s.values, options),
+    };
+  });
+  const regressions = series
+    .flatMap(s => s.regressions.map(r => ({ ...r, name: s.name, racer: s.racer, dir: entries[r.index].dir })))
+    .sort((a, b) => a.index - b.index);
+  return { entries, series, regressions };
+}
+
+/** Print the trend table and regressions for a race directory. */
+export function printHistory(raceDir, options = {}) {
+  const { threshold = DEFAULT_REGRESSION_THRESHOLD, window = DEFAULT_BASELINE_WINDOW } = options;
+  const write = (s) => process.stderr.write(s);
+  let entries;
+  try {
+    entries = loadRaceHistory(raceDir);
+  } catch (e) {
+    write(`  ${c.red}Could not read race directory: ${e.message}${c.reset}\n`);
+    return;
+  }
+
+  const dbl = '═'.repeat(56);
+  const line = '─'.repeat(56);
+  write(`\n  ${c.bold}${dbl}${c.reset}\n`);
+  write(`  ${c.bold}   📈  HISTORY: ${c.cyan}${path.basename(raceDir)}${c.reset}\n`);
+  write(`  ${c.bold}${dbl}${c.reset}\n\n`);
+
+  if (entries.length === 0) {
+    write(`  ${c.dim}No results found. Run a race first!${c.reset}\n\n`);
+    return;
+  }
+
+  const report = buildHistoryReport(entries, { threshold, window });
+  const first = new Date(entries[0].timestamp).toLocaleDateString();
+  const last = new Date(entries[entries.length - 1].timestamp).toLocaleDateString();
+  write(`  ${c.dim}${entries.length} result(s), ${first} → ${last}${c.reset}\n`);
+
+  const racerOrder = [...new Set(entries.flatMap(e => e.summary.racers))];
+  const names = [...new Set(report.series.map(s => s.name))];
+  for (const name of names) {
+    write(`\n  ${c.dim}⏱ ${name}${c.reset}\n`);
+    for (const s of report.series.filter(x => x.name === name)) {
+      const color = RACER_COLORS[racerOrder.indexOf(s.racer) % RACER_COLORS.length];
+      const latestRegressed = s.regressions.some(r => r.index === entries.length - 1);
+      let change = '';
+      if (s.baseline != null && s.latest != null && s.baseline > 0) {
+        const pct = (s.latest - s.baseline) / s.baseline * 100;
+        const pctColor = latestRegressed ? c.red : pct < 0 ? c.green : c.dim;
+        change = `  ${pctColor}${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%${c.reset}`;
+      }
+      const flag = latestRegressed ? ` ${c.red}⚠${c.reset}` : '';
+      const stats = `latest ${s.latest.toFixed(3)}s  best ${s.best.toFixed(3)}s${s.baseline != null ? `  baseline ${s.baseline.toFixed(3)}s` : ''}`;
+      write(`    ${color}${c.bold}${s.racer.padEnd(12)}${c.reset} ${sparkline(s.values)}  ${c.dim}${stats}${c.reset}${change}${flag}\n`);
+    }
+  }
+
+  write(`\n  ${c.dim}${line}${c.reset}\n`);
+  if (report.regressions.length === 0) {
+    write(`  ${c.green}✓ No regressions over ${threshold}% against the rolling baseline${c.reset}\n\n`);
+    return;
+  }
+  write(`  ${c.red}${c.bold}⚠ Regressions${c.reset} ${c.dim}(> ${threshold}% slower than the median of up to ${window} earlier results)${c.reset}\n`);
+  for (const r of report.regressions) {
+    write(`    ${c.dim}${r.dir}${c.reset}  ${c.cyan}${r.name}${c.reset} · ${r.racer} ${r.value.toFixed(3)}s vs ${r.baseline.toFixed(3)}s ${c.red}(+${r.changePercent.toFixed(1)}%)${c.reset}\n`);
+  }
+  write('\n');
+}
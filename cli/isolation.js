@@ -0,0 +1,88 @@
+/**
+ * Isolated parallel races (--isolate): one runner.cjs process per racer, so
+ * one racer's Playwright traffic can't slow down another's event loop.
+ *
+ * Each runner keeps the ready / recordingStart / stop checkpoints over its
+ * IPC channel (see IpcBarrier in sync-barrier.cjs); the checkpoint hub here
+ * releases a checkpoint once every racer has reached it, and race.js merges
+ * the runners' JSON results back into one.
+ *
+ * Messages from a runner: { type: 'checkpoint', checkpoint }, { type: 'abort',
+ * message } and { type: 'finish', id, endTime }. Messages to a runner:
+ * { type: 'release', checkpoint }, { type: 'abort', message } and other
+ * racers' { type: 'finish', id, endTime }.
+ */
+
+/** One runner config per racer, each racing only its own browser. */
+export function splitRunnerConfig(runnerConfig) {
+  const racerCount = runnerConfig.browsers.length;
+  return runnerConfig.browsers.map((browser, racerIndex) => ({
+    ...runnerConfig,
+    browsers: [browser],
+    racerIndex,
+    racerCount,
+  }));
+}
+
+/**
+ * Create the checkpoint hub for `count` runner processes.
+ * `send(index, message)` delivers a message to one runner. Call handle() with
+ * every message a runner sends, and exited() when a runner process ends: a
+ * runner that ends before the race's final checkpoint aborts the others,
+ * who would otherwise wait for it forever.
+ */
+export function createCheckpointHub(count, send) {
+  const arrived = new Map();
+  let abortMessage = null;
+  let finished = false;
+
+  const broadcast = (message, except = -1) => {
+    for (let i = 0; i < count; i++) {
+      if (i !== except) send(i, message);
+    }
+  };
+
+  const abort = (message, from = -1) => {
+    if (abortMessage !== null || finished) return;
+    abortMessage = message;
+    arrived.clear();
+    broadcast({ type: 'abort', message }, from);
+  };
+
+  return {
+    handle(index, message) {
+      if (message?.type === 'checkpoint') {
+        if (abortMessage !== null) return send(index, { type: 'abort', message: abortMessage });
+        const racers = arrived.get(message.checkpoint) || new Set();
+        racers.add(index);
+        arrived.set(message.checkpoint, racers);
+        if (racers.size < count) return;
+        arrived.delete(message.checkpoint);
+        if (message.checkpoint === 'stop') finished = true;
+        broadcast({ type: 'release', checkpoint: message.checkpoint });
+      } else if (message?.type === 'abort') {
+        abort(message.message || 'another racer failed', index);
+      } else if (message?.type === 'finish') {
+        broadcast({ type: 'finish', id: message.id, endTime: message.endTime }, index);
+      }
+    },
+
+    exited(index, id = `racer ${index + 1}`) {
+      abort(`${id} runner exited before the race finished`, index);
+    },
+  };
+}
+
+/**
+ * Merge the runners' results (null for a runner that exited without sending
+ * one) into one result, in racer order.
+ */
+export function mergeRunnerOutputs(outputs, ids) {
+  const browsers = outputs.map((output, i) => output?.browsers?.[0] || {
+    id: ids[i],
+    videoPath: null,
+    error: output?.errors?.[0] || 'Runner process exited without a result',
+  });
+  const errors = browsers.filter(b => b.error).map(b => `${b.id}: ${b.error}`);
+  return { browsers, errors: errors.length > 0 ? errors : undefined };
+}
@@ -0,0 +1,102 @@
+/**
+ * Memory report: JS heap growth across the iterations of repeated
+ * measurements, with likely leaks flagged, and growth sampled without
+ * --force-gc (which can be uncollected garbage) marked unconfirmed. Built
+ * from each racer's heap samples (see heap-sampler.cjs); Chromium only.
+ */
+
+import { c, RACER_COLORS } from './colors.js';
+import { formatBytes } from './profile-analysis.js';
+
+// Label for growth seen without --force-gc, where uncollected garbage looks the same
+export const UNCONFIRMED_LABEL = 'growing, confirm with --force-gc';
+
+/** "+1.2 MB" / "-300.0 KB" */
+export function formatGrowth(bytes) {
+  return `${bytes < 0 ? '-' : '+'}${formatBytes(Math.abs(bytes))}`;
+}
+
+/**
+ * Build the memory report from each racer's heap report ({ series, leak,
+ * snapshots } or null). Only measurements that ran more than once are listed.
+ * Returns { racers: { name: { series, leak, snapshots } | null }, leaks },
+ * where `leaks` lists { racer, name, iterations, growth, growthPerIteration }
+ * for every flagged measurement, or null when there is nothing to report.
+ */
+export function buildMemoryReport(racerNames, heaps) {
+  const racers = Object.fromEntries(racerNames.map((name, i) => {
+    const heap = heaps[i];
+    if (!heap) return [name, null];
+    return [name, {
+      series: (heap.series || []).filter(s => s.iterations > 1),
+      leak: !!heap.leak,
+      snapshots: heap.snapshots || [],
+    }];
+  }));
+  const hasContent = Object.values(racers).some(r => r && (r.series.length > 0 || r.snapshots.length > 0));
+  if (!hasContent) return null;
+
+  const leaks = racerNames.flatMap(racer => (racers[racer]?.series || [])
+    .filter(s => s.leak)
+    .map(s => ({ racer, name: s.name, iterations: s.iterations, growth: s.growth, growthPerIteration: s.growthPerIteration })));
+  return { racers, leaks };
+}
+
+/** "+4.0 MB over 10 iterations (+455.1 KB each)" */
+function describeSeries(s) {
+  return `${formatGrowth(s.growth)} over ${s.iterations} iterations (${formatGrowth(s.growthPerIteration)} each)`;
+}
+
+/**
+ * Print the memory report to the terminal.
+ * @param {Object} memory - Result from buildMemoryReport
+ * @param {string[]} racers - Racer names
+ */
+export function printMemoryReport(memory, racers) {
+  const write = (s) => process.stderr.write(s);
+  const rows = racers.flatMap((name, i) => (memory.racers[name]?.series || []).map(s => ({ name, index: i, s })));
+  if (rows.length === 0) return;
+
+  write(`\n  ${c.bold}🧠 Memory${c.reset} ${c.dim}(heap after each iteration)${c.reset}\n`);
+  for (const { name, index, s } of rows) {
+    const color = RACER_COLORS[index % RACER_COLORS.length];
+    const flag = s.leak ? `  ${c.yellow}${c.bold}⚠ likely leak${c.reset}`
+      : s.unconfirmed ? `  ${c.dim}? ${UNCONFIRMED_LABEL}${c.reset}` : '';
+    write(`    ${color}${c.bold}${name.padEnd(12)}${c.reset} ${c.dim}${s.name}:${c.reset} ${describeSeries(s)}${flag}\n`);
+  }
+}
+
+/**
+ * Build the markdown section for the memory report.
+ * @param {Object} memory - Result from buildMemoryReport
+ * @param {string[]} racers - Racer names
+ * @returns {string} Markdown content
+ */
+export function buildMemoryMarkdown(memory, racers) {
+  const lines = [];
+  lines.push('### Memory');
+  lines.push('');
+  if (memory.leaks.length > 0) {
+    for (const leak of memory.leaks) {
+      lines.push(`> ⚠ **Likely leak:** ${leak.racer} — "${leak.name}" ${describeSeries(leak)}`);
+    }
+    lines.push('');
+  }
+
+  const rows = racers.flatMap(name => (memory.racers[name]?.series || []).map(s => ({ name, s })));
+  if (rows.length > 0) {
+    lines.push('| Racer | Measurement | Iterations | Heap (first → last) | Growth per iteration | |');
+    lines.push('|---|---|---|---|---|---|');
+    for (const { name, s } of rows) {
+      lines.push(`| ${name} | ${s.name} | ${s.iterations} | ${formatBytes(s.firstSize)} → ${formatBytes(s.lastSize)} | ${formatGrowth(s.growthPerIteration)} | ${s.leak ? '⚠ likely leak' : s.unconfirmed ? `? ${UNCONFIRMED_LABEL}` : ''} |`);
+    }
+    lines.push('');
+  }
+
+  const snapshots = racers.flatMap(name => (memory.racers[name]?.snapshots || []).map(f => `[${name}/${f}](./${name}/${f})`));
+  if (snapshots.length > 0) {
+    lines.push(`Heap snapshots: ${snapshots.join(', ')}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,175 @@
+/**
+ * Network throttling profiles: built-in presets, user-defined profiles from
+ * settings.json, and the `custom:<down>/<up>/<latency>[/<loss>]` shorthand.
+ * Also HAR replay: `network` may be an object carrying a HAR file to serve
+ * every request from instead of the live site.
+ *
+ * Profiles are resolved and validated up front by race.js so a typo is a hard
+ * error instead of a silently unthrottled race. runner.cjs only converts the
+ * resolved profile into CDP parameters.
+ *
+ * Throughput is in kbit/s, latency in ms, packet loss in percent.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const NETWORK_PRESETS = {
+  'none': null,
+  'slow-3g': { download: 500, upload: 500, latency: 400 },
+  'fast-3g': { download: 1500, upload: 750, latency: 150 },
+  '4g': { download: 4000, upload: 3000, latency: 50 },
+  'offline': { download: 0, upload: 0, latency: 0, offline: true },
+};
+
+const CUSTOM_PREFIX = 'custom:';
+const NETWORK_OBJECT_KEYS = ['profile', 'har', 'notFound'];
+export const HAR_NOT_FOUND = ['abort', 'fallback'];
+
+function isNonNegative(v) {
+  return typeof v === 'number' && Number.isFinite(v) && v >= 0;
+}
+
+/**
+ * Validate a profile object and return it normalized.
+ * Throws with a message naming the profile and the offending field.
+ */
+export function validateNetworkProfile(name, profile) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`Network profile "${name}" must be an object like { "download": 1000, "upload": 500, "latency": 200 }`);
+  }
+  const offline = profile.offline === true;
+  for (const key of ['download', 'upload', 'latency']) {
+    if (profile[key] === undefined && offline) continue;
+    if (!isNonNegative(profile[key])) {
+      throw new Error(`Network profile "${name}": "${key}" must be a non-negative number, got ${JSON.stringify(profile[key])}`);
+    }
+  }
+  const packetLoss = profile.packetLoss ?? 0;
+  if (!isNonNegative(packetLoss) || packetLoss > 100) {
+    throw new Error(`Network profile "${name}": "packetLoss" must be a percentage between 0 and 100, got ${JSON.stringify(profile.packetLoss)}`);
+  }
+  return {
+    download: profile.download ?? 0,
+    upload: profile.upload ?? 0,
+    latency: profile.latency ?? 0,
+    packetLoss,
+    offline,
+  };
+}
+
+/** Parse `custom:1000/500/200` (optionally `/<packetLoss>`) into a profile. */
+export function parseCustomNetwork(value) {
+  const parts = value.slice(CUSTOM_PREFIX.length).split('/');
+  const nums = parts.map(p => (p.trim() === '' ? NaN : Number(p)));
+  if (parts.length < 3 || parts.length > 4 || nums.some(n => !isNonNegative(n))) {
+    throw new Error(`Invalid network "${value}", expected custom:<download kbps>/<upload kbps>/<latency ms>[/<packet loss %>]`);
+  }
+  const [download, upload, latency, packetLoss = 0] = nums;
+  return validateNetworkProfile(value, { download, upload, latency, packetLoss });
+}
+
+/**
+ * Resolve a network setting to a concrete profile, or null for no throttling.
+ * Looks in user-defined `profiles` first, then the built-in presets.
+ * Throws on unknown names or malformed profiles.
+ */
+export function resolveNetwork(value, profiles = {}) {
+  if (value == null || value === 'none') return null;
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid network ${JSON.stringify(value)}, expected a preset or profile name`);
+  }
+  if (value.startsWith(CUSTOM_PREFIX)) return parseCustomNetwork(value);
+  if (profiles && Object.hasOwn(profiles, value)) return validateNetworkProfile(value, profiles[value]);
+  if (Object.hasOwn(NETWORK_PRESETS, value)) {
+    return validateNetworkProfile(value, NETWORK_PRESETS[value]);
+  }
+  const known = [...Object.keys(NETWORK_PRESETS), ...Object.keys(profiles || {})];
+  throw new Error(`Unknown network "${value}", valid values: ${known.join(', ')}, or custom:<down>/<up>/<latency>`);
+}
+
+/**
+ * Convert a resolved profile to Network.emulateNetworkConditions parameters.
+ * A throughput of 0 means "no limit" (CDP uses -1 for that). Offline is left
+ * to Playwright's context.setOffline() so scripts can toggle it mid-race.
+ */
+export function toCdpNetworkConditions(profile) {
+  const throughput = (kbps) => (kbps > 0 ? kbps * 1024 / 8 : -1);
+  const conditions = {
+    offline: false,
+    downloadThroughput: throughput(profile.download),
+    uploadThroughput: throughput(profile.upload),
+    latency: profile.latency,
+  };
+  if (profile.packetLoss > 0) conditions.packetLoss = profile.packetLoss;
+  return conditions;
+}
+
+/**
+ * Split a `network` setting into its throttling profile and HAR replay.
+ * Accepts the plain profile string, or { profile, har, notFound } where
+ * `har` is a file path (may contain {racer}) and `notFound` says what
+ * happens to requests the HAR doesn't have: abort (default) or fallback
+ * to the live network. Returns { network, har } with har null when unset.
+ * Throws on unknown keys or values.
+ */
+export function splitNetworkSetting(value) {
+  if (value == null || typeof value !== 'object') return { network: value, har: null };
+  for (const key of Object.keys(value)) {
+    if (!NETWORK_OBJECT_KEYS.includes(key)) {
+      throw new Error(`Unknown network option "${key}", valid options: ${NETWORK_OBJECT_KEYS.join(', ')}`);
+    }
+  }
+  if (value.har != null && (typeof value.har !== 'string' || value.har === '')) {
+    throw new Error(`Invalid network "har" ${JSON.stringify(value.har)}, expected a file path`);
+  }
+  const notFound = value.notFound ?? 'abort';
+  if (!HAR_NOT_FOUND.includes(notFound)) {
+    throw new Error(`Invalid network "notFound" ${JSON.stringify(value.notFound)}, valid values: ${HAR_NOT_FOUND.join(', ')}`);
+  }
+  return { network: value.profile, har: value.har ? { path: value.har, notFound } : null };
+}
+
+/**
+ * Flatten object-valued `network` settings, top-level and per racer, into
+ * the profile string (`network`) and a separate `har` entry, so the rest of
+ * the pipeline only ever sees profile names. Throws like splitNetworkSetting.
+ */
+export function normalizeNetworkSettings(settings) {
+  const s = { ...settings };
+  const apply = (target) => {
+    if (target.network == null || typeof target.network !== 'object') return;
+    const { network, har } = splitNetworkSetting(target.network);
+    if (network === undefined) delete target.network;
+    else target.network = network;
+    if (har) target.har = har;
+  };
+  apply(s);
+  if (s.racers) {
+    s.racers = Object.fromEntries(Object.entries(s.racers).map(([name, own]) => {
+      const copy = { ...own };
+      apply(copy);
+      return [name, copy];
+    }));
+  }
+  return s;
+}
+
+/**
+ * Resolve a racer's HAR replay to an absolute path inside `raceDir`,
+ * substituting {racer}. Returns { path, notFound } or null.
+ * Throws if the file doesn't exist (record one with --record-har).
+ */
+export function resolveHar(har, racerName, raceDir) {
+  if (!har) return null;
+  const harPath = path.resolve(raceDir, har.path.replaceAll('{racer}', racerName));
+  if (!fs.existsSync(harPath)) {
+    throw new Error(`HAR file for "${racerName}" not found: ${harPath} (record one with --record-har)`);
+  }
+  return { path: harPath, notFound: har.notFound || 'abort' };
+}
+
+/** Where --record-har saves a racer's HAR, relative to the race directory. */
+export function recordedHarPath(racerName) {
+  return path.join('har', `${racerName}.har`);
+}
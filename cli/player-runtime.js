@@ -239,6 +239,33 @@ function attachVideoListeners() {
 
 attachVideoListeners();
 
+// --- Network waterfall playheads ---
+
+// Request times count from the recording start, as untrimmed videos do.
+// Trimmed (--ffmpeg) race videos start later, so their playheads stay hidden.
+const waterfallRacers = Array.from(document.querySelectorAll('.wf-racer'));
+const waterfallPlayheads = racerNames.map(name => {
+  const el = waterfallRacers.find(r => r.dataset.racer === name);
+  return el ? { playhead: el.querySelector('.wf-playhead'), span: parseFloat(el.dataset.span) } : null;
+});
+
+function updateWaterfallPlayheads() {
+  const untrimmed = !!clipTimes || loadedSrcSet === 'full';
+  raceVideos.forEach((v, i) => {
+    const wf = waterfallPlayheads[i];
+    if (!v || !wf || !wf.playhead || !(wf.span > 0)) return;
+    wf.playhead.style.display = untrimmed ? 'block' : 'none';
+    wf.playhead.style.left = Math.min(100, Math.max(0, v.currentTime / wf.span * 100)) + '%';
+  });
+}
+
+if (waterfallRacers.length > 0) {
+  raceVideos.forEach(v => {
+    v?.addEventListener('timeupdate', updateWaterfallPlayheads);
+    v?.addEventListener('seeked', updateWaterfallPlayheads);
+  });
+}
+
 // --- Mode switching ---
 
 const modeRace = document.getElementById('modeRace');
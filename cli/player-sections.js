@@ -6,8 +6,10 @@
  * videoplayer.js extracts them at load time and passes them via setTemplates().
  */
 
-import { PROFILE_METRICS, categoryDescriptions } from './profile-analysis.js';
-import { formatPlatform } from './summary.js';
+import { PROFILE_METRICS, categoryDescriptions, formatBytes } from './profile-analysis.js';
+import { formatUsage } from './bundle-efficiency.js';
+import { formatGrowth, UNCONFIRMED_LABEL } from './memory.js';
+import { formatPlatform, racerLabel, formatConditions, hasPerRacerConditions, formatRunStats, formatSignificance, isUnderpowered, formatRunOrder, formatCompared } from './summary.js';
 
 export const RACER_CSS_COLORS = ['#e74c3c', '#3498db', '#27ae60', '#f1c40f', '#9b59b6'];
 
@@ -26,14 +28,14 @@ export function escHtml(str) {
   return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-/** Sort racers by value ascending (best first), nulls last. */
-export function sortByValue(racers, getValue) {
+/** Sort racers best first (ascending, or descending when higher is better), nulls last. */
+export function sortByValue(racers, getValue, higherIsBetter = false) {
   return racers
     .map((name, i) => ({ name, index: i, ...getValue(i) }))
     .sort((a, b) => {
       if (a.val === null) return 1;
       if (b.val === null) return -1;
-      return a.val - b.val;
+      return higherIsBetter ? b.val - a.val : a.val - b.val;
     });
 }
 
@@ -61,7 +63,8 @@ function buildMetricRowsHtml(entries, winner, formatDelta) {
     const barPct = entry.val !== null && maxVal > 0 ? Math.round((entry.val / maxVal) * 100) : 0;
     let delta = '';
     if (entry.val !== null && bestVal !== null && entry.val !== bestVal) {
-      delta = `<span class="profile-delta">(+${formatDelta(entry.val - bestVal)})</span>`;
+      const diff = entry.val - bestVal;
+      delta = `<span class="profile-delta">(${diff > 0 ? '+' : '-'}${formatDelta(Math.abs(diff))})</span>`;
     }
     html += render(T['profile-row'], {
       color,
@@ -74,6 +77,21 @@ function buildMetricRowsHtml(entries, winner, formatDelta) {
   return html;
 }
 
+/** Per-racer spread across runs plus the significance verdict, for multi-run results. */
+function buildRunStatsHtml(comp, racers) {
+  let html = '';
+  const rows = racers
+    .map((r, i) => comp.racers[i]?.stats ? `<div class="run-stats-row">${racerName(racers, i)} ${escHtml(formatRunStats(comp.racers[i].stats))}</div>` : '')
+    .join('');
+  if (rows) html += `<div class="run-stats">${rows}</div>`;
+  if (comp.significance) {
+    const cls = comp.significance.significant ? 'significance significant' : isUnderpowered(comp) ? 'significance underpowered' : 'significance noise';
+    const icon = comp.significance.significant ? '&#10003;' : isUnderpowered(comp) ? '?' : '&#8776;';
+    html += `<div class="${cls}">${icon} ${escHtml(formatSignificance(comp.significance))}</div>`;
+  }
+  return html;
+}
+
 // ---------------------------------------------------------------------------
 // Section Builders
 // ---------------------------------------------------------------------------
@@ -108,15 +126,24 @@ export function buildRaceInfoHtml(summary) {
   if (timestamp) {
     items.push(infoItem('Timestamp', escHtml(new Date(timestamp).toISOString())));
   }
-  racers.forEach((r, i) => items.push(infoItem(`Racer ${i + 1}`, escHtml(r))));
+  if (summary.compared) items.push(infoItem('Compared', escHtml(formatCompared(summary.compared))));
+  racers.forEach((r, i) => items.push(infoItem(`Racer ${i + 1}`, escHtml(racerLabel(r, summary.engines)))));
   if (settings) {
     const mode = settings.parallel === false ? 'sequential' : 'parallel';
     items.push(infoItem('Mode', mode));
     if (settings.network && settings.network !== 'none') items.push(infoItem('Network', escHtml(settings.network)));
+    if (settings.har) items.push(infoItem('HAR Replay', escHtml(settings.har.path)));
     if (settings.cpuThrottle && settings.cpuThrottle > 1) items.push(infoItem('CPU Throttle', `${settings.cpuThrottle}x`));
+    if (settings.device) items.push(infoItem('Device', escHtml(settings.device)));
     if (settings.format && settings.format !== 'webm') items.push(infoItem('Format', escHtml(settings.format)));
     if (settings.headless) items.push(infoItem('Headless', 'yes'));
     if (settings.runs && settings.runs > 1) items.push(infoItem('Runs', settings.runs));
+    if (settings.warmup > 0) items.push(infoItem('Warm-up', `${settings.warmup} run(s), discarded`));
+  }
+  if (summary.runOrder) items.push(infoItem('Run Order', escHtml(formatRunOrder(summary.runOrder))));
+  if (summary.startOrder && settings?.runs > 1) items.push(infoItem('Order', escHtml(summary.startOrder.join(' → '))));
+  if (hasPerRacerConditions(summary)) {
+    racers.forEach(r => items.push(infoItem(`${escHtml(r)} conditions`, escHtml(formatConditions(summary.conditions[r])))));
   }
   if (items.length === 0) return '';
   return `<div class="race-info">${items.join('')}</div>`;
@@ -141,6 +168,14 @@ export function buildErrorsHtml(errors) {
   return `<div class="errors"><ul>${errors.map(e => `<li>${escHtml(e)}</li>`).join('')}</ul></div>`;
 }
 
+export function buildEngineNotesHtml(summary) {
+  const { unsupported, engines } = summary;
+  if (!unsupported || Object.keys(unsupported).length === 0) return '';
+  const items = Object.entries(unsupported)
+    .map(([name, features]) => `<li>${escHtml(racerLabel(name, engines))}: ${escHtml(features.join(', '))} unsupported on this engine</li>`);
+  return `<div class="engine-notes"><ul>${items.join('')}</ul></div>`;
+}
+
 export function buildResultsHtml(comparisons, racers, clickCounts) {
   let html = '';
   for (const comp of comparisons) {
@@ -152,7 +187,7 @@ export function buildResultsHtml(comparisons, racers, clickCounts) {
       titleAttr: '',
       name: escHtml(comp.name),
       desc: '',
-      rows: buildMetricRowsHtml(sorted, comp.winner, v => `${v.toFixed(3)}s`),
+      rows: buildMetricRowsHtml(sorted, comp.winner, v => `${v.toFixed(3)}s`) + buildRunStatsHtml(comp, racers),
     }) + '\n';
   }
   if (clickCounts) {
@@ -215,7 +250,7 @@ export function buildProfileHtml(profileComparison, racers) {
   let html = `<details class="section">
   <summary><h2>Performance Profile</h2></summary>
   <div class="section-body">
-  <p class="profile-note">Lower values are better for all metrics. Hover over metric names for details.</p>\n`;
+  <p class="profile-note">Lower values are better for all metrics except FPS. Hover over metric names for details.</p>\n`;
 
   const scopes = [
     { title: 'During Measurement (raceStart \u2192 raceEnd)', desc: 'Metrics captured only between raceStart() and raceEnd() calls \u2014 isolates the code being tested.', section: measured, collapsed: false },
@@ -238,8 +273,8 @@ export function buildProfileHtml(profileComparison, racers) {
         html += `<p class="profile-category-desc">${escHtml(catDesc)}</p>\n`;
       }
       for (const comp of comps) {
-        const sorted = sortByValue(racers, i => ({ val: comp.values[i], formatted: comp.formatted[i] }));
         const metricDef = PROFILE_METRICS[comp.key];
+        const sorted = sortByValue(racers, i => ({ val: comp.values[i], formatted: comp.formatted[i] }), metricDef.higherIsBetter);
         const formatDeltaFn = metricDef.format;
         const desc = metricDef.description || '';
         html += render(T['profile-metric'], {
@@ -266,12 +301,12 @@ export function buildProfileHtml(profileComparison, racers) {
 }
 
 export function buildFilesHtml(racers, videoFiles, options) {
-  const { fullVideoFiles, mergedVideoFile, traceFiles, raceScriptFiles, settingsFileCopied, altFormat, altFiles, placementOrder } = options;
+  const { fullVideoFiles, mergedVideoFile, traceFiles, networkFiles, coverageFiles, heapSnapshotFiles, raceScriptFiles, settingsFileCopied, altFormat, altFiles, placementOrder } = options;
   const links = [];
   const order = placementOrder || racers.map((_, i) => i);
 
   order.forEach(i => {
-    if (videoFiles[i]) links.push(render(T['file-link'], { href: escHtml(videoFiles[i]), attrs: '', text: `${escHtml(racers[i])} (race)` }));
+    if (videoFiles?.[i]) links.push(render(T['file-link'], { href: escHtml(videoFiles[i]), attrs: '', text: `${escHtml(racers[i])} (race)` }));
   });
   if (fullVideoFiles) {
     order.forEach(i => {
@@ -291,6 +326,23 @@ export function buildFilesHtml(racers, videoFiles, options) {
       if (traceFiles[i]) links.push(render(T['file-link'], { href: escHtml(traceFiles[i]), attrs: 'title="Open in chrome://tracing or ui.perfetto.dev"', text: `${escHtml(racers[i])} (profile)` }));
     });
   }
+  if (networkFiles) {
+    order.forEach(i => {
+      if (networkFiles[i]) links.push(render(T['file-link'], { href: escHtml(networkFiles[i]), attrs: 'title="Every request with timings, size, cache and initiator"', text: `${escHtml(racers[i])} (network)` }));
+    });
+  }
+  if (coverageFiles) {
+    order.forEach(i => {
+      if (coverageFiles[i]) links.push(render(T['file-link'], { href: escHtml(coverageFiles[i]), attrs: 'title="Used and unused bytes of every script and stylesheet"', text: `${escHtml(racers[i])} (coverage)` }));
+    });
+  }
+  if (heapSnapshotFiles) {
+    order.forEach(i => {
+      for (const f of heapSnapshotFiles[i] || []) {
+        links.push(render(T['file-link'], { href: escHtml(f), attrs: 'download title="Load in DevTools \u2192 Memory"', text: `${escHtml(racers[i])} (${escHtml(f.split('/').pop())})` }));
+      }
+    });
+  }
   if (raceScriptFiles && raceScriptFiles.length > 0) {
     for (const f of raceScriptFiles) {
       links.push(render(T['file-link'], { href: escHtml(f), attrs: 'title="Race script \u2014 rerun with: node race.js &lt;dir&gt;"', text: `${escHtml(f)} (script)` }));
@@ -343,3 +395,184 @@ export function buildPlayerSectionHtml(videoElements, mergedVideoElement, option
     calibrationBtn: options.calibrationBtn || '',
   });
 }
+
+const WATERFALL_MAX_ROWS = 250;
+const WATERFALL_TYPES = ['document', 'stylesheet', 'script', 'image', 'font', 'fetch', 'xhr', 'media', 'other'];
+
+function waterfallLabel(url) {
+  try {
+    const u = new URL(url);
+    const file = u.pathname.split('/').filter(Boolean).pop();
+    const label = (file || u.host) + u.search;
+    return label.length > 48 ? label.slice(0, 47) + '…' : label;
+  } catch {
+    return url.slice(0, 48);
+  }
+}
+
+function waterfallTooltip(req) {
+  const ms = (v) => `${Math.round(v)}ms`;
+  const lines = [req.url];
+  lines.push([req.method, req.type, req.status ?? 'pending', req.priority && `priority ${req.priority}`, req.protocol].filter(Boolean).join(' · '));
+  const size = req.cache ? `from ${req.cache} cache` : formatBytes(req.transferSize || 0);
+  lines.push(`${req.startTime.toFixed(3)}s +${req.duration !== null ? ms(req.duration) : '?'} · ${size}`);
+  if (req.timing) {
+    const phases = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive']
+      .filter(k => req.timing[k] > 0)
+      .map(k => `${k} ${ms(req.timing[k])}`);
+    if (phases.length > 0) lines.push(phases.join(', '));
+  }
+  if (req.initiator?.url) lines.push(`initiator: ${req.initiator.url}${req.initiator.line ? `:${req.initiator.line}` : ''}`);
+  else if (req.initiator?.type) lines.push(`initiator: ${req.initiator.type}`);
+  if (req.redirectedTo) lines.push(`redirected to ${req.redirectedTo}`);
+  if (req.failed) lines.push(`failed: ${req.failed}`);
+  return lines.join('\n');
+}
+
+/** Axis ticks at a round step, about six across the span. */
+function waterfallTicks(span) {
+  const steps = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+  const step = steps.find(s => span / s <= 6) || steps[steps.length - 1];
+  let html = '';
+  for (let t = step; t < span; t += step) {
+    html += `<span class="wf-tick" style="left: ${(t / span * 100).toFixed(2)}%">${+t.toFixed(1)}s</span>`;
+  }
+  return html;
+}
+
+/**
+ * Network waterfall per racer from their network.json request logs, on one
+ * shared time axis (seconds since the recording start, like the videos).
+ * The player runtime moves each racer's playhead along with its video.
+ */
+export function buildWaterfallHtml(networkLogs, racers, placementOrder) {
+  if (!networkLogs || !networkLogs.some(log => log?.length > 0)) return '';
+  const order = placementOrder || racers.map((_, i) => i);
+  const span = Math.max(0.001, ...networkLogs.flat().filter(Boolean).map(r => r.endTime ?? r.startTime));
+
+  const legend = WATERFALL_TYPES
+    .map(type => `<span class="wf-legend-item"><span class="wf-bar wf-${type}"></span>${type}</span>`)
+    .join('');
+
+  const blocks = order.map(i => {
+    const log = networkLogs[i];
+    if (!log || log.length === 0) return '';
+    const rows = log.slice(0, WATERFALL_MAX_ROWS).map(req => {
+      const start = Math.max(0, req.startTime);
+      const end = Math.max(start, req.endTime ?? span);
+      const type = WATERFALL_TYPES.includes(req.type) ? req.type : 'other';
+      const modifiers = (req.cache ? ' wf-cached' : '') + (req.failed || req.status >= 400 ? ' wf-failed' : '');
+      return render(T['waterfall-row'], {
+        title: escHtml(waterfallTooltip(req)),
+        label: escHtml(waterfallLabel(req.url)),
+        type: type + modifiers,
+        left: (start / span * 100).toFixed(2),
+        width: Math.max(0.2, (end - start) / span * 100).toFixed(2),
+      });
+    }).join('\n');
+    const transfer = log.reduce((sum, r) => sum + (r.transferSize || 0), 0);
+    const cached = log.filter(r => r.cache).length;
+    const failed = log.filter(r => r.failed).length;
+    const stats = [`${log.length} requests`, formatBytes(transfer), cached > 0 && `${cached} cached`, failed > 0 && `${failed} failed`]
+      .filter(Boolean).join(' · ');
+    const hidden = log.length - WATERFALL_MAX_ROWS;
+    return render(T['waterfall-racer'], {
+      name: escHtml(racers[i]),
+      span,
+      racerNameSpan: racerName(racers, i),
+      stats: escHtml(stats),
+      ticks: waterfallTicks(span),
+      rows,
+      more: hidden > 0 ? `<div class="wf-more">${hidden} more requests in ${escHtml(racers[i])}/network.json</div>` : '',
+    });
+  }).join('\n');
+
+  return `<details class="section">
+  <summary><h2>Network Waterfall</h2></summary>
+  <div class="section-body">
+  <p class="profile-note">Every request per racer, on the video's timeline. Hover a row for status, size, cache, priority, timings and initiator.</p>
+  <div class="wf-legend">${legend}</div>
+${blocks}
+  </div>
+</details>`;
+}
+
+const COVERAGE_MAX_FILES = 10;
+
+function coverageRow(label, title, usage, modifier = '') {
+  const usedPct = usage.totalBytes > 0 ? usage.usedBytes / usage.totalBytes * 100 : 0;
+  return render(T['coverage-row'], {
+    modifier,
+    title: escHtml(title),
+    label: escHtml(label),
+    usedPct: usedPct.toFixed(1),
+    unusedPct: usage.totalBytes > 0 ? (100 - usedPct).toFixed(1) : '0',
+    value: escHtml(formatUsage(usage)),
+  });
+}
+
+/**
+ * Bundle efficiency per racer from their coverage.json reports: used vs
+ * unused JavaScript and CSS, then the files with the most unused code.
+ */
+export function buildCoverageHtml(coverageReports, racers, placementOrder) {
+  if (!coverageReports || !coverageReports.some(Boolean)) return '';
+  const order = placementOrder || racers.map((_, i) => i);
+
+  const blocks = order.map(i => {
+    const report = coverageReports[i];
+    if (!report) return '';
+    const totals = [
+      report.js.totalBytes > 0 && coverageRow('JavaScript', 'All scripts', report.js, 'cov-total'),
+      report.css.totalBytes > 0 && coverageRow('CSS', 'All stylesheets', report.css, 'cov-total'),
+    ].filter(Boolean);
+    const files = report.files
+      .filter(f => f.unusedBytes > 0)
+      .slice(0, COVERAGE_MAX_FILES)
+      .map(f => coverageRow(waterfallLabel(f.url), `${f.url}\n${formatBytes(f.unusedBytes)} unused`, f));
+    return render(T['coverage-racer'], {
+      racerNameSpan: racerName(racers, i),
+      stats: escHtml(`${formatBytes(report.total.unusedBytes)} unused of ${formatBytes(report.total.totalBytes)}`),
+      rows: [...totals, ...files].join('\n'),
+      more: report.files.length > files.length ? `<div class="wf-more">All ${report.files.length} files in ${escHtml(racers[i])}/coverage.json</div>` : '',
+    });
+  }).join('\n');
+
+  return `<details class="section">
+  <summary><h2>Bundle Efficiency</h2></summary>
+  <div class="section-body">
+  <p class="profile-note">JavaScript and CSS loaded during the race vs what actually ran (green) or was never used (red), uncompressed. The files with the most unused code are listed first.</p>
+${blocks}
+  </div>
+</details>`;
+}
+
+/**
+ * Heap growth across the iterations of each repeated measurement, per racer,
+ * with likely leaks highlighted. From the summary's memory report.
+ */
+export function buildMemoryHtml(memory, racers, placementOrder) {
+  if (!memory) return '';
+  const order = placementOrder || racers.map((_, i) => i);
+  const blocks = order.map(i => {
+    const series = memory.racers[racers[i]]?.series || [];
+    if (series.length === 0) return '';
+    const rows = series.map(s => render(T['memory-row'], {
+      title: escHtml(`Heap after iterations 1 and ${s.iterations}; ${formatGrowth(s.growth)} in total`),
+      label: escHtml(s.name),
+      sizes: escHtml(`${s.iterations}× · ${formatBytes(s.firstSize)} → ${formatBytes(s.lastSize)}`),
+      growthClass: s.leak ? 'mem-leak' : 'mem-sizes',
+      growth: escHtml(`${formatGrowth(s.growthPerIteration)} per iteration${s.leak ? ' \u2014 likely leak' : s.unconfirmed ? ` \u2014 ${UNCONFIRMED_LABEL}` : ''}`),
+    })).join('\n');
+    return `<div class="cov-racer"><div class="wf-header">${racerName(racers, i)}</div>\n${rows}\n</div>`;
+  }).join('\n');
+  if (!blocks.trim()) return '';
+
+  return `<details class="section"${memory.leaks.length > 0 ? ' open' : ''}>
+  <summary><h2>Memory</h2></summary>
+  <div class="section-body">
+  <p class="profile-note">JS heap after each iteration of a repeated measurement. A heap that keeps growing iteration after iteration is flagged as a likely leak when sampled with <code>--force-gc</code>, and as unconfirmed without it, since uncollected garbage grows too; take a <code>page.raceHeapSnapshot()</code> to see what is retained.</p>
+${blocks}
+  </div>
+</details>`;
+}
@@ -3,7 +3,7 @@
  * Captures and compares detailed performance metrics for each race.
  *
  * Metrics are captured via Chrome DevTools Protocol during race execution.
- * All metrics follow "less is better" - lower values win.
+ * Lower values win, except for metrics marked `higherIsBetter` (frame rate).
  *
  * Two scopes are tracked:
  * - "measured": metrics captured only during the raceStart/raceEnd measurement period
@@ -30,13 +30,45 @@ const metricDefs = {
   cls:                 { name: 'Cumulative Layout Shift (CLS)', format: formatCLS, category: 'loading', description: 'Measures unexpected layout movement — elements shifting after being rendered. CLS is a Core Web Vital; high values frustrate users who click the wrong target. Good: under 0.1.' },
   domContentLoaded:    { name: 'DOM Content Loaded', format: formatMs, category: 'loading', description: 'Time until the HTML document is fully parsed and all deferred scripts have executed (DOMContentLoaded event).' },
   domComplete:         { name: 'DOM Complete', format: formatMs, category: 'loading', description: 'Time until the page and all sub-resources (images, stylesheets, etc.) have finished loading.' },
+  totalBlockingTime:   { name: 'Total Blocking Time (TBT)', format: formatMs, category: 'responsiveness', description: 'Sum of the time every main-thread task ran past 50ms. While a long task runs, the page cannot respond to input. Good: under 200ms.' },
+  longTaskCount:       { name: 'Long Tasks', format: (v) => `${v} task${v === 1 ? '' : 's'}`, category: 'responsiveness', description: 'Number of main-thread tasks of 50ms or more. Each one is a moment where clicks and key presses have to wait.' },
+  longestTask:         { name: 'Longest Task', format: formatMs, category: 'responsiveness', description: 'The longest single main-thread task, the worst freeze a user could run into.' },
+  inp:                 { name: 'Interaction to Next Paint (INP)', format: formatMs, category: 'responsiveness', description: 'Latency of the slowest interaction (click, tap or key press) until the next frame is painted, ignoring one outlier per 50 interactions. Only available when the race interacts with the page. Good: under 200ms.' },
+  averageFps:          { name: 'Average FPS', format: (v) => `${v.toFixed(1)} fps`, category: 'smoothness', higherIsBetter: true, description: 'Frames painted per second while measuring, sampled with requestAnimationFrame. Smooth scrolling and animation run at the display refresh rate, usually 60 fps.' },
+  droppedFrames:       { name: 'Dropped Frames', format: (v) => `${v} frame${v === 1 ? '' : 's'}`, category: 'smoothness', description: 'Frames the display was ready for but the page did not deliver, estimated from gaps between animation frames.' },
+  p95FrameTime:        { name: 'Frame Time (p95)', format: formatMs, category: 'smoothness', description: '95% of frames took at most this long. Good: close to 16.7ms on a 60Hz display.' },
+  jankPeriods:         { name: 'Jank', format: (v) => `${v} stutter${v === 1 ? '' : 's'}`, category: 'smoothness', description: 'Visible stutters: runs of frames that each took longer than 50ms.' },
   jsHeapUsedSize:      { name: 'JS Heap Used', format: formatBytes, category: 'memory', description: 'JavaScript memory currently in use. High usage can trigger garbage collection pauses and indicates memory-heavy code.' },
+  heapGrowth:          { name: 'Heap Growth', format: formatBytes, category: 'memory', description: 'How much the JS heap grew from the first raceStart to the last raceEnd (0 if it shrank). Memory the measured code kept; run with --force-gc to leave out garbage that simply was not collected yet.' },
 };
 
+/**
+ * Breakdown of the network totals by resource type and by first/third party
+ * (see resource-breakdown.cjs). Breakdown rows are shown but not scored, since
+ * the network totals already count every byte and request once.
+ */
+const RESOURCE_GROUPS = [
+  ['document', 'Document', 'HTML documents, including iframes.'],
+  ['script', 'Script', 'JavaScript files.'],
+  ['stylesheet', 'Stylesheet', 'CSS files.'],
+  ['image', 'Image', 'Images, including favicons.'],
+  ['font', 'Font', 'Web fonts.'],
+  ['fetch', 'XHR/Fetch', 'Requests made with fetch() or XMLHttpRequest.'],
+  ['other', 'Other', 'Everything else: media, manifests, beacons, WebSockets and the like.'],
+  ['firstParty', '1st-Party', 'Requests to the same site as the page (example.com and its subdomains).'],
+  ['thirdParty', '3rd-Party', 'Requests to any other site: analytics, ads, CDNs, embeds.'],
+];
+const RESOURCE_METRICS = [];
+for (const [key, label, description] of RESOURCE_GROUPS) {
+  metricDefs[`${key}TransferSize`] = { name: `${label} Transfer`, format: formatBytes, category: 'resources', breakdown: true, description: `Bytes transferred (compressed). ${description}` };
+  metricDefs[`${key}RequestCount`] = { name: `${label} Requests`, format: (v) => `${v} req`, category: 'resources', breakdown: true, description: `Number of requests. ${description}` };
+  RESOURCE_METRICS.push(`${key}TransferSize`, `${key}RequestCount`);
+}
+
 // Measured metrics (between raceStart/raceEnd)
-const MEASURED_METRICS = ['networkTransferSize', 'networkRequestCount', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration'];
+const MEASURED_METRICS = ['networkTransferSize', 'networkRequestCount', ...RESOURCE_METRICS, 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration', 'totalBlockingTime', 'longTaskCount', 'longestTask', 'inp', 'averageFps', 'droppedFrames', 'p95FrameTime', 'jankPeriods', 'heapGrowth'];
 // Total metrics (entire session) — includes loading/memory which are total-only
-const TOTAL_METRICS = ['networkTransferSize', 'networkRequestCount', 'ttfb', 'fcp', 'lcp', 'cls', 'domContentLoaded', 'domComplete', 'jsHeapUsedSize', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration'];
+const TOTAL_METRICS = ['networkTransferSize', 'networkRequestCount', ...RESOURCE_METRICS, 'ttfb', 'fcp', 'lcp', 'cls', 'domContentLoaded', 'domComplete', 'jsHeapUsedSize', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration', 'totalBlockingTime', 'longTaskCount', 'longestTask', 'inp'];
 
 // Build the full PROFILE_METRICS map with scope-prefixed keys
 export const PROFILE_METRICS = {};
@@ -49,7 +81,7 @@ for (const metric of TOTAL_METRICS) {
   PROFILE_METRICS[`total.${metric}`] = { ...def, scope: 'total' };
 }
 
-function formatBytes(bytes) {
+export function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
   const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -95,6 +127,8 @@ export function buildProfileComparison(racerNames, profileData) {
 
     // Skip if no racer has data for this metric
     if (vals.every(v => v === null)) continue;
+    // Skip breakdown rows nobody used (e.g. no fonts at all)
+    if (metric.breakdown && vals.every(v => !v)) continue;
 
     const comp = {
       key,
@@ -102,6 +136,7 @@ export function buildProfileComparison(racerNames, profileData) {
       category: metric.category,
       scope: metric.scope,
       unit: metric.unit,
+      breakdown: !!metric.breakdown,
       values: vals,
       formatted: vals.map(v => v !== null ? metric.format(v) : '-'),
       winner: null,
@@ -110,12 +145,12 @@ export function buildProfileComparison(racerNames, profileData) {
       rankings: []
     };
 
-    // Determine winner (lower is better for all metrics)
-    // Rank all racers that have data, sorted by value ascending
+    // Determine winner (lower is better unless the metric says otherwise)
+    // Rank all racers that have data, best first
     const racersWithData = vals
       .map((v, i) => v !== null ? { index: i, value: v } : null)
       .filter(Boolean)
-      .sort((a, b) => a.value - b.value);
+      .sort((a, b) => metric.higherIsBetter ? b.value - a.value : a.value - b.value);
 
     if (racersWithData.length >= 2) {
       const bestVal = racersWithData[0].value;
@@ -126,15 +161,18 @@ export function buildProfileComparison(racerNames, profileData) {
       if (bestVal !== worstVal) {
         const winIdx = racersWithData[0].index;
         comp.winner = racerNames[winIdx];
-        comp.diff = worstVal - bestVal;
+        comp.diff = Math.abs(worstVal - bestVal);
         comp.diffPercent = bestVal > 0
           ? (comp.diff / bestVal * 100)
           : null;
 
-        if (metric.scope === 'measured') {
-          measuredWins[racerNames[winIdx]]++;
-        } else {
-          totalWins[racerNames[winIdx]]++;
+        // Breakdown rows are not scored: the network totals already count them
+        if (!metric.breakdown) {
+          if (metric.scope === 'measured') {
+            measuredWins[racerNames[winIdx]]++;
+          } else {
+            totalWins[racerNames[winIdx]]++;
+          }
         }
       }
     }
@@ -183,18 +221,24 @@ function groupByCategory(comparisons) {
 
 const categoryLabels = {
   network: '🌐 Network',
+  resources: '📦 Resources',
   loading: '⏱️ Loading',
   memory: '🧠 Memory',
   computation: '⚡ Computation',
-  rendering: '🎨 Rendering'
+  rendering: '🎨 Rendering',
+  responsiveness: '👆 Responsiveness',
+  smoothness: '🎞️ Smoothness'
 };
 
 export const categoryDescriptions = {
   network: 'Network activity: data transferred and requests made. Fewer bytes and requests mean faster page loads.',
+  resources: 'Network transfer and requests by resource type and by first- vs third-party site. Shown for insight; these rows do not count toward the winner.',
   loading: 'Page loading milestones measured from navigation start. Indicates how quickly the page becomes usable.',
   memory: 'JavaScript memory usage. Lower memory consumption reduces garbage collection pauses and improves stability.',
   computation: 'CPU time spent on JavaScript execution and browser tasks. Less computation means a more responsive page.',
   rendering: 'Time spent on visual layout and style calculations. Less rendering work means smoother interactions.',
+  responsiveness: 'Main-thread blocking from the performance trace. Long tasks delay the response to clicks and key presses.',
+  smoothness: 'Frame rate while measuring. Dropped frames and long frames show up as stutter in scrolling and animation. Higher FPS is better.',
 };
 
 /**
@@ -215,13 +259,13 @@ function printProfileSection(title, section, racers, w, write) {
       const maxVal = Math.max(...comp.values.filter(v => v !== null));
       const metricDef = PROFILE_METRICS[comp.key];
 
-      // Sort racers by value ascending (best first), nulls last
+      // Sort racers best first, nulls last
       const sorted = racers
         .map((name, i) => ({ name, index: i, val: comp.values[i], formatted: comp.formatted[i] }))
         .sort((a, b) => {
           if (a.val === null) return 1;
           if (b.val === null) return -1;
-          return a.val - b.val;
+          return metricDef.higherIsBetter ? b.val - a.val : a.val - b.val;
         });
       const bestVal = sorted[0].val;
 
@@ -241,7 +285,7 @@ function printProfileSection(title, section, racers, w, write) {
         let delta = '';
         if (entry.val !== null && bestVal !== null && entry.val !== bestVal) {
           const deltaVal = entry.val - bestVal;
-          delta = ` ${c.dim}(+${metricDef.format(deltaVal)})${c.reset}`;
+          delta = ` ${c.dim}(${deltaVal > 0 ? '+' : '-'}${metricDef.format(Math.abs(deltaVal))})${c.reset}`;
         }
 
         write(`    ${color}${c.bold}${entry.name.padEnd(12)}${c.reset} ${color}${bar}${c.reset}  ${entry.formatted}${delta}${medal}\n`);
@@ -335,7 +379,7 @@ export function buildProfileMarkdown(profileComparison, racers) {
 
   lines.push('### Performance Profile Analysis');
   lines.push('');
-  lines.push('*Lower values are better for all metrics*');
+  lines.push('*Lower values are better for all metrics except FPS. Resource breakdown rows do not count toward the winner.*');
   lines.push('');
 
   if (measured.comparisons.length > 0) {
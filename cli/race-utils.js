@@ -17,3 +17,19 @@ export function determineOverallWinner(wins, racerNames, comparisons) {
   if (maxWins === 0) return null;
   return 'tie';
 }
+
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Function returning floats in [0, 1), same sequence for the same seed
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * cases.js — The summary as a flat list of test cases, shared by the
+ * JUnit and TAP reporters.
+ *
+ * Suites:
+ *   race          one case: did every racer finish without an error
+ *   measurements  one case per timed comparison (raceStart/raceEnd)
+ *   profile       one case per profile metric, measured and total scope
+ *   budgets       one case per budget check, when settings.budgets was checked
+ *
+ * Durations and winners travel as properties so dashboards can chart them.
+ */
+
+import { isWithinNoise } from '../summary.js';
+
+function winnerLabel(comp) {
+  if (comp.winner) return comp.winner;
+  return isWithinNoise(comp) ? 'tie' : 'none';
+}
+
+function measurementCase(comp, racers) {
+  const properties = [];
+  const missing = [];
+  racers.forEach((racer, i) => {
+    const duration = comp.racers[i]?.duration;
+    if (duration == null) missing.push(racer);
+    else properties.push([`${racer}.duration`, Number(duration.toFixed(3))]);
+  });
+  properties.push(['winner', winnerLabel(comp)]);
+  if (comp.diffPercent != null) properties.push(['diffPercent', Number(comp.diffPercent.toFixed(1))]);
+  if (comp.significance) properties.push(['p', Number(comp.significance.p.toFixed(4))]);
+
+  const durations = comp.racers.map(r => r?.duration).filter(d => d != null);
+  return {
+    suite: 'measurements',
+    name: comp.name,
+    time: durations.length > 0 ? Math.min(...durations) : null,
+    properties,
+    failure: missing.length > 0 ? `no result for ${missing.join(', ')}` : null,
+  };
+}
+
+function profileCase(comp, racers) {
+  const properties = [['key', comp.key]];
+  racers.forEach((racer, i) => {
+    if (comp.values[i] != null) properties.push([racer, comp.values[i]]);
+  });
+  properties.push(['winner', comp.winner || 'none']);
+  if (comp.diffPercent != null) properties.push(['diffPercent', Number(comp.diffPercent.toFixed(1))]);
+  return {
+    suite: 'profile',
+    name: `${comp.name} (${comp.scope})`,
+    time: null,
+    properties,
+    failure: null,
+  };
+}
+
+function budgetCase(result) {
+  const racer = result.racer && result.rule === 'max' ? ` (${result.racer})` : '';
+  const properties = [['limit', result.limit], ['actual', result.actual]].filter(([, v]) => v != null);
+  return {
+    suite: 'budgets',
+    name: `${result.target} ${result.rule}${racer}`,
+    time: null,
+    properties,
+    failure: result.passed ? null : result.message,
+  };
+}
+
+/**
+ * Flatten a summary into [{ suite, name, time, properties: [[key, value]], failure }],
+ * grouped by suite in the order listed above. `failure` is null for passing cases.
+ */
+export function buildReportCases(summary) {
+  const { racers, comparisons, profileComparison, budgets } = summary;
+  const errors = summary.errors || [];
+  return [
+    { suite: 'race', name: 'race completes', time: null, properties: [], failure: errors.length > 0 ? errors.join('\n') : null },
+    ...comparisons.map(comp => measurementCase(comp, racers)),
+    ...(profileComparison?.measured?.comparisons || []).map(comp => profileCase(comp, racers)),
+    ...(profileComparison?.total?.comparisons || []).map(comp => profileCase(comp, racers)),
+    ...(budgets?.results || []).map(budgetCase),
+  ];
+}
@@ -0,0 +1,49 @@
+/**
+ * reporters — Result files written from the final summary.
+ *
+ * A reporter is a module exporting `fileName` and `render(summary, context)`
+ * returning the file contents. To add one, write the module and register it
+ * in REPORTERS. `context` carries what the summary alone doesn't know:
+ *
+ *   raceName        the race directory's name
+ *   sideBySideName  the merged video file, if one was made (single run)
+ *   runs            every run's summary, for multi-run races
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as json from './json.js';
+import * as md from './md.js';
+import * as junit from './junit.js';
+import * as tap from './tap.js';
+
+export const REPORTERS = { json, md, junit, tap };
+export const DEFAULT_REPORTERS = ['json', 'md'];
+
+/**
+ * Normalize `settings.reporters` (an array, or a comma-separated string from
+ * --reporter) into a list of reporter names. summary.json is always included
+ * because --results, --history and the player depend on it.
+ * Throws on an unknown reporter.
+ */
+export function resolveReporters(value = DEFAULT_REPORTERS) {
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!REPORTERS[name]) {
+      throw new Error(`Unknown reporter "${name}", valid values: ${Object.keys(REPORTERS).join(', ')}`);
+    }
+  }
+  return [...new Set(['json', ...names])];
+}
+
+/** Render every named reporter into `dir`. Returns the written file paths. */
+export function writeReports(summary, dir, names, context = {}) {
+  return names.map(name => {
+    const reporter = REPORTERS[name];
+    const filePath = path.join(dir, reporter.fileName);
+    fs.writeFileSync(filePath, reporter.render(summary, context));
+    return filePath;
+  });
+}
@@ -0,0 +1,7 @@
+/** json.js — The summary object as-is; what --results, --history and the player read. */
+
+export const fileName = 'summary.json';
+
+export function render(summary) {
+  return JSON.stringify(summary, null, 2);
+}
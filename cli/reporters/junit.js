@@ -0,0 +1,50 @@
+/**
+ * junit.js — JUnit XML for Jenkins, GitLab and friends: one <testsuite> per
+ * case suite, measurement durations and winners as <property> elements.
+ */
+
+import { buildReportCases } from './cases.js';
+
+export const fileName = 'junit.xml';
+
+function escXml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+export function render(summary, { raceName = 'race' } = {}) {
+  const cases = buildReportCases(summary);
+  const suites = [...new Set(cases.map(t => t.suite))];
+  const failures = cases.filter(t => t.failure).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escXml(raceName)}" tests="${cases.length}" failures="${failures}">`,
+  ];
+  for (const suite of suites) {
+    const suiteCases = cases.filter(t => t.suite === suite);
+    const suiteFailures = suiteCases.filter(t => t.failure).length;
+    lines.push(`  <testsuite name="${escXml(`${raceName}.${suite}`)}" tests="${suiteCases.length}" failures="${suiteFailures}" timestamp="${escXml(summary.timestamp || '')}">`);
+    for (const t of suiteCases) {
+      const time = t.time != null ? ` time="${t.time.toFixed(3)}"` : '';
+      const open = `    <testcase classname="${escXml(`${raceName}.${suite}`)}" name="${escXml(t.name)}"${time}`;
+      if (t.properties.length === 0 && !t.failure) {
+        lines.push(`${open}/>`);
+        continue;
+      }
+      lines.push(`${open}>`);
+      if (t.properties.length > 0) {
+        lines.push('      <properties>');
+        for (const [key, value] of t.properties) {
+          lines.push(`        <property name="${escXml(key)}" value="${escXml(value)}"/>`);
+        }
+        lines.push('      </properties>');
+      }
+      if (t.failure) {
+        lines.push(`      <failure message="${escXml(t.failure.split('\n')[0])}">${escXml(t.failure)}</failure>`);
+      }
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>', '');
+  return lines.join('\n');
+}
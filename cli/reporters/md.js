@@ -0,0 +1,9 @@
+/** md.js — The results README: a single race, or the median plus every run. */
+
+import { buildMarkdownSummary, buildMultiRunMarkdown } from '../summary.js';
+
+export const fileName = 'README.md';
+
+export function render(summary, { sideBySideName = null, runs = null } = {}) {
+  return runs ? buildMultiRunMarkdown(summary, runs) : buildMarkdownSummary(summary, sideBySideName);
+}
@@ -0,0 +1,30 @@
+/**
+ * tap.js — TAP version 13: one test point per case, properties in the YAML
+ * diagnostic block.
+ */
+
+import { buildReportCases } from './cases.js';
+
+export const fileName = 'results.tap';
+
+// JSON strings are valid YAML scalars, and keep quotes, colons and newlines safe
+function yamlValue(value) {
+  return typeof value === 'number' ? String(value) : JSON.stringify(String(value));
+}
+
+export function render(summary) {
+  const cases = buildReportCases(summary);
+  const lines = ['TAP version 13', `1..${cases.length}`];
+  cases.forEach((t, i) => {
+    lines.push(`${t.failure ? 'not ok' : 'ok'} ${i + 1} - ${t.suite}: ${t.name.replace(/#/g, '\\#')}`);
+    const diagnostics = [...t.properties];
+    if (t.time != null) diagnostics.unshift(['duration_ms', Math.round(t.time * 1000)]);
+    if (t.failure) diagnostics.unshift(['message', t.failure]);
+    if (diagnostics.length === 0) return;
+    lines.push('  ---');
+    for (const [key, value] of diagnostics) lines.push(`  ${yamlValue(key)}: ${yamlValue(value)}`);
+    lines.push('  ...');
+  });
+  lines.push('');
+  return lines.join('\n');
+}
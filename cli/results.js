@@ -8,8 +8,13 @@ import { execFileSync } from 'child_process';
 import { createRequire } from 'module';
 import { c, FORMAT_EXTENSIONS, VIDEO_DEFAULTS, codecArgs } from './colors.js';
 
+/** Print a warning to the terminal: the default `warn` of the functions below. */
+export function printWarning(message) {
+  console.error(`${c.dim}Warning: ${message}${c.reset}`);
+}
+
 /** Move recordings from the runner's temp dir to the results folder. */
-export function moveResults(recordingsBase, racerName, destDir, browserResult) {
+export function moveResults(recordingsBase, racerName, destDir, browserResult, warn = printWarning) {
   const sourceDir = path.join(recordingsBase, racerName);
   const data = {
     videoPath: null,
@@ -18,7 +23,12 @@ export function moveResults(recordingsBase, racerName, destDir, browserResult) {
     clickEvents: browserResult.clickEvents || [],
     measurements: browserResult.measurements || [],
     profileMetrics: browserResult.profileMetrics || null,
+    coverage: browserResult.coverage || null,
+    heap: browserResult.heap || null,
     error: browserResult.error || null,
+    browser: browserResult.browser || null,
+    unsupported: browserResult.unsupported || [],
+    viewport: browserResult.viewport || null,
   };
 
   try {
@@ -55,12 +65,44 @@ export function moveResults(recordingsBase, racerName, destDir, browserResult) {
     fs.writeFileSync(path.join(destDir, 'measurements.json'), JSON.stringify(data.measurements, null, 2));
     fs.writeFileSync(path.join(destDir, 'profile-metrics.json'), JSON.stringify(data.profileMetrics, null, 2));
   } catch (e) {
-    console.error(`${c.dim}Warning: Could not move ${racerName} results: ${e.message}${c.reset}`);
+    warn(`Could not move ${racerName} results: ${e.message}`);
   }
 
   return data;
 }
 
+/**
+ * Read each racer's network.json from a run folder.
+ * Returns one request array (or null) per racer, or null if no racer has one.
+ */
+export function loadNetworkLogs(runDir, racerNames) {
+  const logs = racerNames.map(name => {
+    try {
+      const log = JSON.parse(fs.readFileSync(path.join(runDir, name, 'network.json'), 'utf-8'));
+      return Array.isArray(log) ? log : null;
+    } catch {
+      return null;
+    }
+  });
+  return logs.some(Boolean) ? logs : null;
+}
+
+/**
+ * Read each racer's coverage.json from a run folder.
+ * Returns one report (or null) per racer, or null if no racer has one.
+ */
+export function loadCoverageReports(runDir, racerNames) {
+  const reports = racerNames.map(name => {
+    try {
+      const report = JSON.parse(fs.readFileSync(path.join(runDir, name, 'coverage.json'), 'utf-8'));
+      return Array.isArray(report?.files) ? report : null;
+    } catch {
+      return null;
+    }
+  });
+  return reports.some(Boolean) ? reports : null;
+}
+
 /** Compress a GIF in-place using gifsicle (if available). */
 export function compressGif(filePath) {
   try {
@@ -81,7 +123,7 @@ const FFMPEG_CORE_FILES = ['ffmpeg-core.js', 'ffmpeg-core.wasm'];
  * Uses the locally installed @ffmpeg/ffmpeg and @ffmpeg/core packages.
  * Returns true if files were copied successfully, false otherwise.
  */
-export function copyFFmpegFiles(destDir) {
+export function copyFFmpegFiles(destDir, warn = printWarning) {
   const ffmpegDir = path.join(destDir, 'ffmpeg');
   try {
     const require = createRequire(import.meta.url);
@@ -108,17 +150,17 @@ export function copyFFmpegFiles(destDir) {
     }
     return true;
   } catch (e) {
-    console.error(`${c.dim}Warning: Could not copy ffmpeg.wasm files: ${e.message}${c.reset}`);
+    warn(`Could not copy ffmpeg.wasm files: ${e.message}`);
     try { fs.rmSync(ffmpegDir, { recursive: true, force: true }); } catch {}
     return false;
   }
 }
 
 /** Convert .webm videos to the requested format (mov/gif) via ffmpeg. */
-export function convertVideos(results, format) {
+export function convertVideos(results, format, warn = printWarning) {
   const ext = FORMAT_EXTENSIONS[format];
   if (!ext) {
-    console.error(`${c.dim}Warning: Unknown format "${format}", skipping conversion${c.reset}`);
+    warn(`Unknown format "${format}", skipping conversion`);
     return;
   }
   for (const r of results) {
@@ -141,7 +183,7 @@ export function convertVideos(results, format) {
         if (format === 'gif') compressGif(dest);
         r[key] = dest;
       } catch (e) {
-        console.error(`${c.dim}Warning: Could not convert ${path.basename(src)}: ${e.message}${c.reset}`);
+        warn(`Could not convert ${path.basename(src)}: ${e.message}`);
       }
     }
   }
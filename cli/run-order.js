@@ -0,0 +1,97 @@
+/**
+ * run-order.js — Which racer goes first in each run of a sequential race.
+ *
+ * Running A then B every time lets thermal throttling and warm caches favor
+ * the same side on every run. These strategies spread the starting slots:
+ *
+ *   fixed         A B C, every run (the old behavior)
+ *   alternate     rotate the start: A B C, B C A, C A B, ...
+ *   shuffle       random order per run, reproducible from a recorded seed
+ *   latin-square  balanced Latin square: every racer takes every slot equally
+ *                 often and follows every other racer equally often
+ *
+ * Orders are arrays of racer indices, first to race first.
+ */
+
+import { createRandom } from './race-utils.js';
+
+export const RUN_ORDERS = ['fixed', 'alternate', 'shuffle', 'latin-square'];
+export const DEFAULT_RUN_ORDER = 'alternate';
+
+const LATIN_SQUARE_MAX_RACERS = 5;
+
+/** A fresh seed for `shuffle` when none was given. */
+export function createSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+function rotate(count, by) {
+  return Array.from({ length: count }, (_, i) => (i + by) % count);
+}
+
+function shuffle(count, random) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Rows of a Williams balanced Latin square. Even racer counts need `count`
+ * rows; odd counts need the square plus its mirror image (2 × count rows).
+ */
+export function latinSquareRows(count) {
+  // First row zig-zags: 0, 1, n-1, 2, n-2, ...
+  const first = [0];
+  for (let lo = 1, hi = count - 1; first.length < count;) {
+    first.push(lo++);
+    if (first.length < count) first.push(hi--);
+  }
+  const rows = Array.from({ length: count }, (_, r) => first.map(v => (v + r) % count));
+  return count % 2 === 0 ? rows : [...rows, ...rows.map(row => [...row].reverse())];
+}
+
+/**
+ * Plan the racer order for every run.
+ * Returns { strategy, seed, orders } where `seed` is only set for shuffle.
+ * Throws on an unknown strategy or a Latin square with too many racers.
+ */
+export function planRunOrders(strategy = DEFAULT_RUN_ORDER, racerCount, runs, seed = null) {
+  if (!RUN_ORDERS.includes(strategy)) {
+    throw new Error(`Unknown run order "${strategy}", valid values: ${RUN_ORDERS.join(', ')}`);
+  }
+  const runIndices = Array.from({ length: runs }, (_, i) => i);
+
+  if (strategy === 'fixed') {
+    return { strategy, seed: null, orders: runIndices.map(() => rotate(racerCount, 0)) };
+  }
+  if (strategy === 'alternate') {
+    return { strategy, seed: null, orders: runIndices.map(i => rotate(racerCount, i)) };
+  }
+  if (strategy === 'shuffle') {
+    const resolvedSeed = seed ?? createSeed();
+    if (!Number.isInteger(resolvedSeed)) {
+      throw new Error(`Invalid seed ${JSON.stringify(seed)}, expected an integer`);
+    }
+    const random = createRandom(resolvedSeed);
+    return { strategy, seed: resolvedSeed, orders: runIndices.map(() => shuffle(racerCount, random)) };
+  }
+
+  if (racerCount > LATIN_SQUARE_MAX_RACERS) {
+    throw new Error(`Run order "latin-square" supports up to ${LATIN_SQUARE_MAX_RACERS} racers, got ${racerCount}`);
+  }
+  const rows = latinSquareRows(racerCount);
+  return { strategy, seed: null, orders: runIndices.map(i => rows[i % rows.length]) };
+}
+
+/**
+ * Number of runs needed for the strategy to give every racer each starting
+ * slot equally often, or null if it can't promise that (shuffle).
+ */
+export function balancedRunCount(strategy, racerCount) {
+  if (strategy === 'fixed' || strategy === 'shuffle') return null;
+  if (strategy === 'latin-square') return latinSquareRows(racerCount).length;
+  return racerCount;
+}
@@ -0,0 +1,239 @@
+/**
+ * serve.js — Local HTTP servers: the static file server behind the results
+ * player, and the per-racer servers from `settings.serve`.
+ *
+ * `serve` maps racer names to what should be running before the race starts:
+ *
+ *   "serve": {
+ *     "v2": "dist-v2",                                         static files
+ *     "v3": { "dir": "dist-v3", "port": 5003 },                static files on a fixed port
+ *     "ssr": { "command": "npm run start", "port": 3000,       a command, ready once
+ *              "ready": "http://localhost:3000/health" }       the URL answers
+ *   }
+ *
+ * Paths and commands are relative to the race directory. Each racer's
+ * server URL becomes `page.raceBaseUrl` (and the page's baseURL).
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { spawn } from 'child_process';
+
+export const MIME_TYPES = {
+  '.html': 'text/html',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.gif': 'image/gif',
+  '.mov': 'video/quicktime',
+  '.wasm': 'application/wasm',
+};
+
+const SERVE_KEYS = ['dir', 'command', 'port', 'ready', 'timeout'];
+const DEFAULT_READY_TIMEOUT_MS = 30000;
+const READY_POLL_MS = 250;
+
+/**
+ * Create (but don't start) an HTTP server for the files in `dir`.
+ * Directory URLs serve their index.html; `headers` are added to every file response.
+ */
+export function createStaticServer(dir, headers = {}) {
+  return http.createServer(createStaticHandler(dir, headers));
+}
+
+/**
+ * The request handler behind createStaticServer(), for servers that answer
+ * some URLs themselves. `htmlSnippet` is appended to every .html page.
+ */
+export function createStaticHandler(dir, headers = {}, { htmlSnippet = null } = {}) {
+  const root = path.resolve(dir);
+  return (req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch {
+      res.writeHead(400);
+      res.end('Bad request');
+      return;
+    }
+    if (urlPath.endsWith('/')) urlPath += 'index.html';
+    const filePath = path.join(root, urlPath);
+    if (!filePath.startsWith(root + path.sep) && filePath !== root) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+    const ext = path.extname(filePath).toLowerCase();
+    fs.readFile(filePath, (err, data) => {
+      if (err) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream', ...headers });
+      res.end(htmlSnippet && ext === '.html' ? Buffer.concat([data, Buffer.from(htmlSnippet)]) : data);
+    });
+  };
+}
+
+/**
+ * Check `settings.serve` and normalize every entry to
+ * { dir, port } (static) or { command, port, ready, timeout }.
+ * Returns null when there is nothing to serve. Throws naming the racer and field.
+ */
+export function validateServe(serve, racerNames, raceDir) {
+  if (serve == null) return null;
+  if (typeof serve !== 'object' || Array.isArray(serve)) {
+    throw new Error('"serve" must be an object keyed by racer name');
+  }
+  const isPort = (p) => Number.isInteger(p) && p > 0 && p < 65536;
+  const resolved = {};
+  for (const [racer, raw] of Object.entries(serve)) {
+    if (!racerNames.includes(racer)) {
+      throw new Error(`"serve" has an entry for unknown racer "${racer}", racers: ${racerNames.join(', ')}`);
+    }
+    const entry = typeof raw === 'string' ? { dir: raw } : raw;
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`serve "${racer}" must be a directory or an object like { "command": "npm start", "port": 3000 }`);
+    }
+    for (const key of Object.keys(entry)) {
+      if (!SERVE_KEYS.includes(key)) throw new Error(`serve "${racer}": unknown option "${key}", valid options: ${SERVE_KEYS.join(', ')}`);
+    }
+    if (!entry.dir === !entry.command) {
+      throw new Error(`serve "${racer}" needs either "dir" or "command"`);
+    }
+    if (entry.port !== undefined && !isPort(entry.port)) {
+      throw new Error(`serve "${racer}": "port" must be a port number, got ${JSON.stringify(entry.port)}`);
+    }
+    if (entry.dir) {
+      const dir = path.resolve(raceDir, entry.dir);
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`serve "${racer}": directory not found: ${dir}`);
+      }
+      resolved[racer] = { dir, port: entry.port ?? 0 };
+      continue;
+    }
+    if (entry.port === undefined) throw new Error(`serve "${racer}": a command needs the "port" it listens on`);
+    const timeout = entry.timeout ?? DEFAULT_READY_TIMEOUT_MS;
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error(`serve "${racer}": "timeout" must be a positive number of milliseconds`);
+    }
+    resolved[racer] = {
+      command: entry.command,
+      port: entry.port,
+      ready: entry.ready ?? `http://localhost:${entry.port}/`,
+      timeout,
+    };
+  }
+  return resolved;
+}
+
+/** Start a static server; resolves to { url, stop }. */
+function startStaticServer({ dir, port }) {
+  const server = createStaticServer(dir);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      let stopped = false;
+      const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        server.close();
+        server.closeAllConnections();
+      };
+      resolve({ url: `http://localhost:${server.address().port}`, stop });
+    });
+  });
+}
+
+/** Poll `url` until it answers with a non-5xx status, the process dies, or time runs out. */
+async function waitForUrl(url, timeout, hasExited) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const exit = hasExited();
+    if (exit) throw new Error(exit);
+    try {
+      const res = await fetch(url, { signal: AbortSignal.timeout(READY_POLL_MS * 4) });
+      if (res.status < 500) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(r => setTimeout(r, READY_POLL_MS));
+  }
+  throw new Error(`not ready at ${url} after ${timeout}ms`);
+}
+
+/**
+ * Run a server command in its own process group and wait until `ready`
+ * answers; resolves to { url, stop }. Rejects with the command's last output
+ * if it exits or never becomes ready.
+ */
+async function startCommandServer({ command, port, ready, timeout }, cwd) {
+  const isWindows = process.platform === 'win32';
+  // Own process group, so stop() takes down whatever the command spawned (npm → vite, ...)
+  const child = spawn(command, { cwd, shell: true, detached: !isWindows, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  const keep = (chunk) => { output = (output + chunk).slice(-2000); };
+  child.stdout.on('data', keep);
+  child.stderr.on('data', keep);
+  let exited = null;
+  child.on('exit', (code, signal) => { exited = `exited with ${signal || `code ${code}`}`; });
+  child.on('error', (err) => { exited = err.message; });
+
+  const stop = () => {
+    if (exited) return;
+    try {
+      if (isWindows) child.kill();
+      else process.kill(-child.pid, 'SIGTERM');
+    } catch {
+      // Already gone
+    }
+  };
+
+  try {
+    await waitForUrl(ready, timeout, () => exited);
+  } catch (e) {
+    stop();
+    const tail = output.trim().split('\n').slice(-5).join('\n');
+    throw new Error(`"${command}" ${e.message}${tail ? `\n${tail}` : ''}`);
+  }
+  return { url: `http://localhost:${port}`, stop };
+}
+
+/**
+ * Start every racer's server from validateServe()'s result.
+ * Resolves to { [racer]: { url, stop } }. If one fails, the ones already
+ * running are stopped before the error is rethrown (prefixed with the racer).
+ */
+export async function startRacerServers(resolved, raceDir) {
+  const servers = {};
+  for (const [racer, entry] of Object.entries(resolved || {})) {
+    try {
+      servers[racer] = entry.dir ? await startStaticServer(entry) : await startCommandServer(entry, raceDir);
+    } catch (e) {
+      stopRacerServers(servers);
+      throw new Error(`Could not start server for "${racer}": ${e.message}`);
+    }
+  }
+  return servers;
+}
+
+/** Stop every server. Synchronous, so it is safe in a process 'exit' handler. */
+export function stopRacerServers(servers) {
+  for (const server of Object.values(servers || {})) server.stop();
+}
@@ -10,6 +10,20 @@ import { c, VIDEO_DEFAULTS, codecArgs } from './colors.js';
 import { startProgress } from './animation.js';
 import { compressGif } from './results.js';
 
+/**
+ * The tile every video is fitted into: `scaleWidth` wide for landscape
+ * recordings, or `scaleWidth` tall once one is portrait (an emulated phone),
+ * shaped by the tallest aspect ratio. Null when a size is unknown.
+ */
+export function tileSize(sizes, scaleWidth) {
+  if (!sizes || sizes.length === 0 || sizes.some(size => !size?.width || !size?.height)) return null;
+  const ratio = Math.max(...sizes.map(size => size.height / size.width));
+  const even = (n) => Math.round(n / 2) * 2;
+  return ratio > 1
+    ? { width: even(scaleWidth / ratio), height: scaleWidth }
+    : { width: scaleWidth, height: even(scaleWidth * ratio) };
+}
+
 /**
  * Build FFmpeg filter_complex for N videos.
  * Layouts:
@@ -17,35 +31,49 @@ import { compressGif } from './results.js';
  *   3 videos: hstack=inputs=3 (3 across)
  *   4 videos: 2x2 grid (hstack pairs, then vstack)
  *   5 videos: 3 on top, 2 on bottom centered (with padding)
+ * With the recordings' `sizes` ({ width, height } per video), every video is
+ * fitted into the same tile (see tileSize), so a phone-sized racer stacks
+ * next to a desktop one; without them each is scaled to the layout width.
  */
-function buildFilterComplex(count, slowmo, format) {
+export function buildFilterComplex(count, slowmo, format, sizes = null) {
   const pts = slowmo > 0 ? `setpts=${slowmo}*PTS,` : '';
   const { scaleWidth2to3, scaleWidth4to5, gifFps, gifMaxColors, gifBayerScale } = VIDEO_DEFAULTS;
   // GIF optimization: reduced fps, palette generation with Bayer dithering for quality
   const gifTail = format === 'gif'
     ? `,fps=${gifFps},split[s0][s1];[s0]palettegen=max_colors=${gifMaxColors}:stats_mode=diff[p];[s1][p]paletteuse=dither=bayer:bayer_scale=${gifBayerScale}`
     : '';
-  const scaleWidth = count <= 3 ? scaleWidth2to3 : scaleWidth4to5;
+  const layoutWidth = count <= 3 ? scaleWidth2to3 : scaleWidth4to5;
+  const tile = tileSize(sizes, layoutWidth);
+  const scaleWidth = tile ? tile.width : layoutWidth;
+  const fit = tile
+    ? `scale=${tile.width}:${tile.height}:force_original_aspect_ratio=decrease,pad=${tile.width}:${tile.height}:(ow-iw)/2:(oh-ih)/2:black`
+    : `scale=${scaleWidth}:-2`;
 
   if (count === 2) {
-    return `[0:v]${pts}scale=${scaleWidth}:-2[v0];[1:v]${pts}scale=${scaleWidth}:-2[v1];[v0][v1]hstack=inputs=2${gifTail}`;
+    return `[0:v]${pts}${fit}[v0];[1:v]${pts}${fit}[v1];[v0][v1]hstack=inputs=2${gifTail}`;
   } else if (count === 3) {
-    return `[0:v]${pts}scale=${scaleWidth}:-2[v0];[1:v]${pts}scale=${scaleWidth}:-2[v1];[2:v]${pts}scale=${scaleWidth}:-2[v2];[v0][v1][v2]hstack=inputs=3${gifTail}`;
+    return `[0:v]${pts}${fit}[v0];[1:v]${pts}${fit}[v1];[2:v]${pts}${fit}[v2];[v0][v1][v2]hstack=inputs=3${gifTail}`;
   } else if (count === 4) {
     // 2x2 grid
-    return `[0:v]${pts}scale=${scaleWidth}:-2[v0];[1:v]${pts}scale=${scaleWidth}:-2[v1];[2:v]${pts}scale=${scaleWidth}:-2[v2];[3:v]${pts}scale=${scaleWidth}:-2[v3];[v0][v1]hstack=inputs=2[top];[v2][v3]hstack=inputs=2[bot];[top][bot]vstack=inputs=2${gifTail}`;
+    return `[0:v]${pts}${fit}[v0];[1:v]${pts}${fit}[v1];[2:v]${pts}${fit}[v2];[3:v]${pts}${fit}[v3];[v0][v1]hstack=inputs=2[top];[v2][v3]hstack=inputs=2[bot];[top][bot]vstack=inputs=2${gifTail}`;
   } else if (count === 5) {
     // 3 on top, 2 on bottom with padding to center
     // Bottom row needs half-width padding on each side
     const halfWidth = Math.floor(scaleWidth / 2);
-    return `[0:v]${pts}scale=${scaleWidth}:-2[v0];[1:v]${pts}scale=${scaleWidth}:-2[v1];[2:v]${pts}scale=${scaleWidth}:-2[v2];[3:v]${pts}scale=${scaleWidth}:-2[v3];[4:v]${pts}scale=${scaleWidth}:-2[v4];[v0][v1][v2]hstack=inputs=3[top];[v3][v4]hstack=inputs=2[bot2];[bot2]pad=iw+${scaleWidth}:ih:${halfWidth}:0:black[bot];[top][bot]vstack=inputs=2${gifTail}`;
+    return `[0:v]${pts}${fit}[v0];[1:v]${pts}${fit}[v1];[2:v]${pts}${fit}[v2];[3:v]${pts}${fit}[v3];[4:v]${pts}${fit}[v4];[v0][v1][v2]hstack=inputs=3[top];[v3][v4]hstack=inputs=2[bot2];[bot2]pad=iw+${scaleWidth}:ih:${halfWidth}:0:black[bot];[top][bot]vstack=inputs=2${gifTail}`;
   }
   return '';
 }
 
-export function createSideBySide(videoPaths, outputPath, format = 'webm', slowmo = 0) {
-  // Filter out null/missing paths
-  const validPaths = videoPaths.filter(p => p && fs.existsSync(p));
+/**
+ * Combine the racers' videos into one side-by-side video.
+ * `sizes` are the recordings' viewports in the same order as `videoPaths`;
+ * `startStep` is startProgress() or a stand-in like the API's (see events.js).
+ */
+export function createSideBySide(videoPaths, outputPath, format = 'webm', slowmo = 0, sizes = null, startStep = startProgress) {
+  // Filter out null/missing paths, keeping each video's size alongside
+  const valid = videoPaths.map((p, i) => ({ p, size: sizes?.[i] || null })).filter(v => v.p && fs.existsSync(v.p));
+  const validPaths = valid.map(v => v.p);
 
   if (validPaths.length < 2) {
     process.stderr.write(`  ${c.dim}Skipping side-by-side: at least 2 video files required${c.reset}\n`);
@@ -60,11 +88,11 @@ export function createSideBySide(videoPaths, outputPath, format = 'webm', slowmo
   }
 
   const label = slowmo > 0 ? `Creating ${slowmo}x slow-mo side-by-side…` : 'Creating side-by-side video…';
-  const progress = startProgress(label);
+  const progress = startStep(label);
 
   try {
     const inputArgs = validPaths.flatMap(p => ['-i', p]);
-    const filterComplex = buildFilterComplex(validPaths.length, slowmo, format);
+    const filterComplex = buildFilterComplex(validPaths.length, slowmo, format, valid.map(v => v.size));
 
     execFileSync('ffmpeg', [
       '-y',
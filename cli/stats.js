@@ -0,0 +1,162 @@
+/**
+ * stats.js — Descriptive statistics and significance tests for multi-run races.
+ *
+ * With --runs=N every racer produces N samples per measurement. Instead of
+ * crowning whoever has the lower median, the fastest racer is tested against
+ * the runner-up with a two-sided Mann-Whitney U test (exact for small samples),
+ * and a bootstrap confidence interval is reported for the difference.
+ */
+
+import { createRandom } from './race-utils.js';
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Up to this many combined samples the exact rank-sum distribution is cheap to enumerate
+const EXACT_LIMIT = 40;
+const BOOTSTRAP_ITERATIONS = 2000;
+const BOOTSTRAP_SEED = 0x5eed;
+
+/** Linearly interpolated quantile (q in 0..1) of an ascending-sorted array. */
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function median(values) {
+  return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+/** Summarize samples as { n, min, max, mean, median, stddev, p90 }. stddev is the sample standard deviation. */
+export function describeSamples(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return null;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return {
+    n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean,
+    median: quantile(sorted, 0.5),
+    stddev: Math.sqrt(variance),
+    p90: quantile(sorted, 0.9),
+  };
+}
+
+/** Midranks (1-based, ties share the average rank) of `values`, in input order. */
+function midranks(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].v === order[start].v) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k].i] = rank;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Exact two-sided p-value for the rank sum of a group of size m, by counting
+ * every way to pick m of the given ranks. Ranks are doubled so midranks stay integral.
+ */
+function exactRankSumP(ranks, m, rankSum) {
+  const doubled = ranks.map(r => Math.round(r * 2));
+  const maxSum = doubled.reduce((a, b) => a + b, 0);
+  // ways[k][s] = number of k-subsets whose doubled ranks add up to s
+  const ways = Array.from({ length: m + 1 }, () => new Float64Array(maxSum + 1));
+  ways[0][0] = 1;
+  doubled.forEach((r, i) => {
+    for (let k = Math.min(i + 1, m); k >= 1; k--) {
+      for (let s = maxSum; s >= r; s--) ways[k][s] += ways[k - 1][s - r];
+    }
+  });
+  const expected = m * (ranks.length + 1);
+  const observed = Math.abs(rankSum * 2 - expected);
+  let total = 0;
+  let extreme = 0;
+  ways[m].forEach((count, s) => {
+    total += count;
+    if (Math.abs(s - expected) >= observed - 1e-9) extreme += count;
+  });
+  return total > 0 ? extreme / total : 1;
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26). */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided Mann-Whitney U test. Returns { u, p, exact }.
+ * Exact for up to EXACT_LIMIT combined samples (ties included), otherwise a
+ * normal approximation with tie and continuity correction.
+ */
+export function mannWhitneyU(a, b) {
+  const m = a.length;
+  const n = b.length;
+  const N = m + n;
+  const ranks = midranks([...a, ...b]);
+  const rankSum = ranks.slice(0, m).reduce((s, r) => s + r, 0);
+  const u = rankSum - m * (m + 1) / 2;
+
+  if (N <= EXACT_LIMIT) {
+    return { u, p: exactRankSumP(ranks, m, rankSum), exact: true };
+  }
+
+  const tieCounts = new Map();
+  for (const r of ranks) tieCounts.set(r, (tieCounts.get(r) || 0) + 1);
+  const tieTerm = [...tieCounts.values()].reduce((s, t) => s + (t ** 3 - t), 0);
+  const sigma = Math.sqrt(m * n / 12 * ((N + 1) - tieTerm / (N * (N - 1))));
+  if (sigma === 0) return { u, p: 1, exact: false };
+  const z = Math.max(0, Math.abs(u - m * n / 2) - 0.5) / sigma;
+  return { u, p: Math.min(1, 2 * (1 - normalCdf(z))), exact: false };
+}
+
+/** Smallest two-sided p-value the exact test can produce for these sample sizes. */
+export function minimumPValue(m, n) {
+  let combinations = 1;
+  for (let k = 1; k <= m; k++) combinations = combinations * (n + k) / k;
+  return Math.min(1, 2 / combinations);
+}
+
+/**
+ * Percentile bootstrap confidence interval for median(b) - median(a).
+ * Returns { low, high, confidence }.
+ */
+export function bootstrapMedianDiff(a, b, { confidence = 1 - SIGNIFICANCE_LEVEL, iterations = BOOTSTRAP_ITERATIONS, seed = BOOTSTRAP_SEED } = {}) {
+  // Seeded so the same samples always give the same interval
+  const random = createRandom(seed);
+  const resample = (xs) => xs.map(() => xs[Math.floor(random() * xs.length)]);
+  const diffs = new Array(iterations);
+  for (let i = 0; i < iterations; i++) diffs[i] = median(resample(b)) - median(resample(a));
+  diffs.sort((x, y) => x - y);
+  const tail = (1 - confidence) / 2;
+  return { low: quantile(diffs, tail), high: quantile(diffs, 1 - tail), confidence };
+}
+
+/**
+ * Test whether `a` (the apparent winner) really differs from `b` (the runner-up).
+ * Returns { test, p, alpha, significant, underpowered, ci } where `ci` bounds
+ * how much slower b is than a, and `underpowered` means there are too few
+ * samples for any result to reach significance.
+ */
+export function compareSamples(a, b, { alpha = SIGNIFICANCE_LEVEL } = {}) {
+  const { p } = mannWhitneyU(a, b);
+  return {
+    test: 'mann-whitney',
+    p,
+    alpha,
+    significant: p < alpha,
+    underpowered: minimumPValue(a.length, b.length) >= alpha,
+    ci: bootstrapMedianDiff(a, b, { confidence: 1 - alpha }),
+  };
+}
@@ -7,7 +7,11 @@ import os from 'os';
 import path from 'path';
 import { c, RACER_COLORS } from './colors.js';
 import { buildProfileComparison, printProfileAnalysis, buildProfileMarkdown } from './profile-analysis.js';
+import { buildBundleEfficiency, printBundleEfficiency, buildBundleEfficiencyMarkdown } from './bundle-efficiency.js';
+import { buildMemoryReport, printMemoryReport, buildMemoryMarkdown } from './memory.js';
 import { determineOverallWinner } from './race-utils.js';
+import { resolveRacerSettings } from './config.js';
+import { describeSamples, compareSamples } from './stats.js';
 
 const PLATFORM_NAMES = { darwin: 'macOS', linux: 'Linux', win32: 'Windows' };
 
@@ -35,7 +39,7 @@ export function getMachineInfo() {
 // --- Helper functions to eliminate duplication ---
 
 /** Count wins per racer from comparisons. Returns { racerName: winCount, ... }. */
-function computeWins(racerNames, comparisons) {
+export function computeWins(racerNames, comparisons) {
   return Object.fromEntries(racerNames.map(name => [name, comparisons.filter(x => x.winner === name).length]));
 }
 
@@ -43,7 +47,7 @@ function computeWins(racerNames, comparisons) {
  * Compute comparison stats for a single measurement across racers.
  * Returns { name, racers, winner, diff, diffPercent, rankings }.
  */
-function computeComparison(name, vals, racerNames) {
+export function computeComparison(name, vals, racerNames) {
   const comp = { name, racers: vals, winner: null, diff: null, diffPercent: null, rankings: [] };
   const racersWithData = vals
     .map((v, i) => v ? { index: i, duration: v.duration } : null)
@@ -62,6 +66,60 @@ function computeComparison(name, vals, racerNames) {
   return comp;
 }
 
+/**
+ * Test the apparent winner against the runner-up using every run's samples.
+ * A difference that isn't statistically significant is declared a tie:
+ * `winner` becomes null and `significance.significant` is false. With too few
+ * runs for any difference to be significant (`significance.underpowered`) the
+ * median winner stands, labelled underpowered.
+ */
+export function applySignificance(comp, racerNames) {
+  if (comp.rankings.length < 2) return comp;
+  const [first, second] = comp.rankings.slice(0, 2).map(name => racerNames.indexOf(name));
+  const a = comp.racers[first].samples;
+  const b = comp.racers[second].samples;
+  if (!a || !b || a.length < 2 || b.length < 2) return comp;
+  comp.significance = { ...compareSamples(a, b), against: racerNames[second] };
+  if (!comp.significance.significant && !comp.significance.underpowered) comp.winner = null;
+  return comp;
+}
+
+/** True when a multi-run comparison was too close to call. */
+export function isWithinNoise(comp) {
+  return comp.significance?.significant === false && !comp.significance.underpowered;
+}
+
+/** True when a multi-run comparison had too few runs to test, so the median decided it. */
+export function isUnderpowered(comp) {
+  return comp.significance?.significant === false && comp.significance.underpowered === true;
+}
+
+function formatSigned(seconds) {
+  return `${seconds >= 0 ? '+' : '-'}${Math.abs(seconds).toFixed(3)}s`;
+}
+
+export function formatPValue(p) {
+  return p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`;
+}
+
+/**
+ * Describe a comparison's significance, e.g.
+ * "within noise (p = 0.400, 95% CI -0.012s … +0.034s)".
+ */
+export function formatSignificance(sig) {
+  const { ci } = sig;
+  const interval = `${Math.round(ci.confidence * 100)}% CI ${formatSigned(ci.low)} … ${formatSigned(ci.high)}`;
+  const underpowered = !sig.significant && sig.underpowered;
+  const verdict = sig.significant ? 'statistically significant' : underpowered ? 'underpowered' : 'within noise';
+  const hint = underpowered ? '; too few runs to ever reach significance, the median decides' : '';
+  return `${verdict} (${formatPValue(sig.p)}, ${interval}${hint})`;
+}
+
+/** One-line spread of a racer's runs: "min 1.000s · mean 1.100s · max 1.300s · σ 0.120s · p90 1.250s". */
+export function formatRunStats(stats) {
+  return `min ${stats.min.toFixed(3)}s · mean ${stats.mean.toFixed(3)}s · max ${stats.max.toFixed(3)}s · σ ${stats.stddev.toFixed(3)}s · p90 ${stats.p90.toFixed(3)}s`;
+}
+
 /**
  * Compute display order from best to worst using average ranking position
  * across all comparisons. Each comparison's `rankings` array gives the full
@@ -104,7 +162,7 @@ function buildResultsTable(comparisons, racers, clickCounts = null) {
     const durations = racers.map((_, i) =>
       comp.racers[i] ? `${comp.racers[i].duration.toFixed(3)}s` : '-'
     );
-    const winner = comp.winner || '-';
+    const winner = comp.winner || (isWithinNoise(comp) ? 'tie (within noise)' : '-');
     const diff = comp.diffPercent !== null ? `${comp.diffPercent.toFixed(1)}%` : '-';
     lines.push(`| ${comp.name} | ${durations.join(' | ')} | ${winner} | ${diff} |`);
   }
@@ -115,9 +173,51 @@ function buildResultsTable(comparisons, racers, clickCounts = null) {
   return lines;
 }
 
+/**
+ * Collect features each racer's engine could not provide (e.g. CDP throttling on WebKit).
+ * Returns { racerName: ['network throttling', ...] } for affected racers only.
+ */
+function collectUnsupported(racerNames, results) {
+  return Object.fromEntries(racerNames.flatMap((name, i) =>
+    results[i].unsupported?.length > 0 ? [[name, results[i].unsupported]] : []
+  ));
+}
+
+/** Format a racer label, adding the engine when it isn't the default Chromium. */
+export function racerLabel(name, engines) {
+  const engine = engines?.[name];
+  return engine && engine !== 'chromium' ? `${name} (${engine})` : name;
+}
+
+/**
+ * Describe one racer's effective conditions, skipping defaults.
+ * e.g. "slow-3g · 4x CPU · Pixel 7 · 390×844 · de-DE · custom UA"
+ */
+export function formatConditions(cond) {
+  if (!cond) return 'default';
+  const parts = [];
+  if (cond.network && cond.network !== 'none') parts.push(cond.network);
+  if (cond.har) parts.push('HAR replay');
+  if (cond.cpuThrottle > 1) parts.push(`${cond.cpuThrottle}x CPU`);
+  if (cond.device) parts.push(cond.device);
+  if (cond.viewport) parts.push(`${cond.viewport.width}×${cond.viewport.height}`);
+  if (cond.locale) parts.push(cond.locale);
+  if (cond.userAgent) parts.push('custom UA');
+  return parts.length > 0 ? parts.join(' · ') : 'default';
+}
+
+/** True when settings.json gives at least one racer its own conditions. */
+export function hasPerRacerConditions(summary) {
+  return !!summary.conditions && Object.keys(summary.settings?.racers || {}).length > 0;
+}
+
 // --- Main summary functions ---
 
-export function buildSummary(racerNames, results, settings, resultsDir) {
+/**
+ * Build the summary for one run. `startOrder` lists racer names in the order
+ * they ran (sequential mode only, null otherwise).
+ */
+export function buildSummary(racerNames, results, settings, resultsDir, startOrder = null) {
   const measurements = results.map(r => r.measurements || []);
 
   // Group measurements by name across all racers
@@ -147,12 +247,29 @@ export function buildSummary(racerNames, results, settings, resultsDir) {
       [`${racerNames[i]}_full`, r.fullVideoPath || null],
     ])),
     clickCounts: Object.fromEntries(racerNames.map((n, i) => [n, (results[i].clickEvents || []).length])),
+    engines: Object.fromEntries(racerNames.map((n, i) => [n, results[i].browser || 'chromium'])),
+    viewports: Object.fromEntries(racerNames.map((n, i) => [n, results[i].viewport || null])),
+    conditions: Object.fromEntries(racerNames.map(n => [n, resolveRacerSettings(settings || {}, n)])),
+    unsupported: collectUnsupported(racerNames, results),
     profileMetrics: results.map(r => r.profileMetrics || null),
     profileComparison: buildProfileComparison(racerNames, results.map(r => r.profileMetrics || null)),
+    bundleEfficiency: buildBundleEfficiency(racerNames, results.map(r => r.coverage || null)),
+    memory: buildMemoryReport(racerNames, results.map(r => r.heap || null)),
+    startOrder,
     machineInfo: getMachineInfo(),
   };
 }
 
+/** Describe the folders of a `compare`, e.g. "a: results-2026-01-01_10-00-00 (5 runs) vs b: results-…". */
+export function formatCompared(compared) {
+  return compared.map(s => `${s.label}: ${path.basename(s.dir)}${s.runs > 1 ? ` (${s.runs} runs)` : ''}`).join(' vs ');
+}
+
+/** Describe the run order strategy, e.g. "shuffle (seed 42)". */
+export function formatRunOrder(runOrder) {
+  return runOrder.seed != null ? `${runOrder.strategy} (seed ${runOrder.seed})` : runOrder.strategy;
+}
+
 function printBar(label, duration, maxDuration, color, isWinner, width = 30) {
   const filled = maxDuration > 0 ? Math.round((duration / maxDuration) * width) : 0;
   const bar = '▓'.repeat(filled) + '░'.repeat(width - filled);
@@ -161,7 +278,7 @@ function printBar(label, duration, maxDuration, color, isWinner, width = 30) {
 }
 
 export function printSummary(summary) {
-  const { racers, comparisons, overallWinner, wins, errors, clickCounts, profileComparison } = summary;
+  const { racers, comparisons, overallWinner, wins, errors, clickCounts, profileComparison, engines, unsupported } = summary;
   const w = 54;
 
   const write = (s) => process.stderr.write(s);
@@ -174,6 +291,21 @@ export function printSummary(summary) {
     errors.forEach(err => write(`    ${c.red}${err}${c.reset}\n`));
   }
 
+  if (unsupported && Object.keys(unsupported).length > 0) {
+    write(`  ${c.yellow}${c.bold}⚠ Unsupported on this engine:${c.reset}\n`);
+    for (const [name, features] of Object.entries(unsupported)) {
+      write(`    ${c.yellow}${racerLabel(name, engines)}: ${features.join(', ')}${c.reset}\n`);
+    }
+  }
+
+  if (hasPerRacerConditions(summary)) {
+    write(`  ${c.bold}🚦 Conditions${c.reset}\n`);
+    racers.forEach((r, i) => {
+      const color = RACER_COLORS[i % RACER_COLORS.length];
+      write(`    ${color}${c.bold}${r.padEnd(12)}${c.reset} ${c.dim}${formatConditions(summary.conditions[r])}${c.reset}\n`);
+    });
+  }
+
   if (comparisons.length === 0) {
     write(`  ${c.dim}No measurements recorded.${c.reset}\n`);
     write(`  ${c.dim}Use page.raceStart() / page.raceEnd() in scripts.${c.reset}\n`);
@@ -201,10 +333,18 @@ export function printSummary(summary) {
             delta = ` ${c.dim}(+${(entry.racer.duration - bestDur).toFixed(3)}s)${c.reset}`;
           }
           write(`${printBar(entry.name, entry.racer.duration, maxDur, color, isWinner)}${delta}\n`);
+          if (entry.racer.stats) {
+            write(`    ${' '.repeat(12)} ${c.dim}${formatRunStats(entry.racer.stats)}${c.reset}\n`);
+          }
         } else {
           write(`    ${color}${c.bold}${entry.name.padEnd(12)}${c.reset} ${c.dim}(no data)${c.reset}\n`);
         }
       }
+      if (comp.significance) {
+        const sigColor = comp.significance.significant ? c.green : c.yellow;
+        const icon = comp.significance.significant ? '✓' : isUnderpowered(comp) ? '?' : '≈';
+        write(`    ${sigColor}${icon} ${formatSignificance(comp.significance)}${c.reset}\n`);
+      }
     }
   }
 
@@ -233,10 +373,18 @@ export function printSummary(summary) {
   if (profileComparison && profileComparison.comparisons.length > 0) {
     printProfileAnalysis(profileComparison, racers);
   }
+
+  if (summary.bundleEfficiency) {
+    printBundleEfficiency(summary.bundleEfficiency, racers);
+  }
+
+  if (summary.memory) {
+    printMemoryReport(summary.memory, racers);
+  }
 }
 
 export function buildMarkdownSummary(summary, sideBySideName) {
-  const { racers, comparisons, overallWinner, wins, errors, videos, clickCounts, settings, timestamp, profileComparison, machineInfo } = summary;
+  const { racers, comparisons, overallWinner, wins, errors, videos, clickCounts, settings, timestamp, profileComparison, machineInfo, engines, unsupported } = summary;
   const lines = [];
 
   // ASCII art header
@@ -265,17 +413,22 @@ export function buildMarkdownSummary(summary, sideBySideName) {
   lines.push(`| | |`);
   lines.push(`|---|---|`);
   lines.push(`| **Date** | ${new Date(timestamp).toLocaleString()} |`);
-  racers.forEach((r, i) => lines.push(`| **Racer ${i + 1}** | ${r} |`));
+  if (summary.compared) lines.push(`| **Compared** | ${formatCompared(summary.compared)} |`);
+  racers.forEach((r, i) => lines.push(`| **Racer ${i + 1}** | ${racerLabel(r, engines)} |`));
 
   if (settings) {
     const mode = settings.parallel === false ? 'sequential' : 'parallel';
     lines.push(`| **Mode** | ${mode} |`);
     if (settings.network && settings.network !== 'none') lines.push(`| **Network** | ${settings.network} |`);
+    if (settings.har) lines.push(`| **HAR Replay** | ${settings.har.path} (unmatched: ${settings.har.notFound}) |`);
     if (settings.cpuThrottle && settings.cpuThrottle > 1) lines.push(`| **CPU Throttle** | ${settings.cpuThrottle}x |`);
+    if (settings.device) lines.push(`| **Device** | ${settings.device} |`);
     if (settings.format && settings.format !== 'webm') lines.push(`| **Format** | ${settings.format} |`);
     if (settings.headless) lines.push(`| **Headless** | yes |`);
     if (settings.runs && settings.runs > 1) lines.push(`| **Runs** | ${settings.runs} |`);
+    if (settings.warmup > 0) lines.push(`| **Warm-up** | ${settings.warmup} run(s), discarded |`);
   }
+  if (summary.runOrder) lines.push(`| **Run Order** | ${formatRunOrder(summary.runOrder)} |`);
   if (machineInfo) {
     lines.push(`| **Machine** | ${formatPlatform(machineInfo.platform)} ${machineInfo.osRelease} (${machineInfo.arch}) |`);
     lines.push(`| **CPU** | ${machineInfo.cpuModel} (${machineInfo.cpuCores} cores) |`);
@@ -296,6 +449,30 @@ export function buildMarkdownSummary(summary, sideBySideName) {
     lines.push('');
   }
 
+  // Per-racer conditions
+  if (hasPerRacerConditions(summary)) {
+    lines.push('### Racer Conditions');
+    lines.push('');
+    lines.push('| Racer | Network | CPU Throttle | Device | Viewport | Locale | User Agent |');
+    lines.push('|---|---|---|---|---|---|---|');
+    for (const r of racers) {
+      const cond = summary.conditions[r] || {};
+      const viewport = cond.viewport ? `${cond.viewport.width}×${cond.viewport.height}` : 'default';
+      lines.push(`| ${r} | ${cond.network || 'none'} | ${cond.cpuThrottle || 1}x | ${cond.device || 'default'} | ${viewport} | ${cond.locale || 'default'} | ${cond.userAgent || 'default'} |`);
+    }
+    lines.push('');
+  }
+
+  // Engine notes
+  if (unsupported && Object.keys(unsupported).length > 0) {
+    lines.push('### Unsupported on this engine');
+    lines.push('');
+    for (const [name, features] of Object.entries(unsupported)) {
+      lines.push(`- **${racerLabel(name, engines)}**: ${features.join(', ')}`);
+    }
+    lines.push('');
+  }
+
   // Results
   if (comparisons.length > 0) {
     lines.push('### Results');
@@ -304,11 +481,39 @@ export function buildMarkdownSummary(summary, sideBySideName) {
     lines.push('');
   }
 
+  // Run spread and significance (multi-run only)
+  if (comparisons.some(comp => comp.significance || comp.racers.some(r => r?.stats))) {
+    lines.push(...buildRunStatsMarkdown(comparisons, racers));
+  }
+
+  // Budgets (only when settings.budgets was checked)
+  if (summary.budgets) {
+    const { passed, failed, results } = summary.budgets;
+    lines.push('### Budgets');
+    lines.push('');
+    lines.push(failed === 0 ? `All ${passed} checks passed.` : `**${failed} failed**, ${passed} passed.`);
+    lines.push('');
+    lines.push('| Budget | Rule | Result | |');
+    lines.push('|---|---|---|---|');
+    for (const r of results) {
+      lines.push(`| ${r.target} | ${r.rule} | ${r.message} | ${r.passed ? '✓' : '✗'} |`);
+    }
+    lines.push('');
+  }
+
   // Profile analysis
   if (profileComparison && profileComparison.comparisons.length > 0) {
     lines.push(buildProfileMarkdown(profileComparison, racers));
   }
 
+  if (summary.bundleEfficiency) {
+    lines.push(buildBundleEfficiencyMarkdown(summary.bundleEfficiency, racers));
+  }
+
+  if (summary.memory) {
+    lines.push(buildMemoryMarkdown(summary.memory, racers));
+  }
+
   // Files
   lines.push('### Files');
   lines.push('');
@@ -357,27 +562,75 @@ export function findMedianRunIndex(summaries, medianSummary) {
   return bestIdx;
 }
 
-/** Compute median of each measurement across multiple runs. */
+/** Markdown table of each racer's spread across runs, followed by the significance verdicts. */
+function buildRunStatsMarkdown(comparisons, racers) {
+  const lines = ['### Run Statistics', ''];
+  lines.push('| Measurement | Racer | Runs | Min | Mean | Median | Max | Std Dev | p90 |');
+  lines.push('|---|---|---|---|---|---|---|---|---|');
+  for (const comp of comparisons) {
+    racers.forEach((r, i) => {
+      const stats = comp.racers[i]?.stats;
+      if (!stats) return;
+      const cells = [stats.min, stats.mean, stats.median, stats.max, stats.stddev, stats.p90].map(v => `${v.toFixed(3)}s`);
+      lines.push(`| ${comp.name} | ${r} | ${stats.n} | ${cells.join(' | ')} |`);
+    });
+  }
+  lines.push('');
+
+  const tested = comparisons.filter(comp => comp.significance);
+  if (tested.length > 0) {
+    lines.push('### Significance', '');
+    for (const comp of tested) {
+      const leader = comp.rankings[0];
+      lines.push(`- **${comp.name}**: ${leader} vs ${comp.significance.against} — ${formatSignificance(comp.significance)}`);
+    }
+    lines.push('');
+    lines.push(`Two-sided Mann-Whitney U test at α = ${tested[0].significance.alpha}; the interval bounds how much slower the runner-up is (bootstrap, median difference). Differences within noise are scored as ties; with too few runs to test (underpowered), the median decides.`);
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * Record which order racers ran in, per run: { strategy, seed, runs: [['b', 'a'], ...] }.
+ * Null for parallel races, where everyone starts together.
+ */
+function buildRunOrder(summaries) {
+  if (!summaries.some(s => s.startOrder)) return null;
+  const settings = summaries[0].settings || {};
+  const strategy = settings.runOrder || 'fixed';
+  return {
+    strategy,
+    seed: strategy === 'shuffle' ? settings.seed ?? null : null,
+    runs: summaries.map(s => s.startOrder || null),
+  };
+}
+
+/**
+ * Compute median of each measurement across multiple runs.
+ * Each racer entry also carries its raw `samples` and their `stats`, and
+ * each comparison a `significance` verdict (see applySignificance).
+ */
 export function buildMedianSummary(summaries, resultsDir) {
   const racers = summaries[0].racers;
   const allNames = new Set(summaries.flatMap(s => s.comparisons.map(c => c.name)));
 
   const comparisons = [...allNames].map(name => {
     const vals = racers.map((_, i) => {
-      const durations = summaries
+      const samples = summaries
         .map(s => s.comparisons.find(c => c.name === name)?.racers[i]?.duration)
-        .filter(d => d != null)
-        .sort((a, b) => a - b);
-      if (durations.length === 0) return null;
-      const mid = Math.floor(durations.length / 2);
-      const median = durations.length % 2 === 1 ? durations[mid] : (durations[mid - 1] + durations[mid]) / 2;
-      return { duration: median };
+        .filter(d => d != null);
+      if (samples.length === 0) return null;
+      const stats = describeSamples(samples);
+      return { duration: stats.median, samples, stats };
     });
-    return computeComparison(name, vals, racers);
+    return applySignificance(computeComparison(name, vals, racers), racers);
   });
 
   const wins = computeWins(racers, comparisons);
-  const overallWinner = determineOverallWinner(wins, racers, comparisons);
+  // Every measurement within noise: nobody won anything, but that's a tie, not "no data"
+  const overallWinner = determineOverallWinner(wins, racers, comparisons)
+    ?? (comparisons.some(isWithinNoise) ? 'tie' : null);
 
   return {
     timestamp: new Date().toISOString(),
@@ -390,7 +643,12 @@ export function buildMedianSummary(summaries, resultsDir) {
     errors: summaries.flatMap(s => s.errors || []),
     videos: {},
     clickCounts: Object.fromEntries(racers.map(n => [n, 0])),
+    engines: summaries[0].engines,
+    viewports: summaries[0].viewports,
+    conditions: summaries[0].conditions,
+    unsupported: summaries[0].unsupported,
     runs: summaries.length,
+    runOrder: buildRunOrder(summaries),
     machineInfo: summaries.find(s => s.machineInfo)?.machineInfo,
   };
 }
@@ -404,6 +662,7 @@ export function buildMultiRunMarkdown(medianSummary, summaries) {
   for (let i = 0; i < summaries.length; i++) {
     const s = summaries[i];
     lines.push(`### Run ${i + 1}`, '');
+    if (s.startOrder) lines.push(`Order: ${s.startOrder.join(' → ')}`, '');
     if (s.comparisons.length > 0) {
       lines.push(...buildResultsTable(s.comparisons, s.racers));
       lines.push('');
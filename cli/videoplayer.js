@@ -21,9 +21,13 @@ import {
   buildRaceInfoHtml,
   buildMachineInfoHtml,
   buildErrorsHtml,
+  buildEngineNotesHtml,
   buildResultsHtml,
   buildProfileSummaryHtml,
   buildProfileHtml,
+  buildWaterfallHtml,
+  buildCoverageHtml,
+  buildMemoryHtml,
   buildFilesHtml,
   buildDebugPanelHtml,
   buildPlayerSectionHtml,
@@ -61,9 +65,13 @@ function buildPlayerScript(config) {
 // ---------------------------------------------------------------------------
 
 export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, options = {}) {
-  const { fullVideoFiles, mergedVideoFile, traceFiles, raceScriptFiles, settingsFileCopied, runNavigation, medianRunLabel, clipTimes, ffmpegPathPrefix } = options;
+  const { fullVideoFiles, mergedVideoFile, traceFiles, networkFiles, networkLogs, coverageFiles, coverageReports, raceScriptFiles, settingsFileCopied, runNavigation, medianRunLabel, clipTimes, ffmpegPathPrefix } = options;
   const ffmpegDir = (ffmpegPathPrefix || './') + 'ffmpeg/';
   const racers = summary.racers;
+  // Snapshots live in each racer's folder next to this page
+  const heapSnapshotFiles = summary.memory
+    ? racers.map(name => (summary.memory.racers[name]?.snapshots || []).map(f => `${name}/${f}`))
+    : null;
   const count = racers.length;
 
   const maxWidth = count <= 2 ? 680 : count === 3 ? 450 : 340;
@@ -95,7 +103,10 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
     const videoElements = placementOrder.map((origIdx, displayIdx) => {
       const color = RACER_CSS_COLORS[origIdx % RACER_CSS_COLORS.length];
       const racer = racers[origIdx];
-      return `  <div class="racer">
+      // Phone-shaped recordings (an emulated device) get a narrower column
+      const viewport = summary.viewports?.[racer];
+      const portrait = viewport && viewport.height > viewport.width ? ' racer-portrait' : '';
+      return `  <div class="racer${portrait}">
     <div class="racer-label" style="color: ${color}">${escHtml(racer)}</div>
     <video id="v${displayIdx}" src="${escHtml(videoFiles[origIdx])}" preload="auto" muted data-racer-name="${escHtml(racer)}"></video>
   </div>`;
@@ -152,14 +163,18 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
     raceInfo: buildRaceInfoHtml(summary),
     machineInfo: buildMachineInfoHtml(summary.machineInfo),
     errors: buildErrorsHtml(summary.errors),
+    engineNotes: buildEngineNotesHtml(summary),
     modeToggle,
     playerSection,
     debugPanel: debugPanelOut,
     results: buildResultsHtml(summary.comparisons || [], racers, summary.clickCounts),
     profileSummary: buildProfileSummaryHtml(summary.profileComparison || null, racers),
     profile: buildProfileHtml(summary.profileComparison || null, racers),
+    waterfall: buildWaterfallHtml(networkLogs || null, racers, placementOrder),
+    coverage: buildCoverageHtml(coverageReports || null, racers, placementOrder),
+    memory: buildMemoryHtml(summary.memory || null, racers, placementOrder),
     files: buildFilesHtml(racers, videoFiles, {
-      fullVideoFiles, mergedVideoFile, traceFiles, raceScriptFiles, settingsFileCopied, altFormat, altFiles, placementOrder,
+      fullVideoFiles, mergedVideoFile, traceFiles, networkFiles, coverageFiles, heapSnapshotFiles, raceScriptFiles, settingsFileCopied, altFormat, altFiles, placementOrder,
     }),
     scriptTag,
   });
@@ -0,0 +1,110 @@
+/**
+ * --watch: re-run the race whenever a racer script or settings.json is saved,
+ * and keep the results server up, sending open players to the newest
+ * results folder.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { createStaticHandler } from './serve.js';
+
+// Editors save in bursts (temp file, rename, chmod); wait for the last event
+export const WATCH_DEBOUNCE_MS = 300;
+// Server-sent events telling open players where the new results are
+export const RELOAD_PATH = '/__race-reload';
+
+const RELOAD_SNIPPET = `<script>new EventSource('${RELOAD_PATH}').onmessage = (e) => { location.href = JSON.parse(e.data).url; };</script>\n`;
+
+/** Files that can change the race: settings.json and the .js files discoverRacers() picks racers from. */
+export function isWatchedFile(filename) {
+  const name = path.basename(filename);
+  return !name.startsWith('.') && (name === 'settings.json' || name.endsWith('.js'));
+}
+
+/**
+ * Watch `raceDir` and call `onChange(files)` once saves have settled for
+ * `debounceMs`, with every watched file that changed in between.
+ * Returns { close() }.
+ */
+export function watchRaceDir(raceDir, onChange, { debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+  const changed = new Set();
+  let timer = null;
+  const watcher = fs.watch(raceDir, (event, filename) => {
+    if (!filename || !isWatchedFile(filename)) return;
+    changed.add(filename);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...changed].sort();
+      changed.clear();
+      onChange(files);
+    }, debounceMs);
+  });
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+/**
+ * Serialize re-runs: `run` (which must not throw) never overlaps itself, and
+ * every request made while it runs collapses into one more run afterwards.
+ * Returns the function that requests a run.
+ */
+export function createRerunQueue(run) {
+  let running = false;
+  let pending = false;
+  const next = async () => {
+    running = true;
+    await run();
+    running = false;
+    if (pending) {
+      pending = false;
+      await next();
+    }
+  };
+  return () => {
+    if (running) pending = true;
+    else next();
+  };
+}
+
+/**
+ * Create (but don't start) the results server for --watch. It serves the
+ * race directory, redirects / to the newest results folder, and live-reloads
+ * every open player page. Returns { server, reload(resultsDir) }: reload()
+ * makes `resultsDir` the newest folder and sends the open players there.
+ */
+export function createWatchServer(raceDir, headers = {}) {
+  const clients = new Set();
+  let latest = null;
+  const serveFile = createStaticHandler(raceDir, headers, { htmlSnippet: RELOAD_SNIPPET });
+
+  const server = http.createServer((req, res) => {
+    const urlPath = req.url.split('?')[0];
+    if (urlPath === RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...headers });
+      res.write(': watching\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    if (urlPath === '/' && latest) {
+      res.writeHead(302, { Location: latest });
+      res.end();
+      return;
+    }
+    serveFile(req, res);
+  });
+
+  return {
+    server,
+    reload(resultsDir) {
+      const rel = path.relative(raceDir, resultsDir).split(path.sep).map(encodeURIComponent).join('/');
+      latest = `/${rel}/`;
+      for (const res of clients) res.write(`data: ${JSON.stringify({ url: latest })}\n\n`);
+    },
+  };
+}
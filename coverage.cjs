@@ -0,0 +1,134 @@
+/**
+ * coverage.cjs — Used vs unused JavaScript and CSS from Chromium's code coverage.
+ *
+ * Used by runner.cjs around each racer's runMarkerMode; the report is saved
+ * as the racer's coverage.json and summed up as "bundle efficiency" in the
+ * summary and player. Sizes are characters of the uncompressed source, the
+ * way DevTools' Coverage panel counts them. A script or stylesheet loaded
+ * more than once (e.g. across navigations) counts once, as used wherever any
+ * load used it.
+ */
+
+'use strict';
+
+// Scripts Playwright evaluates in the page, not the racer's code
+const INTERNAL_URL = /^(__playwright|__puppeteer|debugger:|extensions::|chrome-extension:)/;
+
+/** Mark [start, end) of `used` as used (1) or unused (0). */
+function fill(used, start, end, value) {
+  used.fill(value, Math.max(0, start), Math.min(used.length, end));
+}
+
+/**
+ * Per-character usage of a script from V8 block coverage.
+ * Ranges nest (a function inside the script, a block inside the function),
+ * and the innermost range has the final say, so apply them outermost first.
+ */
+function jsUsage(entry) {
+  const used = new Uint8Array(entry.source.length);
+  const ranges = entry.functions
+    .flatMap(fn => fn.ranges)
+    .sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset);
+  for (const range of ranges) fill(used, range.startOffset, range.endOffset, range.count > 0 ? 1 : 0);
+  return used;
+}
+
+/** Per-character usage of a stylesheet; CSS coverage lists the used ranges. */
+function cssUsage(entry) {
+  const used = new Uint8Array(entry.text.length);
+  for (const range of entry.ranges) fill(used, range.start, range.end, 1);
+  return used;
+}
+
+function countUsed(used) {
+  let count = 0;
+  for (let i = 0; i < used.length; i++) count += used[i];
+  return count;
+}
+
+function totals(totalBytes, usedBytes) {
+  return {
+    totalBytes,
+    usedBytes,
+    unusedBytes: totalBytes - usedBytes,
+    usedPercent: totalBytes > 0 ? usedBytes / totalBytes * 100 : null,
+  };
+}
+
+/**
+ * Merge the coverage entries of one type into per-URL files. Identical
+ * sources under one URL are unioned; different sources under one URL
+ * (inline scripts of a page) are added up.
+ */
+function collectFiles(entries, type, textOf, usageOf) {
+  const sources = new Map();
+  for (const entry of entries) {
+    const text = textOf(entry);
+    if (!entry.url || INTERNAL_URL.test(entry.url) || typeof text !== 'string' || text.length === 0) continue;
+    const key = `${entry.url}\n${text}`;
+    const usage = usageOf(entry);
+    const known = sources.get(key);
+    if (known) {
+      for (let i = 0; i < usage.length; i++) known.used[i] |= usage[i];
+    } else {
+      sources.set(key, { url: entry.url, used: usage });
+    }
+  }
+
+  const byUrl = new Map();
+  for (const { url, used } of sources.values()) {
+    const file = byUrl.get(url) || { totalBytes: 0, usedBytes: 0 };
+    file.totalBytes += used.length;
+    file.usedBytes += countUsed(used);
+    byUrl.set(url, file);
+  }
+  return [...byUrl].map(([url, file]) => ({ url, type, ...totals(file.totalBytes, file.usedBytes) }));
+}
+
+function sumFiles(files) {
+  return totals(
+    files.reduce((sum, f) => sum + f.totalBytes, 0),
+    files.reduce((sum, f) => sum + f.usedBytes, 0),
+  );
+}
+
+/**
+ * Build a coverage report from Playwright's stopJSCoverage() and
+ * stopCSSCoverage() results. Returns { js, css, total, files }, each
+ * total { totalBytes, usedBytes, unusedBytes, usedPercent } (usedPercent is
+ * null with nothing loaded), and `files` sorted by unused bytes, largest first.
+ */
+function analyzeCoverage(jsEntries = [], cssEntries = []) {
+  const jsFiles = collectFiles(jsEntries, 'js', e => e.source, jsUsage);
+  const cssFiles = collectFiles(cssEntries, 'css', e => e.text, cssUsage);
+  const files = [...jsFiles, ...cssFiles].sort((a, b) => b.unusedBytes - a.unusedBytes || a.url.localeCompare(b.url));
+  return {
+    js: sumFiles(jsFiles),
+    css: sumFiles(cssFiles),
+    total: sumFiles(files),
+    files,
+  };
+}
+
+/**
+ * Start JS and CSS coverage on a Chromium page, kept across navigations.
+ * Returns { stop }, where stop() resolves to analyzeCoverage() of everything
+ * loaded since.
+ */
+async function startCoverage(page) {
+  await Promise.all([
+    page.coverage.startJSCoverage({ resetOnNavigation: false }),
+    page.coverage.startCSSCoverage({ resetOnNavigation: false }),
+  ]);
+  return {
+    async stop() {
+      const [jsEntries, cssEntries] = await Promise.all([
+        page.coverage.stopJSCoverage(),
+        page.coverage.stopCSSCoverage(),
+      ]);
+      return analyzeCoverage(jsEntries, cssEntries);
+    },
+  };
+}
+
+module.exports = { analyzeCoverage, startCoverage };
@@ -0,0 +1,162 @@
+/**
+ * frame-sampler.cjs — Frame rate and jank from a requestAnimationFrame sampler.
+ *
+ * Used by the metrics collector in runner.cjs for the "smoothness" profile
+ * metrics. While a measurement runs, every document of the page records its
+ * rAF timestamps and sends them to the runner in batches through a binding,
+ * so frames survive navigations and it works on every engine. The rAF loop
+ * only runs while a measurement is active; a race with several measurements
+ * one after another is sampled in one window per stretch of measurements.
+ */
+
+'use strict';
+
+const FRAME_BINDING = '__raceFrames';
+const FLUSH_INTERVAL_MS = 500;
+// A frame this long is a visible stutter (the same threshold as a long task)
+const JANK_FRAME_MS = 50;
+// Displays refresh at most this fast; keeps jittery timestamps from shrinking the frame budget
+const MIN_FRAME_BUDGET_MS = 1000 / 240;
+
+/**
+ * Runs in the page (as an init script and once in the current document).
+ * Installs window.__raceFrameSampler with start()/stop().
+ */
+function frameSamplerScript({ bindingName, flushInterval }) {
+  const send = window[bindingName];
+  if (typeof send !== 'function' || window.__raceFrameSampler) return;
+  let batch = [];
+  let running = false;
+  // Bumped by every start(), so a loop from before a stop() can't keep running alongside the new one
+  let loop = 0;
+  let lastFlush = 0;
+  const flush = () => {
+    if (batch.length === 0) return;
+    Promise.resolve(send({ frames: batch })).catch(() => {});
+    batch = [];
+  };
+  const tick = (id, ts) => {
+    if (!running || id !== loop) return;
+    const now = performance.timeOrigin + ts;
+    batch.push(now);
+    if (now - lastFlush >= flushInterval) {
+      flush();
+      lastFlush = now;
+    }
+    requestAnimationFrame(next => tick(id, next));
+  };
+  window.__raceFrameSampler = {
+    start() {
+      if (running) return;
+      running = true;
+      const id = ++loop;
+      requestAnimationFrame(ts => tick(id, ts));
+    },
+    stop() {
+      running = false;
+      flush();
+    },
+  };
+  addEventListener('pagehide', () => flush());
+  // A navigation during the measurement: pick up where the last document stopped
+  Promise.resolve(send({ query: true })).then(active => { if (active) window.__raceFrameSampler.start(); }, () => {});
+}
+
+function percentile(sortedValues, p) {
+  const rank = Math.ceil(p / 100 * sortedValues.length) - 1;
+  return sortedValues[Math.max(0, Math.min(sortedValues.length - 1, rank))];
+}
+
+/**
+ * Smoothness metrics from frame timestamps (ms).
+ * The frame budget is estimated from the fastest 10% of frames, so it fits
+ * 60Hz and high refresh rate displays alike.
+ * Returns { averageFps, droppedFrames, p95FrameTime, jankPeriods }, all null
+ * with fewer than two frames.
+ */
+function analyzeFrames(frameTimes) {
+  return analyzeFrameWindows([frameTimes]);
+}
+
+/**
+ * analyzeFrames() for frames sampled in separate windows (one array of
+ * timestamps each). Only frames within a window are compared, so the time
+ * between two measurements isn't counted as one long frame.
+ */
+function analyzeFrameWindows(windows) {
+  const spans = windows.map(w => [...w].sort((a, b) => a - b)).filter(times => times.length >= 2);
+  const intervals = spans.map(times => times.slice(1).map((t, i) => t - times[i]));
+  const duration = spans.reduce((sum, times) => sum + times[times.length - 1] - times[0], 0);
+  if (duration === 0) {
+    return { averageFps: null, droppedFrames: null, p95FrameTime: null, jankPeriods: null };
+  }
+  const sorted = intervals.flat().sort((a, b) => a - b);
+  const budget = Math.max(MIN_FRAME_BUDGET_MS, percentile(sorted, 10));
+
+  let droppedFrames = 0;
+  let jankPeriods = 0;
+  for (const windowIntervals of intervals) {
+    let inJank = false;
+    for (const interval of windowIntervals) {
+      droppedFrames += Math.max(0, Math.round(interval / budget) - 1);
+      const janky = interval > JANK_FRAME_MS;
+      // Back-to-back long frames are one stutter
+      if (janky && !inJank) jankPeriods++;
+      inJank = janky;
+    }
+  }
+
+  return {
+    averageFps: sorted.length * 1000 / duration,
+    droppedFrames,
+    p95FrameTime: percentile(sorted, 95),
+    jankPeriods,
+  };
+}
+
+/**
+ * Install the sampler on a page. Returns { start, stop, collect }:
+ * start() is async (it starts the loop in the page), stop() is sync like
+ * raceEnd, and collect() resolves to analyzeFrameWindows() of the frames
+ * from every start()…stop() window.
+ */
+async function installFrameSampler(page) {
+  let active = false;
+  let stopping = null;
+  // { start, end } per start()…stop(), end null while sampling
+  const windows = [];
+  const frames = [];
+
+  await page.exposeBinding(FRAME_BINDING, (_source, message) => {
+    if (message?.query) return active;
+    if (Array.isArray(message?.frames) && windows.length > 0) frames.push(...message.frames);
+    return null;
+  });
+  const scriptArg = { bindingName: FRAME_BINDING, flushInterval: FLUSH_INTERVAL_MS };
+  await page.addInitScript(frameSamplerScript, scriptArg);
+  await page.evaluate(frameSamplerScript, scriptArg).catch(() => {});
+
+  const stop = () => {
+    if (!active) return;
+    active = false;
+    windows[windows.length - 1].end = Date.now();
+    stopping = page.evaluate(() => window.__raceFrameSampler?.stop()).catch(() => {});
+  };
+
+  return {
+    async start() {
+      if (active) return;
+      active = true;
+      windows.push({ start: Date.now(), end: null });
+      await page.evaluate(() => window.__raceFrameSampler?.start()).catch(() => {});
+    },
+    stop,
+    async collect() {
+      stop();
+      await stopping;
+      return analyzeFrameWindows(windows.map(w => frames.filter(t => t >= w.start && t <= w.end)));
+    },
+  };
+}
+
+module.exports = { analyzeFrames, analyzeFrameWindows, installFrameSampler, JANK_FRAME_MS };
@@ -0,0 +1,121 @@
+/**
+ * heap-sampler.cjs — JS heap samples around measurements, heap snapshots and
+ * leak detection.
+ *
+ * Used by the metrics collector in runner.cjs: the heap is sampled at every
+ * raceStart and raceEnd (optionally after a forced garbage collection, so the
+ * sample is what the page actually retains), and page.raceHeapSnapshot(name)
+ * writes a .heapsnapshot file for the DevTools Memory panel. Chromium only.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// A measurement repeated this often is a "repeated-action race"
+const LEAK_MIN_ITERATIONS = 3;
+// Growth from the first to the last iteration below this is noise
+const LEAK_MIN_GROWTH_BYTES = 256 * 1024;
+// ...and so is a heap that only rises now and then (garbage waiting for a GC)
+const LEAK_MIN_RISING_SHARE = 0.75;
+
+/**
+ * Heap growth across iterations of each repeated measurement, from the heap
+ * size at each of its raceEnd samples. A measurement grows like a leak when
+ * it ran at least 3 times, the heap grew by 256 KB or more from the first to
+ * the last iteration, and it rose after at least 3 in 4 of them. Only samples
+ * taken after a garbage collection (--force-gc) show retained memory, so only
+ * then is it flagged as a likely `leak`; growth in raw samples, which include
+ * uncollected garbage, is `unconfirmed`.
+ * Returns { series: [{ name, iterations, firstSize, lastSize, growth,
+ * growthPerIteration, leak, unconfirmed }], leak }.
+ */
+function analyzeHeapGrowth(samples) {
+  const byName = new Map();
+  for (const s of samples) {
+    if (s.phase !== 'end') continue;
+    if (!byName.has(s.name)) byName.set(s.name, []);
+    byName.get(s.name).push(s);
+  }
+
+  const series = [...byName].map(([name, ends]) => {
+    const sizes = ends.map(s => s.usedSize);
+    const steps = sizes.length - 1;
+    const growth = sizes[steps] - sizes[0];
+    const rising = sizes.slice(1).filter((size, i) => size > sizes[i]).length;
+    const growing = sizes.length >= LEAK_MIN_ITERATIONS && growth >= LEAK_MIN_GROWTH_BYTES && rising / steps >= LEAK_MIN_RISING_SHARE;
+    const retained = ends.every(s => s.gc);
+    return {
+      name,
+      iterations: sizes.length,
+      firstSize: sizes[0],
+      lastSize: sizes[steps],
+      growth,
+      growthPerIteration: steps > 0 ? growth / steps : null,
+      leak: growing && retained,
+      unconfirmed: growing && !retained,
+    };
+  });
+  return { series, leak: series.some(s => s.leak) };
+}
+
+/**
+ * Heap growth over the measurement: the last raceEnd sample minus the first
+ * raceStart sample, clamped to 0 like the other measured deltas, or null
+ * without both.
+ */
+function measuredHeapGrowth(samples) {
+  const first = samples.find(s => s.phase === 'start');
+  const last = samples.filter(s => s.phase === 'end').pop();
+  return first && last ? Math.max(0, last.usedSize - first.usedSize) : null;
+}
+
+/**
+ * Create a sampler on a CDP session. sample() and snapshot() run one after
+ * another in call order, so raceEnd can queue a sample without waiting for it.
+ * @param {CDPSession} client
+ * @param {{ forceGc?: boolean }} [options] - collect garbage before every sample
+ */
+function createHeapSampler(client, { forceGc = false } = {}) {
+  const samples = [];
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    /** Sample the heap; `time` is when the sample was asked for (seconds). */
+    sample(name, phase, time) {
+      return enqueue(async () => {
+        if (forceGc) await client.send('HeapProfiler.collectGarbage');
+        const { usedSize, totalSize } = await client.send('Runtime.getHeapUsage');
+        samples.push({ name, phase, time, usedSize, totalSize, gc: forceGc });
+      }).catch(() => {});
+    },
+
+    /** Write a heap snapshot to `filePath`, streamed in chunks. */
+    snapshot(filePath) {
+      return enqueue(async () => {
+        const fd = fs.openSync(filePath, 'w');
+        const onChunk = ({ chunk }) => fs.writeSync(fd, chunk);
+        client.on('HeapProfiler.addHeapSnapshotChunk', onChunk);
+        try {
+          await client.send('HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+        } finally {
+          client.off('HeapProfiler.addHeapSnapshotChunk', onChunk);
+          fs.closeSync(fd);
+        }
+      });
+    },
+
+    /** Every sample so far, once the queued ones have landed. */
+    async samples() {
+      await queue;
+      return samples;
+    },
+  };
+}
+
+module.exports = { createHeapSampler, analyzeHeapGrowth, measuredHeapGrowth, LEAK_MIN_GROWTH_BYTES };
@@ -0,0 +1,124 @@
+/**
+ * main-thread.cjs — Main-thread blocking and interaction latency from a Chrome trace.
+ *
+ * Used by runner.cjs after tracing stops. Works on the renderer main threads
+ * (CrRendererMain) of the saved trace:
+ *
+ *   totalBlockingTime  sum of every long task's time over 50ms
+ *   longTaskCount      tasks of 50ms or more
+ *   longestTask        the longest task, long or not
+ *   inp                interaction latency the way INP picks it: the worst
+ *                      interaction, ignoring one outlier per 50 interactions
+ */
+
+'use strict';
+
+const { toTraceObject } = require('./trace-calibration.cjs');
+
+const LONG_TASK_US = 50_000;
+const TASK_EVENT_NAMES = new Set([
+  'RunTask',
+  'ThreadControllerImpl::RunTask',
+  'ThreadControllerImpl::DoWork',
+  'TaskQueueManager::ProcessTaskFromWorkQueue',
+]);
+
+/** pid:tid keys of the renderer main threads, or null if the trace has no thread names. */
+function findMainThreads(traceEvents) {
+  const threads = new Set();
+  let named = false;
+  for (const ev of traceEvents) {
+    if (ev?.ph !== 'M' || ev.name !== 'thread_name') continue;
+    named = true;
+    if (ev.args?.name === 'CrRendererMain') threads.add(`${ev.pid}:${ev.tid}`);
+  }
+  return named ? threads : null;
+}
+
+/**
+ * Top-level tasks per main thread as [{ ts, dur }] in trace microseconds.
+ * Task events nest (RunTask inside DoWork), so only the outermost counts.
+ */
+function findTasks(traceEvents) {
+  const mainThreads = findMainThreads(traceEvents);
+  const byThread = new Map();
+  for (const ev of traceEvents) {
+    if (ev?.ph !== 'X' || !TASK_EVENT_NAMES.has(ev.name)) continue;
+    if (typeof ev.ts !== 'number' || typeof ev.dur !== 'number') continue;
+    const thread = `${ev.pid}:${ev.tid}`;
+    if (mainThreads && !mainThreads.has(thread)) continue;
+    if (!byThread.has(thread)) byThread.set(thread, []);
+    byThread.get(thread).push({ ts: ev.ts, dur: ev.dur });
+  }
+
+  const tasks = [];
+  for (const events of byThread.values()) {
+    events.sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+    let end = -Infinity;
+    for (const ev of events) {
+      if (ev.ts < end) continue;
+      tasks.push(ev);
+      end = ev.ts + ev.dur;
+    }
+  }
+  return tasks;
+}
+
+/** Interactions as [{ ts, duration }] (duration in ms), the slowest event per interactionId. */
+function findInteractions(traceEvents) {
+  const byId = new Map();
+  for (const ev of traceEvents) {
+    if (ev?.name !== 'EventTiming' || ev.ph !== 'b' || typeof ev.ts !== 'number') continue;
+    const data = ev.args?.data;
+    if (!data || !(data.interactionId > 0) || typeof data.duration !== 'number') continue;
+    const known = byId.get(data.interactionId);
+    if (!known || data.duration > known.duration) byId.set(data.interactionId, { ts: ev.ts, duration: data.duration });
+  }
+  return [...byId.values()];
+}
+
+/** INP's pick: the worst interaction, skipping the worst one per 50 interactions. */
+function interactionLatency(interactions) {
+  if (interactions.length === 0) return null;
+  const durations = interactions.map(i => i.duration).sort((a, b) => b - a);
+  return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+}
+
+function summarize(tasks, interactions) {
+  const longTasks = tasks.filter(t => t.dur >= LONG_TASK_US);
+  return {
+    totalBlockingTime: longTasks.reduce((sum, t) => sum + (t.dur - LONG_TASK_US), 0) / 1000,
+    longTaskCount: longTasks.length,
+    longestTask: tasks.length > 0 ? Math.max(...tasks.map(t => t.dur)) / 1000 : null,
+    inp: interactionLatency(interactions),
+  };
+}
+
+/**
+ * Main-thread metrics for the whole trace and for the measurement windows.
+ * `measurements` are deriveTraceTiming()'s, with startTraceTs/endTraceTs; a
+ * task or interaction counts as measured if it starts inside one of them.
+ * Durations are in ms. Returns { total, measured } (measured is null without
+ * measurements), or null if the trace can't be read.
+ *
+ * @param {string|Object} traceText - Trace JSON, or the already parsed trace
+ * @param {Array<{startTraceTs: number, endTraceTs: number}>} [measurements]
+ */
+function analyzeMainThread(traceText, measurements = []) {
+  const traceEvents = toTraceObject(traceText)?.traceEvents;
+  if (!Array.isArray(traceEvents)) return null;
+
+  const tasks = findTasks(traceEvents);
+  const interactions = findInteractions(traceEvents);
+  const windows = (measurements || []).filter(m => Number.isFinite(m.startTraceTs) && Number.isFinite(m.endTraceTs));
+  const inWindow = (ts) => windows.some(w => ts >= w.startTraceTs && ts <= w.endTraceTs);
+
+  return {
+    total: summarize(tasks, interactions),
+    measured: windows.length > 0
+      ? summarize(tasks.filter(t => inWindow(t.ts)), interactions.filter(i => inWindow(i.ts)))
+      : null,
+  };
+}
+
+module.exports = { analyzeMainThread, LONG_TASK_US };
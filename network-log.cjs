@@ -0,0 +1,162 @@
+/**
+ * network-log.cjs — Per-request network log built from CDP Network events.
+ *
+ * Used by the metrics collector in runner.cjs; the result is saved as each
+ * racer's network.json and drawn as a waterfall in the HTML player. CDP
+ * timestamps are monotonic seconds, so every request is anchored to the wall
+ * clock through its requestWillBeSent `wallTime`.
+ */
+
+'use strict';
+
+/** Milliseconds between two ResourceTiming offsets, or null if either is missing (-1). */
+function phase(start, end) {
+  return start >= 0 && end >= 0 ? Math.max(0, end - start) : null;
+}
+
+/**
+ * Split a request into blocked / dns / connect / ssl / send / wait / receive (ms)
+ * from CDP's ResourceTiming. Returns null for requests without timing (cache hits).
+ */
+function buildTiming(entry) {
+  const t = entry.timing;
+  if (!t || !Number.isFinite(t.requestTime)) return null;
+  const base = t.requestTime * 1000;
+  const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0) ?? 0;
+  const headersEnd = t.receiveHeadersEnd >= 0 ? base + t.receiveHeadersEnd : null;
+  return {
+    blocked: Math.max(0, base + firstPhase - entry.startMono),
+    dns: phase(t.dnsStart, t.dnsEnd),
+    connect: phase(t.connectStart, t.connectEnd),
+    ssl: phase(t.sslStart, t.sslEnd),
+    send: phase(t.sendStart, t.sendEnd),
+    wait: phase(t.sendEnd, t.receiveHeadersEnd),
+    receive: headersEnd !== null && entry.endMono !== null ? Math.max(0, entry.endMono - headersEnd) : null,
+  };
+}
+
+function describeInitiator(initiator) {
+  if (!initiator) return null;
+  const frame = initiator.stack?.callFrames?.[0];
+  const url = initiator.url || frame?.url || null;
+  const line = initiator.lineNumber ?? frame?.lineNumber;
+  // CDP line numbers are 0-based
+  return { type: initiator.type, url, line: Number.isFinite(line) ? line + 1 : null };
+}
+
+/**
+ * Create a request log. Feed it the CDP Network events with handle(method, params);
+ * entries(originMs) returns the requests in start order, with startTime/endTime
+ * in seconds since `originMs` (an epoch timestamp, e.g. the recording start).
+ */
+function createNetworkLog() {
+  const byId = new Map();
+  const requests = [];
+
+  function finish(entry, timestamp) {
+    entry.endMono = timestamp * 1000;
+  }
+
+  const handlers = {
+    'Network.requestWillBeSent'(p) {
+      if (!p.request || p.request.url.startsWith('data:')) return;
+      const previous = byId.get(p.requestId);
+      if (previous && p.redirectResponse) {
+        // The same requestId continues after a redirect: close out the hop that redirected
+        previous.status = p.redirectResponse.status;
+        previous.mimeType = p.redirectResponse.mimeType || null;
+        previous.protocol = p.redirectResponse.protocol || null;
+        previous.timing = p.redirectResponse.timing || null;
+        previous.transferSize = p.redirectResponse.encodedDataLength || 0;
+        previous.redirectedTo = p.request.url;
+        finish(previous, p.timestamp);
+      }
+      const entry = {
+        url: p.request.url,
+        method: p.request.method,
+        type: (p.type || 'Other').toLowerCase(),
+        priority: p.request.initialPriority || null,
+        initiator: describeInitiator(p.initiator),
+        startMono: p.timestamp * 1000,
+        startWall: p.wallTime * 1000,
+        endMono: null,
+        status: null,
+        mimeType: null,
+        protocol: null,
+        timing: null,
+        transferSize: 0,
+        cache: null,
+        failed: null,
+        redirectedTo: null,
+      };
+      byId.set(p.requestId, entry);
+      requests.push(entry);
+    },
+    'Network.responseReceived'(p) {
+      const entry = byId.get(p.requestId);
+      if (!entry) return;
+      const r = p.response;
+      entry.status = r.status;
+      entry.mimeType = r.mimeType || null;
+      entry.protocol = r.protocol || null;
+      entry.timing = r.timing || null;
+      if (r.fromServiceWorker) entry.cache = 'service-worker';
+      else if (r.fromPrefetchCache) entry.cache = 'prefetch';
+      else if (r.fromDiskCache) entry.cache = entry.cache || 'disk';
+    },
+    'Network.requestServedFromCache'(p) {
+      const entry = byId.get(p.requestId);
+      if (entry) entry.cache = 'memory';
+    },
+    'Network.loadingFinished'(p) {
+      const entry = byId.get(p.requestId);
+      if (!entry) return;
+      entry.transferSize = p.encodedDataLength || 0;
+      finish(entry, p.timestamp);
+    },
+    'Network.loadingFailed'(p) {
+      const entry = byId.get(p.requestId);
+      if (!entry) return;
+      entry.failed = p.canceled ? 'canceled' : (p.blockedReason || p.errorText || 'failed');
+      finish(entry, p.timestamp);
+    },
+  };
+
+  return {
+    /** Names of the CDP events to subscribe to. */
+    events: Object.keys(handlers),
+
+    handle(method, params) {
+      handlers[method]?.(params || {});
+    },
+
+    entries(originMs) {
+      return requests
+        .map(entry => {
+          const start = entry.startWall - originMs;
+          const duration = entry.endMono !== null ? Math.max(0, entry.endMono - entry.startMono) : null;
+          return {
+            url: entry.url,
+            method: entry.method,
+            type: entry.type,
+            status: entry.status,
+            mimeType: entry.mimeType,
+            protocol: entry.protocol,
+            priority: entry.priority,
+            startTime: start / 1000,
+            endTime: duration !== null ? (start + duration) / 1000 : null,
+            duration,
+            timing: buildTiming(entry),
+            transferSize: entry.transferSize,
+            cache: entry.cache,
+            initiator: entry.initiator,
+            redirectedTo: entry.redirectedTo,
+            failed: entry.failed,
+          };
+        })
+        .sort((a, b) => a.startTime - b.startTime);
+    },
+  };
+}
+
+module.exports = { createNetworkLog };
@@ -0,0 +1,101 @@
+/**
+ * race-script.cjs — Running a racer's script.
+ *
+ * Used by runMarkerMode in runner.cjs. A race script is either a classic
+ * script, run as the body of an async function taking `page`, or an ES module
+ * race file that exports `default async ({ page, race }) => {}` and can import
+ * other files from the race directory. Errors name the file and line the
+ * failure came from, counted in the file as written — for a module race file,
+ * that can be a shared file it imports.
+ */
+
+'use strict';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+// A classic script's body starts on line 3 of the function V8 compiles:
+// `async function anonymous(page,...\n) {\n<body>\n}`
+const CLASSIC_LINE_OFFSET = 2;
+
+/** Fix smart quotes, non-breaking spaces, and line endings in user scripts. */
+function sanitizeScript(script) {
+  return script
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u00A0\u2000-\u200B\u202F\u205F\u3000]/g, ' ')
+    .replace(/\r\n?/g, '\n');
+}
+
+/**
+ * The `race` argument of a module race file: page.race* without the prefix,
+ * so `race.start('Load')` is `page.raceStart('Load')`.
+ */
+function createRaceApi(page) {
+  return {
+    start: page.raceStart,
+    end: page.raceEnd,
+    recordingStart: page.raceRecordingStart,
+    recordingEnd: page.raceRecordingEnd,
+    message: page.raceMessage,
+    setOffline: page.raceSetOffline,
+    route: page.raceRoute,
+    heapSnapshot: page.raceHeapSnapshot,
+    waitForVisualStability: page.raceWaitForVisualStability,
+    baseUrl: page.raceBaseUrl,
+  };
+}
+
+/**
+ * Where in the script an error was thrown, as "file:line:column", from the
+ * innermost stack frame in the script's own code. For a module race file
+ * (`raceDir` set) that is any file in the race directory outside
+ * node_modules, named relative to it; for a classic script, the function
+ * compiled from it. Null if the error didn't pass through the script's code.
+ */
+function scriptErrorLocation(error, fileName, raceDir = null) {
+  const stack = typeof error?.stack === 'string' ? error.stack : '';
+  if (raceDir) {
+    const dirUrl = pathToFileURL(raceDir).href.replace(/\/?$/, '/');
+    for (const frame of stack.matchAll(/(file:\/\/[^\s()]+):(\d+):(\d+)/g)) {
+      const [, url, line, column] = frame;
+      if (!url.startsWith(dirUrl) || url.includes('/node_modules/')) continue;
+      return `${decodeURIComponent(url.slice(dirUrl.length))}:${line}:${column}`;
+    }
+    return null;
+  }
+  const m = stack.match(/eval at [^\n]*?<anonymous>:(\d+):(\d+)\)/);
+  return m ? `${fileName}:${Number(m[1]) - CLASSIC_LINE_OFFSET}:${m[2]}` : null;
+}
+
+/**
+ * Run a racer's script on `page`, whose page.race* API is already attached.
+ * `script` is the source, `scriptPath` its file (null for inline scripts) and
+ * `module` whether it is an ES module race file. `classicArgs` are passed to a
+ * classic script after `page` (the legacy __startRecording, ... helpers).
+ * Throws the script's error with its location appended to the message.
+ */
+async function runRaceScript(page, { script, scriptPath = null, module = false }, classicArgs = {}) {
+  const fileName = scriptPath ? path.basename(scriptPath) : 'race script';
+  const fileUrl = module ? pathToFileURL(scriptPath).href : null;
+  try {
+    if (module) {
+      const { default: run } = await import(fileUrl);
+      if (typeof run !== 'function') {
+        throw new Error(`${fileName} must \`export default\` an async function ({ page, race }) => {}`);
+      }
+      await run({ page, race: createRaceApi(page) });
+    } else {
+      const fn = new AsyncFunction('page', ...Object.keys(classicArgs), sanitizeScript(script));
+      await fn(page, ...Object.values(classicArgs));
+    }
+  } catch (error) {
+    const at = scriptErrorLocation(error, fileName, module ? path.dirname(scriptPath) : null);
+    const wrapped = new Error(at ? `${error.message} (at ${at})` : error.message, { cause: error });
+    throw wrapped;
+  }
+}
+
+module.exports = { runRaceScript, createRaceApi, scriptErrorLocation, sanitizeScript, CLASSIC_LINE_OFFSET };
@@ -12,20 +12,34 @@
  *   node race.js ./races/my-race --parallel   Run both browsers simultaneously
  *   node race.js ./races/my-race --headless   Run headless
  *   node race.js ./races/my-race --network=fast-3g --cpu=4
+ *   node race.js ./races/my-race --browser=webkit
  */
 
 import fs from 'fs';
-import http from 'http';
+import os from 'os';
 import path from 'path';
+import { EventEmitter, once } from 'events';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { RaceAnimation, startProgress } from './cli/animation.js';
 import { c, FORMAT_EXTENSIONS } from './cli/colors.js';
-import { parseArgs, discoverRacers, applyOverrides } from './cli/config.js';
-import { buildSummary, printSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, printRecentRaces, getPlacementOrder, findMedianRunIndex } from './cli/summary.js';
+import { parseArgs, discoverRacers, applyOverrides, resolveRacerSettings, findRacerSettingsWarnings, isModuleScript, discoverSharedFiles } from './cli/config.js';
+import { buildSummary, printSummary, buildMedianSummary, printRecentRaces, getPlacementOrder, findMedianRunIndex } from './cli/summary.js';
 import { createSideBySide } from './cli/sidebyside.js';
-import { moveResults, convertVideos, copyFFmpegFiles } from './cli/results.js';
+import { moveResults, convertVideos, copyFFmpegFiles, loadNetworkLogs, loadCoverageReports, printWarning } from './cli/results.js';
 import { buildPlayerHtml } from './cli/videoplayer.js';
+import { resolveNetwork, normalizeNetworkSettings, resolveHar, recordedHarPath } from './cli/network.js';
+import { resolveDevice } from './cli/devices.js';
+import { splitRunnerConfig, createCheckpointHub, mergeRunnerOutputs } from './cli/isolation.js';
+import { EventAnimation, eventProgress } from './cli/events.js';
+import { printHistory, DEFAULT_REGRESSION_THRESHOLD, DEFAULT_BASELINE_WINDOW } from './cli/history.js';
+import { planRunOrders, balancedRunCount, createSeed, DEFAULT_RUN_ORDER } from './cli/run-order.js';
+import { validateBudgets, checkBudgets, printBudgetReport, BUDGET_EXIT_CODE } from './cli/budgets.js';
+import { resolveReporters, writeReports } from './cli/reporters/index.js';
+import { createStaticServer, validateServe, startRacerServers, stopRacerServers } from './cli/serve.js';
+import { watchRaceDir, createRerunQueue, createWatchServer } from './cli/watch.js';
+import { loadResults, parseLabels, planCompareRacers, findRacerVideos, buildCompareSummary } from './cli/compare.js';
+import { BROWSER_ENGINES } from './browser-engines.cjs';
 
 /** Format a Date as YYYY-MM-DD_HH-MM-SS for directory naming. */
 export function formatTimestamp(date) {
@@ -45,94 +59,152 @@ export function buildResultsPaths(resultsDir, cwd = process.cwd()) {
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// The runner's extra stdio pipe for its NDJSON events (runner-events.cjs)
+const RUNNER_EVENT_FD = 3;
+
 // --- Race execution (module-scope functions with explicit context) ---
 
-/** Spawn the runner process, show animation, return parsed JSON result. */
+/**
+ * Split the runner's NDJSON event stream (see runner-events.cjs) into events
+ * for `onEvent`. Lines may arrive split across chunks; lines that aren't JSON
+ * events are skipped. Returns a function to feed chunks to.
+ */
+export function createEventReader(onEvent) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (typeof event?.type === 'string') onEvent(event);
+    }
+  };
+}
+
+/**
+ * Spawn the runner process (one per racer with --isolate), show animation
+ * (or emit it to `ctx.events`), return the result the runner sent as an event.
+ */
 export function spawnRunner(ctx) {
-  const { racerNames, settings, executionMode, throttle, runnerConfig, rootDir } = ctx;
-  const flags = [executionMode];
+  const { racerNames, settings, executionMode, throttle, runnerConfig, rootDir, warmup = false, events = null } = ctx;
+  const flags = [runnerConfig.isolate ? `${executionMode} (isolated)` : executionMode];
+  const engines = [...new Set(runnerConfig.browsers.map(b => b.browser))];
+  if (engines.some(e => e !== 'chromium')) flags.push(engines.join('/'));
+  const devices = [...new Set(runnerConfig.browsers.map(b => b.device?.name).filter(Boolean))];
+  if (devices.length > 0) flags.push(devices.join('/'));
   if (settings.format !== 'webm') flags.push(settings.format);
   if (settings.runs > 1) flags.push(`${settings.runs} runs`);
+  if (settings.warmup > 0) flags.push(`${settings.warmup} warm-up`);
   if (throttle.network !== 'none') flags.push(`net:${throttle.network}`);
   if (throttle.cpu > 1) flags.push(`cpu:${throttle.cpu}x`);
+  if (settings.racers && Object.keys(settings.racers).length > 0) flags.push('per-racer settings');
   if (settings.slowmo) flags.push(`slowmo:${settings.slowmo}x`);
   if (settings.headless) flags.push('headless');
   if (settings.noOverlay) flags.push('no-overlay');
   if (settings.noRecording) flags.push('no-recording');
   if (settings.ffmpeg) flags.push('ffmpeg');
+  if (settings.forceGc) flags.push('force-gc');
+  if (settings.coverage) flags.push('coverage');
 
-  const animation = new RaceAnimation(racerNames, flags.join(' · '));
+  const animation = events
+    ? new EventAnimation(events, racerNames, flags.join(' · '), { warmup })
+    : new RaceAnimation(racerNames, flags.join(' · '), { warmup });
   animation.start();
 
   const runnerPath = path.join(rootDir, 'runner.cjs');
 
-  return new Promise((resolve, reject) => {
-    const child = spawn('node', [runnerPath, JSON.stringify(runnerConfig)], {
-      cwd: rootDir,
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
-
-    let stdout = '';
-    child.stdout.on('data', d => { stdout += d; });
-    child.stderr.on('data', d => {
-      const text = d.toString();
-      racerNames.forEach((name, i) => {
-        if (text.includes(`[${name}] Context closed`)) animation.racerFinished(i);
-        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const re = new RegExp(`\\[${escaped}\\] __raceMessage__\\[([\\d.]+)\\]:(.*)`, 'g');
-        let m;
-        while ((m = re.exec(text)) !== null) {
-          animation.addMessage(i, name, m[2], m[1]);
-        }
-      });
-      if (animation.finished.every(Boolean) && animation.interval) animation.stop();
-    });
-
-    const sigHandler = () => child.kill('SIGTERM');
-    process.on('SIGINT', sigHandler);
-
-    child.on('close', () => {
-      process.removeListener('SIGINT', sigHandler);
-      if (animation.interval) animation.stop();
+  const onEvent = (event) => {
+    const i = racerNames.indexOf(event.id);
+    if (i === -1) return;
+    if (event.type === 'message') animation.addMessage(i, event.id, event.text, event.elapsed);
+    else if (event.type === 'raceStart') animation.measureStarted(i, event.name, event.elapsed);
+    else if (event.type === 'raceEnd') animation.measureEnded(i, event.name, event.duration);
+    else if (event.type === 'closed' || event.type === 'error') animation.racerFinished(i);
+    if (animation.finished.every(Boolean) && animation.interval) animation.stop();
+  };
 
-      // Parse the last valid JSON line from runner stdout
-      const lines = stdout.trim().split('\n');
-      for (let i = lines.length - 1; i >= 0; i--) {
-        try {
-          return resolve(JSON.parse(lines[i]));
-        } catch (e) {
-          if (i === 0) console.error(`Warning: Could not parse runner output`);
-        }
-      }
-      reject(new Error('Could not parse runner output'));
-    });
+  // Events come on fd 3 (see runner-events.cjs). With --isolate every racer
+  // gets its own runner, kept in step over IPC
+  const configs = (runnerConfig.isolate ? splitRunnerConfig(runnerConfig) : [runnerConfig])
+    .map(config => ({ ...config, eventFd: RUNNER_EVENT_FD }));
+  const children = configs.map(config => spawn('node', [runnerPath, JSON.stringify(config)], {
+    cwd: rootDir,
+    // The result is read from the event channel; the copy on stdout is for by-hand runs
+    stdio: runnerConfig.isolate ? ['ignore', 'ignore', 'pipe', 'pipe', 'ipc'] : ['ignore', 'ignore', 'pipe', 'pipe'],
+  }));
+  const hub = runnerConfig.isolate
+    ? createCheckpointHub(children.length, (i, message) => { if (children[i].connected) children[i].send(message); })
+    : null;
+
+  // Ctrl+C stops the runners with the CLI; a host using race() keeps its own SIGINT handling
+  const sigHandler = () => children.forEach(child => child.kill('SIGTERM'));
+  if (!events) process.on('SIGINT', sigHandler);
+
+  const outputs = children.map((child, i) => new Promise(resolve => {
+    let result = null;
+    // Nothing reads the runner's log, but an unread pipe would fill up and stall it
+    child.stderr.resume();
+    child.stdio[RUNNER_EVENT_FD].setEncoding('utf-8');
+    child.stdio[RUNNER_EVENT_FD].on('data', createEventReader(event => {
+      if (event.type === 'result') result = event;
+      else onEvent(event);
+    }));
+    if (hub) {
+      child.on('message', message => hub.handle(i, message));
+      child.on('exit', () => hub.exited(i, configs[i].browsers[0].id));
+    }
+    // null from a runner that died before sending its result
+    child.on('close', () => resolve(result));
+  }));
+
+  return Promise.all(outputs).then(results => {
+    process.removeListener('SIGINT', sigHandler);
+    if (animation.interval) animation.stop();
+    if (hub) return mergeRunnerOutputs(results, configs.map(config => config.browsers[0].id));
+    if (results[0]) return results[0];
+    throw new Error('Runner exited without a result');
   });
 }
 
+/** Warnings for the terminal, or `warning` events when the race reports to `events`. */
+function warnerFor(events) {
+  return events ? (message) => events.emit('warning', { message }) : printWarning;
+}
+
 /** Run one race, collect results into runDir, return summary. */
 export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptions = {}) {
   const { racerNames, settings } = ctx;
   const { format, ffmpeg, noRecording } = settings;
+  const startStep = ctx.events ? eventProgress(ctx.events) : startProgress;
+  const warn = warnerFor(ctx.events);
   const racerRunDirs = racerNames.map(name => path.join(runDir, name));
   racerRunDirs.forEach(d => fs.mkdirSync(d, { recursive: true }));
 
   const recordingsDir = path.join(ctx.raceDir || path.dirname(runDir), 'tmp');
   fs.mkdirSync(recordingsDir, { recursive: true });
-  const raceCtx = { ...ctx, runnerConfig: { ...ctx.runnerConfig, recordingsDir } };
+  const order = raceOptions.order || null;
+  const raceCtx = { ...ctx, warmup: !!raceOptions.warmup, runnerConfig: { ...ctx.runnerConfig, recordingsDir, order } };
+  const startOrder = order ? order.map(i => racerNames[i]) : null;
 
   const result = await spawnRunner(raceCtx);
 
   let results, summary, sideBySidePath = null, sideBySideName = null, clipTimes = null;
-  // Copy race scripts and settings.json to results directory for export
+  // Copy race scripts (with the shared files they import) and settings.json to results directory for export
   const raceScriptFiles = [];
   let settingsFileCopied = false;
-  if (ctx.raceDir && ctx.racerFiles) {
-    for (const f of ctx.racerFiles) {
+  if (ctx.raceDir && ctx.scriptFiles) {
+    for (const f of ctx.scriptFiles) {
       try {
         fs.copyFileSync(path.join(ctx.raceDir, f), path.join(runDir, f));
         raceScriptFiles.push(f);
       } catch (e) {
-        console.error(`${c.dim}Warning: Could not copy race script ${f}: ${e.message}${c.reset}`);
+        warn(`Could not copy race script ${f}: ${e.message}`);
       }
     }
     const srcSettings = path.join(ctx.raceDir, 'settings.json');
@@ -141,7 +213,7 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
         fs.copyFileSync(srcSettings, path.join(runDir, 'settings.json'));
         settingsFileCopied = true;
       } catch (e) {
-        console.error(`${c.dim}Warning: Could not copy settings.json: ${e.message}${c.reset}`);
+        warn(`Could not copy settings.json: ${e.message}`);
       }
     }
   }
@@ -161,16 +233,21 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
             fs.copyFileSync(sourceTrace, targetTrace);
             tracePath = path.join(name, targetTraceName);
           } else {
-            console.error(`${c.dim}Warning: Trace file missing for ${name}: ${sourceTrace}${c.reset}`);
+            warn(`Trace file missing for ${name}: ${sourceTrace}`);
           }
         } catch (e) {
-          console.error(`${c.dim}Warning: Could not copy trace for ${name}: ${e.message}${c.reset}`);
+          warn(`Could not copy trace for ${name}: ${e.message}`);
         }
       }
+      for (const file of ['network.json', 'coverage.json', ...(b.heap?.snapshots || [])]) {
+        const source = path.join(recordingsDir, name, file);
+        if (fs.existsSync(source)) fs.copyFileSync(source, path.join(racerRunDirs[i], file));
+      }
       const data = {
         videoPath: null, fullVideoPath: null, tracePath,
         clickEvents: b.clickEvents || [], measurements: b.measurements || [],
-        profileMetrics: b.profileMetrics || null, error: b.error || null,
+        profileMetrics: b.profileMetrics || null, coverage: b.coverage || null, heap: b.heap || null, error: b.error || null,
+        browser: b.browser || null, unsupported: b.unsupported || [], viewport: b.viewport || null,
       };
       fs.writeFileSync(path.join(racerRunDirs[i], 'measurements.json'), JSON.stringify(data.measurements, null, 2));
       fs.writeFileSync(path.join(racerRunDirs[i], 'clicks.json'), JSON.stringify(data.clickEvents, null, 2));
@@ -178,17 +255,17 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
       return data;
     });
     fs.rmSync(recordingsDir, { recursive: true, force: true });
-    summary = buildSummary(racerNames, results, settings, runDir);
+    summary = buildSummary(racerNames, results, settings, runDir, startOrder);
     fs.writeFileSync(path.join(runDir, 'summary.json'), JSON.stringify(summary, null, 2));
   } else {
-    const progress = startProgress('Processing recordings…');
+    const progress = startStep('Processing recordings…');
     results = racerNames.map((name, i) =>
-      moveResults(recordingsDir, name, racerRunDirs[i], result.browsers?.[i] || {})
+      moveResults(recordingsDir, name, racerRunDirs[i], result.browsers?.[i] || {}, warn)
     );
 
     fs.rmSync(recordingsDir, { recursive: true, force: true });
 
-    summary = buildSummary(racerNames, results, settings, runDir);
+    summary = buildSummary(racerNames, results, settings, runDir, startOrder);
     fs.writeFileSync(path.join(runDir, 'summary.json'), JSON.stringify(summary, null, 2));
     progress.done('Recordings processed');
 
@@ -197,12 +274,15 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
     if (ffmpeg) {
       // Order videos by placement (winner first) for side-by-side
       const placementOrder = getPlacementOrder(summary);
-      const videoPaths = placementOrder.map(i => results[i].videoPath).filter(Boolean);
-      sideBySidePath = createSideBySide(videoPaths, path.join(runDir, sideBySideName), format, settings.slowmo);
+      const placed = placementOrder.filter(i => results[i].videoPath);
+      const videoPaths = placed.map(i => results[i].videoPath);
+      // Tiles follow each racer's (possibly emulated) viewport
+      const sizes = placed.map(i => results[i].viewport);
+      sideBySidePath = createSideBySide(videoPaths, path.join(runDir, sideBySideName), format, settings.slowmo, sizes, startStep);
 
       if (format !== 'webm') {
-        const convertProgress = startProgress(`Converting videos to ${format}…`);
-        convertVideos(results, format);
+        const convertProgress = startStep(`Converting videos to ${format}…`);
+        convertVideos(results, format, warn);
         convertProgress.done(`Videos converted to ${format}`);
       }
     }
@@ -222,7 +302,12 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
       altFiles = null;       // no format conversion without ffmpeg
     }
 
-    const traceFiles = racerNames.map(name => `${name}/${name}.trace.json`);
+    // Non-Chromium racers have no trace to link
+    const traceFiles = racerNames.map((name, i) => results[i].tracePath ? `${name}/${name}.trace.json` : null);
+    const networkLogs = loadNetworkLogs(runDir, racerNames);
+    const networkFiles = networkLogs ? racerNames.map((name, i) => networkLogs[i] ? `${name}/network.json` : null) : null;
+    const coverageReports = loadCoverageReports(runDir, racerNames);
+    const coverageFiles = coverageReports ? racerNames.map((name, i) => coverageReports[i] ? `${name}/coverage.json` : null) : null;
 
     // Collect clip times from recording segments for player-level trimming (default mode).
     // Uses only the first segment per racer — multiple non-contiguous segments are not
@@ -246,6 +331,10 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
       fullVideoFiles,
       mergedVideoFile: sideBySidePath ? sideBySideName : null,
       traceFiles,
+      networkFiles,
+      networkLogs,
+      coverageFiles,
+      coverageReports,
       raceScriptFiles,
       settingsFileCopied,
       runNavigation,
@@ -253,7 +342,7 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
       ffmpegPathPrefix: raceOptions.ffmpegPathPrefix || './',
     };
     fs.writeFileSync(path.join(runDir, 'index.html'), buildPlayerHtml(summary, videoFiles, ffmpeg && format !== 'webm' ? format : null, altFiles, playerOptions));
-    if (!raceOptions.skipCopyFFmpeg && !settings.noWasm) copyFFmpegFiles(runDir);
+    if (!raceOptions.skipCopyFFmpeg && !settings.noWasm) copyFFmpegFiles(runDir, warn);
   }
 
   return { summary, sideBySidePath, sideBySideName, clipTimes };
@@ -262,13 +351,53 @@ export async function runSingleRace(ctx, runDir, runNavigation = null, raceOptio
 /**
  * Build a race context from resolved settings and racer info.
  * This is the config object passed to spawnRunner/runSingleRace.
+ * Throws if a network setting doesn't resolve to a known profile, a device
+ * isn't in Playwright's device list, a browser engine is unknown, a HAR
+ * file is missing, the run order is invalid, a budget is malformed, a
+ * reporter is unknown, a `serve` entry is invalid, or an inline script is an
+ * ES module race file.
  */
 export function buildRaceContext({ racerNames, scripts, settings, rootDir = __dirname, raceDir = null, racerFiles = null }) {
   const executionMode = settings.parallel ? 'parallel' : 'sequential';
-  const throttle = { network: settings.network, cpu: settings.cpuThrottle };
+  validateBudgets(settings.budgets, racerNames);
+  const profiles = settings.networkProfiles || {};
+  const throttle = {
+    network: settings.network,
+    conditions: resolveNetwork(settings.network, profiles),
+    cpu: settings.cpuThrottle,
+  };
 
   const runnerConfig = {
-    browsers: racerNames.map((name, i) => ({ id: name, script: scripts[i] })),
+    browsers: racerNames.map((name, i) => {
+      const own = resolveRacerSettings(settings, name);
+      // Module race files are imported from disk, so their imports resolve
+      const scriptPath = raceDir && racerFiles ? path.join(raceDir, racerFiles[i]) : null;
+      const module = isModuleScript(scripts[i]);
+      if (module && !scriptPath) throw new Error(`${name}: a module race script (export default) must be a file in a race directory`);
+      if (!BROWSER_ENGINES.includes(own.browser)) {
+        throw new Error(`${name}: unknown browser "${own.browser}", valid values: ${BROWSER_ENGINES.join(', ')}`);
+      }
+      return {
+        id: name,
+        script: scripts[i],
+        scriptPath,
+        module,
+        browser: own.browser,
+        throttle: {
+          network: own.network,
+          conditions: resolveNetwork(own.network, profiles),
+          cpu: own.cpuThrottle,
+        },
+        // Recording captures the live site, so it never replays an older HAR
+        har: settings.recordHar ? null : resolveHar(own.har, name, raceDir || rootDir),
+        recordHar: settings.recordHar ? path.join(raceDir || rootDir, recordedHarPath(name)) : null,
+        raceDir: raceDir || rootDir,
+        viewport: own.viewport,
+        userAgent: own.userAgent,
+        locale: own.locale,
+        device: resolveDevice(own.device),
+      };
+    }),
     executionMode,
     throttle,
     headless: settings.headless,
@@ -276,54 +405,47 @@ export function buildRaceContext({ racerNames, scripts, settings, rootDir = __di
     noOverlay: settings.noOverlay,
     noRecording: settings.noRecording,
     ffmpeg: settings.ffmpeg,
+    forceGc: settings.forceGc,
+    coverage: settings.coverage,
+    isolate: settings.parallel && settings.isolate,
   };
 
-  return { racerNames, settings, executionMode, throttle, runnerConfig, rootDir, raceDir, racerFiles };
+  // Racers only take turns in sequential mode; parallel racers all start together
+  const runOrder = settings.parallel
+    ? null
+    : planRunOrders(settings.runOrder, racerNames.length, settings.runs || 1, settings.seed ?? null);
+
+  const reporters = resolveReporters(settings.reporters);
+  if (settings.ci && !reporters.includes('junit')) reporters.push('junit');
+
+  const serve = validateServe(settings.serve, racerNames, raceDir || rootDir);
+  // The racer files and the shared files they import, copied to every results folder
+  const scriptFiles = raceDir && racerFiles ? [...racerFiles, ...discoverSharedFiles(raceDir)] : null;
+
+  return { racerNames, settings, executionMode, throttle, runnerConfig, runOrder, reporters, serve, rootDir, raceDir, racerFiles, scriptFiles };
 }
 
 // --- Local server ---
 
-const MIME_TYPES = {
-  '.html': 'text/html',
-  '.js': 'application/javascript',
-  '.css': 'text/css',
-  '.webm': 'video/webm',
-  '.mp4': 'video/mp4',
-  '.gif': 'image/gif',
-  '.mov': 'video/quicktime',
-  '.wasm': 'application/wasm',
-  '.json': 'application/json',
+// Cross-origin isolation lets the in-browser FFmpeg use SharedArrayBuffer
+const RESULTS_HEADERS = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
 };
 
 /**
  * Serve `dir` over HTTP on a random free port, open `index.html` in the
- * browser, and keep running until the process is killed.
+ * browser, and keep running until the process is killed. Returns the server.
  */
 export function serveResults(dir) {
-  const server = http.createServer((req, res) => {
-    const urlPath = req.url === '/' ? '/index.html' : req.url.split('?')[0];
-    const filePath = path.join(dir, urlPath);
-    if (!filePath.startsWith(dir + path.sep) && filePath !== dir) {
-      res.writeHead(403);
-      res.end('Forbidden');
-      return;
-    }
-    const ext = path.extname(filePath).toLowerCase();
-    fs.readFile(filePath, (err, data) => {
-      if (err) {
-        res.writeHead(404);
-        res.end('Not found');
-        return;
-      }
-      res.writeHead(200, {
-        'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
-        'Cross-Origin-Opener-Policy': 'same-origin',
-        'Cross-Origin-Embedder-Policy': 'require-corp',
-      });
-      res.end(data);
-    });
-  });
+  return listenAndOpen(createStaticServer(dir, RESULTS_HEADERS));
+}
 
+/**
+ * Start a results server on a free port, print its URL and open it in the
+ * browser. Returns the server.
+ */
+function listenAndOpen(server) {
   server.listen(0, '127.0.0.1', () => {
     const { port } = server.address();
     const url = `http://localhost:${port}/`;
@@ -335,6 +457,301 @@ export function serveResults(dir) {
     child.on('error', () => {}); // ignore ENOENT on headless/CI environments
     child.unref();
   });
+  return server;
+}
+
+// --- compare: two existing results folders ---
+
+/**
+ * Compare two results folders into `outDir`: copies each racer's videos,
+ * writes the reports and the player. Returns the comparison summary.
+ * Throws if a folder can't be read or the options are invalid.
+ */
+export function compareResults(dirA, dirB, outDir, { labels = null, racers = null, reporters = null, noWasm = false } = {}) {
+  const sources = [loadResults(dirA), loadResults(dirB)];
+  const resolvedLabels = parseLabels(labels);
+  const only = racers ? String(racers).split(',').map(r => r.trim()).filter(Boolean) : null;
+  const entries = planCompareRacers(sources, resolvedLabels, only);
+  const resolvedReporters = resolveReporters(reporters ?? undefined);
+  const summary = buildCompareSummary(sources, entries, resolvedLabels, outDir);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const videos = entries.map(e => {
+    const found = findRacerVideos(sources[e.side], e.racer);
+    const copy = (file, kind) => {
+      if (!file) return null;
+      fs.mkdirSync(path.join(outDir, e.name), { recursive: true });
+      const dest = path.join(outDir, e.name, `${e.name}.${kind}${FORMAT_EXTENSIONS.webm}`);
+      fs.copyFileSync(file, dest);
+      return dest;
+    };
+    return { race: copy(found.race, 'race'), full: copy(found.full, 'full') };
+  });
+  entries.forEach((e, i) => {
+    summary.videos[e.name] = videos[i].race;
+    summary.videos[`${e.name}_full`] = videos[i].full;
+  });
+
+  const missing = entries.filter((_, i) => !videos[i].race).map(e => e.name);
+  if (missing.length > 0) {
+    console.error(`${c.yellow}Warning: No race video for ${missing.join(', ')}, the player shows results only${c.reset}`);
+  }
+  const rel = (file) => path.relative(outDir, file).split(path.sep).join('/');
+  const videoFiles = missing.length === 0 ? videos.map(v => rel(v.race)) : null;
+  const fullVideoFiles = videoFiles && videos.every(v => v.full) ? videos.map(v => rel(v.full)) : null;
+
+  printSummary(summary);
+  writeReports(summary, outDir, resolvedReporters, { raceName: path.basename(outDir) });
+  fs.writeFileSync(path.join(outDir, 'index.html'), buildPlayerHtml(summary, videoFiles, null, null, { fullVideoFiles }));
+  if (videoFiles && !noWasm) copyFFmpegFiles(outDir);
+  return summary;
+}
+
+// --- Running a whole race (shared by the CLI and the race() API) ---
+
+/**
+ * Fill in the default of every setting a race reads, so the rest of the code
+ * doesn't repeat `?? false`. Returns a new settings object.
+ */
+export function resolveSettingsDefaults(settings) {
+  const s = { ...settings };
+  s.isolate = s.isolate ?? false;
+  // Isolated racers always race in parallel
+  s.parallel = (s.parallel ?? false) || s.isolate;
+  s.ci = s.ci ?? false;
+  s.headless = s.headless ?? s.ci;
+  s.noOverlay = s.noOverlay ?? false;
+  s.noRecording = s.noRecording ?? false;
+  s.ffmpeg = s.ffmpeg ?? false;
+  s.noWasm = s.noWasm ?? false;
+  s.coverage = s.coverage ?? false;
+  s.format = s.format ?? 'webm';
+  s.network = s.network ?? 'none';
+  s.cpuThrottle = s.cpuThrottle ?? 1;
+  s.browser = s.browser ?? 'chromium';
+  s.slowmo = s.slowmo ?? 0;
+  s.runs = s.runs ?? 1;
+  s.warmup = s.warmup ?? 0;
+  s.runOrder = s.runOrder ?? DEFAULT_RUN_ORDER;
+  // Resolve the shuffle seed now so it's recorded and the race can be replayed with --seed
+  if (s.runOrder === 'shuffle') s.seed = s.seed ?? createSeed();
+  return s;
+}
+
+/**
+ * Read a race directory's settings.json, or {} without one.
+ * Throws if it isn't valid JSON.
+ */
+export function readRaceSettings(raceDir) {
+  const settingsPath = path.join(raceDir, 'settings.json');
+  if (!fs.existsSync(settingsPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not parse settings.json: ${e.message}`);
+  }
+}
+
+// Racer servers still running, stopped if the process exits or (from the CLI) is interrupted
+const runningServers = new Set();
+let serverExitHandlers = false;
+
+/**
+ * Start the racers' servers from settings.serve and hand each racer its URL.
+ * Stop them with stopServers() when the race is done; they are also
+ * stopped when the process exits (or, from the CLI, is interrupted).
+ */
+export async function startServers(ctx) {
+  if (!ctx.serve) return {};
+  const progress = (ctx.events ? eventProgress(ctx.events) : startProgress)('Starting servers…');
+  let servers;
+  try {
+    servers = await startRacerServers(ctx.serve, ctx.raceDir || ctx.rootDir);
+  } catch (e) {
+    progress.fail('Servers failed to start');
+    throw e;
+  }
+  progress.done(`Serving ${Object.entries(servers).map(([name, s]) => `${name} at ${s.url}`).join(', ')}`);
+  for (const browser of ctx.runnerConfig.browsers) browser.baseUrl = servers[browser.id]?.url ?? null;
+  runningServers.add(servers);
+  // Once per process: --watch and the race() API start servers for every race
+  if (!serverExitHandlers) {
+    serverExitHandlers = true;
+    const stopAll = () => runningServers.forEach(stopServers);
+    process.on('exit', stopAll);
+    if (!ctx.events) {
+      const stopAndExit = () => { stopAll(); process.exit(130); };
+      process.once('SIGINT', stopAndExit);
+      process.once('SIGTERM', stopAndExit);
+    }
+  }
+  return servers;
+}
+
+/** Stop the servers from startServers(). */
+export function stopServers(servers) {
+  stopRacerServers(servers);
+  runningServers.delete(servers);
+}
+
+/**
+ * Run a race into `resultsDir`: settings.warmup unscored warm-ups, then
+ * settings.runs runs and, for several, the median summary and its player.
+ * Checks settings.budgets and writes the reports. Resolves to the final
+ * summary. Prints to the terminal, or emits to `ctx.events` when set.
+ */
+export async function runRace(ctx, resultsDir, { raceName = path.basename(resultsDir) } = {}) {
+  const { racerNames, settings, events = null } = ctx;
+  const totalRuns = settings.runs;
+  // A run starting: a header in the terminal, a `run` event for the API
+  const announce = (data, text) => (events ? events.emit('run', data) : console.error(text));
+  // A run's summary: printed in the terminal, a `result` event for the API
+  const report = (run, summary, text = null) => {
+    if (events) return events.emit('result', { run, summary });
+    if (text) console.error(text);
+    printSummary(summary);
+  };
+  const checkRaceBudgets = (summary) => {
+    if (!settings.budgets) return;
+    summary.budgets = checkBudgets(summary, settings.budgets);
+    if (!events) printBudgetReport(summary.budgets);
+  };
+
+  // Warm-ups run the full race flow and throw the results away,
+  // so disk caches, JIT and DNS are warm before the runs that count
+  const warmupDir = path.join(resultsDir, '.warmup');
+  for (let i = 0; i < settings.warmup; i++) {
+    const order = ctx.runOrder?.orders[0];
+    announce({ run: i + 1, totalRuns: settings.warmup, warmup: true, order: null },
+      `\n  ${c.bold}${c.yellow}── Warm-up ${i + 1} of ${settings.warmup} (not scored) ──${c.reset}`);
+    await runSingleRace(ctx, warmupDir, null, { skipCopyFFmpeg: true, order, warmup: true });
+    fs.rmSync(warmupDir, { recursive: true, force: true });
+  }
+
+  if (totalRuns === 1) {
+    const order = ctx.runOrder?.orders[0];
+    if (events) announce({ run: 1, totalRuns, warmup: false, order: order ? order.map(idx => racerNames[idx]) : null });
+    const { summary, sideBySidePath, sideBySideName } = await runSingleRace(ctx, resultsDir, null, { order });
+    report(1, summary);
+    checkRaceBudgets(summary);
+    writeReports(summary, resultsDir, ctx.reporters, { raceName, sideBySideName: sideBySidePath ? sideBySideName : null });
+    return summary;
+  }
+
+  fs.mkdirSync(resultsDir, { recursive: true });
+  // Scored runs only: warm-up summaries never leave the loop above
+  const summaries = [];
+  const sideBySideNames = [];
+  const allClipTimes = [];
+
+  for (let i = 0; i < totalRuns; i++) {
+    const order = ctx.runOrder?.orders[i];
+    const orderNote = order ? ` ${c.dim}(${order.map(idx => racerNames[idx]).join(' → ')})${c.reset}` : '';
+    announce({ run: i + 1, totalRuns, warmup: false, order: order ? order.map(idx => racerNames[idx]) : null },
+      `\n  ${c.bold}${c.cyan}── Run ${i + 1} of ${totalRuns} ──${c.reset}${orderNote}`);
+    const runNav = { currentRun: i + 1, totalRuns, pathPrefix: '../' };
+    const { summary, sideBySidePath, sideBySideName, clipTimes: runClipTimes } = await runSingleRace(ctx, path.join(resultsDir, String(i + 1)), runNav, { skipCopyFFmpeg: true, ffmpegPathPrefix: '../', order });
+    report(i + 1, summary);
+    summaries.push(summary);
+    sideBySideNames.push(sideBySidePath ? sideBySideName : null);
+    allClipTimes.push(runClipTimes);
+  }
+
+  const medianSummary = buildMedianSummary(summaries, resultsDir);
+
+  if (!settings.noRecording) {
+    // Find the run closest to median to use its videos on the median page
+    const medianRunIdx = findMedianRunIndex(summaries, medianSummary);
+    const medianRunDir = String(medianRunIdx + 1);
+    const { ffmpeg, format } = settings;
+    const ext = FORMAT_EXTENSIONS[format] || FORMAT_EXTENSIONS.webm;
+    const medianVideoFiles = racerNames.map(name => `${medianRunDir}/${name}/${name}.race${FORMAT_EXTENSIONS.webm}`);
+    const medianFullVideoFiles = ffmpeg ? racerNames.map(name => `${medianRunDir}/${name}/${name}.full${FORMAT_EXTENSIONS.webm}`) : null;
+    const medianAltFiles = ffmpeg && format !== 'webm' ? racerNames.map(name => `${medianRunDir}/${name}/${name}.race${ext}`) : null;
+    const medianMergedFile = sideBySideNames[medianRunIdx] ? `${medianRunDir}/${sideBySideNames[medianRunIdx]}` : null;
+
+    // Create top-level median index.html with navigation and videos from median run
+    const medianNav = { currentRun: 'median', totalRuns, pathPrefix: '' };
+    const medianPlayerOptions = {
+      fullVideoFiles: medianFullVideoFiles,
+      mergedVideoFile: medianMergedFile,
+      raceScriptFiles: ctx.scriptFiles ? ctx.scriptFiles.map(f => `${medianRunDir}/${f}`) : null,
+      settingsFileCopied: fs.existsSync(path.join(resultsDir, medianRunDir, 'settings.json')),
+      runNavigation: medianNav,
+      medianRunLabel: `Run ${medianRunIdx + 1}`,
+      clipTimes: allClipTimes[medianRunIdx] || null,
+      networkLogs: loadNetworkLogs(path.join(resultsDir, medianRunDir), racerNames),
+      coverageReports: loadCoverageReports(path.join(resultsDir, medianRunDir), racerNames),
+    };
+    fs.writeFileSync(
+      path.join(resultsDir, 'index.html'),
+      buildPlayerHtml(medianSummary, medianVideoFiles, ffmpeg && format !== 'webm' ? format : null, medianAltFiles, medianPlayerOptions)
+    );
+    if (!settings.noWasm) copyFFmpegFiles(resultsDir, warnerFor(events));
+  }
+
+  report('median', medianSummary, `\n  ${c.bold}${c.cyan}── Median Results (${totalRuns} runs) ──${c.reset}`);
+  checkRaceBudgets(medianSummary);
+  writeReports(medianSummary, resultsDir, ctx.reporters, { raceName, runs: summaries });
+  return medianSummary;
+}
+
+// --- Programmatic API ---
+
+/**
+ * Run a race from Node.js — `import { race } from 'race-for-the-prize'`.
+ *
+ * `source` is a race directory, or inline scripts keyed by racer name
+ * (`{ fast: "await page.goto(...)", slow: "..." }`, 2 to 5 racers).
+ * `options.settings` are merged over the directory's settings.json, key by
+ * key. Results are written to `options.resultsDir` (default: a timestamped
+ * folder in the race directory, or a temp folder for inline scripts).
+ * Instead of the terminal animation and summary, progress is emitted to
+ * `options.events`, an EventEmitter (see cli/events.js for the events).
+ * Resolves to the summary; throws where the CLI would exit with an error.
+ */
+export async function race(source, { settings = {}, resultsDir = null, events = new EventEmitter(), name = null } = {}) {
+  let raceDir = null;
+  let racerFiles = null;
+  let racerNames;
+  let scripts;
+  let fileSettings = {};
+  if (typeof source === 'string') {
+    raceDir = path.resolve(source);
+    if (!fs.existsSync(raceDir)) throw new Error(`Race directory not found: ${raceDir}`);
+    fileSettings = readRaceSettings(raceDir);
+    ({ racerFiles, racerNames } = discoverRacers(raceDir));
+    if (racerFiles.length < 2) {
+      throw new Error(`Need at least 2 .spec.js (or .js) script files in ${raceDir}, found ${racerFiles.length}`);
+    }
+    scripts = racerFiles.map(f => fs.readFileSync(path.join(raceDir, f), 'utf-8'));
+  } else if (source && typeof source === 'object') {
+    racerNames = Object.keys(source);
+    scripts = Object.values(source);
+    if (racerNames.length < 2 || racerNames.length > 5) {
+      throw new Error(`Need 2 to 5 racers, got ${racerNames.length}`);
+    }
+    if (scripts.some(script => typeof script !== 'string')) throw new Error('Every racer needs a script string');
+  } else {
+    throw new Error('race() needs a race directory or { <racer>: <script> }');
+  }
+
+  const resolved = resolveSettingsDefaults(normalizeNetworkSettings({ ...fileSettings, ...settings }));
+  for (const message of findRacerSettingsWarnings(resolved, racerNames)) events.emit('warning', { message });
+  const ctx = {
+    ...buildRaceContext({ racerNames, scripts, settings: resolved, rootDir: __dirname, raceDir, racerFiles }),
+    events,
+  };
+  const outDir = resultsDir ? path.resolve(resultsDir)
+    : raceDir ? path.join(raceDir, `results-${formatTimestamp(new Date())}`)
+    : path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'race-for-the-prize-')), 'results');
+
+  const servers = await startServers(ctx);
+  try {
+    return await runRace(ctx, outDir, { raceName: name || (raceDir ? path.basename(raceDir) : 'race') });
+  } finally {
+    stopServers(servers);
+  }
 }
 
 // --- CLI entry point ---
@@ -393,7 +810,7 @@ page.raceEnd('Load');
 await page.raceRecordingEnd();
 `;
 
-  const settings = JSON.stringify({ parallel: false, headless: false, runs: 3 }, null, 2) + '\n';
+  const settings = JSON.stringify({ parallel: false, headless: false, runs: 5 }, null, 2) + '\n';
 
   fs.writeFileSync(path.join(targetDir, 'racer-a.spec.js'), racerA);
   fs.writeFileSync(path.join(targetDir, 'racer-b.spec.js'), racerB);
@@ -412,6 +829,43 @@ ${c.bold}Run it:${c.reset}
   process.exit(0);
 }
 
+/**
+ * compare <resultsA> <resultsB>: race two results folders against each other
+ * and serve the player, or exit when not serving.
+ */
+async function compareFromCli(dirs) {
+  if (dirs.length !== 2) {
+    console.error(`${c.red}Error: Usage: node race.js compare <resultsA> <resultsB>${c.reset}`);
+    process.exit(1);
+  }
+  const [dirA, dirB] = dirs.map(d => path.resolve(d));
+  const outDir = path.join(path.dirname(dirB), `compare-${formatTimestamp(new Date())}`);
+  try {
+    compareResults(dirA, dirB, outDir, {
+      labels: kvFlags.labels,
+      racers: kvFlags.racer,
+      reporters: kvFlags.reporter,
+      noWasm: boolFlags.has('no-wasm'),
+    });
+  } catch (e) {
+    console.error(`${c.red}Error: ${e.message}${c.reset}`);
+    process.exit(1);
+  }
+  const { relResults, relHtml } = buildResultsPaths(outDir);
+  console.error(`  ${c.dim}📂 ${relResults}${c.reset}`);
+  if (kvFlags.serve !== 'false' && !boolFlags.has('ci')) {
+    // Until the server is stopped with the process
+    await once(serveResults(outDir), 'close');
+  } else {
+    console.error(`  ${c.cyan}${c.bold}open ${relHtml}${c.reset}`);
+  }
+  process.exit(0);
+}
+
+if (positional[0] === 'compare' && positional.length > 1) {
+  await compareFromCli(positional.slice(1));
+}
+
 if (positional.length === 0) {
   console.error(`
 ${c.yellow}    ____                   ____              _   _            ____       _          ${c.reset}
@@ -452,13 +906,28 @@ ${c.bold}  Commands:${c.reset}
 ${c.dim}  ─────────────────────────────────────────────────────────────${c.reset}
   node race.js ${c.yellow}--init${c.reset} ${c.cyan}[dir]${c.reset}               Scaffold a starter race (default: my-race/)
   node race.js ${c.cyan}<dir>${c.reset}                       Run a race
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--watch${c.reset}              Re-run on every save, live-reloading the player
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--results${c.reset}            View recent results
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--history${c.reset}            Trends and regressions across all results
+  node race.js ${c.yellow}compare${c.reset} ${c.cyan}<resultsA> <resultsB>${c.reset}  Race two results folders against each other
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--parallel${c.reset}           Run both browsers simultaneously
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--isolate${c.reset}            Parallel, with one runner process per racer
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--headless${c.reset}           Hide browsers
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--network${c.reset}=${c.green}slow-3g${c.reset}   Network: none, slow-3g, fast-3g, 4g
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--ci${c.reset}                 Headless, no server, junit.xml, exit 3 on failed budgets
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--reporter${c.reset}=${c.green}junit,tap${c.reset}  Report files: json, md (default), junit, tap
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--network${c.reset}=${c.green}slow-3g${c.reset}   Network: none, slow-3g, fast-3g, 4g, offline
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--network${c.reset}=${c.green}custom:1000/500/200${c.reset}  Custom: down kbps / up kbps / latency ms
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--record-har${c.reset}         Record each racer's traffic to har/<racer>.har for replay
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--cpu${c.reset}=${c.green}4${c.reset}              CPU throttle multiplier (1=none)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--force-gc${c.reset}           Collect garbage before every heap sample (leak hunting)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--coverage${c.reset}           Record JS/CSS code coverage (slows page JavaScript)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--browser${c.reset}=${c.green}webkit${c.reset}     Engine: chromium (default), firefox, webkit
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--device${c.reset}=${c.green}"Pixel 7"${c.reset}  Emulate a Playwright device: viewport, DPR, touch, mobile UA
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--format${c.reset}=${c.green}mov${c.reset}          Output format: webm (default), mov, gif
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--runs${c.reset}=${c.green}3${c.reset}            Run multiple times, report median
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--runs${c.reset}=${c.green}5${c.reset}            Run multiple times, report median + significance
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--warmup${c.reset}=${c.green}1${c.reset}          Unscored warm-up runs before the real ones
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--run-order${c.reset}=${c.green}shuffle${c.reset}  Who starts each run: alternate (default), fixed, shuffle, latin-square
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--seed${c.reset}=${c.green}42${c.reset}            Replay a shuffled run order
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--slowmo${c.reset}=${c.green}2${c.reset}           Slow-motion side-by-side replay (2x, 3x, etc.)
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-overlay${c.reset}         Record videos without overlays
   node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-recording${c.reset}      Skip video recording, just measure
@@ -482,134 +951,153 @@ if (boolFlags.has('results')) {
   process.exit(0);
 }
 
-// --- Discover racers ---
-
-const { racerFiles, racerNames } = discoverRacers(raceDir);
-
-if (racerFiles.length < 2) {
-  console.error(`${c.red}Error: Need at least 2 .spec.js (or .js) script files in ${raceDir}, found ${racerFiles.length}${c.reset}`);
-  process.exit(1);
-}
-if (racerFiles.length > 5) {
-  console.error(`${c.yellow}Warning: Found ${racerFiles.length} script files, using first five: ${racerFiles.slice(0, 5).join(', ')}${c.reset}`);
-}
-const scripts = racerFiles.map(f => fs.readFileSync(path.join(raceDir, f), 'utf-8'));
-
-// --- Settings (settings.json, overridden by CLI flags) ---
+// --- Settings file (CLI flags are applied once racers are known) ---
 
-let settings = {};
-const settingsPath = path.join(raceDir, 'settings.json');
-if (fs.existsSync(settingsPath)) {
+/** settings.json, or {} with a warning if it can't be parsed. */
+function readSettingsOrWarn() {
   try {
-    settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+    return readRaceSettings(raceDir);
   } catch (e) {
-    console.error(`${c.yellow}Warning: Could not parse settings.json: ${e.message}${c.reset}`);
+    console.error(`${c.yellow}Warning: ${e.message}${c.reset}`);
+    return {};
   }
 }
 
-settings = applyOverrides(settings, boolFlags, kvFlags);
-
-// --- Resolve settings defaults once (avoid repeated `|| false` everywhere) ---
-
-settings.parallel = settings.parallel ?? false;
-settings.headless = settings.headless ?? false;
-settings.noOverlay = settings.noOverlay ?? false;
-settings.noRecording = settings.noRecording ?? false;
-settings.ffmpeg = settings.ffmpeg ?? false;
-settings.noWasm = settings.noWasm ?? false;
-settings.format = settings.format ?? 'webm';
-settings.network = settings.network ?? 'none';
-settings.cpuThrottle = settings.cpuThrottle ?? 1;
-settings.slowmo = settings.slowmo ?? 0;
-settings.runs = settings.runs ?? 1;
+if (boolFlags.has('history')) {
+  const { regressionThreshold, baselineWindow } = applyOverrides(readSettingsOrWarn(), boolFlags, kvFlags);
+  printHistory(raceDir, {
+    threshold: regressionThreshold ?? DEFAULT_REGRESSION_THRESHOLD,
+    window: baselineWindow ?? DEFAULT_BASELINE_WINDOW,
+  });
+  process.exit(0);
+}
 
-// --- Build race context ---
+const watch = boolFlags.has('watch');
 
-const ctx = buildRaceContext({ racerNames, scripts, settings, rootDir: __dirname, raceDir, racerFiles });
-const resultsDir = path.join(raceDir, `results-${formatTimestamp(new Date())}`);
-const totalRuns = settings.runs;
+/**
+ * Discover the racers, read settings.json, apply the CLI flags and build the
+ * race context. Warnings are printed, errors thrown. --watch calls it again
+ * before every re-run, so new racers and settings changes are picked up.
+ */
+function prepareRace() {
+  const { racerFiles, racerNames } = discoverRacers(raceDir);
+  if (racerFiles.length < 2) {
+    throw new Error(`Need at least 2 .spec.js (or .js) script files in ${raceDir}, found ${racerFiles.length}`);
+  }
+  if (racerFiles.length > 5) {
+    console.error(`${c.yellow}Warning: Found ${racerFiles.length} script files, using first five: ${racerFiles.slice(0, 5).join(', ')}${c.reset}`);
+  }
+  const scripts = racerFiles.map(f => fs.readFileSync(path.join(raceDir, f), 'utf-8'));
 
-// --- Main ---
+  // settings.json, overridden by CLI flags
+  let settings = applyOverrides(normalizeNetworkSettings(readSettingsOrWarn()), boolFlags, kvFlags);
+  for (const warning of findRacerSettingsWarnings(settings, racerNames)) {
+    console.error(`${c.yellow}Warning: ${warning}${c.reset}`);
+  }
+  if (watch && settings.ci) throw new Error('--watch re-runs until you stop it, so it can\'t be combined with --ci');
 
-async function main() {
-  try {
-    if (totalRuns === 1) {
-      const { summary, sideBySidePath, sideBySideName } = await runSingleRace(ctx, resultsDir);
-      printSummary(summary);
-      const md = buildMarkdownSummary(summary, sideBySidePath ? sideBySideName : null);
-      fs.writeFileSync(path.join(resultsDir, 'README.md'), md);
-    } else {
-      fs.mkdirSync(resultsDir, { recursive: true });
-      const summaries = [];
-      const sideBySideNames = [];
-      const allClipTimes = [];
-
-      for (let i = 0; i < totalRuns; i++) {
-        console.error(`\n  ${c.bold}${c.cyan}── Run ${i + 1} of ${totalRuns} ──${c.reset}`);
-        const runNav = { currentRun: i + 1, totalRuns, pathPrefix: '../' };
-        const { summary, sideBySidePath, sideBySideName, clipTimes: runClipTimes } = await runSingleRace(ctx, path.join(resultsDir, String(i + 1)), runNav, { skipCopyFFmpeg: true, ffmpegPathPrefix: '../' });
-        printSummary(summary);
-        summaries.push(summary);
-        sideBySideNames.push(sideBySidePath ? sideBySideName : null);
-        allClipTimes.push(runClipTimes);
-      }
+  // Resolve settings defaults once (avoid repeated `|| false` everywhere)
+  settings = resolveSettingsDefaults(settings);
 
-      const medianSummary = buildMedianSummary(summaries, resultsDir);
-      fs.writeFileSync(path.join(resultsDir, 'summary.json'), JSON.stringify(medianSummary, null, 2));
-
-      if (!settings.noRecording) {
-        // Find the run closest to median to use its videos on the median page
-        const medianRunIdx = findMedianRunIndex(summaries, medianSummary);
-        const medianRunDir = String(medianRunIdx + 1);
-        const { ffmpeg, format } = settings;
-        const ext = FORMAT_EXTENSIONS[format] || FORMAT_EXTENSIONS.webm;
-        const medianVideoFiles = racerNames.map(name => `${medianRunDir}/${name}/${name}.race${FORMAT_EXTENSIONS.webm}`);
-        const medianFullVideoFiles = ffmpeg ? racerNames.map(name => `${medianRunDir}/${name}/${name}.full${FORMAT_EXTENSIONS.webm}`) : null;
-        const medianAltFiles = ffmpeg && format !== 'webm' ? racerNames.map(name => `${medianRunDir}/${name}/${name}.race${ext}`) : null;
-        const medianMergedFile = sideBySideNames[medianRunIdx] ? `${medianRunDir}/${sideBySideNames[medianRunIdx]}` : null;
-
-        // Create top-level median index.html with navigation and videos from median run
-        const medianNav = { currentRun: 'median', totalRuns, pathPrefix: '' };
-        const medianPlayerOptions = {
-          fullVideoFiles: medianFullVideoFiles,
-          mergedVideoFile: medianMergedFile,
-          raceScriptFiles: ctx.racerFiles ? ctx.racerFiles.map(f => `${medianRunDir}/${f}`) : null,
-          settingsFileCopied: fs.existsSync(path.join(resultsDir, medianRunDir, 'settings.json')),
-          runNavigation: medianNav,
-          medianRunLabel: `Run ${medianRunIdx + 1}`,
-          clipTimes: allClipTimes[medianRunIdx] || null,
-        };
-        fs.writeFileSync(
-          path.join(resultsDir, 'index.html'),
-          buildPlayerHtml(medianSummary, medianVideoFiles, ffmpeg && format !== 'webm' ? format : null, medianAltFiles, medianPlayerOptions)
-        );
-        if (!settings.noWasm) copyFFmpegFiles(resultsDir);
-      }
+  const ctx = buildRaceContext({ racerNames, scripts, settings, rootDir: __dirname, raceDir, racerFiles });
+  const balancedRuns = ctx.runOrder && settings.runs > 1 ? balancedRunCount(ctx.runOrder.strategy, racerNames.length) : null;
+  if (balancedRuns && settings.runs % balancedRuns !== 0) {
+    console.error(`${c.yellow}Warning: run order "${ctx.runOrder.strategy}" is only balanced for multiples of ${balancedRuns} runs, got ${settings.runs}${c.reset}`);
+  }
+  return ctx;
+}
 
-      console.error(`\n  ${c.bold}${c.cyan}── Median Results (${totalRuns} runs) ──${c.reset}`);
-      printSummary(medianSummary);
+let ctx;
+try {
+  ctx = prepareRace();
+} catch (e) {
+  console.error(`${c.red}Error: ${e.message}${c.reset}`);
+  process.exit(1);
+}
+const { settings } = ctx;
+const newResultsDir = () => path.join(raceDir, `results-${formatTimestamp(new Date())}`);
+const resultsDir = newResultsDir();
+const shouldServe = kvFlags.serve !== 'false' && !settings.ci;
 
-      const md = buildMultiRunMarkdown(medianSummary, summaries);
-      fs.writeFileSync(path.join(resultsDir, 'README.md'), md);
-    }
+// --- Main ---
 
-    const { relResults, relHtml } = buildResultsPaths(resultsDir);
+/**
+ * Run the race into `dir`, set the exit code and print where the results
+ * are. Returns false (after printing why) if the race failed.
+ */
+async function runFromCli(ctx, dir) {
+  let servers = {};
+  try {
+    servers = await startServers(ctx);
+    const summary = await runRace(ctx, dir, { raceName: path.basename(raceDir) });
+    if (summary.budgets?.failed > 0) process.exitCode = BUDGET_EXIT_CODE;
+    // In CI a racer that crashed outranks a blown budget
+    if (ctx.settings.ci && summary.errors?.length > 0) process.exitCode = 1;
+
+    stopServers(servers);
+    const { relResults } = buildResultsPaths(dir);
     console.error(`  ${c.dim}📂 ${relResults}${c.reset}`);
-
-    if (!settings.noRecording) {
-      const shouldServe = kvFlags.serve !== 'false';
-      if (shouldServe) {
-        serveResults(resultsDir);
-      } else {
-        console.error(`  ${c.cyan}${c.bold}open ${relHtml}${c.reset}`);
-      }
+    if (ctx.settings.recordHar) {
+      console.error(`  ${c.green}✓ HAR recorded:${c.reset} ${ctx.racerNames.map(recordedHarPath).join(', ')}`);
+      console.error(`  ${c.dim}Replay it with${c.reset} "network": { "har": "har/{racer}.har" } ${c.dim}in settings.json${c.reset}`);
     }
+    return true;
   } catch (e) {
+    stopServers(servers);
     console.error(`\n${c.red}${c.bold}Race failed:${c.reset} ${e.message}\n`);
-    process.exit(1);
+    return false;
+  }
+}
+
+/**
+ * --watch: re-run the race on every save of a racer script or settings.json,
+ * with the results server kept up and its open players sent to each new run.
+ */
+function watchRace() {
+  const watchServer = shouldServe && !settings.noRecording ? createWatchServer(raceDir, RESULTS_HEADERS) : null;
+  const showPlayer = (dir) => {
+    if (watchServer && fs.existsSync(path.join(dir, 'index.html'))) watchServer.reload(dir);
+  };
+  if (watchServer) {
+    showPlayer(resultsDir);
+    listenAndOpen(watchServer.server);
+  }
+  const waiting = () => console.error(`\n  ${c.cyan}👀 Watching ${path.relative(process.cwd(), raceDir) || '.'} for changes${c.reset} ${c.dim}(Ctrl+C to stop)${c.reset}`);
+
+  const rerun = createRerunQueue(async () => {
+    let next;
+    try {
+      next = prepareRace();
+    } catch (e) {
+      console.error(`${c.red}Error: ${e.message}${c.reset}`);
+      return waiting();
+    }
+    const dir = newResultsDir();
+    if (await runFromCli(next, dir)) showPlayer(dir);
+    waiting();
+  });
+  watchRaceDir(raceDir, (files) => {
+    console.error(`\n  ${c.cyan}↻ ${files.join(', ')} changed, re-running…${c.reset}`);
+    rerun();
+  });
+  waiting();
+}
+
+async function main() {
+  const finished = await runFromCli(ctx, resultsDir);
+  // A broken race is worth fixing and saving again
+  if (watch) return watchRace();
+  if (!finished) process.exit(1);
+
+  if (!settings.noRecording) {
+    if (shouldServe) {
+      serveResults(resultsDir);
+    } else {
+      console.error(`  ${c.cyan}${c.bold}open ${buildResultsPaths(resultsDir).relHtml}${c.reset}`);
+    }
   }
 }
 
-main().then(() => { if (kvFlags.serve === 'false' || settings.noRecording) process.exit(0); });
+main().then(() => { if (!watch && (kvFlags.serve === 'false' || settings.noRecording || settings.ci)) process.exit(); });
 
 } // end isMainModule
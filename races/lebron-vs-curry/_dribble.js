@@ -0,0 +1,45 @@
+// 🏀 Shared moves for LeBron vs Curry. Files starting with _ aren't racers,
+// so both racers import the same dribble and stay perfectly in sync.
+
+// Both racers start from the same absolute scroll position
+export const FIXED_START = 10000;
+
+/** Basketball physics dribble: gravity acceleration down, deceleration up. */
+export async function dribble(page, race, times = 3) {
+  for (let i = 0; i < times; i++) {
+    race.message(`🏀 Dribble ${i + 1}`);
+    const downDist = 800;
+    const downSteps = 25;
+    for (let s = 0; s < downSteps; s++) {
+      const t = (s + 1) / downSteps;
+      const stepPx = Math.round((downDist * (2 * t)) / downSteps);
+      await page.mouse.wheel(0, Math.max(stepPx, 2));
+      await page.waitForTimeout(Math.round(35 - 22 * t));
+    }
+
+    await page.waitForTimeout(60);
+
+    const upDist = 800;
+    const upSteps = 25;
+    for (let s = 0; s < upSteps; s++) {
+      const t = (s + 1) / upSteps;
+      const stepPx = Math.round((upDist * (2 * (1 - t))) / upSteps);
+      await page.mouse.wheel(0, -Math.max(stepPx, 2));
+      await page.waitForTimeout(Math.round(13 + 22 * t));
+    }
+
+    await page.waitForTimeout(140);
+  }
+}
+
+/** Scroll back to the top in `steps` steps along `ease` (0 → 1). */
+export async function scrollToTop(page, { steps, stepMs, ease }) {
+  const totalScroll = await page.evaluate(() => window.scrollY);
+  for (let s = 0; s < steps; s++) {
+    const t = (s + 1) / steps;
+    const targetY = Math.round(totalScroll * (1 - ease(t)));
+    await page.evaluate((y) => window.scrollTo(0, y), targetY);
+    await page.waitForTimeout(stepMs);
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+}
@@ -0,0 +1,107 @@
+/**
+ * resource-breakdown.cjs — Transfer size and request count by resource type
+ * and by first- vs third-party, for the "resources" profile metrics.
+ *
+ * Used by the metrics collector in runner.cjs alongside its
+ * Network.loadingFinished totals. First party means the same site as the
+ * page's current main document (example.com for www.example.com and
+ * cdn.example.com); every other site is third party.
+ */
+
+'use strict';
+
+const RESOURCE_TYPES = ['document', 'script', 'stylesheet', 'image', 'font', 'fetch', 'other'];
+
+const CDP_TYPES = {
+  Document: 'document',
+  Script: 'script',
+  Stylesheet: 'stylesheet',
+  Image: 'image',
+  Font: 'font',
+  XHR: 'fetch',
+  Fetch: 'fetch',
+};
+
+/** Map a CDP resource type to one of RESOURCE_TYPES. */
+function resourceType(cdpType) {
+  return CDP_TYPES[cdpType] || 'other';
+}
+
+// Public second-level labels under a country code TLD (example.co.uk, example.com.au)
+const PUBLIC_SECOND_LEVELS = new Set(['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'ne', 'or']);
+
+/**
+ * The site of a hostname: its last two labels, or three under a public
+ * second-level domain of a country code (example.co.uk). IPs stay whole.
+ */
+function siteOf(hostname) {
+  if (!hostname) return null;
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) return hostname;
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length <= 2) return labels.join('.');
+  const tld = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  return labels.slice(tld.length === 2 && PUBLIC_SECOND_LEVELS.has(secondLevel) ? -3 : -2).join('.');
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/** A breakdown with every counter at zero, keyed like the profile metrics. */
+function emptyBreakdown() {
+  const breakdown = {};
+  for (const type of RESOURCE_TYPES) {
+    breakdown[`${type}TransferSize`] = 0;
+    breakdown[`${type}RequestCount`] = 0;
+  }
+  for (const party of ['firstParty', 'thirdParty']) {
+    breakdown[`${party}TransferSize`] = 0;
+    breakdown[`${party}RequestCount`] = 0;
+  }
+  return breakdown;
+}
+
+/**
+ * Remember each request's type and party as it is sent, and add finished
+ * requests to breakdowns. Feed it Network.requestWillBeSent params with
+ * onRequestWillBeSent(); call add(breakdown, requestId, bytes) per breakdown
+ * on Network.loadingFinished, then forget(requestId).
+ */
+function createResourceClassifier() {
+  const requests = new Map();
+  let mainFrameId = null;
+  let firstPartySite = null;
+
+  return {
+    onRequestWillBeSent(p) {
+      if (!p.request) return;
+      const site = siteOf(hostnameOf(p.request.url));
+      // Navigations have requestId === loaderId; the first one is the main frame's
+      if (p.type === 'Document' && p.requestId === p.loaderId) {
+        if (mainFrameId === null) mainFrameId = p.frameId;
+        if (p.frameId === mainFrameId) firstPartySite = site;
+      }
+      const thirdParty = site !== null && firstPartySite !== null && site !== firstPartySite;
+      requests.set(p.requestId, { type: resourceType(p.type), party: thirdParty ? 'thirdParty' : 'firstParty' });
+    },
+
+    add(breakdown, requestId, bytes) {
+      const info = requests.get(requestId) || { type: 'other', party: 'firstParty' };
+      breakdown[`${info.type}TransferSize`] += bytes;
+      breakdown[`${info.type}RequestCount`]++;
+      breakdown[`${info.party}TransferSize`] += bytes;
+      breakdown[`${info.party}RequestCount`]++;
+    },
+
+    forget(requestId) {
+      requests.delete(requestId);
+    },
+  };
+}
+
+module.exports = { RESOURCE_TYPES, resourceType, siteOf, emptyBreakdown, createResourceClassifier };
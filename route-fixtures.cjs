@@ -0,0 +1,39 @@
+/**
+ * route-fixtures.cjs — Turns page.raceRoute() fixtures into Playwright route handlers.
+ *
+ * Used by runner.cjs so a race script can stub individual requests:
+ *
+ *   await page.raceRoute('https://shop.test/api/products', 'fixtures/products.json');
+ *   await page.raceRoute('https://shop.test/api/cart', { json: { items: [] } });
+ *   await page.raceRoute(/\.png$/, route => route.abort());
+ */
+
+'use strict';
+
+const path = require('path');
+
+/**
+ * Build a route handler from a fixture:
+ *   function — used as the handler as-is: (route, request) => ...
+ *   string   — a file to serve, relative to the race directory
+ *   object   — route.fulfill() options ({ status, json, body, headers, contentType, path });
+ *              a relative `path` is resolved against the race directory
+ *
+ * @param {Function|string|object} fixture
+ * @param {string} baseDir  directory relative fixture paths resolve against
+ * @returns {(route: object, request: object) => Promise<void>}
+ */
+function toRouteHandler(fixture, baseDir) {
+  if (typeof fixture === 'function') return fixture;
+  if (typeof fixture === 'string') {
+    const filePath = path.resolve(baseDir, fixture);
+    return (route) => route.fulfill({ path: filePath });
+  }
+  if (fixture && typeof fixture === 'object') {
+    const options = fixture.path ? { ...fixture, path: path.resolve(baseDir, fixture.path) } : fixture;
+    return (route) => route.fulfill(options);
+  }
+  throw new Error('page.raceRoute(pattern, fixture): fixture must be a file path, route.fulfill() options or a handler function');
+}
+
+module.exports = { toRouteHandler };
@@ -0,0 +1,41 @@
+/**
+ * runner-events.cjs — the runner's structured event channel to race.js.
+ *
+ * Events are written as NDJSON (one JSON object per line) to a pipe race.js
+ * opens for them as an extra stdio file descriptor, passed to the runner as
+ * `config.eventFd`. Every event has a `type`; racer events carry the racer's
+ * `id`, and `elapsed` is seconds since the racer's first raceStart:
+ *
+ *   ready      { id }                          — page set up, the script is about to run
+ *   raceStart  { id, name, elapsed }           — page.raceStart(name)
+ *   raceEnd    { id, name, duration, elapsed } — page.raceEnd(name), duration in seconds
+ *   message    { id, text, elapsed }           — page.raceMessage(text)
+ *   error      { id, message }                 — the racer's script or browser failed
+ *   closed     { id }                          — the racer's browser context is closed
+ *   result     { browsers, errors }            — the runner's final result
+ *
+ * race.js reads them with createEventReader(). stderr stays a human-readable
+ * log; nothing reads it back.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Create the channel on `fd`. Without one (the runner started by hand) events
+ * go nowhere. Writes are synchronous, so events sent right before
+ * process.exit() still arrive; a closed pipe (race.js gone) is ignored.
+ */
+function createEventChannel(fd = null) {
+  return {
+    emit(type, data = {}) {
+      if (fd == null) return;
+      try {
+        fs.writeSync(fd, JSON.stringify({ type, ...data }) + '\n');
+      } catch {}
+    },
+  };
+}
+
+module.exports = { createEventChannel };
@@ -2,15 +2,20 @@
  * runner.cjs — Playwright browser automation engine for RaceForThePrize.
  *
  * Launched as a child process by race.js. Receives a JSON config via argv,
- * runs two Playwright-driven browsers (parallel or sequential), records video,
- * collects measurements and click events, and outputs a JSON result on stdout.
+ * runs two Playwright-driven browsers (parallel or sequential) on Chromium,
+ * Firefox or WebKit, records video, collects measurements and click events,
+ * and reports progress (ready, raceStart/raceEnd, messages, errors) and its
+ * result to race.js as NDJSON events on config.eventFd (see
+ * runner-events.cjs). The result is also printed on stdout, for anyone
+ * running the runner by hand; race.js doesn't read it. With --isolate, race.js starts one
+ * runner per racer and keeps their checkpoints in step over IPC.
  *
  * CommonJS because Playwright requires it; the rest of the project is ESM.
  */
 
-let chromium;
+let playwright;
 try {
-  ({ chromium } = require('playwright'));
+  playwright = require('playwright');
 } catch {
   console.error('Error: Playwright is not installed. Run "npm install" to install dependencies.');
   process.exit(1);
@@ -19,12 +24,25 @@ const fs = require('fs');
 const path = require('path');
 const { execFileSync } = require('child_process');
 const { waitForStability } = require('./visual-stability.cjs');
-const { deriveTraceTiming } = require('./trace-calibration.cjs');
+const { deriveTraceTiming, toTraceObject } = require('./trace-calibration.cjs');
+const { analyzeMainThread } = require('./main-thread.cjs');
+const { installFrameSampler } = require('./frame-sampler.cjs');
+const { createNetworkLog } = require('./network-log.cjs');
+const { startCoverage } = require('./coverage.cjs');
+const { createHeapSampler, analyzeHeapGrowth, measuredHeapGrowth } = require('./heap-sampler.cjs');
+const { emptyBreakdown, createResourceClassifier } = require('./resource-breakdown.cjs');
+const { createEngineSupport } = require('./browser-engines.cjs');
+const { toRouteHandler } = require('./route-fixtures.cjs');
+const { createEventChannel } = require('./runner-events.cjs');
+const { runRaceScript } = require('./race-script.cjs');
 
 // Track active browsers/contexts for cleanup on SIGTERM/SIGINT
 let activeBrowsers = [];
 let activeContexts = [];
 
+// Progress events for race.js (see runner-events.cjs); set up in main()
+let events = createEventChannel();
+
 // --- Named constants (previously magic numbers) ---
 
 const OLD_VIDEO_CLEANUP_MS = 5000;      // Age threshold for deleting stale recordings
@@ -37,12 +55,13 @@ const FFMPEG_TIMEOUT_MS = 120000;       // Timeout for ffmpeg operations
 // --- Constants (loaded from shared ESM module) ---
 
 // These will be populated by loadConstants() before main() runs
-let SCREEN, WINDOW_HEIGHT;
+let SCREEN, WINDOW_HEIGHT, toCdpNetworkConditions;
 
 async function loadConstants() {
   const { SCREEN: s, VIDEO_DEFAULTS: v } = await import('./cli/colors.js');
   SCREEN = s;
   WINDOW_HEIGHT = v.windowHeight;
+  ({ toCdpNetworkConditions } = await import('./cli/network.js'));
 }
 
 // --- Video helpers ---
@@ -167,7 +186,7 @@ process.on('SIGINT', cleanup);
 
 // --- Sync barrier for parallel mode ---
 
-const { SyncBarrier } = require('./sync-barrier.cjs');
+const { SyncBarrier, createIpcCheckpoints } = require('./sync-barrier.cjs');
 
 // --- Click event tracker (injected into browser pages) ---
 
@@ -213,16 +232,25 @@ async function getClickEvents(page) {
  * Set up CDP session for capturing network and performance metrics.
  * Tracks network transfer sizes, request counts, and prepares for Performance API collection.
  * Supports both total session metrics and measurement-scoped metrics (between raceStart/raceEnd).
+ * Off Chromium only the in-page web vitals and frame timings are collected; CDP metrics are noted as unsupported.
  * @param {Page} page - Playwright page
  * @param {string} id - Browser identifier for logging
+ * @param {Object} support - Engine support tracker from createEngineSupport()
+ * @param {Object} [options]
+ * @param {boolean} [options.forceGc] - Collect garbage before every heap sample
+ * @param {string} [options.outputDir] - Where heap snapshots are written
  * @returns {Object} Metrics collector with methods to snapshot and collect
  */
-async function setupMetricsCollection(page, id) {
+async function setupMetricsCollection(page, id, support, { forceGc = false, outputDir = null } = {}) {
   // Running totals for network (accumulated via events)
   const networkTotals = {
     transferSize: 0,
     requestCount: 0
   };
+  // The same, split by resource type and first/third party
+  const resourceClassifier = createResourceClassifier();
+  const totalResources = emptyBreakdown();
+  let measuredResources = emptyBreakdown();
 
   // Snapshot taken at raceStart for computing deltas
   let startSnapshot = null;
@@ -232,26 +260,55 @@ async function setupMetricsCollection(page, id) {
   let isMeasuring = false;
 
   let client = null;
+  // Every request, for network.json and the player's waterfall
+  let networkLog = null;
+  // Heap at every raceStart/raceEnd, and the snapshots taken by page.raceHeapSnapshot()
+  let heapSampler = null;
+  const heapSnapshots = [];
+
+  if (!support.cdp) {
+    support.note('CDP performance metrics');
+  } else {
+    try {
+      client = await page.context().newCDPSession(page);
+      await client.send('Network.enable');
+      await client.send('Performance.enable');
+
+      // Track network transfer sizes
+      client.on('Network.requestWillBeSent', (params) => resourceClassifier.onRequestWillBeSent(params));
+      client.on('Network.loadingFinished', (params) => {
+        const size = params.encodedDataLength || 0;
+        networkTotals.transferSize += size;
+        networkTotals.requestCount++;
+        resourceClassifier.add(totalResources, params.requestId, size);
+        // Also track during measurement period
+        if (isMeasuring) {
+          measuredNetwork.transferSize += size;
+          measuredNetwork.requestCount++;
+          resourceClassifier.add(measuredResources, params.requestId, size);
+        }
+        resourceClassifier.forget(params.requestId);
+      });
 
-  try {
-    client = await page.context().newCDPSession(page);
-    await client.send('Network.enable');
-    await client.send('Performance.enable');
-
-    // Track network transfer sizes
-    client.on('Network.loadingFinished', (params) => {
-      const size = params.encodedDataLength || 0;
-      networkTotals.transferSize += size;
-      networkTotals.requestCount++;
-      // Also track during measurement period
-      if (isMeasuring) {
-        measuredNetwork.transferSize += size;
-        measuredNetwork.requestCount++;
+      networkLog = createNetworkLog();
+      for (const event of networkLog.events) {
+        client.on(event, (params) => networkLog.handle(event, params));
       }
-    });
 
+      await client.send('HeapProfiler.enable');
+      heapSampler = createHeapSampler(client, { forceGc });
+
+    } catch (error) {
+      console.error(`[${id}] Warning: metrics collection setup failed: ${error.message}`);
+    }
+  }
+
+  // Frame rate sampling needs no CDP, so smoothness is measured on every engine
+  let frameSampler = null;
+  try {
+    frameSampler = await installFrameSampler(page);
   } catch (error) {
-    console.error(`[${id}] Warning: metrics collection setup failed: ${error.message}`);
+    console.error(`[${id}] Warning: frame sampling setup failed: ${error.message}`);
   }
 
   /**
@@ -286,7 +343,19 @@ async function setupMetricsCollection(page, id) {
     async startMeasurement() {
       startSnapshot = await getCdpMetrics();
       measuredNetwork = { transferSize: 0, requestCount: 0 };
+      measuredResources = emptyBreakdown();
       isMeasuring = true;
+      await frameSampler?.start();
+    },
+
+    /**
+     * Measure again after every measurement has ended (a raceStart after a
+     * raceEnd): resumes the measured network totals and frame sampling,
+     * keeping what the earlier measurements collected.
+     */
+    async resumeMeasurement() {
+      isMeasuring = true;
+      await frameSampler?.start();
     },
 
     /**
@@ -294,6 +363,39 @@ async function setupMetricsCollection(page, id) {
      */
     stopMeasurement() {
       isMeasuring = false;
+      frameSampler?.stop();
+    },
+
+    /**
+     * Sample the JS heap for a raceStart/raceEnd (`phase` 'start' or 'end').
+     * raceEnd doesn't wait for it; collect() and heapReport() do.
+     */
+    sampleHeap(name, phase, time) {
+      return heapSampler ? heapSampler.sample(name, phase, time) : Promise.resolve();
+    },
+
+    /**
+     * Write a heap snapshot named after `name` to the output directory.
+     * Resolves to the file name, or null without CDP.
+     */
+    async heapSnapshot(name) {
+      if (!heapSampler || !outputDir) return null;
+      const base = String(name).replace(/[^\w.-]+/g, '-') || 'snapshot';
+      let fileName = `${base}.heapsnapshot`;
+      for (let n = 2; heapSnapshots.includes(fileName); n++) fileName = `${base}-${n}.heapsnapshot`;
+      heapSnapshots.push(fileName);
+      await heapSampler.snapshot(path.join(outputDir, fileName));
+      return fileName;
+    },
+
+    /**
+     * Heap samples, growth per repeated measurement with the leak flag (see
+     * analyzeHeapGrowth) and snapshot file names, or null without CDP.
+     */
+    async heapReport() {
+      if (!heapSampler) return null;
+      const samples = await heapSampler.samples();
+      return { samples, ...analyzeHeapGrowth(samples), snapshots: heapSnapshots };
     },
 
     /**
@@ -303,8 +405,8 @@ async function setupMetricsCollection(page, id) {
     async collect() {
       const result = {
         total: {
-          networkTransferSize: networkTotals.transferSize,
-          networkRequestCount: networkTotals.requestCount,
+          networkTransferSize: support.cdp ? networkTotals.transferSize : null,
+          networkRequestCount: support.cdp ? networkTotals.requestCount : null,
           ttfb: null,
           fcp: null,
           lcp: null,
@@ -315,18 +417,50 @@ async function setupMetricsCollection(page, id) {
           scriptDuration: null,
           layoutDuration: null,
           recalcStyleDuration: null,
-          taskDuration: null
+          taskDuration: null,
+          // Filled in from the trace by addMainThreadMetrics()
+          totalBlockingTime: null,
+          longTaskCount: null,
+          longestTask: null,
+          inp: null
         },
         measured: {
-          networkTransferSize: measuredNetwork.transferSize,
-          networkRequestCount: measuredNetwork.requestCount,
+          networkTransferSize: support.cdp ? measuredNetwork.transferSize : null,
+          networkRequestCount: support.cdp ? measuredNetwork.requestCount : null,
           scriptDuration: null,
           layoutDuration: null,
           recalcStyleDuration: null,
-          taskDuration: null
+          taskDuration: null,
+          totalBlockingTime: null,
+          longTaskCount: null,
+          longestTask: null,
+          inp: null,
+          averageFps: null,
+          droppedFrames: null,
+          p95FrameTime: null,
+          jankPeriods: null,
+          heapGrowth: null
         }
       };
 
+      if (heapSampler) {
+        result.measured.heapGrowth = measuredHeapGrowth(await heapSampler.samples());
+      }
+
+      // Per-type and per-party breakdown (null without CDP, like the network totals)
+      for (const key of Object.keys(totalResources)) {
+        result.total[key] = support.cdp ? totalResources[key] : null;
+        result.measured[key] = support.cdp ? measuredResources[key] : null;
+      }
+
+      if (frameSampler) {
+        try {
+          Object.assign(result.measured, await frameSampler.collect());
+        } catch (error) {
+          console.error(`[${id}] Warning: failed to collect frame timings: ${error.message}`);
+        }
+      }
+
       try {
         // Get navigation timing + web vitals from the page in a single evaluate
         const timing = await page.evaluate(() => {
@@ -389,6 +523,13 @@ async function setupMetricsCollection(page, id) {
       return result;
     },
 
+    /**
+     * The request log with times in seconds since `originMs`, or null without CDP.
+     */
+    networkRequests(originMs) {
+      return networkLog ? networkLog.entries(originMs) : null;
+    },
+
     /**
      * Detach the CDP session.
      */
@@ -420,17 +561,6 @@ function remapClickTimestamps(clickEvents, segments) {
   return adjusted;
 }
 
-// --- Script execution ---
-
-/** Fix smart quotes, non-breaking spaces, and line endings in user scripts. */
-function sanitizeScript(script) {
-  return script
-    .replace(/[\u2018\u2019]/g, "'")
-    .replace(/[\u201C\u201D]/g, '"')
-    .replace(/[\u00A0\u2000-\u200B\u202F\u205F\u3000]/g, ' ')
-    .replace(/\r\n?/g, '\n');
-}
-
 // --- Race API (marker mode) ---
 
 /**
@@ -441,6 +571,10 @@ function sanitizeScript(script) {
  *   await page.raceRecordingStart()   — manually start a video segment (async: syncs)
  *   page.raceRecordingEnd()           — manually end a video segment (sync)
  *   page.raceMessage(text)            — send a message to the CLI terminal (sync)
+ *   await page.raceSetOffline(bool)   — take the racer's network offline / back online (async)
+ *   await page.raceRoute(pattern, fixture) — answer matching requests from a fixture (async)
+ *   await page.raceHeapSnapshot(name) — write <name>.heapsnapshot, Chromium only (async)
+ *   page.raceBaseUrl                  — URL of the racer's server from settings.serve, or null
  *   await page.raceWaitForVisualStability(opts?) — wait for rendering to settle (async)
  *
  * raceStart/raceEnd are async/sync respectively because starting requires
@@ -450,9 +584,13 @@ function sanitizeScript(script) {
  * If no explicit raceRecordingStart/End calls are made, recording automatically
  * wraps from the first raceStart to the last raceEnd.
  *
+ * Module race files (config.module) get the same API without the prefix as
+ * `race`: `export default async ({ page, race }) => { await race.start('Load'); }`
+ * (see race-script.cjs).
+ *
  * Returns { segments, measurements } for video trimming and result comparison.
  */
-async function runMarkerMode(page, context, config, barriers, isParallel, sharedState, recordingStartTime, noOverlay = false, metricsCollector = null, noRecording = false) {
+async function runMarkerMode(page, context, config, barriers, isParallel, sharedState, recordingStartTime, noOverlay = false, metricsCollector = null, noRecording = false, support = createEngineSupport()) {
   const { id, script: raceScript } = config;
 
   const segments = [];
@@ -569,6 +707,8 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
     const lastMeasurement = measurements[measurements.length - 1];
     const endTime = lastMeasurement ? lastMeasurement.endTime : (Date.now() - recordingStartTime) / 1000;
     sharedState.finishOrder.push({ id, endTime });
+    // Isolated racers share their finish with the other runner processes
+    sharedState.onFinish?.({ id, endTime });
     if (noOverlay || noRecording) return;
 
     if (isParallel) {
@@ -636,6 +776,7 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
   const startMeasure = async (name = 'default') => {
     if (raceStartTime === null) raceStartTime = Date.now();
     activeMeasurements[name] = (Date.now() - recordingStartTime) / 1000;
+    events.emit('raceStart', { id, name, elapsed: (Date.now() - raceStartTime) / 1000 });
     await markTrace(`${traceMarkPrefix}measure:start:${encodeMeasureName(name)}`);
   };
 
@@ -647,6 +788,7 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
     measurements.push({ name, startTime: start, endTime: end, duration });
     delete activeMeasurements[name];
     queueTraceMark(`${traceMarkPrefix}measure:end:${encodeMeasureName(name)}`);
+    events.emit('raceEnd', { id, name, duration, elapsed: (Date.now() - raceStartTime) / 1000 });
     showFinishTime(duration);
     return end - start;
   };
@@ -660,9 +802,22 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
     } else if (typeof text !== 'string') {
       text = String(text);
     }
-    const elapsed = raceStartTime ? ((Date.now() - raceStartTime) / 1000).toFixed(1) : '0.0';
-    console.error(`[${id}] __raceMessage__[${elapsed}]:${text}`);
+    const elapsed = raceStartTime ? Math.round((Date.now() - raceStartTime) / 100) / 10 : 0;
+    console.error(`[${id}] Message (${elapsed.toFixed(1)}s): ${text}`);
+    events.emit('message', { id, text, elapsed });
+  };
+  page.raceBaseUrl = config.baseUrl || null;
+  page.raceSetOffline = async (offline = true) => { await context.setOffline(!!offline); };
+  page.raceHeapSnapshot = async (name = 'snapshot') => {
+    if (!support.cdp) {
+      support.note('heap snapshots');
+      return null;
+    }
+    const fileName = metricsCollector ? await metricsCollector.heapSnapshot(name) : null;
+    if (fileName) console.error(`[${id}] Heap snapshot saved: ${fileName}`);
+    return fileName;
   };
+  page.raceRoute = async (pattern, fixture) => { await page.route(pattern, toRouteHandler(fixture, config.raceDir || process.cwd())); };
   page.raceRecordingStart = async () => { hasExplicitRecording = true; await startRecording(); };
   page.raceRecordingEnd = async () => { hasExplicitRecording = true; await stopRecording(); };
   page.raceStart = async (name = 'default') => {
@@ -670,14 +825,20 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
       autoRecordingStarted = true;
       await startRecording();
     }
-    // Start metrics measurement on first raceStart
+    // Start metrics measurement on first raceStart, and resume it when a
+    // measurement starts after all earlier ones ended
     if (metricsCollector && raceStartTime === null) {
       await metricsCollector.startMeasurement();
+    } else if (metricsCollector && Object.keys(activeMeasurements).length === 0) {
+      await metricsCollector.resumeMeasurement();
     }
+    // Before the stopwatch starts, so a forced GC isn't timed
+    if (metricsCollector) await metricsCollector.sampleHeap(name, 'start', (Date.now() - recordingStartTime) / 1000);
     await startMeasure(name);
   };
   page.raceEnd = (name = 'default') => {
     const duration = endMeasure(name);
+    metricsCollector?.sampleHeap(name, 'end', (Date.now() - recordingStartTime) / 1000);
     // Stop metrics measurement when the last measurement ends
     if (metricsCollector && Object.keys(activeMeasurements).length === 0) {
       metricsCollector.stopMeasurement();
@@ -690,6 +851,10 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
 
   page.raceWaitForVisualStability = async (opts = {}) => {
     const callStart = Date.now();
+    if (!support.cdp) {
+      support.note('visual stability check');
+      return { stable: false, elapsed: 0 };
+    }
     try {
       if (!cdpSession) {
         cdpSession = await page.context().newCDPSession(page);
@@ -739,6 +904,7 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
     clsObs.observe({ type: 'layout-shift', buffered: true });
   });
 
+  events.emit('ready', { id });
   if (isParallel && barriers) {
     const result = await barriers.ready.wait(`${id} ready`);
     if (result?.aborted) {
@@ -750,11 +916,13 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
 
   // SECURITY: Race scripts execute with the full privileges of this Node.js
   // process. Only run scripts you trust — this is equivalent to `node <file>`.
-  const sanitized = sanitizeScript(raceScript);
   try {
-    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-    const fn = new AsyncFunction('page', '__startRecording', '__stopRecording', '__startMeasure', '__endMeasure', sanitized);
-    await fn(page, startRecording, stopRecording, startMeasure, endMeasure);
+    await runRaceScript(page, { script: raceScript, scriptPath: config.scriptPath, module: config.module }, {
+      __startRecording: startRecording,
+      __stopRecording: stopRecording,
+      __startMeasure: startMeasure,
+      __endMeasure: endMeasure,
+    });
   } catch (error) {
     console.error(`[${id}] Script failed: ${error.message}`);
     throw new Error(`Script execution failed: ${error.message}`);
@@ -779,21 +947,26 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
 
 // --- Network & CPU throttling ---
 
-const NETWORK_PRESETS = {
-  'none': null,
-  'slow-3g': { downloadThroughput: 500 * 1024 / 8, uploadThroughput: 500 * 1024 / 8, latency: 400 },
-  'fast-3g': { downloadThroughput: 1500 * 1024 / 8, uploadThroughput: 750 * 1024 / 8, latency: 150 },
-  '4g': { downloadThroughput: 4000 * 1024 / 8, uploadThroughput: 3000 * 1024 / 8, latency: 50 },
-};
-
-async function applyThrottling(page, throttle, id) {
+/**
+ * Apply network and CPU throttling. `throttle.conditions` is the network
+ * profile already resolved and validated by race.js (see cli/network.js).
+ * Going offline works on every engine; everything else needs CDP.
+ */
+async function applyThrottling(page, throttle, id, support) {
   if (!throttle) return;
+  const profile = throttle.conditions || null;
+  if (profile?.offline) await page.context().setOffline(true);
+  const shaped = profile && !profile.offline ? profile : null;
+  if (!support.cdp) {
+    if (shaped) support.note('network throttling');
+    if (throttle.cpu > 1) support.note('CPU throttling');
+    return;
+  }
   try {
     const client = await page.context().newCDPSession(page);
-    const net = NETWORK_PRESETS[throttle.network];
-    if (net) {
+    if (shaped) {
       await client.send('Network.enable');
-      await client.send('Network.emulateNetworkConditions', { offline: false, ...net });
+      await client.send('Network.emulateNetworkConditions', toCdpNetworkConditions(shaped));
     }
     if (throttle.cpu > 1) {
       await client.send('Emulation.setCPUThrottlingRate', { rate: throttle.cpu });
@@ -847,18 +1020,26 @@ function calculateWindowLayout(index, total) {
 
 // --- Profiling & trimming helpers ---
 
-async function startProfiling(page, browser, id) {
-  const metricsCollector = await setupMetricsCollection(page, id);
-  await browser.startTracing(page, { screenshots: true, categories: ['devtools.timeline', 'blink.user_timing'] });
+async function startProfiling(page, browser, id, support, options) {
+  const metricsCollector = await setupMetricsCollection(page, id, support, options);
+  if (support.cdp) {
+    await browser.startTracing(page, { screenshots: true, categories: ['devtools.timeline', 'blink.user_timing', 'toplevel'] });
+  } else {
+    support.note('performance tracing');
+  }
   return metricsCollector;
 }
 
-async function collectProfilingResults(browser, metricsCollector, outputDir, id) {
+async function collectProfilingResults(browser, metricsCollector, outputDir, id, support, recordingStartTime) {
   let profileMetrics = null;
   if (metricsCollector) {
     profileMetrics = await metricsCollector.collect();
     await metricsCollector.detach();
+    // Times relative to the recording start line the requests up with the video
+    const networkRequests = metricsCollector.networkRequests(recordingStartTime);
+    if (networkRequests) fs.writeFileSync(path.join(outputDir, 'network.json'), JSON.stringify(networkRequests, null, 2));
   }
+  if (!support.cdp) return { tracePath: null, profileMetrics, traceText: null };
   const traceBuffer = await browser.stopTracing();
   const tracePath = path.join(outputDir, `${id}.trace.json`);
   fs.writeFileSync(tracePath, traceBuffer);
@@ -870,6 +1051,51 @@ async function collectProfilingResults(browser, metricsCollector, outputDir, id)
   };
 }
 
+/**
+ * Start JS/CSS code coverage for the race (Chromium only).
+ * Returns the recorder, or null when coverage isn't available.
+ */
+async function startCodeCoverage(page, id, support) {
+  if (!support.cdp) {
+    support.note('code coverage');
+    return null;
+  }
+  try {
+    return await startCoverage(page);
+  } catch (error) {
+    console.error(`[${id}] Warning: code coverage setup failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stop code coverage and save the full report as coverage.json.
+ * Returns the js/css/total sums for the summary (without the file list), or null.
+ */
+async function saveCodeCoverage(coverageRecorder, outputDir, id) {
+  if (!coverageRecorder) return null;
+  try {
+    const report = await coverageRecorder.stop();
+    fs.writeFileSync(path.join(outputDir, 'coverage.json'), JSON.stringify(report, null, 2));
+    return { js: report.js, css: report.css, total: report.total };
+  } catch (error) {
+    console.error(`[${id}] Warning: failed to collect code coverage: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Add long-task and interaction metrics from the trace to the collected
+ * profile metrics (both scopes). Leaves them null when there is no trace.
+ */
+function addMainThreadMetrics(profileMetrics, trace, measurements) {
+  if (!profileMetrics || !trace) return;
+  const mainThread = analyzeMainThread(trace, measurements);
+  if (!mainThread) return;
+  Object.assign(profileMetrics.total, mainThread.total);
+  if (mainThread.measured) Object.assign(profileMetrics.measured, mainThread.measured);
+}
+
 function trimVideoWithFfmpeg(outputDir, trimSegments, id) {
   const videoFile = getMostRecentVideo(outputDir);
   if (!videoFile) return null;
@@ -885,37 +1111,59 @@ function trimVideoWithFfmpeg(outputDir, trimSegments, id) {
  * Called N times (once per racer) by runParallel or runSequential.
  */
 async function runBrowserRecording(config, barriers, isParallel, sharedState, opts = {}) {
-  const { browserIndex = 0, totalBrowsers = 2, throttle = null, slowmo = 0, noOverlay = false, noRecording = false, ffmpeg = false, recordingsDir = null } = opts;
-  const { id, headless } = config;
+  const { browserIndex = 0, totalBrowsers = 2, slowmo = 0, noOverlay = false, noRecording = false, ffmpeg = false, recordingsDir = null, forceGc = false, coverage: recordCoverage = false } = opts;
+  const { id, headless, browser: engine, viewport = null, userAgent = null, locale = null, har = null, recordHar = null, baseUrl = null, device = null } = config;
+  // Per-racer throttle (from settings.json `racers`) wins over the race-wide one
+  const throttle = config.throttle || opts.throttle || null;
   const outputDir = recordingsDir ? path.join(recordingsDir, id) : path.join(__dirname, 'recordings', id);
   let browser = null;
   let context = null;
   let error = null;
+  let support = null;
 
   fs.mkdirSync(outputDir, { recursive: true });
   cleanupOldVideos(outputDir);
 
   const layout = calculateWindowLayout(browserIndex, totalBrowsers);
-  const windowArgs = isParallel
-    ? [`--window-position=${layout.x},${layout.y}`, `--window-size=${layout.width},${layout.height}`]
-    : [];
 
   try {
+    support = createEngineSupport(engine || undefined, id);
+    // Window placement flags are Chromium command-line switches
+    const windowArgs = isParallel && support.engine === 'chromium'
+      ? [`--window-position=${layout.x},${layout.y}`, `--window-size=${layout.width},${layout.height}`]
+      : [];
     const launchOpts = { headless: headless || false, args: windowArgs };
     if (slowmo > 0) launchOpts.slowMo = slowmo * SLOWMO_MULTIPLIER;
-    browser = await chromium.launch(launchOpts);
+    browser = await playwright[support.engine].launch(launchOpts);
     activeBrowsers.push(browser);
 
-    const viewportWidth = isParallel ? layout.width - 20 : 1280;
-    const viewportHeight = isParallel ? layout.height - 100 : 720;
+    // An explicit viewport wins over the device's, which wins over the window layout
+    const viewportWidth = viewport?.width || device?.viewport.width || (isParallel ? layout.width - 20 : 1280);
+    const viewportHeight = viewport?.height || device?.viewport.height || (isParallel ? layout.height - 100 : 720);
     const videoScale = slowmo > 0 ? 2 : 1;
     const contextCreationStart = Date.now();
     const contextOpts = {
       viewport: { width: viewportWidth, height: viewportHeight },
     };
+    if (device) {
+      contextOpts.deviceScaleFactor = device.deviceScaleFactor;
+      contextOpts.hasTouch = device.hasTouch;
+      // Firefox has no mobile viewport emulation (meta viewport, isMobile)
+      if (device.isMobile && support.engine === 'firefox') support.note('mobile viewport emulation');
+      else contextOpts.isMobile = device.isMobile;
+    }
+    if (userAgent || device) contextOpts.userAgent = userAgent || device.userAgent;
+    if (locale) contextOpts.locale = locale;
+    // The racer's server from settings.serve, so page.goto('/') works
+    if (baseUrl) contextOpts.baseURL = baseUrl;
     if (!noRecording) {
       contextOpts.recordVideo = { dir: outputDir, size: { width: viewportWidth * videoScale, height: viewportHeight * videoScale } };
     }
+    if (recordHar) {
+      // Written when the context closes
+      fs.mkdirSync(path.dirname(recordHar), { recursive: true });
+      contextOpts.recordHar = { path: recordHar, mode: 'full', content: 'embed' };
+    }
     context = await browser.newContext(contextOpts);
     const recordingStartTime = Date.now();
     const recordingOffset = (recordingStartTime - contextCreationStart) / 1000;
@@ -925,20 +1173,31 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
     page.setDefaultTimeout(PAGE_TIMEOUT_MS);
     page.setDefaultNavigationTimeout(PAGE_TIMEOUT_MS);
 
+    if (har) {
+      await context.routeFromHAR(har.path, { notFound: har.notFound });
+      console.error(`[${id}] Replaying ${path.basename(har.path)} (unmatched requests: ${har.notFound})`);
+    }
     await setupClickTracker(context, recordingStartTime);
-    await applyThrottling(page, throttle, id);
+    await applyThrottling(page, throttle, id, support);
 
-    const metricsCollector = await startProfiling(page, browser, id);
+    const metricsCollector = await startProfiling(page, browser, id, support, { forceGc, outputDir });
 
-    const result = await runMarkerMode(page, context, config, barriers, isParallel, sharedState, recordingStartTime, noOverlay, metricsCollector, noRecording);
+    // Opt-in: V8 block coverage deoptimizes page JavaScript and skews the timings
+    const coverageRecorder = recordCoverage ? await startCodeCoverage(page, id, support) : null;
+    const result = await runMarkerMode(page, context, config, barriers, isParallel, sharedState, recordingStartTime, noOverlay, metricsCollector, noRecording, support);
+    const coverage = await saveCodeCoverage(coverageRecorder, outputDir, id);
+    const heap = await metricsCollector.heapReport();
     const markerSegments = result?.segments || [];
     const markerMeasurements = result?.measurements || [];
 
-    const { tracePath, profileMetrics, traceText } = await collectProfilingResults(browser, metricsCollector, outputDir, id);
-    const traceTiming = deriveTraceTiming(traceText);
+    const { tracePath, profileMetrics, traceText } = await collectProfilingResults(browser, metricsCollector, outputDir, id, support, recordingStartTime);
+    // Parsed once: trace files run to tens of MB
+    const trace = toTraceObject(traceText);
+    const traceTiming = deriveTraceTiming(trace);
     const traceSegments = traceTiming?.recordingSegments || [];
     const recordingSegments = traceSegments.length > 0 ? traceSegments : markerSegments;
     const measurements = traceTiming?.measurements?.length > 0 ? traceTiming.measurements : markerMeasurements;
+    addMainThreadMetrics(profileMetrics, trace, traceTiming?.measurements);
 
     const clickEvents = await getClickEvents(page);
     const clickSegments = markerSegments.length > 0 ? markerSegments : recordingSegments;
@@ -949,6 +1208,7 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
     activeContexts = activeContexts.filter(ctx => ctx !== context);
     context = null;
     console.error(`[${id}] Context closed`);
+    events.emit('closed', { id });
 
     await browser.close();
     activeBrowsers = activeBrowsers.filter(b => b !== browser);
@@ -957,12 +1217,17 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
     if (noRecording) {
       return {
         id,
+        browser: support.engine,
+        unsupported: support.unsupported,
+        viewport: contextOpts.viewport,
         videoPath: null,
         fullVideoPath: null,
         tracePath: tracePath ? path.join(id, path.basename(tracePath)) : null,
         clickEvents: adjustedClicks,
         measurements,
         profileMetrics,
+        coverage,
+        heap,
         recordingSegments: null,
         recordingOffset,
         wallClockDuration,
@@ -989,12 +1254,17 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
 
     return {
       id,
+      browser: support.engine,
+      unsupported: support.unsupported,
+      viewport: contextOpts.viewport,
       videoPath: videoFile ? path.join(id, videoFile) : null,
       fullVideoPath: fullVideoFile ? path.join(id, fullVideoFile) : null,
       tracePath: tracePath ? path.join(id, path.basename(tracePath)) : null,
       clickEvents: adjustedClicks,
       measurements,
       profileMetrics,
+      coverage,
+      heap,
       recordingSegments: recordingSegments.length > 0 ? recordingSegments : null,
       recordingOffset,
       wallClockDuration,
@@ -1005,6 +1275,7 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
   } catch (e) {
     error = e;
     console.error(`[${id}] Error: ${e.message}`);
+    events.emit('error', { id, message: e.message });
     if (sharedState) { sharedState.hasError = true; sharedState.errorMessage = e.message; }
     if (barriers) {
       barriers.ready.releaseAll();
@@ -1018,12 +1289,16 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
 
   return {
     id,
+    browser: support ? support.engine : engine || null,
+    unsupported: support ? support.unsupported : [],
     videoPath: null,
     fullVideoPath: null,
     tracePath: null,
     clickEvents: [],
     measurements: [],
     profileMetrics: null,
+    coverage: null,
+    heap: null,
     recordingSegments: null,
     error: error ? error.message : null
   };
@@ -1052,12 +1327,22 @@ async function runParallel(browserConfigs, opts = {}) {
   });
 }
 
-async function runSequential(browserConfigs, opts = {}) {
+/**
+ * --isolate: race one racer in this process, in parallel with the runner
+ * processes race.js started for the others; checkpoints go over IPC.
+ */
+async function runIsolated(config, opts, racerIndex, racerCount) {
+  if (!process.send) throw new Error('--isolate runners must be started by race.js (no IPC channel)');
+  const { barriers, sharedState } = createIpcCheckpoints(process);
+  return [await runBrowserRecording(config, barriers, true, sharedState, { ...opts, browserIndex: racerIndex, totalBrowsers: racerCount })];
+}
+
+async function runSequential(browserConfigs, opts = {}, order = null) {
   const sharedState = { hasError: false, errorMessage: null, finishOrder: [] };
-  const results = [];
-  for (let i = 0; i < browserConfigs.length; i++) {
-    const result = await runBrowserRecording(browserConfigs[i], null, false, sharedState, { ...opts, browserIndex: i, totalBrowsers: browserConfigs.length });
-    results.push(result);
+  // Results stay in racer order whatever order they ran in
+  const results = new Array(browserConfigs.length);
+  for (const i of order || browserConfigs.keys()) {
+    results[i] = await runBrowserRecording(browserConfigs[i], null, false, sharedState, { ...opts, browserIndex: i, totalBrowsers: browserConfigs.length });
   }
   return results;
 }
@@ -1075,8 +1360,9 @@ async function main() {
   try { config = JSON.parse(configJson); }
   catch (e) { console.error('Error: Invalid JSON:', e.message); process.exit(1); }
 
-  const { browsers, executionMode, throttle, headless, slowmo, noOverlay, noRecording, ffmpeg, recordingsDir } = config;
-  const runOpts = { throttle, slowmo, noOverlay, noRecording, ffmpeg, recordingsDir };
+  const { browsers, executionMode, order, throttle, headless, slowmo, noOverlay, noRecording, ffmpeg, recordingsDir, forceGc, coverage, isolate, racerIndex = 0, racerCount = browsers.length, eventFd = null } = config;
+  events = createEventChannel(eventFd);
+  const runOpts = { throttle, slowmo, noOverlay, noRecording, ffmpeg, recordingsDir, forceGc, coverage };
 
   // Set headless flag on all browser configs
   for (const browser of browsers) {
@@ -1088,25 +1374,31 @@ async function main() {
 
   let results;
   try {
-    results = executionMode === 'parallel'
-      ? await runParallel(browsers, runOpts)
-      : await runSequential(browsers, runOpts);
+    if (isolate) results = await runIsolated(browsers[0], runOpts, racerIndex, racerCount);
+    else if (executionMode === 'parallel') results = await runParallel(browsers, runOpts);
+    else results = await runSequential(browsers, runOpts, order);
   } catch (error) {
     results = browsers.map(b => ({ id: b.id, videoPath: null, error: error.message }));
   }
 
   const errors = results.filter(r => r.error).map(r => `${r.id}: ${r.error}`);
 
-  // Output in new array-based format
-  console.log(JSON.stringify({
+  // Output in new array-based format: the result event race.js reads, and a
+  // copy on stdout for anyone running the runner by hand
+  const output = {
     browsers: results.map(r => ({
       id: r.id,
+      browser: r.browser || null,
+      unsupported: r.unsupported || [],
+      viewport: r.viewport || null,
       videoPath: r.videoPath || null,
       fullVideoPath: r.fullVideoPath || null,
       tracePath: r.tracePath || null,
       clickEvents: r.clickEvents || [],
       measurements: r.measurements || [],
       profileMetrics: r.profileMetrics || null,
+      coverage: r.coverage || null,
+      heap: r.heap || null,
       recordingSegments: r.recordingSegments || null,
       recordingOffset: r.recordingOffset || 0,
       wallClockDuration: r.wallClockDuration || 0,
@@ -1115,7 +1407,9 @@ async function main() {
       error: r.error || null
     })),
     errors: errors.length > 0 ? errors : undefined
-  }));
+  };
+  events.emit('result', output);
+  console.log(JSON.stringify(output));
 
   process.exit(errors.length > 0 ? 1 : 0);
 }
@@ -1124,6 +1418,7 @@ async function main() {
 if (require.main === module) {
   main().catch(err => {
     console.error('Fatal error:', err);
+    events.emit('result', { browsers: [], errors: [err.message] });
     console.log(JSON.stringify({ browsers: [], errors: [err.message] }));
     process.exit(1);
   });
@@ -4,6 +4,10 @@
  * Blocks until `count` callers have called wait(), then releases all.
  * Used to synchronize browsers at key moments (ready, recording start, stop).
  *
+ * With --isolate every racer runs in its own runner process, and the same
+ * checkpoints are kept over the IPC channel to race.js instead: IpcBarrier
+ * reports an arrival and waits for race.js to release it (see cli/isolation.js).
+ *
  * Extracted from runner.cjs for testability and separation of concerns.
  */
 
@@ -57,4 +61,85 @@ class SyncBarrier {
   }
 }
 
-module.exports = { SyncBarrier };
+/**
+ * IpcBarrier — a SyncBarrier whose other waiters live in other processes.
+ * wait() tells race.js this racer reached the checkpoint and resolves when
+ * race.js releases it; releaseAll() reports this racer's failure so the
+ * others stop waiting too.
+ */
+class IpcBarrier {
+  constructor(name, channel, sharedState, onAbort) {
+    this.name = name;
+    this.channel = channel;
+    this.sharedState = sharedState;
+    this.onAbort = onAbort;
+    this.released = false;
+    this.resolvers = [];
+  }
+
+  /** Resolve every waiter; called when race.js releases or aborts the checkpoint. */
+  release(aborted) {
+    if (aborted) this.released = true;
+    this.resolvers.forEach(r => r({ aborted }));
+    this.resolvers = [];
+  }
+
+  releaseAll() {
+    if (this.released) return;
+    this.release(true);
+    this.onAbort();
+  }
+
+  async wait(label = '') {
+    if (this.released || this.sharedState?.hasError) return { aborted: true };
+    return new Promise(resolve => {
+      this.resolvers.push(resolve);
+      this.channel.send({ type: 'checkpoint', checkpoint: this.name, label });
+    });
+  }
+}
+
+/**
+ * Checkpoints for a runner process that races one racer of an isolated race.
+ * Returns { barriers, sharedState } shaped like runParallel's, where
+ * sharedState.onFinish() shares this racer's finish with the other processes
+ * and their finishes land in sharedState.finishOrder.
+ * @param {ChildProcess|NodeJS.Process} channel - the process's IPC channel
+ */
+function createIpcCheckpoints(channel = process) {
+  let aborted = false;
+  const sharedState = {
+    hasError: false,
+    errorMessage: null,
+    finishOrder: [],
+    onFinish: (entry) => channel.send({ type: 'finish', ...entry }),
+  };
+  const onAbort = () => {
+    if (aborted) return;
+    aborted = true;
+    channel.send({ type: 'abort', message: sharedState.errorMessage });
+  };
+  const barriers = {
+    ready: new IpcBarrier('ready', channel, sharedState, onAbort),
+    recordingStart: new IpcBarrier('recordingStart', channel, sharedState, onAbort),
+    stop: new IpcBarrier('stop', channel, sharedState, onAbort),
+  };
+
+  channel.on('message', (msg) => {
+    if (msg.type === 'release') {
+      barriers[msg.checkpoint]?.release(false);
+    } else if (msg.type === 'abort') {
+      // Another racer failed; nobody reports back, race.js already knows
+      aborted = true;
+      sharedState.hasError = true;
+      sharedState.errorMessage = msg.message || null;
+      Object.values(barriers).forEach(b => b.release(true));
+    } else if (msg.type === 'finish') {
+      sharedState.finishOrder.push({ id: msg.id, endTime: msg.endTime });
+    }
+  });
+
+  return { barriers, sharedState };
+}
+
+module.exports = { SyncBarrier, IpcBarrier, createIpcCheckpoints };
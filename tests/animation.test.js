@@ -78,6 +78,27 @@ describe('RaceAnimation', () => {
     anim.stop();
   });
 
+  it('marks warm-up runs as not scored', () => {
+    const anim = new RaceAnimation(['a', 'b'], null, { warmup: true });
+    anim.start();
+    anim._tick();
+    anim.stop();
+    const output = stderrSpy.mock.calls.map(c => c[0]).join('');
+    expect(output).toContain('[WARM-UP]');
+    expect(output).toContain('warm-up lap, not scored');
+    expect(output).toContain('discarding results');
+    expect(output).not.toContain('Calculating results');
+  });
+
+  it('does not mark regular runs as warm-up', () => {
+    const anim = new RaceAnimation(['a', 'b']);
+    anim.start();
+    anim.stop();
+    const output = stderrSpy.mock.calls.map(c => c[0]).join('');
+    expect(output).not.toContain('WARM-UP');
+    expect(output).toContain('Calculating results');
+  });
+
   it('racerFinished is idempotent', () => {
     const anim = new RaceAnimation(['a', 'b']);
     anim.racerFinished(0);
@@ -121,6 +142,54 @@ describe('RaceAnimation', () => {
     expect(output).toContain('gamma');
     expect(output).toContain('vs');
   });
+
+  it('shows the measurement a racer is timing until its raceEnd', () => {
+    const anim = new RaceAnimation(['a', 'b']);
+    anim.measureStarted(1, 'Checkout', 0.5);
+    anim._tick();
+    expect(stderrSpy.mock.calls.map(c => c[0]).join('')).toContain('⏱ Checkout');
+
+    anim.measureEnded(1, 'Checkout', 1.2);
+    stderrSpy.mockClear();
+    anim._tick();
+    const output = stderrSpy.mock.calls.map(c => c[0]).join('');
+    expect(output).not.toContain('⏱ Checkout');
+    expect(output).toContain('1.200s');
+  });
+
+  it('puts every split on the lap board with the gap to the leader', () => {
+    const anim = new RaceAnimation(['a', 'b']);
+    expect(anim.lapLine(0)).toBeNull();
+    anim.measureEnded(0, 'Load', 1.5);
+    anim.measureEnded(1, 'Load', 1.25);
+    anim.measureStarted(0, 'Search');
+
+    const a = anim.lapLine(0);
+    expect(a).toContain('1.500s');
+    expect(a).toContain('+0.250s');
+    expect(a).toContain('⏱ Search');
+    const b = anim.lapLine(1);
+    expect(b).toContain(`${c.green}${c.bold}1.250s`);
+    expect(b).not.toContain('+');
+  });
+
+  it('keeps the latest split of a repeated measurement and the last few splits', () => {
+    const anim = new RaceAnimation(['a']);
+    for (const [name, duration] of [['Load', 3], ['One', 1], ['Two', 1], ['Three', 1], ['Load', 2], ['Four', 1]]) {
+      anim.measureEnded(0, name, duration);
+    }
+    expect(anim.leaderTime('Load')).toBe(2);
+    const line = anim.lapLine(0);
+    expect(line).toContain('…');
+    expect(line).not.toContain('One');
+    expect(line).toMatch(/Three.*Load.*2\.000s.*Four/);
+  });
+
+  it('ignores raceEnd without a duration', () => {
+    const anim = new RaceAnimation(['a']);
+    anim.measureEnded(0, 'Load', undefined);
+    expect(anim.lapLine(0)).toBeNull();
+  });
 });
 
 describe('startProgress', () => {
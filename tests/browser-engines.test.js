@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { BROWSER_ENGINES, supportsCdp, createEngineSupport } = require('../browser-engines.cjs');
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('supportsCdp', () => {
+  it('is true only for chromium', () => {
+    expect(supportsCdp('chromium')).toBe(true);
+    expect(supportsCdp('firefox')).toBe(false);
+    expect(supportsCdp('webkit')).toBe(false);
+  });
+});
+
+describe('createEngineSupport', () => {
+  it('lists all three Playwright engines', () => {
+    expect(BROWSER_ENGINES).toEqual(['chromium', 'firefox', 'webkit']);
+  });
+
+  it('defaults to chromium with CDP', () => {
+    const support = createEngineSupport();
+    expect(support.engine).toBe('chromium');
+    expect(support.cdp).toBe(true);
+    expect(support.unsupported).toEqual([]);
+  });
+
+  it('throws on unknown engines', () => {
+    expect(() => createEngineSupport('netscape')).toThrow('Unknown browser engine "netscape"');
+  });
+
+  it('records each unsupported feature once and logs it', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const support = createEngineSupport('webkit', 'safari-racer');
+    support.note('network throttling');
+    support.note('network throttling');
+    support.note('performance tracing');
+
+    expect(support.cdp).toBe(false);
+    expect(support.unsupported).toEqual(['network throttling', 'performance tracing']);
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[0][0]).toBe('[safari-racer] network throttling unsupported on webkit, skipping');
+  });
+});
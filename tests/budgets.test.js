@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { validateBudgets, checkBudgets, printBudgetReport, BUDGET_EXIT_CODE } from '../cli/budgets.js';
+
+const racers = ['baseline', 'candidate'];
+
+function makeSummary(overrides = {}) {
+  return {
+    racers,
+    timestamp: '2026-01-01T10:00:00.000Z',
+    comparisons: [
+      { name: 'Render', racers: [{ duration: 1.5 }, { duration: 1.0 }], winner: 'candidate', diffPercent: 50 },
+    ],
+    errors: [],
+    profileComparison: null,
+    ...overrides,
+  };
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('validateBudgets', () => {
+  it('accepts missing budgets and valid rules', () => {
+    expect(() => validateBudgets(undefined, racers)).not.toThrow();
+    expect(() => validateBudgets({ Render: { max: 1.2, maxDiffPercent: 10, winner: 'candidate' } }, racers)).not.toThrow();
+    expect(() => validateBudgets({ Render: { max: { candidate: 1.2 } } }, racers)).not.toThrow();
+  });
+
+  it('rejects unknown rules, racers and bad limits', () => {
+    expect(() => validateBudgets([], racers)).toThrow(/must be an object/);
+    expect(() => validateBudgets({ Render: 1.2 }, racers)).toThrow(/Budget "Render" must be an object/);
+    expect(() => validateBudgets({ Render: { min: 1 } }, racers)).toThrow(/unknown rule "min"/);
+    expect(() => validateBudgets({ Render: { winner: 'nobody' } }, racers)).toThrow(/winner "nobody" is not a racer/);
+    expect(() => validateBudgets({ Render: { max: { nobody: 1 } } }, racers)).toThrow(/unknown racer "nobody"/);
+    expect(() => validateBudgets({ Render: { max: -1 } }, racers)).toThrow(/non-negative number/);
+    expect(() => validateBudgets({ Render: { maxDiffPercent: '10' } }, racers)).toThrow(/non-negative number/);
+  });
+});
+
+describe('checkBudgets', () => {
+  it('checks max against every racer', () => {
+    const report = checkBudgets(makeSummary(), { Render: { max: 1.2 } });
+    expect(report.failed).toBe(1);
+    expect(report.passed).toBe(1);
+    const failure = report.results.find(r => !r.passed);
+    expect(failure).toMatchObject({ target: 'Render', rule: 'max', racer: 'baseline', limit: 1.2, actual: 1.5 });
+    expect(failure.message).toBe('baseline 1.500s > 1.200s');
+  });
+
+  it('checks a per-racer max only for the named racers', () => {
+    const report = checkBudgets(makeSummary(), { Render: { max: { candidate: 1.2 } } });
+    expect(report.results).toHaveLength(1);
+    expect(report.failed).toBe(0);
+  });
+
+  it('fails max when a racer has no result', () => {
+    const summary = makeSummary({ comparisons: [{ name: 'Render', racers: [null, { duration: 1.0 }], winner: 'candidate', diffPercent: null }] });
+    const report = checkBudgets(summary, { Render: { max: 2 } });
+    expect(report.results[0]).toMatchObject({ racer: 'baseline', passed: false, message: 'baseline has no result' });
+  });
+
+  it('checks maxDiffPercent against the spread', () => {
+    expect(checkBudgets(makeSummary(), { Render: { maxDiffPercent: 10 } }).failed).toBe(1);
+    expect(checkBudgets(makeSummary(), { Render: { maxDiffPercent: 60 } }).failed).toBe(0);
+  });
+
+  it('fails maxDiffPercent when there is no spread to check', () => {
+    const summary = makeSummary({ comparisons: [{ name: 'Render', racers: [null, { duration: 1.0 }], winner: 'candidate', diffPercent: null }] });
+    const report = checkBudgets(summary, { Render: { maxDiffPercent: 10 } });
+    expect(report.failed).toBe(1);
+    expect(report.results[0]).toMatchObject({ rule: 'maxDiffPercent', actual: null, passed: false, message: 'no spread: needs a result from at least two racers' });
+  });
+
+  it('checks the winner, treating a tie within noise as a failure', () => {
+    expect(checkBudgets(makeSummary(), { Render: { winner: 'candidate' } }).failed).toBe(0);
+    expect(checkBudgets(makeSummary(), { Render: { winner: 'baseline' } }).results[0].message)
+      .toBe('expected baseline to win, got candidate');
+
+    const tie = makeSummary({
+      comparisons: [{ name: 'Render', racers: [{ duration: 1.0 }, { duration: 1.01 }], winner: null, diffPercent: 1, significance: { significant: false } }],
+    });
+    const result = checkBudgets(tie, { Render: { winner: 'candidate' } }).results[0];
+    expect(result.passed).toBe(false);
+    expect(result.actual).toBe('tie (within noise)');
+  });
+
+  it('checks profile metrics by key', () => {
+    const summary = makeSummary({
+      profileComparison: {
+        measured: { comparisons: [] },
+        total: { comparisons: [{ key: 'total.jsHeapUsedSize', values: [20e6, 30e6], winner: 'baseline', diffPercent: 50 }] },
+      },
+    });
+    const report = checkBudgets(summary, { 'total.jsHeapUsedSize': { max: 25e6, winner: 'baseline' } });
+    expect(report.results.map(r => r.passed)).toEqual([true, false, true]);
+  });
+
+  it('fails budgets whose target was never measured', () => {
+    const report = checkBudgets(makeSummary(), { Missing: { max: 1 } });
+    expect(report.results).toEqual([
+      expect.objectContaining({ target: 'Missing', rule: 'measured', passed: false, message: '"Missing" was not measured' }),
+    ]);
+  });
+});
+
+describe('printBudgetReport', () => {
+  it('prints one line when everything passed and each failure otherwise', () => {
+    const writes = [];
+    vi.spyOn(process.stderr, 'write').mockImplementation((s) => { writes.push(s); return true; });
+    printBudgetReport(checkBudgets(makeSummary(), { Render: { max: 2 } }));
+    expect(writes.join('')).toContain('all 2 checks passed');
+
+    writes.length = 0;
+    printBudgetReport(checkBudgets(makeSummary(), { Render: { max: 1.2, winner: 'baseline' } }));
+    const out = writes.join('');
+    expect(out).toContain('2 failed');
+    expect(out).toContain('baseline 1.500s > 1.200s');
+    expect(out).toContain('expected baseline to win');
+  });
+});
+
+describe('BUDGET_EXIT_CODE', () => {
+  it('is distinct from success and a failed race', () => {
+    expect(BUDGET_EXIT_CODE).not.toBe(0);
+    expect(BUDGET_EXIT_CODE).not.toBe(1);
+  });
+});
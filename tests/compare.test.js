@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadResults, parseLabels, planCompareRacers, findRacerVideos, buildCompareSummary } from '../cli/compare.js';
+import { buildMarkdownSummary } from '../cli/summary.js';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-compare-'));
+  try { fn(tmpDir); } finally { fs.rmSync(tmpDir, { recursive: true, force: true }); }
+}
+
+function writeSummary(dir, summary) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summary));
+}
+
+const source = (dir, racers, durations, extra = {}) => ({
+  dir,
+  runs: null,
+  summary: {
+    timestamp: '2026-01-01T10:00:00.000Z',
+    racers,
+    comparisons: [{ name: 'Load', racers: durations.map(d => (d == null ? null : { duration: d })) }],
+    errors: [],
+    ...extra,
+  },
+});
+
+describe('loadResults', () => {
+  it('loads summary.json and the runs of a multi-run folder', () => {
+    withTmpDir(dir => {
+      writeSummary(dir, { racers: ['a', 'b'], comparisons: [], runs: 2 });
+      writeSummary(path.join(dir, '1'), { racers: ['a', 'b'], comparisons: [] });
+      writeSummary(path.join(dir, '2'), { racers: ['a', 'b'], comparisons: [] });
+      const loaded = loadResults(dir);
+      expect(loaded.summary.racers).toEqual(['a', 'b']);
+      expect(loaded.runs).toHaveLength(2);
+    });
+  });
+
+  it('throws for a folder without a race summary', () => {
+    withTmpDir(dir => {
+      expect(() => loadResults(dir)).toThrow(/No summary.json/);
+      fs.writeFileSync(path.join(dir, 'summary.json'), '{"hello": 1}');
+      expect(() => loadResults(dir)).toThrow(/is not a race summary/);
+    });
+  });
+});
+
+describe('parseLabels', () => {
+  it('defaults to a and b', () => {
+    expect(parseLabels(undefined)).toEqual(['a', 'b']);
+  });
+
+  it('parses two distinct labels', () => {
+    expect(parseLabels('release, candidate')).toEqual(['release', 'candidate']);
+  });
+
+  it('rejects one label, duplicates and path characters', () => {
+    expect(() => parseLabels('release')).toThrow(/Invalid labels/);
+    expect(() => parseLabels('x,x')).toThrow(/Invalid labels/);
+    expect(() => parseLabels('../x,y')).toThrow(/Invalid labels/);
+  });
+});
+
+describe('planCompareRacers', () => {
+  it('keeps distinct names and labels shared ones', () => {
+    const entries = planCompareRacers([source('/A', ['app', 'old'], []), source('/B', ['app', 'new'], [])], ['a', 'b']);
+    expect(entries.map(e => e.name)).toEqual(['app-a', 'old', 'app-b', 'new']);
+    expect(entries[2]).toMatchObject({ side: 1, racer: 'app', index: 0 });
+  });
+
+  it('restricts to the named racers', () => {
+    const entries = planCompareRacers([source('/A', ['app', 'rival'], []), source('/B', ['app', 'rival'], [])], ['release', 'candidate'], ['app']);
+    expect(entries.map(e => e.name)).toEqual(['app-release', 'app-candidate']);
+  });
+
+  it('throws when fewer than two racers remain', () => {
+    expect(() => planCompareRacers([source('/A', ['app'], []), source('/B', ['rival'], [])], ['a', 'b'], ['app']))
+      .toThrow('Need at least 2 racers to compare, found 1 matching app');
+  });
+});
+
+describe('findRacerVideos', () => {
+  it('finds the videos of a single run', () => {
+    withTmpDir(dir => {
+      fs.mkdirSync(path.join(dir, 'app'));
+      fs.writeFileSync(path.join(dir, 'app', 'app.race.webm'), '');
+      expect(findRacerVideos({ dir, summary: {}, runs: null }, 'app')).toEqual({ race: path.join(dir, 'app', 'app.race.webm'), full: null });
+    });
+  });
+
+  it('uses the run closest to the median for multi-run folders', () => {
+    withTmpDir(dir => {
+      fs.mkdirSync(path.join(dir, '2', 'app'), { recursive: true });
+      fs.writeFileSync(path.join(dir, '2', 'app', 'app.race.webm'), '');
+      const run = (d) => ({ racers: ['app'], comparisons: [{ name: 'Load', racers: [{ duration: d }] }] });
+      const median = { racers: ['app'], comparisons: [{ name: 'Load', racers: [{ duration: 2 }] }] };
+      const found = findRacerVideos({ dir, summary: median, runs: [run(1), run(2), run(3)] }, 'app');
+      expect(found.race).toBe(path.join(dir, '2', 'app', 'app.race.webm'));
+    });
+  });
+});
+
+describe('buildCompareSummary', () => {
+  const labels = ['release', 'candidate'];
+
+  it('matches measurements by name and crowns a winner', () => {
+    const sources = [source('/r/A', ['app', 'rival'], [1.2, 1.5]), source('/r/B', ['app', 'rival'], [1.0, 1.5])];
+    const entries = planCompareRacers(sources, labels, ['app']);
+    const summary = buildCompareSummary(sources, entries, labels, '/r/compare');
+    expect(summary.racers).toEqual(['app-release', 'app-candidate']);
+    expect(summary.comparisons[0]).toMatchObject({ name: 'Load', winner: 'app-candidate', rankings: ['app-candidate', 'app-release'] });
+    expect(summary.overallWinner).toBe('app-candidate');
+    expect(summary.compared).toEqual([
+      { label: 'release', dir: '/r/A', timestamp: '2026-01-01T10:00:00.000Z', runs: 1 },
+      { label: 'candidate', dir: '/r/B', timestamp: '2026-01-01T10:00:00.000Z', runs: 1 },
+    ]);
+  });
+
+  it('leaves a racer empty for measurements only the other folder has', () => {
+    const a = source('/A', ['app'], [1.0]);
+    const b = source('/B', ['app'], [1.1]);
+    b.summary.comparisons.push({ name: 'Checkout', racers: [{ duration: 2 }] });
+    const summary = buildCompareSummary([a, b], planCompareRacers([a, b], labels), labels, '/out');
+    const checkout = summary.comparisons.find(x => x.name === 'Checkout');
+    expect(checkout.racers).toEqual([null, { duration: 2 }]);
+    expect(checkout.winner).toBeNull();
+  });
+
+  it('tests significance when both folders have run samples', () => {
+    const withSamples = (dir, samples) => source(dir, ['app'], [], {
+      runs: samples.length,
+      comparisons: [{ name: 'Load', racers: [{ duration: samples[2], samples }] }],
+    });
+    const sources = [withSamples('/A', [1.0, 1.1, 1.2, 1.3, 1.4]), withSamples('/B', [1.05, 1.15, 1.25, 1.35, 1.45])];
+    const summary = buildCompareSummary(sources, planCompareRacers(sources, labels), labels, '/out');
+    expect(summary.comparisons[0].significance.significant).toBe(false);
+    expect(summary.comparisons[0].winner).toBeNull();
+    expect(summary.overallWinner).toBe('tie');
+  });
+
+  it('carries errors, engines and profile metrics over under the new names', () => {
+    const a = source('/A', ['app'], [1.0], { engines: { app: 'firefox' }, profileMetrics: [{ total: { lcp: 900 } }] });
+    const b = source('/B', ['app'], [null], { errors: ['app: timeout'], profileMetrics: [{ total: { lcp: 700 } }] });
+    const summary = buildCompareSummary([a, b], planCompareRacers([a, b], labels), labels, '/out');
+    expect(summary.errors).toEqual(['app-candidate: timeout']);
+    expect(summary.engines).toEqual({ 'app-release': 'firefox', 'app-candidate': 'chromium' });
+    expect(summary.profileComparison.total.comparisons.find(x => x.key === 'total.lcp').winner).toBe('app-candidate');
+  });
+
+  it('shows the compared folders in the markdown report', () => {
+    const sources = [source('/r/results-1', ['app'], [1.2]), source('/r/results-2', ['app'], [1.0])];
+    const summary = buildCompareSummary(sources, planCompareRacers(sources, labels), labels, '/r/compare');
+    const md = buildMarkdownSummary({ ...summary, profileComparison: null }, null);
+    expect(md).toContain('| **Compared** | release: results-1 vs candidate: results-2 |');
+    expect(md).not.toContain('**Mode**');
+  });
+});
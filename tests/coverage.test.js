@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { analyzeCoverage } = require('../coverage.cjs');
+
+// A 100-character script: the top level ran, one 40-character function never did,
+// and a 10-character block inside a function that ran was skipped
+function script(url, source = 'x'.repeat(100)) {
+  return {
+    url,
+    source,
+    functions: [
+      { functionName: '', isBlockCoverage: true, ranges: [{ startOffset: 0, endOffset: 100, count: 1 }] },
+      { functionName: 'unused', isBlockCoverage: true, ranges: [{ startOffset: 10, endOffset: 50, count: 0 }] },
+      { functionName: 'used', isBlockCoverage: true, ranges: [{ startOffset: 60, endOffset: 90, count: 3 }, { startOffset: 70, endOffset: 80, count: 0 }] },
+    ],
+  };
+}
+
+describe('analyzeCoverage', () => {
+  it('counts used JavaScript from nested V8 ranges, innermost first', () => {
+    const report = analyzeCoverage([script('https://example.com/app.js')], []);
+    expect(report.js).toEqual({ totalBytes: 100, usedBytes: 50, unusedBytes: 50, usedPercent: 50 });
+    expect(report.files).toEqual([
+      { url: 'https://example.com/app.js', type: 'js', totalBytes: 100, usedBytes: 50, unusedBytes: 50, usedPercent: 50 },
+    ]);
+  });
+
+  it('counts used CSS from merged, overlapping ranges', () => {
+    const report = analyzeCoverage([], [
+      { url: 'https://example.com/app.css', text: 'y'.repeat(200), ranges: [{ start: 0, end: 30 }, { start: 20, end: 50 }] },
+    ]);
+    expect(report.css).toEqual({ totalBytes: 200, usedBytes: 50, unusedBytes: 150, usedPercent: 25 });
+    expect(report.total).toEqual(report.css);
+  });
+
+  it('unions a script loaded twice and adds up different inline scripts under one URL', () => {
+    const ranTheRest = {
+      url: 'https://example.com/app.js',
+      source: 'x'.repeat(100),
+      functions: [{ functionName: '', isBlockCoverage: true, ranges: [{ startOffset: 0, endOffset: 100, count: 1 }] }],
+    };
+    const report = analyzeCoverage([
+      script('https://example.com/app.js'),
+      ranTheRest,
+      script('https://example.com/', 'a'.repeat(100)),
+      script('https://example.com/', 'b'.repeat(100)),
+    ], []);
+    const app = report.files.find(f => f.url === 'https://example.com/app.js');
+    const inline = report.files.find(f => f.url === 'https://example.com/');
+    expect(app).toMatchObject({ totalBytes: 100, usedBytes: 100 });
+    expect(inline).toMatchObject({ totalBytes: 200, usedBytes: 100 });
+    expect(report.js).toMatchObject({ totalBytes: 300, usedBytes: 200 });
+  });
+
+  it('skips Playwright evaluation scripts and sourceless entries', () => {
+    const report = analyzeCoverage([
+      script('__playwright_evaluation_script__1'),
+      script(''),
+      { url: 'https://example.com/worker.js', functions: [] },
+    ], []);
+    expect(report.files).toEqual([]);
+    expect(report.total).toEqual({ totalBytes: 0, usedBytes: 0, unusedBytes: 0, usedPercent: null });
+  });
+
+  it('sorts files by unused bytes, largest first', () => {
+    const report = analyzeCoverage([script('https://example.com/small.js')], [
+      { url: 'https://example.com/big.css', text: 'y'.repeat(500), ranges: [] },
+    ]);
+    expect(report.files.map(f => f.url)).toEqual(['https://example.com/big.css', 'https://example.com/small.js']);
+    expect(report.total).toMatchObject({ totalBytes: 600, usedBytes: 50, unusedBytes: 550 });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { resolveDevice } from '../cli/devices.js';
+
+describe('resolveDevice', () => {
+  it('returns null without a device', () => {
+    expect(resolveDevice(null)).toBeNull();
+    expect(resolveDevice(undefined)).toBeNull();
+  });
+
+  it('resolves a Playwright device to the options the runner emulates', () => {
+    const device = resolveDevice('Pixel 7');
+    expect(device).toMatchObject({ name: 'Pixel 7', isMobile: true, hasTouch: true });
+    expect(device.viewport.height).toBeGreaterThan(device.viewport.width);
+    expect(device.deviceScaleFactor).toBeGreaterThan(1);
+    expect(device.userAgent).toContain('Mobile');
+    expect(device).not.toHaveProperty('defaultBrowserType');
+  });
+
+  it('matches names case-insensitively', () => {
+    expect(resolveDevice('  pixel 7 ').name).toBe('Pixel 7');
+  });
+
+  it('suggests similar devices for an unknown name', () => {
+    const devices = {
+      'Pixel 5': { viewport: { width: 393, height: 727 } },
+      'Pixel 5 landscape': { viewport: { width: 802, height: 293 } },
+      'Pixel 7': { viewport: { width: 412, height: 839 } },
+    };
+    expect(() => resolveDevice('Pixel', devices)).toThrow('Unknown device "Pixel", did you mean "Pixel 5", "Pixel 7"?');
+    expect(() => resolveDevice('Nokia 3310', devices)).toThrow('Unknown device "Nokia 3310", see Playwright\'s device list');
+    expect(() => resolveDevice({ width: 390 }, devices)).toThrow('Invalid device {"width":390}');
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventAnimation, eventProgress } from '../cli/events.js';
+import { race, resolveSettingsDefaults, readRaceSettings } from '../race.js';
+
+/** An emitter that records every event it emits, in order. */
+function recordingEmitter() {
+  const events = new EventEmitter();
+  const emitted = [];
+  const emit = events.emit.bind(events);
+  events.emit = (name, data) => { emitted.push([name, data]); return emit(name, data); };
+  return { events, emitted };
+}
+
+describe('EventAnimation', () => {
+  it('emits start, message, measure and finish events instead of drawing', () => {
+    const { events, emitted } = recordingEmitter();
+    const animation = new EventAnimation(events, ['lauda', 'hunt'], 'parallel', { warmup: true });
+    animation.start();
+    animation.addMessage(1, 'hunt', 'Go!', '1.25');
+    animation.measureStarted(0, 'Load', 0);
+    animation.measureEnded(0, 'Load', 2.5);
+    animation.racerFinished(0);
+    animation.racerFinished(0);
+    expect(emitted).toEqual([
+      ['start', { racers: ['lauda', 'hunt'], info: 'parallel', warmup: true }],
+      ['message', { racer: 'hunt', index: 1, text: 'Go!', elapsed: 1.25 }],
+      ['measureStart', { racer: 'lauda', index: 0, name: 'Load', elapsed: 0 }],
+      ['measureEnd', { racer: 'lauda', index: 0, name: 'Load', duration: 2.5 }],
+      ['finish', { racer: 'lauda', index: 0 }],
+    ]);
+  });
+
+  it('marks every racer finished on stop', () => {
+    const animation = new EventAnimation(new EventEmitter(), ['a', 'b']);
+    animation.stop();
+    expect(animation.finished).toEqual([true, true]);
+    expect(animation.interval).toBeNull();
+  });
+});
+
+describe('eventProgress', () => {
+  it('emits a progress event when a step starts and ends', () => {
+    const { events, emitted } = recordingEmitter();
+    const step = eventProgress(events)('Converting…');
+    step.update('Converting 2/3…');
+    step.done();
+    eventProgress(events)('Merging…').fail('Merge failed');
+    expect(emitted).toEqual([
+      ['progress', { message: 'Converting…', done: false }],
+      ['progress', { message: 'Converting 2/3…', done: true }],
+      ['progress', { message: 'Merging…', done: false }],
+      ['progress', { message: 'Merge failed', done: true, failed: true }],
+    ]);
+  });
+});
+
+describe('resolveSettingsDefaults', () => {
+  it('fills in every default without touching the input', () => {
+    const settings = { runs: 3 };
+    const resolved = resolveSettingsDefaults(settings);
+    expect(settings).toEqual({ runs: 3 });
+    expect(resolved).toMatchObject({
+      runs: 3, warmup: 0, parallel: false, isolate: false, ci: false, headless: false,
+      format: 'webm', network: 'none', cpuThrottle: 1, browser: 'chromium', slowmo: 0, coverage: false,
+    });
+  });
+
+  it('runs isolated races in parallel and headless in CI', () => {
+    expect(resolveSettingsDefaults({ isolate: true, ci: true })).toMatchObject({ parallel: true, headless: true });
+  });
+
+  it('picks a seed for shuffled run orders', () => {
+    expect(resolveSettingsDefaults({ runOrder: 'shuffle' }).seed).toEqual(expect.any(Number));
+    expect(resolveSettingsDefaults({ runOrder: 'shuffle', seed: 42 }).seed).toBe(42);
+  });
+});
+
+describe('readRaceSettings', () => {
+  it('reads settings.json, or {} without one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-settings-'));
+    try {
+      expect(readRaceSettings(dir)).toEqual({});
+      fs.writeFileSync(path.join(dir, 'settings.json'), '{ "runs": 3 }');
+      expect(readRaceSettings(dir)).toEqual({ runs: 3 });
+      fs.writeFileSync(path.join(dir, 'settings.json'), '{ runs: 3 }');
+      expect(() => readRaceSettings(dir)).toThrow(/Could not parse settings.json/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('race()', () => {
+  it('rejects a missing race directory', async () => {
+    await expect(race(path.join(os.tmpdir(), 'no-such-race-dir'))).rejects.toThrow(/Race directory not found/);
+  });
+
+  it('rejects inline races with too few or too many racers', async () => {
+    await expect(race({ solo: 'await page.goto("about:blank");' })).rejects.toThrow('Need 2 to 5 racers, got 1');
+    const six = Object.fromEntries(['a', 'b', 'c', 'd', 'e', 'f'].map(n => [n, '']));
+    await expect(race(six)).rejects.toThrow('Need 2 to 5 racers, got 6');
+  });
+
+  it('rejects inline racers without a script', async () => {
+    await expect(race({ a: 'await page.goto("about:blank");', b: null })).rejects.toThrow('Every racer needs a script string');
+  });
+
+  it('rejects an unknown browser engine before any racer runs', async () => {
+    const scripts = { a: 'await page.goto("about:blank");', b: 'await page.goto("about:blank");' };
+    await expect(race(scripts, { settings: { browser: 'chrome' } })).rejects.toThrow('a: unknown browser "chrome", valid values: chromium, firefox, webkit');
+    await expect(race(scripts, { settings: { racers: { b: { browser: 'safari' } } } })).rejects.toThrow('b: unknown browser "safari"');
+  });
+
+  it('rejects anything else', async () => {
+    await expect(race(42)).rejects.toThrow(/needs a race directory/);
+  });
+});
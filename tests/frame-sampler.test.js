@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { analyzeFrames, analyzeFrameWindows, installFrameSampler } = require('../frame-sampler.cjs');
+
+/** Timestamps for frames with the given intervals, starting at `start` ms. */
+function framesFrom(intervals, start = 1000) {
+  const times = [start];
+  for (const interval of intervals) times.push(times[times.length - 1] + interval);
+  return times;
+}
+
+describe('analyzeFrames', () => {
+  it('reports a steady 60fps with nothing dropped', () => {
+    const out = analyzeFrames(framesFrom(new Array(60).fill(1000 / 60)));
+    expect(out.averageFps).toBeCloseTo(60, 5);
+    expect(out.droppedFrames).toBe(0);
+    expect(out.p95FrameTime).toBeCloseTo(16.67, 1);
+    expect(out.jankPeriods).toBe(0);
+  });
+
+  it('counts dropped frames against the display frame budget', () => {
+    const intervals = new Array(40).fill(16.7);
+    intervals[10] = 33.4; // one frame missed
+    intervals[20] = 50.1; // two frames missed
+    const out = analyzeFrames(framesFrom(intervals));
+    expect(out.droppedFrames).toBe(3);
+    expect(out.averageFps).toBeLessThan(60);
+  });
+
+  it('fits the frame budget to high refresh rate displays', () => {
+    const intervals = new Array(40).fill(1000 / 120);
+    intervals[5] = 1000 / 60;
+    expect(analyzeFrames(framesFrom(intervals)).droppedFrames).toBe(1);
+  });
+
+  it('merges back-to-back long frames into one jank period', () => {
+    const intervals = new Array(40).fill(16.7);
+    intervals[5] = 120;
+    intervals[6] = 80;
+    intervals[30] = 60;
+    const out = analyzeFrames(framesFrom(intervals));
+    expect(out.jankPeriods).toBe(2);
+    expect(out.p95FrameTime).toBe(60);
+  });
+
+  it('sorts timestamps from out-of-order batches', () => {
+    const times = framesFrom(new Array(20).fill(16.7));
+    expect(analyzeFrames([...times].reverse())).toEqual(analyzeFrames(times));
+  });
+
+  it('returns nulls without enough frames', () => {
+    const empty = { averageFps: null, droppedFrames: null, p95FrameTime: null, jankPeriods: null };
+    expect(analyzeFrames([])).toEqual(empty);
+    expect(analyzeFrames([1000])).toEqual(empty);
+  });
+});
+
+describe('analyzeFrameWindows', () => {
+  it("doesn't count the time between windows as a frame", () => {
+    const out = analyzeFrameWindows([
+      framesFrom(new Array(30).fill(1000 / 60), 1000),
+      framesFrom(new Array(30).fill(1000 / 60), 5000),
+    ]);
+    expect(out.averageFps).toBeCloseTo(60, 5);
+    expect(out.droppedFrames).toBe(0);
+    expect(out.jankPeriods).toBe(0);
+  });
+
+  it('counts jank in every window', () => {
+    const janky = new Array(30).fill(16.7);
+    janky[10] = 100;
+    const out = analyzeFrameWindows([framesFrom(janky, 1000), framesFrom(janky, 5000), [9000]]);
+    expect(out.jankPeriods).toBe(2);
+  });
+});
+
+describe('installFrameSampler', () => {
+  afterEach(() => vi.useRealTimers());
+
+  /** A stand-in page: the binding is called directly instead of from the rAF loop. */
+  function fakePage() {
+    const page = {
+      send: null,
+      exposeBinding: async (_name, fn) => { page.send = (message) => fn({}, message); },
+      addInitScript: async () => {},
+      evaluate: async () => {},
+    };
+    return page;
+  }
+
+  it('samples every measurement when they run one after another', async () => {
+    vi.useFakeTimers({ now: 1000 });
+    const page = fakePage();
+    const sampler = await installFrameSampler(page);
+
+    // raceStart('a') … raceEnd('a')
+    await sampler.start();
+    page.send({ frames: framesFrom(new Array(30).fill(1000 / 60), 1000) });
+    vi.setSystemTime(1600);
+    sampler.stop();
+    expect(page.send({ query: true })).toBe(false);
+
+    // Frames flushed from between the measurements don't count
+    page.send({ frames: [2000, 2200] });
+
+    // raceStart('b') … raceEnd('b'), with one stutter
+    vi.setSystemTime(3000);
+    await sampler.start();
+    expect(page.send({ query: true })).toBe(true);
+    const intervals = new Array(30).fill(1000 / 60);
+    intervals[15] = 100;
+    page.send({ frames: framesFrom(intervals, 3000) });
+    vi.setSystemTime(4000);
+    sampler.stop();
+
+    const out = await sampler.collect();
+    expect(out.jankPeriods).toBe(1);
+    expect(out.averageFps).toBeGreaterThan(50);
+    expect(out).toEqual(analyzeFrameWindows([
+      framesFrom(new Array(30).fill(1000 / 60), 1000),
+      framesFrom(intervals, 3000),
+    ]));
+  });
+
+  it('returns nulls when no measurement ran', async () => {
+    const sampler = await installFrameSampler(fakePage());
+    expect((await sampler.collect()).averageFps).toBeNull();
+  });
+});
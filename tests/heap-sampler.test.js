@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const { createHeapSampler, analyzeHeapGrowth, measuredHeapGrowth } = require('../heap-sampler.cjs');
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+/** raceStart/raceEnd samples for a measurement repeated with these end heap sizes. */
+function iterations(name, endSizes, { gc = true } = {}) {
+  return endSizes.flatMap((usedSize, i) => [
+    { name, phase: 'start', time: i, usedSize: usedSize - 10 * KB, gc },
+    { name, phase: 'end', time: i + 0.5, usedSize, gc },
+  ]);
+}
+
+/** A fake CDP session that records the calls it gets. */
+function fakeClient(heapSizes) {
+  const calls = [];
+  const listeners = new Map();
+  let next = 0;
+  return {
+    calls,
+    on(event, fn) { listeners.set(event, fn); },
+    off(event, fn) { if (listeners.get(event) === fn) listeners.delete(event); },
+    async send(method) {
+      calls.push(method);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      if (method === 'Runtime.getHeapUsage') return { usedSize: heapSizes[next++], totalSize: 64 * MB };
+      if (method === 'HeapProfiler.takeHeapSnapshot') {
+        listeners.get('HeapProfiler.addHeapSnapshotChunk')?.({ chunk: '{"snapshot":' });
+        listeners.get('HeapProfiler.addHeapSnapshotChunk')?.({ chunk: '{}}' });
+      }
+      return {};
+    },
+    listeners,
+  };
+}
+
+describe('analyzeHeapGrowth', () => {
+  it('flags a heap that grows iteration after iteration', () => {
+    const { series, leak } = analyzeHeapGrowth(iterations('open modal', [10 * MB, 10.5 * MB, 11 * MB, 11.5 * MB, 12 * MB]));
+    expect(leak).toBe(true);
+    expect(series).toEqual([{
+      name: 'open modal', iterations: 5, firstSize: 10 * MB, lastSize: 12 * MB,
+      growth: 2 * MB, growthPerIteration: 512 * KB, leak: true, unconfirmed: false,
+    }]);
+  });
+
+  it('only marks growth as unconfirmed without a garbage collection before each sample', () => {
+    const { series, leak } = analyzeHeapGrowth(iterations('open modal', [10 * MB, 10.5 * MB, 11 * MB, 11.5 * MB], { gc: false }));
+    expect(leak).toBe(false);
+    expect(series[0]).toMatchObject({ leak: false, unconfirmed: true });
+    const steady = analyzeHeapGrowth(iterations('steady', [10 * MB, 10 * MB, 10 * MB], { gc: false }));
+    expect(steady.series[0].unconfirmed).toBe(false);
+  });
+
+  it('does not flag a sawtooth heap, small growth or too few iterations', () => {
+    const sawtooth = analyzeHeapGrowth(iterations('a', [10 * MB, 14 * MB, 10.1 * MB, 14 * MB, 11 * MB]));
+    expect(sawtooth.leak).toBe(false);
+    const small = analyzeHeapGrowth(iterations('b', [10 * MB, 10 * MB + 50 * KB, 10 * MB + 100 * KB, 10 * MB + 150 * KB]));
+    expect(small.leak).toBe(false);
+    const twice = analyzeHeapGrowth(iterations('c', [10 * MB, 20 * MB]));
+    expect(twice.leak).toBe(false);
+    expect(twice.series[0].growthPerIteration).toBe(10 * MB);
+  });
+
+  it('keeps repeated measurements apart', () => {
+    const samples = [...iterations('leaky', [1 * MB, 2 * MB, 3 * MB]), ...iterations('steady', [5 * MB, 5 * MB, 5 * MB])];
+    const { series, leak } = analyzeHeapGrowth(samples);
+    expect(leak).toBe(true);
+    expect(series.map(s => [s.name, s.leak])).toEqual([['leaky', true], ['steady', false]]);
+  });
+
+  it('reports a single measurement without a per-iteration growth', () => {
+    expect(analyzeHeapGrowth(iterations('once', [3 * MB])).series[0]).toMatchObject({ iterations: 1, growth: 0, growthPerIteration: null, leak: false, unconfirmed: false });
+    expect(analyzeHeapGrowth([])).toEqual({ series: [], leak: false });
+  });
+});
+
+describe('measuredHeapGrowth', () => {
+  it('is the last raceEnd minus the first raceStart, never negative', () => {
+    expect(measuredHeapGrowth(iterations('a', [10 * MB, 12 * MB]))).toBe(2 * MB + 10 * KB);
+    expect(measuredHeapGrowth(iterations('a', [10 * MB, 5 * MB]))).toBe(0);
+    expect(measuredHeapGrowth([])).toBeNull();
+  });
+});
+
+describe('createHeapSampler', () => {
+  it('samples in call order, even when raceEnd does not wait', async () => {
+    const client = fakeClient([100, 200, 300]);
+    const sampler = createHeapSampler(client);
+    await sampler.sample('load', 'start', 0);
+    sampler.sample('load', 'end', 1.5);
+    sampler.sample('load', 'start', 1.6);
+    const samples = await sampler.samples();
+    expect(samples).toEqual([
+      { name: 'load', phase: 'start', time: 0, usedSize: 100, totalSize: 64 * MB, gc: false },
+      { name: 'load', phase: 'end', time: 1.5, usedSize: 200, totalSize: 64 * MB, gc: false },
+      { name: 'load', phase: 'start', time: 1.6, usedSize: 300, totalSize: 64 * MB, gc: false },
+    ]);
+    expect(client.calls).not.toContain('HeapProfiler.collectGarbage');
+  });
+
+  it('collects garbage before every sample with forceGc', async () => {
+    const client = fakeClient([100, 200]);
+    const sampler = createHeapSampler(client, { forceGc: true });
+    sampler.sample('a', 'start', 0);
+    sampler.sample('a', 'end', 1);
+    const samples = await sampler.samples();
+    expect(client.calls).toEqual(['HeapProfiler.collectGarbage', 'Runtime.getHeapUsage', 'HeapProfiler.collectGarbage', 'Runtime.getHeapUsage']);
+    expect(samples.every(s => s.gc)).toBe(true);
+  });
+
+  it('streams a heap snapshot to a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heap-'));
+    try {
+      const client = fakeClient([]);
+      const file = path.join(dir, 'after.heapsnapshot');
+      await createHeapSampler(client).snapshot(file);
+      expect(fs.readFileSync(file, 'utf-8')).toBe('{"snapshot":{}}');
+      expect(client.listeners.size).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps sampling after a failed CDP call', async () => {
+    const client = fakeClient([100]);
+    const send = client.send;
+    let failed = false;
+    client.send = async (method) => {
+      if (!failed) { failed = true; throw new Error('Target closed'); }
+      return send(method);
+    };
+    const sampler = createHeapSampler(client);
+    await sampler.sample('a', 'start', 0);
+    await sampler.sample('a', 'end', 1);
+    expect((await sampler.samples()).map(s => s.phase)).toEqual(['end']);
+  });
+});
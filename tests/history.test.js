@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRaceHistory, buildHistorySeries, detectRegressions, sparkline, buildHistoryReport, printHistory } from '../cli/history.js';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-history-'));
+  try { fn(tmpDir); } finally { fs.rmSync(tmpDir, { recursive: true, force: true }); }
+}
+
+function writeResult(raceDir, day, durations, extra = {}) {
+  const dir = path.join(raceDir, `results-2026-01-${String(day).padStart(2, '0')}_10-00-00`);
+  fs.mkdirSync(dir, { recursive: true });
+  const summary = {
+    timestamp: `2026-01-${String(day).padStart(2, '0')}T10:00:00.000Z`,
+    racers: ['a', 'b'],
+    comparisons: [{ name: 'Load', racers: durations.map(d => (d == null ? null : { duration: d })) }],
+    ...extra,
+  };
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summary));
+  return dir;
+}
+
+const entry = (dir, durations, name = 'Load') => ({
+  dir,
+  timestamp: '2026-01-01T00:00:00.000Z',
+  summary: { racers: ['a', 'b'], comparisons: [{ name, racers: durations.map(d => (d == null ? null : { duration: d })) }] },
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('loadRaceHistory', () => {
+  it('loads summaries oldest first', () => {
+    withTmpDir(dir => {
+      writeResult(dir, 3, [1.2, 2.0]);
+      writeResult(dir, 1, [1.0, 2.0]);
+      writeResult(dir, 2, [1.1, 2.0]);
+      const entries = loadRaceHistory(dir);
+      expect(entries.map(e => e.dir)).toEqual([
+        'results-2026-01-01_10-00-00',
+        'results-2026-01-02_10-00-00',
+        'results-2026-01-03_10-00-00',
+      ]);
+    });
+  });
+
+  it('skips folders without a readable summary', () => {
+    withTmpDir(dir => {
+      writeResult(dir, 1, [1.0, 2.0]);
+      fs.mkdirSync(path.join(dir, 'results-empty'));
+      fs.mkdirSync(path.join(dir, 'results-broken'));
+      fs.writeFileSync(path.join(dir, 'results-broken', 'summary.json'), '{ not json');
+      fs.mkdirSync(path.join(dir, 'other'));
+      expect(loadRaceHistory(dir)).toHaveLength(1);
+    });
+  });
+});
+
+describe('buildHistorySeries', () => {
+  it('lines up each racer per measurement, with gaps for missing data', () => {
+    const series = buildHistorySeries([entry('r1', [1.0, 2.0]), entry('r2', [1.1, null]), entry('r3', [1.2, 2.2])]);
+    expect(series).toEqual([
+      { name: 'Load', racer: 'a', values: [1.0, 1.1, 1.2] },
+      { name: 'Load', racer: 'b', values: [2.0, null, 2.2] },
+    ]);
+  });
+
+  it('picks up measurements that appear later', () => {
+    const series = buildHistorySeries([entry('r1', [1.0, 2.0]), entry('r2', [0.5, 0.6], 'Paint')]);
+    expect(series.find(s => s.name === 'Paint' && s.racer === 'a').values).toEqual([null, 0.5]);
+  });
+});
+
+describe('detectRegressions', () => {
+  it('flags results slower than the rolling median by more than the threshold', () => {
+    const regressions = detectRegressions([1.0, 1.02, 0.98, 1.01, 1.3], { threshold: 10 });
+    expect(regressions).toHaveLength(1);
+    expect(regressions[0].index).toBe(4);
+    expect(regressions[0].baseline).toBeCloseTo(1.005);
+    expect(regressions[0].changePercent).toBeCloseTo(29.35, 1);
+  });
+
+  it('respects the threshold', () => {
+    expect(detectRegressions([1.0, 1.0, 1.0, 1.15], { threshold: 20 })).toEqual([]);
+  });
+
+  it('needs at least two earlier results for a baseline', () => {
+    expect(detectRegressions([1.0, 5.0])).toEqual([]);
+  });
+
+  it('only looks back over the baseline window', () => {
+    // Slow creep: each step is under 10% of the previous two, but far above the first results
+    const values = [1.0, 1.0, 1.06, 1.12, 1.19, 1.26];
+    expect(detectRegressions(values, { threshold: 10, window: 2 })).toEqual([]);
+    expect(detectRegressions(values, { threshold: 10, window: 5 }).map(r => r.index)).toEqual([3, 4, 5]);
+  });
+
+  it('skips gaps', () => {
+    expect(detectRegressions([1.0, null, 1.0, null, 2.0]).map(r => r.index)).toEqual([4]);
+  });
+});
+
+describe('sparkline', () => {
+  it('scales values between the lowest and highest bar', () => {
+    expect(sparkline([1, 2, 3, 4, 5, 6, 7, 8])).toBe('▁▂▃▄▅▆▇█');
+  });
+
+  it('renders flat series and gaps', () => {
+    expect(sparkline([2, 2, null, 2])).toBe('▁▁ ▁');
+    expect(sparkline([])).toBe('');
+  });
+});
+
+describe('buildHistoryReport', () => {
+  it('summarizes latest, best and baseline per series', () => {
+    const entries = [entry('r1', [1.0, 2.0]), entry('r2', [0.9, 2.0]), entry('r3', [1.0, 2.0]), entry('r4', [1.5, 2.0])];
+    const report = buildHistoryReport(entries, { threshold: 10 });
+    const a = report.series.find(s => s.racer === 'a');
+    expect(a).toMatchObject({ latest: 1.5, best: 0.9, baseline: 1.0 });
+    expect(report.regressions).toEqual([
+      expect.objectContaining({ dir: 'r4', name: 'Load', racer: 'a', value: 1.5, baseline: 1.0 }),
+    ]);
+  });
+});
+
+describe('printHistory', () => {
+  const output = (spy) => spy.mock.calls.map(call => call[0]).join('').replace(/\x1b\[[0-9;]*m/g, '');
+
+  it('prints sparklines and regressions', () => {
+    const spy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    withTmpDir(dir => {
+      [1.0, 1.01, 1.02, 1.4].forEach((d, i) => writeResult(dir, i + 1, [d, 2.0]));
+      printHistory(dir, { threshold: 10 });
+    });
+    const text = output(spy);
+    expect(text).toContain('HISTORY');
+    expect(text).toContain('4 result(s)');
+    expect(text).toContain('⏱ Load');
+    expect(text).toContain('▁▁▁█');
+    expect(text).toContain('Regressions');
+    expect(text).toContain('results-2026-01-04_10-00-00  Load · a 1.400s vs 1.010s (+38.6%)');
+  });
+
+  it('reports when there is nothing to show', () => {
+    const spy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    withTmpDir(dir => printHistory(dir));
+    expect(output(spy)).toContain('No results found');
+  });
+});
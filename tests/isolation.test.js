@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import { createRequire } from 'module';
+import { splitRunnerConfig, createCheckpointHub, mergeRunnerOutputs } from '../cli/isolation.js';
+
+const require = createRequire(import.meta.url);
+const { createIpcCheckpoints } = require('../sync-barrier.cjs');
+
+/** A hub that records what it sends to each runner. */
+function recordingHub(count) {
+  const sent = Array.from({ length: count }, () => []);
+  const hub = createCheckpointHub(count, (i, message) => sent[i].push(message));
+  return { hub, sent };
+}
+
+describe('splitRunnerConfig', () => {
+  it('gives every racer its own config with its index', () => {
+    const config = { executionMode: 'parallel', isolate: true, browsers: [{ id: 'a' }, { id: 'b' }] };
+    expect(splitRunnerConfig(config)).toEqual([
+      { executionMode: 'parallel', isolate: true, browsers: [{ id: 'a' }], racerIndex: 0, racerCount: 2 },
+      { executionMode: 'parallel', isolate: true, browsers: [{ id: 'b' }], racerIndex: 1, racerCount: 2 },
+    ]);
+  });
+});
+
+describe('createCheckpointHub', () => {
+  it('releases a checkpoint once every racer reached it', () => {
+    const { hub, sent } = recordingHub(2);
+    hub.handle(0, { type: 'checkpoint', checkpoint: 'ready' });
+    expect(sent).toEqual([[], []]);
+    hub.handle(1, { type: 'checkpoint', checkpoint: 'ready' });
+    expect(sent).toEqual([[{ type: 'release', checkpoint: 'ready' }], [{ type: 'release', checkpoint: 'ready' }]]);
+
+    // Checkpoints can be reached again, e.g. a second recording segment
+    hub.handle(1, { type: 'checkpoint', checkpoint: 'recordingStart' });
+    hub.handle(0, { type: 'checkpoint', checkpoint: 'recordingStart' });
+    expect(sent[0].at(-1)).toEqual({ type: 'release', checkpoint: 'recordingStart' });
+  });
+
+  it('passes a failure on to the other racers and aborts later checkpoints', () => {
+    const { hub, sent } = recordingHub(3);
+    hub.handle(0, { type: 'checkpoint', checkpoint: 'ready' });
+    hub.handle(1, { type: 'abort', message: 'Script execution failed' });
+    expect(sent[0]).toEqual([{ type: 'abort', message: 'Script execution failed' }]);
+    expect(sent[1]).toEqual([]);
+    expect(sent[2]).toEqual([{ type: 'abort', message: 'Script execution failed' }]);
+
+    hub.handle(2, { type: 'checkpoint', checkpoint: 'ready' });
+    expect(sent[2].at(-1)).toEqual({ type: 'abort', message: 'Script execution failed' });
+  });
+
+  it('aborts when a runner exits mid-race, but not after the race finished', () => {
+    const crashed = recordingHub(2);
+    crashed.hub.handle(0, { type: 'checkpoint', checkpoint: 'stop' });
+    crashed.hub.exited(1, 'hunt');
+    expect(crashed.sent[0]).toEqual([{ type: 'abort', message: 'hunt runner exited before the race finished' }]);
+
+    const done = recordingHub(2);
+    done.hub.handle(0, { type: 'checkpoint', checkpoint: 'stop' });
+    done.hub.handle(1, { type: 'checkpoint', checkpoint: 'stop' });
+    done.hub.exited(0, 'lauda');
+    expect(done.sent[1]).toEqual([{ type: 'release', checkpoint: 'stop' }]);
+  });
+
+  it('shares each finish with the other racers', () => {
+    const { hub, sent } = recordingHub(2);
+    hub.handle(1, { type: 'finish', id: 'hunt', endTime: 2.5 });
+    expect(sent).toEqual([[{ type: 'finish', id: 'hunt', endTime: 2.5 }], []]);
+  });
+});
+
+describe('createIpcCheckpoints with the hub', () => {
+  /** Wire runner-side checkpoints to a hub through in-memory IPC channels. */
+  function connect(count) {
+    const channels = Array.from({ length: count }, () => new EventEmitter());
+    const hub = createCheckpointHub(count, (i, message) => queueMicrotask(() => channels[i].emit('message', message)));
+    channels.forEach((channel, i) => {
+      channel.send = (message) => queueMicrotask(() => hub.handle(i, message));
+    });
+    return channels.map(channel => createIpcCheckpoints(channel));
+  }
+
+  it('keeps runner processes in step at every checkpoint', async () => {
+    const [a, b] = connect(2);
+    let bReady = false;
+    const aWait = a.barriers.ready.wait('a ready').then(result => ({ result, bReady }));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    bReady = true;
+    const [aResult, bResult] = await Promise.all([aWait, b.barriers.ready.wait('b ready')]);
+    expect(aResult).toEqual({ result: { aborted: false }, bReady: true });
+    expect(bResult).toEqual({ aborted: false });
+  });
+
+  it('aborts the waiting racers when one fails', async () => {
+    const [a, b] = connect(2);
+    const waiting = a.barriers.stop.wait('a finished');
+    b.sharedState.hasError = true;
+    b.sharedState.errorMessage = 'boom';
+    b.barriers.ready.releaseAll();
+    b.barriers.recordingStart.releaseAll();
+    b.barriers.stop.releaseAll();
+    expect(await waiting).toEqual({ aborted: true });
+    expect(a.sharedState).toMatchObject({ hasError: true, errorMessage: 'boom' });
+    expect(await a.barriers.ready.wait('late')).toEqual({ aborted: true });
+  });
+
+  it('collects the other racers\' finishes for medal placement', async () => {
+    const [a, b] = connect(2);
+    b.sharedState.finishOrder.push({ id: 'b', endTime: 1.2 });
+    b.sharedState.onFinish({ id: 'b', endTime: 1.2 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(a.sharedState.finishOrder).toEqual([{ id: 'b', endTime: 1.2 }]);
+    expect(b.sharedState.finishOrder).toEqual([{ id: 'b', endTime: 1.2 }]);
+  });
+});
+
+describe('mergeRunnerOutputs', () => {
+  it('merges one result per runner in racer order', () => {
+    const merged = mergeRunnerOutputs([
+      { browsers: [{ id: 'lauda', measurements: [1], error: null }] },
+      { browsers: [{ id: 'hunt', measurements: [], error: 'Script execution failed' }], errors: ['hunt: Script execution failed'] },
+    ], ['lauda', 'hunt']);
+    expect(merged.browsers.map(b => b.id)).toEqual(['lauda', 'hunt']);
+    expect(merged.errors).toEqual(['hunt: Script execution failed']);
+  });
+
+  it('reports a runner without a result as an error', () => {
+    const merged = mergeRunnerOutputs([{ browsers: [{ id: 'lauda', error: null }] }, null], ['lauda', 'hunt']);
+    expect(merged.browsers[1]).toEqual({ id: 'hunt', videoPath: null, error: 'Runner process exited without a result' });
+    expect(merged.errors).toEqual(['hunt: Runner process exited without a result']);
+    expect(mergeRunnerOutputs([{ browsers: [{ id: 'a' }] }], ['a']).errors).toBeUndefined();
+  });
+});
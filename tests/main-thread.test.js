@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { analyzeMainThread } = require('../main-thread.cjs');
+
+const MAIN = { pid: 1, tid: 10 };
+const OTHER = { pid: 1, tid: 20 };
+
+function threadName({ pid, tid }, name) {
+  return { ph: 'M', name: 'thread_name', pid, tid, ts: 0, args: { name } };
+}
+
+function task(thread, ts, durMs, name = 'RunTask') {
+  return { ph: 'X', name, ...thread, ts, dur: durMs * 1000 };
+}
+
+function interaction(ts, interactionId, duration) {
+  return { ph: 'b', name: 'EventTiming', ...MAIN, ts, args: { data: { interactionId, duration, type: 'click' } } };
+}
+
+function buildTrace(events) {
+  return JSON.stringify({ traceEvents: [threadName(MAIN, 'CrRendererMain'), threadName(OTHER, 'Compositor'), ...events] });
+}
+
+describe('analyzeMainThread', () => {
+  it('computes blocking time, long tasks and the longest task on the main thread', () => {
+    const out = analyzeMainThread(buildTrace([
+      task(MAIN, 1_000_000, 30),
+      task(MAIN, 2_000_000, 120),
+      task(MAIN, 3_000_000, 80),
+      task(OTHER, 4_000_000, 500),
+    ]));
+    expect(out.total).toEqual({ totalBlockingTime: 100, longTaskCount: 2, longestTask: 120, inp: null });
+    expect(out.measured).toBeNull();
+  });
+
+  it('counts nested task events once', () => {
+    const out = analyzeMainThread(buildTrace([
+      task(MAIN, 1_000_000, 200, 'ThreadControllerImpl::DoWork'),
+      task(MAIN, 1_000_100, 190, 'ThreadControllerImpl::RunTask'),
+      task(MAIN, 1_000_200, 180),
+    ]));
+    expect(out.total.longTaskCount).toBe(1);
+    expect(out.total.totalBlockingTime).toBe(150);
+  });
+
+  it('uses every thread when the trace has no thread names', () => {
+    const out = analyzeMainThread(JSON.stringify({ traceEvents: [task(OTHER, 1_000_000, 60)] }));
+    expect(out.total.longTaskCount).toBe(1);
+  });
+
+  it('takes the slowest event per interaction and the worst interaction as INP', () => {
+    const out = analyzeMainThread(buildTrace([
+      interaction(1_000_000, 1, 40),
+      interaction(1_000_010, 1, 90),
+      interaction(2_000_000, 2, 150),
+      interaction(3_000_000, 0, 900),
+    ]));
+    expect(out.total.inp).toBe(150);
+  });
+
+  it('ignores the worst interaction per 50', () => {
+    const events = Array.from({ length: 60 }, (_, i) => interaction(1_000_000 + i * 1000, i + 1, i === 0 ? 800 : 100 + i));
+    expect(analyzeMainThread(buildTrace(events)).total.inp).toBe(159);
+  });
+
+  it('scopes measured metrics to tasks and interactions starting inside a measurement', () => {
+    const out = analyzeMainThread(buildTrace([
+      task(MAIN, 1_000_000, 300),
+      task(MAIN, 2_100_000, 70),
+      interaction(2_200_000, 1, 60),
+      task(MAIN, 5_000_000, 90),
+    ]), [{ startTraceTs: 2_000_000, endTraceTs: 3_000_000 }]);
+    expect(out.total.longTaskCount).toBe(3);
+    expect(out.measured).toEqual({ totalBlockingTime: 20, longTaskCount: 1, longestTask: 70, inp: 60 });
+  });
+
+  it('reports zero blocking time and no longest task for an idle measurement', () => {
+    const out = analyzeMainThread(buildTrace([task(MAIN, 1_000_000, 300)]), [{ startTraceTs: 5_000_000, endTraceTs: 6_000_000 }]);
+    expect(out.measured).toEqual({ totalBlockingTime: 0, longTaskCount: 0, longestTask: null, inp: null });
+  });
+
+  it('accepts a parsed trace and returns null for unreadable input', () => {
+    expect(analyzeMainThread({ traceEvents: [task(MAIN, 0, 60)] }).total.longTaskCount).toBe(1);
+    expect(analyzeMainThread('not json')).toBeNull();
+    expect(analyzeMainThread(null)).toBeNull();
+  });
+});
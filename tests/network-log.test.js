@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { createNetworkLog } = require('../network-log.cjs');
+
+// Monotonic CDP clock starts at 100s; the wall clock at 1_700_000_000s
+const WALL_OFFSET = 1_700_000_000 - 100;
+const ORIGIN_MS = (WALL_OFFSET + 100) * 1000;
+
+function sent(requestId, url, timestamp, extra = {}) {
+  return ['Network.requestWillBeSent', {
+    requestId, timestamp, wallTime: timestamp + WALL_OFFSET, type: 'Script',
+    request: { url, method: 'GET', initialPriority: 'High' },
+    initiator: { type: 'parser', url: 'https://example.com/', lineNumber: 11 },
+    ...extra,
+  }];
+}
+
+function record(events) {
+  const log = createNetworkLog();
+  for (const [method, params] of events) log.handle(method, params);
+  return log.entries(ORIGIN_MS);
+}
+
+describe('createNetworkLog', () => {
+  it('subscribes to the CDP events it understands', () => {
+    expect(createNetworkLog().events).toEqual(expect.arrayContaining(['Network.requestWillBeSent', 'Network.loadingFinished']));
+  });
+
+  it('records a request with status, size, priority, initiator and timing phases', () => {
+    const [entry] = record([
+      sent('1', 'https://cdn.example.com/app.js', 100.5),
+      ['Network.responseReceived', { requestId: '1', response: {
+        status: 200, mimeType: 'text/javascript', protocol: 'h2',
+        timing: { requestTime: 100.51, dnsStart: 0, dnsEnd: 20, connectStart: 20, connectEnd: 60, sslStart: 30, sslEnd: 60, sendStart: 61, sendEnd: 62, receiveHeadersEnd: 162 },
+      } }],
+      ['Network.loadingFinished', { requestId: '1', timestamp: 100.8, encodedDataLength: 4096 }],
+    ]);
+    expect(entry).toMatchObject({
+      url: 'https://cdn.example.com/app.js', method: 'GET', type: 'script', status: 200,
+      mimeType: 'text/javascript', protocol: 'h2', priority: 'High', transferSize: 4096,
+      cache: null, failed: null, initiator: { type: 'parser', url: 'https://example.com/', line: 12 },
+    });
+    expect(entry.startTime).toBeCloseTo(0.5, 6);
+    expect(entry.endTime).toBeCloseTo(0.8, 6);
+    expect(entry.duration).toBeCloseTo(300, 6);
+    const t = entry.timing;
+    expect(t.blocked).toBeCloseTo(10, 6);
+    expect(t).toMatchObject({ dns: 20, connect: 40, ssl: 30, send: 1, wait: 100 });
+    expect(t.receive).toBeCloseTo(128, 6);
+  });
+
+  it('marks cache hits and failures', () => {
+    const entries = record([
+      sent('1', 'https://example.com/logo.png', 101, { type: 'Image' }),
+      ['Network.requestServedFromCache', { requestId: '1' }],
+      ['Network.responseReceived', { requestId: '1', response: { status: 200, fromDiskCache: true } }],
+      ['Network.loadingFinished', { requestId: '1', timestamp: 101.001, encodedDataLength: 0 }],
+      sent('2', 'https://ads.example.com/tag.js', 101.2),
+      ['Network.loadingFailed', { requestId: '2', timestamp: 101.3, errorText: 'net::ERR_BLOCKED_BY_CLIENT' }],
+      sent('3', 'https://example.com/slow', 101.4, { type: 'Fetch' }),
+    ]);
+    expect(entries.map(e => [e.type, e.cache, e.failed])).toEqual([
+      ['image', 'memory', null],
+      ['script', null, 'net::ERR_BLOCKED_BY_CLIENT'],
+      ['fetch', null, null],
+    ]);
+    expect(entries[0].timing).toBeNull();
+    expect(entries[2].endTime).toBeNull();
+    expect(entries[2].duration).toBeNull();
+  });
+
+  it('splits redirects into one entry per hop', () => {
+    const entries = record([
+      sent('1', 'http://example.com/', 100, { type: 'Document' }),
+      sent('1', 'https://example.com/', 100.1, { type: 'Document', redirectResponse: { status: 301, encodedDataLength: 200 } }),
+      ['Network.responseReceived', { requestId: '1', response: { status: 200 } }],
+      ['Network.loadingFinished', { requestId: '1', timestamp: 100.3, encodedDataLength: 9000 }],
+    ]);
+    expect(entries.map(e => [e.url, e.status, e.transferSize, e.redirectedTo])).toEqual([
+      ['http://example.com/', 301, 200, 'https://example.com/'],
+      ['https://example.com/', 200, 9000, null],
+    ]);
+    expect(entries[0].duration).toBeCloseTo(100, 6);
+  });
+
+  it('skips data: URLs and events for unknown requests', () => {
+    expect(record([
+      sent('1', 'data:image/png;base64,AAAA', 100),
+      ['Network.loadingFinished', { requestId: '1', timestamp: 100.1 }],
+      ['Network.responseReceived', { requestId: '9', response: { status: 200 } }],
+    ])).toEqual([]);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NETWORK_PRESETS, resolveNetwork, parseCustomNetwork, validateNetworkProfile, toCdpNetworkConditions, splitNetworkSetting, normalizeNetworkSettings, resolveHar, recordedHarPath } from '../cli/network.js';
+
+describe('resolveNetwork', () => {
+  it('returns null for none or unset', () => {
+    expect(resolveNetwork('none')).toBeNull();
+    expect(resolveNetwork(undefined)).toBeNull();
+  });
+
+  it('resolves built-in presets', () => {
+    expect(resolveNetwork('slow-3g')).toEqual({ download: 500, upload: 500, latency: 400, packetLoss: 0, offline: false });
+    expect(resolveNetwork('4g').download).toBe(NETWORK_PRESETS['4g'].download);
+  });
+
+  it('resolves the offline preset', () => {
+    expect(resolveNetwork('offline').offline).toBe(true);
+  });
+
+  it('resolves user-defined profiles', () => {
+    const profiles = { 'hotel-wifi': { download: 2000, upload: 256, latency: 120, packetLoss: 2 } };
+    expect(resolveNetwork('hotel-wifi', profiles)).toEqual({ download: 2000, upload: 256, latency: 120, packetLoss: 2, offline: false });
+  });
+
+  it('lets user profiles shadow presets', () => {
+    const profiles = { '4g': { download: 9000, upload: 9000, latency: 20 } };
+    expect(resolveNetwork('4g', profiles).download).toBe(9000);
+  });
+
+  it('parses the custom: shorthand', () => {
+    expect(resolveNetwork('custom:1000/500/200')).toEqual({ download: 1000, upload: 500, latency: 200, packetLoss: 0, offline: false });
+  });
+
+  it('throws on unknown names, listing valid values', () => {
+    expect(() => resolveNetwork('5g', { office: { download: 1, upload: 1, latency: 1 } }))
+      .toThrow('Unknown network "5g", valid values: none, slow-3g, fast-3g, 4g, offline, office, or custom:<down>/<up>/<latency>');
+  });
+
+  it('throws on malformed profiles', () => {
+    expect(() => resolveNetwork('bad', { bad: { download: 100, upload: 100 } })).toThrow('"latency" must be a non-negative number');
+  });
+});
+
+describe('parseCustomNetwork', () => {
+  it('accepts an optional packet loss', () => {
+    expect(parseCustomNetwork('custom:1000/500/200/5').packetLoss).toBe(5);
+  });
+
+  it('rejects too few or non-numeric parts', () => {
+    expect(() => parseCustomNetwork('custom:1000/500')).toThrow('expected custom:<download kbps>');
+    expect(() => parseCustomNetwork('custom:fast/500/200')).toThrow('Invalid network "custom:fast/500/200"');
+    expect(() => parseCustomNetwork('custom:1000//200')).toThrow('Invalid network');
+    expect(() => parseCustomNetwork('custom:-1/500/200')).toThrow('Invalid network');
+  });
+});
+
+describe('validateNetworkProfile', () => {
+  it('rejects non-objects', () => {
+    expect(() => validateNetworkProfile('x', 'fast')).toThrow('Network profile "x" must be an object');
+  });
+
+  it('rejects packet loss above 100%', () => {
+    expect(() => validateNetworkProfile('x', { download: 1, upload: 1, latency: 1, packetLoss: 150 })).toThrow('between 0 and 100');
+  });
+
+  it('allows offline profiles without throughput fields', () => {
+    expect(validateNetworkProfile('down', { offline: true })).toEqual({ download: 0, upload: 0, latency: 0, packetLoss: 0, offline: true });
+  });
+});
+
+describe('toCdpNetworkConditions', () => {
+  it('converts kbps to bytes per second', () => {
+    expect(toCdpNetworkConditions(resolveNetwork('custom:1000/500/200'))).toEqual({
+      offline: false,
+      downloadThroughput: 128000,
+      uploadThroughput: 64000,
+      latency: 200,
+    });
+  });
+
+  it('treats zero throughput as unlimited', () => {
+    const conditions = toCdpNetworkConditions(resolveNetwork('custom:0/0/300'));
+    expect(conditions.downloadThroughput).toBe(-1);
+    expect(conditions.uploadThroughput).toBe(-1);
+  });
+
+  it('passes packet loss through when set', () => {
+    expect(toCdpNetworkConditions(resolveNetwork('custom:1000/500/200/3')).packetLoss).toBe(3);
+  });
+});
+
+describe('splitNetworkSetting', () => {
+  it('passes plain profile names through', () => {
+    expect(splitNetworkSetting('slow-3g')).toEqual({ network: 'slow-3g', har: null });
+    expect(splitNetworkSetting(undefined)).toEqual({ network: undefined, har: null });
+  });
+
+  it('splits a profile and HAR replay, aborting unmatched requests by default', () => {
+    expect(splitNetworkSetting({ profile: '4g', har: 'har/{racer}.har' })).toEqual({
+      network: '4g',
+      har: { path: 'har/{racer}.har', notFound: 'abort' },
+    });
+    expect(splitNetworkSetting({ har: 'site.har', notFound: 'fallback' }).har.notFound).toBe('fallback');
+  });
+
+  it('rejects unknown options and bad values', () => {
+    expect(() => splitNetworkSetting({ replay: 'x.har' })).toThrow('Unknown network option "replay", valid options: profile, har, notFound');
+    expect(() => splitNetworkSetting({ har: 42 })).toThrow('expected a file path');
+    expect(() => splitNetworkSetting({ har: 'x.har', notFound: 'ignore' })).toThrow('valid values: abort, fallback');
+  });
+});
+
+describe('normalizeNetworkSettings', () => {
+  it('moves HAR replay out of top-level and per-racer network objects', () => {
+    const settings = normalizeNetworkSettings({
+      network: { profile: 'fast-3g', har: 'all.har' },
+      racers: { a: { network: { har: 'a.har' } }, b: { network: 'slow-3g' } },
+    });
+    expect(settings.network).toBe('fast-3g');
+    expect(settings.har).toEqual({ path: 'all.har', notFound: 'abort' });
+    expect(settings.racers.a).toEqual({ har: { path: 'a.har', notFound: 'abort' } });
+    expect(settings.racers.b).toEqual({ network: 'slow-3g' });
+  });
+
+  it('leaves string settings and the input object untouched', () => {
+    const input = { network: { har: 'x.har' } };
+    expect(normalizeNetworkSettings({ network: '4g' })).toEqual({ network: '4g' });
+    normalizeNetworkSettings(input);
+    expect(input.network).toEqual({ har: 'x.har' });
+  });
+});
+
+describe('resolveHar', () => {
+  it('resolves {racer} inside the race directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-har-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'har'));
+      fs.writeFileSync(path.join(dir, 'har', 'lauda.har'), '{}');
+      expect(resolveHar({ path: 'har/{racer}.har', notFound: 'fallback' }, 'lauda', dir)).toEqual({
+        path: path.join(dir, 'har', 'lauda.har'),
+        notFound: 'fallback',
+      });
+      expect(() => resolveHar({ path: 'har/{racer}.har' }, 'hunt', dir)).toThrow(/HAR file for "hunt" not found: .*hunt\.har \(record one with --record-har\)/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('returns null without a HAR', () => {
+    expect(resolveHar(null, 'a', '/tmp')).toBeNull();
+  });
+
+  it('records to har/<racer>.har, matching the {racer} replay path', () => {
+    expect(recordedHarPath('lauda')).toBe(path.join('har', 'lauda.har'));
+  });
+});
@@ -131,6 +131,66 @@ describe('buildProfileComparison', () => {
     expect(result.measured.byCategory.computation).toHaveLength(1);
   });
 
+  it('compares main-thread blocking metrics in both scopes under responsiveness', () => {
+    const smooth = {
+      total: { totalBlockingTime: 40, longTaskCount: 1, longestTask: 90, inp: 80 },
+      measured: { totalBlockingTime: 0, longTaskCount: 0, longestTask: 30, inp: null }
+    };
+    const janky = {
+      total: { totalBlockingTime: 400, longTaskCount: 5, longestTask: 250, inp: 320 },
+      measured: { totalBlockingTime: 150, longTaskCount: 2, longestTask: 200, inp: null }
+    };
+    const result = buildProfileComparison(['smooth', 'janky'], [smooth, janky]);
+
+    expect(result.total.byCategory.responsiveness.map(c => c.key)).toEqual([
+      'total.totalBlockingTime', 'total.longTaskCount', 'total.longestTask', 'total.inp'
+    ]);
+    expect(result.total.byCategory.responsiveness.every(c => c.winner === 'smooth')).toBe(true);
+    // No interactions during the measurement: INP is left out
+    expect(result.measured.byCategory.responsiveness.map(c => c.key)).toEqual([
+      'measured.totalBlockingTime', 'measured.longTaskCount', 'measured.longestTask'
+    ]);
+    const longTasks = result.measured.comparisons.find(c => c.key === 'measured.longTaskCount');
+    expect(longTasks.formatted).toEqual(['0 tasks', '2 tasks']);
+  });
+
+  it('ranks frame rate highest first under smoothness', () => {
+    const smooth = { measured: { averageFps: 59.8, droppedFrames: 1, p95FrameTime: 17, jankPeriods: 0 } };
+    const choppy = { measured: { averageFps: 41.2, droppedFrames: 30, p95FrameTime: 48, jankPeriods: 3 } };
+    const result = buildProfileComparison(['smooth', 'choppy'], [smooth, choppy]);
+
+    const smoothness = result.measured.byCategory.smoothness;
+    expect(smoothness.map(c => c.key)).toEqual([
+      'measured.averageFps', 'measured.droppedFrames', 'measured.p95FrameTime', 'measured.jankPeriods'
+    ]);
+    expect(smoothness.every(c => c.winner === 'smooth')).toBe(true);
+    const fps = smoothness[0];
+    expect(fps.rankings).toEqual(['smooth', 'choppy']);
+    expect(fps.formatted).toEqual(['59.8 fps', '41.2 fps']);
+    expect(fps.diff).toBeCloseTo(18.6, 5);
+    expect(result.measured.wins).toEqual({ smooth: 4, choppy: 0 });
+  });
+
+  it('shows the resource breakdown as unscored rows and hides unused ones', () => {
+    const lean = { total: { networkTransferSize: 60000, scriptTransferSize: 50000, scriptRequestCount: 2, fontTransferSize: 0, fontRequestCount: 0, thirdPartyTransferSize: 0, thirdPartyRequestCount: 0 } };
+    const heavy = { total: { networkTransferSize: 300000, scriptTransferSize: 250000, scriptRequestCount: 9, fontTransferSize: 0, fontRequestCount: 0, thirdPartyTransferSize: 180000, thirdPartyRequestCount: 6 } };
+    const result = buildProfileComparison(['lean', 'heavy'], [lean, heavy]);
+
+    const resources = result.total.byCategory.resources;
+    expect(resources.map(c => c.key)).toEqual([
+      'total.scriptTransferSize', 'total.scriptRequestCount', 'total.thirdPartyTransferSize', 'total.thirdPartyRequestCount'
+    ]);
+    expect(resources.every(c => c.breakdown && c.winner === 'lean')).toBe(true);
+    expect(resources[0].name).toBe('Script Transfer');
+    expect(resources[3].formatted).toEqual(['0 req', '6 req']);
+    // Only the network total is scored
+    expect(result.total.wins).toEqual({ lean: 1, heavy: 0 });
+
+    const md = buildProfileMarkdown({ ...result, measured: result.total }, ['lean', 'heavy']);
+    expect(md).toContain('**Resources**');
+    expect(md).toContain('| 3rd-Party Transfer |');
+  });
+
   it('provides combined comparisons for backward compatibility', () => {
     const metrics = {
       total: { networkTransferSize: 1000 },
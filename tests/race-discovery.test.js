@@ -1,8 +1,8 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { discoverRacers, parseArgs, applyOverrides } from '../cli/config.js';
+import { discoverRacers, discoverSharedFiles, parseArgs, applyOverrides, resolveRacerBrowser, resolveRacerSettings, findRacerSettingsWarnings } from '../cli/config.js';
 
 let tmpDir;
 
@@ -15,6 +15,17 @@ afterEach(() => {
 });
 
 describe('racer file discovery', () => {
+  it('skips shared files starting with _', () => {
+    fs.writeFileSync(path.join(tmpDir, '_shared.js'), '');
+    fs.writeFileSync(path.join(tmpDir, '_helpers.spec.js'), '');
+    fs.writeFileSync(path.join(tmpDir, 'alpha.js'), '');
+    fs.writeFileSync(path.join(tmpDir, 'beta.js'), '');
+    fs.mkdirSync(path.join(tmpDir, '_fixtures'));
+
+    expect(discoverRacers(tmpDir).racerFiles).toEqual(['alpha.js', 'beta.js']);
+    expect(discoverSharedFiles(tmpDir)).toEqual(['_helpers.spec.js', '_shared.js']);
+  });
+
   it('prefers .spec.js files over .js files', () => {
     fs.writeFileSync(path.join(tmpDir, 'alpha.spec.js'), '');
     fs.writeFileSync(path.join(tmpDir, 'beta.spec.js'), '');
@@ -174,6 +185,35 @@ describe('settings override', () => {
     expect(s.headless).toBe(true);
   });
 
+  it('CLI --reporter overrides settings.json reporters', () => {
+    const s = applyOverrides({ reporters: ['md'] }, new Set(), { reporter: 'junit,tap' });
+    expect(s.reporters).toBe('junit,tap');
+  });
+
+  it('CLI --record-har sets recordHar', () => {
+    expect(applyOverrides({}, new Set(['record-har']), {}).recordHar).toBe(true);
+  });
+
+  it('CLI --isolate sets isolate', () => {
+    expect(applyOverrides({}, new Set(['isolate']), {}).isolate).toBe(true);
+  });
+
+  it('CLI --force-gc sets forceGc', () => {
+    expect(applyOverrides({}, new Set(['force-gc']), {}).forceGc).toBe(true);
+    expect(applyOverrides({}, new Set(), {}).forceGc).toBeUndefined();
+  });
+
+  it('CLI --coverage sets coverage', () => {
+    expect(applyOverrides({}, new Set(['coverage']), {}).coverage).toBe(true);
+    expect(applyOverrides({}, new Set(), {}).coverage).toBeUndefined();
+  });
+
+  it('CLI --ci sets ci and implies headless', () => {
+    const s = applyOverrides({ headless: false }, new Set(['ci']), {});
+    expect(s.ci).toBe(true);
+    expect(s.headless).toBe(true);
+  });
+
   it('CLI --network overrides settings.json network', () => {
     const s = applyOverrides({ network: 'none' }, new Set(), { network: 'slow-3g' });
     expect(s.network).toBe('slow-3g');
@@ -194,6 +234,58 @@ describe('settings override', () => {
     expect(s.slowmo).toBe(3);
   });
 
+  it('CLI --regression-threshold and --baseline-window tune --history', () => {
+    const s = applyOverrides({ regressionThreshold: 10 }, new Set(), { 'regression-threshold': '5', 'baseline-window': '3' });
+    expect(s.regressionThreshold).toBe(5);
+    expect(s.baselineWindow).toBe(3);
+  });
+
+  it('ignores invalid history options with a warning', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const s = applyOverrides({ regressionThreshold: 10 }, new Set(), { 'regression-threshold': 'lots', 'baseline-window': '0' });
+    expect(s.regressionThreshold).toBe(10);
+    expect(s.baselineWindow).toBeUndefined();
+    expect(spy).toHaveBeenCalledTimes(2);
+    spy.mockRestore();
+  });
+
+  it('CLI --warmup sets warm-up runs', () => {
+    expect(applyOverrides({ warmup: 0 }, new Set(), { warmup: '2' }).warmup).toBe(2);
+  });
+
+  it('clamps --warmup to 0..10', () => {
+    expect(applyOverrides({}, new Set(), { warmup: '-1' }).warmup).toBe(0);
+    expect(applyOverrides({}, new Set(), { warmup: 'abc' }).warmup).toBe(0);
+    expect(applyOverrides({}, new Set(), { warmup: '50' }).warmup).toBe(10);
+  });
+
+  it('CLI --run-order and --seed set the run order', () => {
+    const s = applyOverrides({ runOrder: 'fixed' }, new Set(), { 'run-order': 'shuffle', seed: '42' });
+    expect(s.runOrder).toBe('shuffle');
+    expect(s.seed).toBe(42);
+  });
+
+  it('keeps a non-numeric --seed as-is so it can be reported', () => {
+    expect(applyOverrides({}, new Set(), { seed: 'abc' }).seed).toBe('abc');
+  });
+
+  it('CLI --browser overrides settings.json browser', () => {
+    const s = applyOverrides({ browser: 'chromium' }, new Set(), { browser: 'firefox' });
+    expect(s.browser).toBe('firefox');
+  });
+
+  it('CLI --device wins over per-racer devices', () => {
+    const s = applyOverrides({ racers: { a: { device: 'iPhone 15' } } }, new Set(), { device: 'Pixel 7' });
+    expect(s.device).toBe('Pixel 7');
+    expect(resolveRacerSettings(s, 'a').device).toBe('Pixel 7');
+  });
+
+  it('CLI --network wins over per-racer network', () => {
+    const s = applyOverrides({ racers: { a: { network: 'slow-3g', locale: 'de-DE' } } }, new Set(), { network: '4g' });
+    expect(s.racers).toEqual({ a: { locale: 'de-DE' } });
+    expect(resolveRacerSettings(s, 'a').network).toBe('4g');
+  });
+
   it('preserves settings when no overrides', () => {
     const orig = { parallel: true, network: 'fast-3g', cpuThrottle: 2 };
     const s = applyOverrides(orig, new Set(), {});
@@ -206,3 +298,74 @@ describe('settings override', () => {
     expect(orig.parallel).toBe(false);
   });
 });
+
+describe('resolveRacerBrowser', () => {
+  it('defaults to chromium', () => {
+    expect(resolveRacerBrowser(undefined, 'a')).toBe('chromium');
+  });
+
+  it('applies a single engine to every racer', () => {
+    expect(resolveRacerBrowser('webkit', 'a')).toBe('webkit');
+    expect(resolveRacerBrowser('webkit', 'b')).toBe('webkit');
+  });
+
+  it('looks up per-racer engines, falling back to chromium', () => {
+    const browser = { a: 'firefox' };
+    expect(resolveRacerBrowser(browser, 'a')).toBe('firefox');
+    expect(resolveRacerBrowser(browser, 'b')).toBe('chromium');
+  });
+});
+
+describe('resolveRacerSettings', () => {
+  const settings = {
+    network: '4g',
+    cpuThrottle: 2,
+    racers: {
+      slow: { network: 'slow-3g', viewport: { width: 390, height: 844 }, locale: 'de-DE' },
+      ua: { userAgent: 'RaceBot/1.0', browser: 'webkit' },
+    },
+  };
+
+  it('falls back to top-level settings', () => {
+    expect(resolveRacerSettings(settings, 'plain')).toEqual({
+      network: '4g', har: null, cpuThrottle: 2, viewport: null, userAgent: null, locale: null, browser: 'chromium', device: null,
+    });
+  });
+
+  it('applies per-racer values over top-level settings', () => {
+    const own = resolveRacerSettings(settings, 'slow');
+    expect(own.network).toBe('slow-3g');
+    expect(own.cpuThrottle).toBe(2);
+    expect(own.viewport).toEqual({ width: 390, height: 844 });
+    expect(own.locale).toBe('de-DE');
+  });
+
+  it('supports per-racer userAgent and browser', () => {
+    const own = resolveRacerSettings(settings, 'ua');
+    expect(own.userAgent).toBe('RaceBot/1.0');
+    expect(own.browser).toBe('webkit');
+  });
+
+  it('uses defaults when nothing is set', () => {
+    expect(resolveRacerSettings({}, 'a')).toMatchObject({ network: 'none', cpuThrottle: 1 });
+  });
+
+  it('supports a race-wide device and per-racer devices', () => {
+    const devices = { device: 'Desktop Chrome', racers: { mobile: { device: 'Pixel 7' } } };
+    expect(resolveRacerSettings(devices, 'mobile').device).toBe('Pixel 7');
+    expect(resolveRacerSettings(devices, 'desktop').device).toBe('Desktop Chrome');
+  });
+});
+
+describe('findRacerSettingsWarnings', () => {
+  it('returns no warnings for valid entries', () => {
+    expect(findRacerSettingsWarnings({ racers: { a: { network: '4g' } } }, ['a', 'b'])).toEqual([]);
+  });
+
+  it('warns about unknown racers and keys', () => {
+    const warnings = findRacerSettingsWarnings({ racers: { zed: {}, a: { netwrok: '4g' } } }, ['a', 'b']);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toContain('unknown racer "zed"');
+    expect(warnings[1]).toContain('Unknown per-racer setting "netwrok"');
+  });
+});
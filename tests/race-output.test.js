@@ -1,5 +1,13 @@
 import { describe, it, expect } from 'vitest';
-import { formatTimestamp, buildResultsPaths } from '../race.js';
+import { createRequire } from 'module';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { formatTimestamp, buildResultsPaths, createEventReader } from '../race.js';
+import { moveResults } from '../cli/results.js';
+
+const require = createRequire(import.meta.url);
 
 describe('formatTimestamp', () => {
   it('formats date as YYYY-MM-DD_HH-MM-SS', () => {
@@ -36,3 +44,62 @@ describe('buildResultsPaths', () => {
     expect(relHtml).toBe('index.html');
   });
 });
+
+describe('createEventReader', () => {
+  it('dispatches one event per NDJSON line, across chunk boundaries', () => {
+    const events = [];
+    const read = createEventReader(event => events.push(event));
+    read('{"type":"ready","id":"a[1]"}\n{"type":"raceSt');
+    expect(events).toEqual([{ type: 'ready', id: 'a[1]' }]);
+    read('art","id":"a[1]","name":"Load","elapsed":0}\n');
+    expect(events[1]).toEqual({ type: 'raceStart', id: 'a[1]', name: 'Load', elapsed: 0 });
+  });
+
+  it('skips lines that are not events', () => {
+    const events = [];
+    const read = createEventReader(event => events.push(event));
+    read('not json\n\n[1,2]\n{"id":"a"}\nnull\n{"type":"closed","id":"a"}\n');
+    expect(events).toEqual([{ type: 'closed', id: 'a' }]);
+  });
+});
+
+describe('createEventChannel', () => {
+  const { createEventChannel } = require('../runner-events.cjs');
+
+  it('writes NDJSON events to its file descriptor', () => {
+    const script = `
+      const { createEventChannel } = require(${JSON.stringify(require.resolve('../runner-events.cjs'))});
+      const events = createEventChannel(3);
+      events.emit('message', { id: 'a', text: 'line\\nbreak', elapsed: 1.5 });
+      events.emit('result', { browsers: [] });
+      process.exit(0);
+    `;
+    const child = spawnSync('node', ['-e', script], { stdio: ['ignore', 'pipe', 'pipe', 'pipe'], encoding: 'utf-8' });
+    const events = [];
+    createEventReader(event => events.push(event))(child.output[3]);
+    expect(events).toEqual([
+      { type: 'message', id: 'a', text: 'line\nbreak', elapsed: 1.5 },
+      { type: 'result', browsers: [] },
+    ]);
+  });
+
+  it('does nothing without a file descriptor', () => {
+    expect(() => createEventChannel().emit('ready', { id: 'a' })).not.toThrow();
+  });
+});
+
+describe('moveResults', () => {
+  it('hands warnings to `warn` instead of the terminal', () => {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'race-move-'));
+    try {
+      fs.mkdirSync(path.join(base, 'a'));
+      fs.writeFileSync(path.join(base, 'a', 'a.webm'), '');
+      const warnings = [];
+      const data = moveResults(base, 'a', path.join(base, 'missing'), { measurements: [{ name: 'Load' }] }, m => warnings.push(m));
+      expect(warnings).toEqual([expect.stringMatching(/^Could not move a results: /)]);
+      expect(data.measurements).toEqual([{ name: 'Load' }]);
+    } finally {
+      fs.rmSync(base, { recursive: true, force: true });
+    }
+  });
+});
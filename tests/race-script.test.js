@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { isModuleScript } from '../cli/config.js';
+
+const require = createRequire(import.meta.url);
+const { runRaceScript, createRaceApi, scriptErrorLocation } = require('../race-script.cjs');
+
+async function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-script-'));
+  try { await fn(tmpDir); } finally { fs.rmSync(tmpDir, { recursive: true, force: true }); }
+}
+
+/** A stand-in page with the race API runMarkerMode attaches, recording calls. */
+function fakePage() {
+  const calls = [];
+  const record = (name) => (...args) => { calls.push([name, ...args]); };
+  return {
+    calls,
+    raceStart: record('start'),
+    raceEnd: record('end'),
+    raceRecordingStart: record('recordingStart'),
+    raceRecordingEnd: record('recordingEnd'),
+    raceMessage: record('message'),
+    raceSetOffline: record('setOffline'),
+    raceRoute: record('route'),
+    raceHeapSnapshot: record('heapSnapshot'),
+    raceWaitForVisualStability: record('waitForVisualStability'),
+    raceBaseUrl: 'http://localhost:5000',
+  };
+}
+
+describe('isModuleScript', () => {
+  it('recognizes race files with a default export', () => {
+    expect(isModuleScript("import { x } from './_shared.js';\n\nexport default async ({ page, race }) => {};")).toBe(true);
+    expect(isModuleScript('  export default function race() {}')).toBe(true);
+  });
+
+  it('treats everything else as a classic script', () => {
+    expect(isModuleScript("await page.goto('https://example.com');")).toBe(false);
+    expect(isModuleScript('// export default later\nawait page.raceStart();')).toBe(false);
+  });
+});
+
+describe('createRaceApi', () => {
+  it('maps race.* to page.race*', () => {
+    const page = fakePage();
+    const race = createRaceApi(page);
+    race.start('Load');
+    race.end('Load');
+    race.message('hi');
+    expect(page.calls).toEqual([['start', 'Load'], ['end', 'Load'], ['message', 'hi']]);
+    expect(race.baseUrl).toBe('http://localhost:5000');
+  });
+});
+
+describe('runRaceScript', () => {
+  it('runs a classic script with page and the legacy helpers', async () => {
+    const page = fakePage();
+    let started = false;
+    await runRaceScript(page, { script: "page.raceMessage(‘smart’);\r\nawait __startRecording();" }, {
+      __startRecording: async () => { started = true; },
+    });
+    expect(page.calls).toEqual([['message', 'smart']]);
+    expect(started).toBe(true);
+  });
+
+  it('runs a module race file that imports a shared file', async () => {
+    await withTmpDir(async dir => {
+      fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }');
+      fs.writeFileSync(path.join(dir, '_shared.js'), 'export const measure = (race) => { race.start("Load"); race.end("Load"); };\n');
+      const scriptPath = path.join(dir, 'a.spec.js');
+      fs.writeFileSync(scriptPath, "import { measure } from './_shared.js';\n\nexport default async ({ page, race }) => {\n  measure(race);\n  page.raceMessage('done');\n};\n");
+      const page = fakePage();
+      await runRaceScript(page, { script: fs.readFileSync(scriptPath, 'utf-8'), scriptPath, module: true });
+      expect(page.calls).toEqual([['start', 'Load'], ['end', 'Load'], ['message', 'done']]);
+    });
+  });
+
+  it('points module errors at the line in the race file', async () => {
+    await withTmpDir(async dir => {
+      fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }');
+      const scriptPath = path.join(dir, 'b.spec.js');
+      fs.writeFileSync(scriptPath, "export default async ({ page }) => {\n  await page.raceStart('Load');\n  page.clickMissingButton();\n};\n");
+      const error = await runRaceScript(fakePage(), { script: '', scriptPath, module: true }).catch(e => e);
+      expect(error.message).toMatch(/page.clickMissingButton is not a function \(at b\.spec\.js:3:\d+\)$/);
+      expect(error.cause).toBeInstanceOf(TypeError);
+    });
+  });
+
+  it('points errors thrown in a shared file at that file, not the call site', async () => {
+    await withTmpDir(async dir => {
+      fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }');
+      fs.mkdirSync(path.join(dir, 'lib'));
+      fs.writeFileSync(path.join(dir, 'lib', '_shared.js'), 'export function boom() {\n  const x = null;\n  return x.y;\n}\n');
+      const scriptPath = path.join(dir, 'a.spec.js');
+      fs.writeFileSync(scriptPath, "import { boom } from './lib/_shared.js';\n\nexport default async () => {\n  boom();\n};\n");
+      const error = await runRaceScript(fakePage(), { script: '', scriptPath, module: true }).catch(e => e);
+      expect(error.message).toMatch(/\(at lib\/_shared\.js:3:\d+\)$/);
+    });
+  });
+
+  it('points classic script errors at the line in the script', async () => {
+    const script = "await page.raceStart('Load');\n\nnotDefined();\n";
+    const error = await runRaceScript(fakePage(), { script, scriptPath: '/race/a.spec.js' }).catch(e => e);
+    expect(error.message).toMatch(/notDefined is not defined \(at a\.spec\.js:3:\d+\)$/);
+  });
+
+  it('rejects a module without a default export function', async () => {
+    await withTmpDir(async dir => {
+      fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }');
+      const scriptPath = path.join(dir, 'c.spec.js');
+      fs.writeFileSync(scriptPath, 'export default 42;\n');
+      await expect(runRaceScript(fakePage(), { script: '', scriptPath, module: true })).rejects.toThrow('c.spec.js must `export default` an async function');
+    });
+  });
+});
+
+describe('scriptErrorLocation', () => {
+  it('skips frames outside the race directory and in its node_modules', () => {
+    const raceDir = path.resolve('/race');
+    const url = (file) => pathToFileURL(path.join(raceDir, file)).href;
+    const error = { stack: [
+      'Error: boom',
+      `    at dep (${url('node_modules/dep/index.js')}:1:1)`,
+      `    at helper (${url('_my helper.js')}:4:9)`,
+      `    at default (${url('a.spec.js')}:2:3)`,
+    ].join('\n') };
+    expect(scriptErrorLocation(error, 'a.spec.js', raceDir)).toBe('_my helper.js:4:9');
+  });
+
+  it('returns null for errors from outside the script', () => {
+    const error = new Error('boom');
+    expect(scriptErrorLocation(error, 'a.spec.js', '/race')).toBeNull();
+    expect(scriptErrorLocation(error, 'a.spec.js')).toBeNull();
+    expect(scriptErrorLocation({}, 'a.spec.js')).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { REPORTERS, resolveReporters, writeReports } from '../cli/reporters/index.js';
+import { buildReportCases } from '../cli/reporters/cases.js';
+import * as junit from '../cli/reporters/junit.js';
+import * as tap from '../cli/reporters/tap.js';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-reporters-'));
+  try { fn(tmpDir); } finally { fs.rmSync(tmpDir, { recursive: true, force: true }); }
+}
+
+function makeSummary(overrides = {}) {
+  return {
+    racers: ['lauda', 'hunt'],
+    timestamp: '2026-01-01T10:00:00.000Z',
+    comparisons: [
+      { name: 'Load', racers: [{ duration: 1.0 }, { duration: 1.5 }], winner: 'lauda', diff: 0.5, diffPercent: 50, rankings: ['lauda', 'hunt'] },
+    ],
+    overallWinner: 'lauda',
+    wins: { lauda: 1, hunt: 0 },
+    errors: [],
+    videos: {},
+    settings: {},
+    profileComparison: {
+      measured: { comparisons: [] },
+      total: { comparisons: [{ key: 'total.lcp', name: 'Largest Contentful Paint (LCP)', scope: 'total', values: [800, 1200], winner: 'lauda', diffPercent: 50 }] },
+    },
+    ...overrides,
+  };
+}
+
+describe('resolveReporters', () => {
+  it('defaults to json and md', () => {
+    expect(resolveReporters()).toEqual(['json', 'md']);
+  });
+
+  it('parses a comma-separated list and always keeps json', () => {
+    expect(resolveReporters('junit, tap')).toEqual(['json', 'junit', 'tap']);
+    expect(resolveReporters(['md', 'json', 'md'])).toEqual(['json', 'md']);
+  });
+
+  it('throws on an unknown reporter', () => {
+    expect(() => resolveReporters('junit,xunit')).toThrow('Unknown reporter "xunit", valid values: json, md, junit, tap');
+  });
+});
+
+describe('writeReports', () => {
+  it('writes one file per reporter into the results folder', () => {
+    withTmpDir(dir => {
+      const files = writeReports(makeSummary({ profileComparison: null }), dir, resolveReporters('md,junit,tap'), { raceName: 'lauda-vs-hunt' });
+      expect(files.map(f => path.basename(f))).toEqual(['summary.json', 'README.md', 'junit.xml', 'results.tap']);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'summary.json'), 'utf-8')).overallWinner).toBe('lauda');
+      expect(fs.readFileSync(path.join(dir, 'README.md'), 'utf-8')).toContain('### Results');
+    });
+  });
+
+  it('every reporter has a file name and render function', () => {
+    for (const reporter of Object.values(REPORTERS)) {
+      expect(typeof reporter.fileName).toBe('string');
+      expect(typeof reporter.render).toBe('function');
+    }
+  });
+});
+
+describe('buildReportCases', () => {
+  it('has the race, one case per measurement and one per profile metric', () => {
+    const cases = buildReportCases(makeSummary());
+    expect(cases.map(t => `${t.suite}:${t.name}`)).toEqual([
+      'race:race completes',
+      'measurements:Load',
+      'profile:Largest Contentful Paint (LCP) (total)',
+    ]);
+    expect(cases[1]).toMatchObject({
+      time: 1.0,
+      failure: null,
+      properties: [['lauda.duration', 1], ['hunt.duration', 1.5], ['winner', 'lauda'], ['diffPercent', 50]],
+    });
+  });
+
+  it('fails measurements with a missing racer and the race on errors', () => {
+    const cases = buildReportCases(makeSummary({
+      comparisons: [{ name: 'Load', racers: [{ duration: 1.0 }, null], winner: null, diffPercent: null }],
+      errors: ['hunt: timeout'],
+      profileComparison: null,
+    }));
+    expect(cases[0].failure).toBe('hunt: timeout');
+    expect(cases[1].failure).toBe('no result for hunt');
+  });
+
+  it('reports a multi-run tie and its p-value', () => {
+    const cases = buildReportCases(makeSummary({
+      comparisons: [{ name: 'Load', racers: [{ duration: 1.0 }, { duration: 1.01 }], winner: null, diffPercent: 1, significance: { p: 0.4, significant: false } }],
+    }));
+    expect(cases[1].properties).toContainEqual(['winner', 'tie']);
+    expect(cases[1].properties).toContainEqual(['p', 0.4]);
+  });
+
+  it('includes budget checks', () => {
+    const budgets = { passed: 0, failed: 1, results: [{ target: 'Load', rule: 'max', racer: 'hunt', limit: 1.2, actual: 1.5, passed: false, message: 'hunt 1.500s > 1.200s' }] };
+    const last = buildReportCases(makeSummary({ budgets })).at(-1);
+    expect(last).toMatchObject({ suite: 'budgets', name: 'Load max (hunt)', failure: 'hunt 1.500s > 1.200s' });
+  });
+});
+
+describe('junit reporter', () => {
+  it('writes a suite per case group with properties', () => {
+    const xml = junit.render(makeSummary(), { raceName: 'lauda-vs-hunt' });
+    expect(xml).toContain('<testsuites name="lauda-vs-hunt" tests="3" failures="0">');
+    expect(xml).toContain('<testsuite name="lauda-vs-hunt.measurements" tests="1" failures="0"');
+    expect(xml).toContain('<testcase classname="lauda-vs-hunt.measurements" name="Load" time="1.000">');
+    expect(xml).toContain('<property name="hunt.duration" value="1.5"/>');
+    expect(xml).toContain('<property name="winner" value="lauda"/>');
+    expect(xml).toContain('<testcase classname="lauda-vs-hunt.race" name="race completes"/>');
+  });
+
+  it('escapes XML and reports failures', () => {
+    const xml = junit.render(makeSummary({ errors: ['hunt: expected <div> & "ok"'] }), { raceName: 'a<b' });
+    expect(xml).toContain('failures="1"');
+    expect(xml).toContain('<failure message="hunt: expected &lt;div&gt; &amp; &quot;ok&quot;">');
+    expect(xml).toContain('name="a&lt;b.race"');
+  });
+});
+
+describe('tap reporter', () => {
+  it('writes a plan and one test point per case with YAML diagnostics', () => {
+    const out = tap.render(makeSummary());
+    const lines = out.split('\n');
+    expect(lines.slice(0, 3)).toEqual(['TAP version 13', '1..3', 'ok 1 - race: race completes']);
+    expect(out).toContain('ok 2 - measurements: Load\n  ---\n  "duration_ms": 1000\n  "lauda.duration": 1\n');
+    expect(out).toContain('  "winner": "lauda"\n');
+  });
+
+  it('marks failures not ok with the message', () => {
+    const out = tap.render(makeSummary({ errors: ['hunt: timeout'], profileComparison: null }));
+    expect(out).toContain('not ok 1 - race: race completes\n  ---\n  "message": "hunt: timeout"\n  ...');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { RESOURCE_TYPES, resourceType, siteOf, emptyBreakdown, createResourceClassifier } = require('../resource-breakdown.cjs');
+
+function navigation(requestId, url, frameId = 'main') {
+  return { requestId, loaderId: requestId, frameId, type: 'Document', request: { url } };
+}
+
+function subresource(requestId, url, type, frameId = 'main') {
+  return { requestId, loaderId: 'loader', frameId, type, request: { url } };
+}
+
+function classify(requests, sizes = {}) {
+  const classifier = createResourceClassifier();
+  const breakdown = emptyBreakdown();
+  for (const request of requests) classifier.onRequestWillBeSent(request);
+  for (const request of requests) {
+    classifier.add(breakdown, request.requestId, sizes[request.requestId] ?? 100);
+    classifier.forget(request.requestId);
+  }
+  return breakdown;
+}
+
+describe('resourceType', () => {
+  it('maps CDP types to the breakdown types, with XHR and fetch together', () => {
+    expect(resourceType('Document')).toBe('document');
+    expect(resourceType('Script')).toBe('script');
+    expect(resourceType('Stylesheet')).toBe('stylesheet');
+    expect(resourceType('Image')).toBe('image');
+    expect(resourceType('Font')).toBe('font');
+    expect(resourceType('XHR')).toBe('fetch');
+    expect(resourceType('Fetch')).toBe('fetch');
+    expect(resourceType('Media')).toBe('other');
+    expect(resourceType(undefined)).toBe('other');
+  });
+});
+
+describe('siteOf', () => {
+  it('keeps the last two labels of a hostname', () => {
+    expect(siteOf('www.example.com')).toBe('example.com');
+    expect(siteOf('a.b.cdn.Example.com')).toBe('example.com');
+    expect(siteOf('example.com')).toBe('example.com');
+    expect(siteOf('localhost')).toBe('localhost');
+  });
+
+  it('keeps three labels under public country second-level domains', () => {
+    expect(siteOf('www.example.co.uk')).toBe('example.co.uk');
+    expect(siteOf('shop.example.com.au')).toBe('example.com.au');
+    expect(siteOf('www.example.ne.jp')).toBe('example.ne.jp');
+  });
+
+  it('groups short domains under a country TLD into one site', () => {
+    expect(siteOf('www.bmw.de')).toBe('bmw.de');
+    expect(siteOf('cdn.bmw.de')).toBe('bmw.de');
+    expect(siteOf('app.foo.io')).toBe('foo.io');
+    expect(siteOf('api.foo.io')).toBe('foo.io');
+  });
+
+  it('keeps IP addresses whole and returns null without a hostname', () => {
+    expect(siteOf('127.0.0.1')).toBe('127.0.0.1');
+    expect(siteOf('[::1]')).toBe('[::1]');
+    expect(siteOf('')).toBeNull();
+  });
+});
+
+describe('emptyBreakdown', () => {
+  it('has a transfer size and request count for every type and party', () => {
+    const breakdown = emptyBreakdown();
+    for (const key of [...RESOURCE_TYPES, 'firstParty', 'thirdParty']) {
+      expect(breakdown[`${key}TransferSize`]).toBe(0);
+      expect(breakdown[`${key}RequestCount`]).toBe(0);
+    }
+  });
+});
+
+describe('createResourceClassifier', () => {
+  it('splits bytes and requests by type and by party', () => {
+    const breakdown = classify([
+      navigation('1', 'https://www.example.com/'),
+      subresource('2', 'https://static.example.com/app.js', 'Script'),
+      subresource('3', 'https://www.googletagmanager.com/gtm.js', 'Script'),
+      subresource('4', 'https://www.example.com/app.css', 'Stylesheet'),
+      subresource('5', 'https://fonts.gstatic.com/inter.woff2', 'Font'),
+      subresource('6', 'https://www.example.com/api', 'Fetch'),
+      subresource('7', 'https://www.example.com/poll', 'XHR'),
+    ], { 1: 5000, 2: 20000, 3: 80000, 4: 3000, 5: 40000, 6: 500, 7: 200 });
+
+    expect(breakdown).toMatchObject({
+      documentTransferSize: 5000, documentRequestCount: 1,
+      scriptTransferSize: 100000, scriptRequestCount: 2,
+      stylesheetTransferSize: 3000, stylesheetRequestCount: 1,
+      fontTransferSize: 40000, fontRequestCount: 1,
+      fetchTransferSize: 700, fetchRequestCount: 2,
+      imageTransferSize: 0, imageRequestCount: 0,
+      firstPartyTransferSize: 28700, firstPartyRequestCount: 5,
+      thirdPartyTransferSize: 120000, thirdPartyRequestCount: 2,
+    });
+  });
+
+  it('follows the main frame to a new site but not iframes', () => {
+    const breakdown = classify([
+      navigation('1', 'https://example.com/'),
+      navigation('2', 'https://www.youtube.com/embed/x', 'iframe'),
+      subresource('3', 'https://www.youtube.com/player.js', 'Script', 'iframe'),
+      subresource('4', 'https://example.com/app.js', 'Script'),
+      navigation('5', 'https://other.org/'),
+      subresource('6', 'https://other.org/app.js', 'Script'),
+      subresource('7', 'https://example.com/pixel.gif', 'Image'),
+    ]);
+
+    expect(breakdown.firstPartyRequestCount).toBe(4);
+    expect(breakdown.thirdPartyRequestCount).toBe(3);
+    expect(breakdown.documentRequestCount).toBe(3);
+  });
+
+  it('counts unknown requests as first-party "other"', () => {
+    const classifier = createResourceClassifier();
+    const breakdown = emptyBreakdown();
+    classifier.add(breakdown, 'unseen', 42);
+    expect(breakdown).toMatchObject({ otherTransferSize: 42, otherRequestCount: 1, firstPartyTransferSize: 42, firstPartyRequestCount: 1 });
+  });
+
+  it('adds the same request to several breakdowns until it is forgotten', () => {
+    const classifier = createResourceClassifier();
+    const total = emptyBreakdown();
+    const measured = emptyBreakdown();
+    classifier.onRequestWillBeSent(navigation('1', 'https://example.com/'));
+    classifier.onRequestWillBeSent(subresource('2', 'https://cdn.jsdelivr.net/lib.js', 'Script'));
+    classifier.add(total, '2', 1000);
+    classifier.add(measured, '2', 1000);
+    classifier.forget('2');
+    classifier.add(total, '2', 10);
+    expect(measured).toMatchObject({ scriptTransferSize: 1000, thirdPartyTransferSize: 1000 });
+    expect(total).toMatchObject({ scriptTransferSize: 1000, thirdPartyRequestCount: 1, otherTransferSize: 10, firstPartyRequestCount: 1 });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect, vi } from 'vitest';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { toRouteHandler } = require('../route-fixtures.cjs');
+
+const fakeRoute = () => ({ fulfill: vi.fn(async () => {}) });
+
+describe('toRouteHandler', () => {
+  it('uses a handler function as-is', () => {
+    const handler = async (route) => route.abort();
+    expect(toRouteHandler(handler, '/race')).toBe(handler);
+  });
+
+  it('serves a file path relative to the race directory', async () => {
+    const route = fakeRoute();
+    await toRouteHandler('fixtures/products.json', '/race')(route);
+    expect(route.fulfill).toHaveBeenCalledWith({ path: path.resolve('/race', 'fixtures/products.json') });
+  });
+
+  it('passes fulfill options through, resolving a relative path', async () => {
+    const route = fakeRoute();
+    await toRouteHandler({ status: 200, json: { items: [] } }, '/race')(route);
+    expect(route.fulfill).toHaveBeenCalledWith({ status: 200, json: { items: [] } });
+
+    const fileRoute = fakeRoute();
+    await toRouteHandler({ status: 404, path: 'missing.html' }, '/race')(fileRoute);
+    expect(fileRoute.fulfill).toHaveBeenCalledWith({ status: 404, path: path.resolve('/race', 'missing.html') });
+  });
+
+  it('rejects anything else', () => {
+    expect(() => toRouteHandler(42, '/race')).toThrow('fixture must be a file path, route.fulfill() options or a handler function');
+    expect(() => toRouteHandler(null, '/race')).toThrow('fixture must be');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { planRunOrders, latinSquareRows, balancedRunCount, RUN_ORDERS, DEFAULT_RUN_ORDER } from '../cli/run-order.js';
+
+/** How often each racer starts in each slot: counts[racer][slot]. */
+function slotCounts(orders, racerCount) {
+  const counts = Array.from({ length: racerCount }, () => new Array(racerCount).fill(0));
+  for (const order of orders) order.forEach((racer, slot) => counts[racer][slot]++);
+  return counts;
+}
+
+describe('planRunOrders', () => {
+  it('defaults to alternate', () => {
+    expect(DEFAULT_RUN_ORDER).toBe('alternate');
+    expect(RUN_ORDERS).toEqual(['fixed', 'alternate', 'shuffle', 'latin-square']);
+  });
+
+  it('keeps the same order every run with fixed', () => {
+    expect(planRunOrders('fixed', 2, 3).orders).toEqual([[0, 1], [0, 1], [0, 1]]);
+  });
+
+  it('rotates the starting racer with alternate', () => {
+    expect(planRunOrders('alternate', 2, 4).orders).toEqual([[0, 1], [1, 0], [0, 1], [1, 0]]);
+    expect(planRunOrders('alternate', 3, 3).orders).toEqual([[0, 1, 2], [1, 2, 0], [2, 0, 1]]);
+  });
+
+  it('shuffles reproducibly from a seed', () => {
+    const a = planRunOrders('shuffle', 4, 6, 42);
+    const b = planRunOrders('shuffle', 4, 6, 42);
+    expect(a.seed).toBe(42);
+    expect(a.orders).toEqual(b.orders);
+    for (const order of a.orders) expect([...order].sort()).toEqual([0, 1, 2, 3]);
+  });
+
+  it('generates and records a seed when none is given', () => {
+    const plan = planRunOrders('shuffle', 2, 3);
+    expect(Number.isInteger(plan.seed)).toBe(true);
+    expect(planRunOrders('shuffle', 2, 3, plan.seed).orders).toEqual(plan.orders);
+  });
+
+  it('only records a seed for shuffle', () => {
+    expect(planRunOrders('alternate', 2, 2, 42).seed).toBeNull();
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(() => planRunOrders('random', 2, 2)).toThrow('Unknown run order "random", valid values: fixed, alternate, shuffle, latin-square');
+  });
+
+  it('rejects non-integer seeds', () => {
+    expect(() => planRunOrders('shuffle', 2, 2, 'abc')).toThrow('Invalid seed "abc", expected an integer');
+  });
+
+  it('rejects latin-square for more than 5 racers', () => {
+    expect(() => planRunOrders('latin-square', 6, 6)).toThrow('supports up to 5 racers');
+  });
+
+  it('cycles through latin square rows', () => {
+    const { orders } = planRunOrders('latin-square', 4, 8);
+    expect(orders.slice(4)).toEqual(orders.slice(0, 4));
+  });
+});
+
+describe('latinSquareRows', () => {
+  for (const count of [2, 3, 4, 5]) {
+    it(`puts every racer in every slot equally often for ${count} racers`, () => {
+      const rows = latinSquareRows(count);
+      const perSlot = rows.length / count;
+      for (const racer of slotCounts(rows, count)) expect(racer).toEqual(new Array(count).fill(perSlot));
+    });
+
+    it(`has every racer follow every other equally often for ${count} racers`, () => {
+      const rows = latinSquareRows(count);
+      const follows = new Map();
+      for (const row of rows) {
+        for (let i = 1; i < row.length; i++) {
+          const key = `${row[i - 1]}>${row[i]}`;
+          follows.set(key, (follows.get(key) || 0) + 1);
+        }
+      }
+      expect(follows.size).toBe(count * (count - 1));
+      expect(new Set(follows.values()).size).toBe(1);
+    });
+  }
+
+  it('uses n rows for even counts and 2n for odd counts', () => {
+    expect(latinSquareRows(4)).toHaveLength(4);
+    expect(latinSquareRows(3)).toHaveLength(6);
+  });
+});
+
+describe('balancedRunCount', () => {
+  it('returns the runs needed for balanced starting slots', () => {
+    expect(balancedRunCount('alternate', 3)).toBe(3);
+    expect(balancedRunCount('latin-square', 3)).toBe(6);
+    expect(balancedRunCount('latin-square', 4)).toBe(4);
+  });
+
+  it('returns null when balance is not guaranteed', () => {
+    expect(balancedRunCount('fixed', 2)).toBeNull();
+    expect(balancedRunCount('shuffle', 2)).toBeNull();
+  });
+});
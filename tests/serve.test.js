@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createStaticServer, validateServe, startRacerServers, stopRacerServers } from '../cli/serve.js';
+
+async function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-serve-'));
+  try { await fn(tmpDir); } finally { fs.rmSync(tmpDir, { recursive: true, force: true }); }
+}
+
+function freePort() {
+  return new Promise(resolve => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+describe('createStaticServer', () => {
+  it('serves files and directory index pages with their content type', async () => {
+    await withTmpDir(async dir => {
+      fs.mkdirSync(path.join(dir, 'docs'));
+      fs.writeFileSync(path.join(dir, 'index.html'), '<h1>home</h1>');
+      fs.writeFileSync(path.join(dir, 'docs', 'index.html'), '<h1>docs</h1>');
+      fs.writeFileSync(path.join(dir, 'app bundle.js'), 'console.log(1)');
+      const server = createStaticServer(dir, { 'X-Test': 'yes' });
+      const base = await listen(server);
+      try {
+        const home = await fetch(`${base}/`);
+        expect(await home.text()).toBe('<h1>home</h1>');
+        expect(home.headers.get('content-type')).toBe('text/html');
+        expect(home.headers.get('x-test')).toBe('yes');
+        expect(await (await fetch(`${base}/docs/`)).text()).toBe('<h1>docs</h1>');
+        const js = await fetch(`${base}/app%20bundle.js?v=2`);
+        expect(js.headers.get('content-type')).toBe('application/javascript');
+        expect((await fetch(`${base}/missing.css`)).status).toBe(404);
+      } finally {
+        server.close();
+        server.closeAllConnections();
+      }
+    });
+  });
+
+  it('refuses paths outside the directory', async () => {
+    await withTmpDir(async dir => {
+      const server = createStaticServer(dir);
+      const base = await listen(server);
+      try {
+        expect((await fetch(`${base}/..%2f..%2fetc%2fpasswd`)).status).toBe(403);
+      } finally {
+        server.close();
+        server.closeAllConnections();
+      }
+    });
+  });
+});
+
+describe('validateServe', () => {
+  it('returns null without a serve block', () => {
+    expect(validateServe(undefined, ['a', 'b'], '/race')).toBeNull();
+  });
+
+  it('normalizes directories and commands', async () => {
+    await withTmpDir(async dir => {
+      fs.mkdirSync(path.join(dir, 'dist-v2'));
+      expect(validateServe({
+        a: 'dist-v2',
+        b: { command: 'npm start', port: 3000 },
+      }, ['a', 'b'], dir)).toEqual({
+        a: { dir: path.join(dir, 'dist-v2'), port: 0 },
+        b: { command: 'npm start', port: 3000, ready: 'http://localhost:3000/', timeout: 30000 },
+      });
+    });
+  });
+
+  it('rejects unknown racers, options and incomplete entries', async () => {
+    await withTmpDir(async dir => {
+      const racers = ['a', 'b'];
+      expect(() => validateServe([], racers, dir)).toThrow('"serve" must be an object keyed by racer name');
+      expect(() => validateServe({ c: 'dist' }, racers, dir)).toThrow('unknown racer "c"');
+      expect(() => validateServe({ a: 'missing' }, racers, dir)).toThrow(/serve "a": directory not found/);
+      expect(() => validateServe({ a: { command: 'npm start' } }, racers, dir)).toThrow('a command needs the "port" it listens on');
+      expect(() => validateServe({ a: { command: 'x', dir: '.', port: 1 } }, racers, dir)).toThrow('needs either "dir" or "command"');
+      expect(() => validateServe({ a: { command: 'x', port: 'http' } }, racers, dir)).toThrow('"port" must be a port number');
+      expect(() => validateServe({ a: { command: 'x', port: 1, wait: 5 } }, racers, dir)).toThrow('unknown option "wait"');
+    });
+  });
+});
+
+describe('startRacerServers', () => {
+  it('starts a static server per racer and stops them', async () => {
+    await withTmpDir(async dir => {
+      fs.writeFileSync(path.join(dir, 'index.html'), 'v2');
+      const servers = await startRacerServers(validateServe({ a: '.' }, ['a', 'b'], dir), dir);
+      expect(servers.a.url).toMatch(/^http:\/\/localhost:\d+$/);
+      expect(await (await fetch(`${servers.a.url}/`)).text()).toBe('v2');
+      stopRacerServers(servers);
+      await expect(fetch(`${servers.a.url}/`)).rejects.toThrow();
+    });
+  });
+
+  it('runs a command and waits until it answers', async () => {
+    await withTmpDir(async dir => {
+      const port = await freePort();
+      const script = `require('http').createServer((q, r) => r.end('ok')).listen(${port})`;
+      fs.writeFileSync(path.join(dir, 'server.cjs'), script);
+      const servers = await startRacerServers({ b: { command: 'node server.cjs', port, ready: `http://127.0.0.1:${port}/`, timeout: 10000 } }, dir);
+      try {
+        expect(servers.b.url).toBe(`http://localhost:${port}`);
+        expect(await (await fetch(`http://127.0.0.1:${port}/`)).text()).toBe('ok');
+      } finally {
+        stopRacerServers(servers);
+      }
+    });
+  }, 15000);
+
+  it('reports a command that exits before it is ready', async () => {
+    await withTmpDir(async dir => {
+      const port = await freePort();
+      await expect(startRacerServers({ b: { command: 'echo broken build && exit 3', port, ready: `http://127.0.0.1:${port}/`, timeout: 10000 } }, dir))
+        .rejects.toThrow(/Could not start server for "b": "echo broken build && exit 3" exited with code 3\nbroken build/);
+    });
+  }, 15000);
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { tileSize, buildFilterComplex } from '../cli/sidebyside.js';
+
+describe('tileSize', () => {
+  it('keeps the layout width for landscape recordings', () => {
+    expect(tileSize([{ width: 1280, height: 720 }, { width: 1280, height: 720 }], 640)).toEqual({ width: 640, height: 360 });
+  });
+
+  it('turns tall when a racer records a phone viewport', () => {
+    expect(tileSize([{ width: 1280, height: 720 }, { width: 412, height: 839 }], 640)).toEqual({ width: 314, height: 640 });
+  });
+
+  it('is null when a size is unknown', () => {
+    expect(tileSize(null, 640)).toBeNull();
+    expect(tileSize([{ width: 1280, height: 720 }, null], 640)).toBeNull();
+  });
+});
+
+describe('buildFilterComplex', () => {
+  it('scales each video to the layout width without sizes', () => {
+    expect(buildFilterComplex(2, 0, 'webm')).toBe('[0:v]scale=640:-2[v0];[1:v]scale=640:-2[v1];[v0][v1]hstack=inputs=2');
+  });
+
+  it('fits every video into the same tile with sizes', () => {
+    const filter = buildFilterComplex(2, 0, 'webm', [{ width: 412, height: 839 }, { width: 1280, height: 720 }]);
+    const fit = 'scale=314:640:force_original_aspect_ratio=decrease,pad=314:640:(ow-iw)/2:(oh-ih)/2:black';
+    expect(filter).toBe(`[0:v]${fit}[v0];[1:v]${fit}[v1];[v0][v1]hstack=inputs=2`);
+  });
+
+  it('centres the bottom row of five on the tile width', () => {
+    const sizes = Array(5).fill({ width: 390, height: 844 });
+    expect(buildFilterComplex(5, 0, 'webm', sizes)).toContain('[bot2]pad=iw+222:ih:111:0:black[bot]');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { quantile, describeSamples, mannWhitneyU, minimumPValue, bootstrapMedianDiff, compareSamples } from '../cli/stats.js';
+
+describe('quantile', () => {
+  it('interpolates between neighbouring values', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantile([1, 2, 3, 4, 5], 0.9)).toBeCloseTo(4.6);
+  });
+
+  it('returns null for no data', () => {
+    expect(quantile([], 0.5)).toBeNull();
+  });
+});
+
+describe('describeSamples', () => {
+  it('summarizes spread', () => {
+    const stats = describeSamples([4, 1, 3, 2]);
+    expect(stats).toMatchObject({ n: 4, min: 1, max: 4, mean: 2.5, median: 2.5 });
+    expect(stats.stddev).toBeCloseTo(1.291, 3);
+    expect(stats.p90).toBeCloseTo(3.7);
+  });
+
+  it('has zero spread for a single sample', () => {
+    expect(describeSamples([1.5])).toMatchObject({ n: 1, stddev: 0, p90: 1.5 });
+  });
+
+  it('returns null for no samples', () => {
+    expect(describeSamples([])).toBeNull();
+  });
+});
+
+describe('mannWhitneyU', () => {
+  it('computes exact p-values for small samples', () => {
+    // Complete separation of 5 vs 5: 2 of C(10, 5) = 252 orderings are as extreme
+    const { u, p, exact } = mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+    expect(exact).toBe(true);
+    expect(u).toBe(0);
+    expect(p).toBeCloseTo(2 / 252);
+  });
+
+  it('handles ties exactly', () => {
+    expect(mannWhitneyU([1, 1, 1], [2, 2, 2]).p).toBeCloseTo(0.1);
+    expect(mannWhitneyU([1, 1, 1], [1, 1, 1]).p).toBe(1);
+  });
+
+  it('is symmetric', () => {
+    const a = [1.1, 1.4, 0.9, 1.3];
+    const b = [1.2, 1.6, 1.5, 1.7];
+    expect(mannWhitneyU(a, b).p).toBeCloseTo(mannWhitneyU(b, a).p);
+  });
+
+  it('falls back to the normal approximation for large samples', () => {
+    const a = Array.from({ length: 30 }, (_, i) => i);
+    const { p, exact } = mannWhitneyU(a, a.map(x => x + 10));
+    expect(exact).toBe(false);
+    expect(p).toBeLessThan(0.001);
+  });
+});
+
+describe('minimumPValue', () => {
+  it('is the chance of the most extreme ordering on either side', () => {
+    expect(minimumPValue(3, 3)).toBeCloseTo(0.1);
+    expect(minimumPValue(4, 4)).toBeCloseTo(2 / 70);
+  });
+});
+
+describe('bootstrapMedianDiff', () => {
+  it('brackets the observed difference', () => {
+    const ci = bootstrapMedianDiff([1.0, 1.1, 1.2, 1.3, 1.4], [2.0, 2.1, 2.2, 2.3, 2.4]);
+    expect(ci.confidence).toBe(0.95);
+    expect(ci.low).toBeGreaterThan(0);
+    expect(ci.low).toBeLessThanOrEqual(1.0);
+    expect(ci.high).toBeGreaterThanOrEqual(1.0);
+  });
+
+  it('is deterministic', () => {
+    const a = [1.0, 1.3, 0.8, 1.1];
+    const b = [1.2, 0.9, 1.4, 1.0];
+    expect(bootstrapMedianDiff(a, b)).toEqual(bootstrapMedianDiff(a, b));
+  });
+});
+
+describe('compareSamples', () => {
+  it('flags clearly separated samples as significant', () => {
+    const result = compareSamples([1.0, 1.1, 1.2, 1.3, 1.4], [2.0, 2.1, 2.2, 2.3, 2.4]);
+    expect(result).toMatchObject({ test: 'mann-whitney', alpha: 0.05, significant: true, underpowered: false });
+  });
+
+  it('reports overlapping samples as not significant', () => {
+    expect(compareSamples([1.0, 1.2, 1.1, 1.3], [1.1, 1.0, 1.2, 1.15]).significant).toBe(false);
+  });
+
+  it('marks sample sizes that can never reach significance', () => {
+    expect(compareSamples([1, 2, 3], [4, 5, 6])).toMatchObject({ significant: false, underpowered: true });
+  });
+});
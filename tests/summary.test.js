@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, getPlacementOrder, findMedianRunIndex } from '../cli/summary.js';
+import { buildSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, getPlacementOrder, findMedianRunIndex, formatConditions, formatSignificance, isWithinNoise, isUnderpowered } from '../cli/summary.js';
 
 describe('buildSummary', () => {
   const names = ['lauda', 'hunt'];
@@ -154,6 +154,37 @@ describe('buildSummary', () => {
     expect(typeof summary.machineInfo.cpuCores).toBe('number');
     expect(typeof summary.machineInfo.totalMemoryMB).toBe('number');
   });
+
+  it('records effective per-racer conditions', () => {
+    const results = [
+      { measurements: [], clickEvents: [], error: null },
+      { measurements: [], clickEvents: [], error: null },
+    ];
+    const settings = { network: '4g', racers: { hunt: { network: 'slow-3g', cpuThrottle: 4 } } };
+    const summary = buildSummary(names, results, settings, '/tmp/results');
+
+    expect(summary.conditions.lauda.network).toBe('4g');
+    expect(summary.conditions.hunt).toMatchObject({ network: 'slow-3g', cpuThrottle: 4 });
+  });
+
+  it('records engines and unsupported features per racer', () => {
+    const results = [
+      { measurements: [], clickEvents: [], error: null },
+      { measurements: [], clickEvents: [], error: null, browser: 'webkit', unsupported: ['network throttling'] },
+    ];
+    const summary = buildSummary(names, results, {}, '/tmp/results');
+
+    expect(summary.engines).toEqual({ lauda: 'chromium', hunt: 'webkit' });
+    expect(summary.unsupported).toEqual({ hunt: ['network throttling'] });
+  });
+
+  it('records each racer\'s recorded viewport', () => {
+    const results = [
+      { measurements: [], viewport: { width: 412, height: 839 } },
+      { measurements: [] },
+    ];
+    expect(buildSummary(names, results, {}, '/tmp/results').viewports).toEqual({ lauda: { width: 412, height: 839 }, hunt: null });
+  });
 });
 
 describe('buildMarkdownSummary', () => {
@@ -249,6 +280,57 @@ describe('buildMarkdownSummary', () => {
     expect(md).toContain('| **Node.js** | v20.11.0 |');
   });
 
+  it('labels non-Chromium racers and lists unsupported features', () => {
+    const md = buildMarkdownSummary(makeSummary({
+      engines: { lauda: 'chromium', hunt: 'firefox' },
+      unsupported: { hunt: ['CPU throttling', 'performance tracing'] },
+    }));
+    expect(md).toContain('| **Racer 1** | lauda |');
+    expect(md).toContain('| **Racer 2** | hunt (firefox) |');
+    expect(md).toContain('### Unsupported on this engine');
+    expect(md).toContain('- **hunt (firefox)**: CPU throttling, performance tracing');
+  });
+
+  it('shows a racer conditions table when racers have their own settings', () => {
+    const md = buildMarkdownSummary(makeSummary({
+      settings: { parallel: false, racers: { hunt: { network: 'slow-3g' } } },
+      conditions: {
+        lauda: { network: '4g', cpuThrottle: 1, viewport: null, userAgent: null, locale: null },
+        hunt: { network: 'slow-3g', cpuThrottle: 4, viewport: { width: 390, height: 844 }, userAgent: null, locale: 'de-DE', device: 'Pixel 7' },
+      },
+    }));
+    expect(md).toContain('### Racer Conditions');
+    expect(md).toContain('| lauda | 4g | 1x | default | default | default | default |');
+    expect(md).toContain('| hunt | slow-3g | 4x | Pixel 7 | 390×844 | de-DE | default |');
+  });
+
+  it('lists a race-wide device in the race info', () => {
+    expect(buildMarkdownSummary(makeSummary({ settings: { parallel: false, device: 'iPhone 15' } }))).toContain('| **Device** | iPhone 15 |');
+  });
+
+  it('includes budget results when budgets were checked', () => {
+    const budgets = {
+      passed: 1, failed: 1,
+      results: [
+        { target: 'Load', rule: 'max', passed: true, message: 'lauda 1.000s ≤ 2.000s' },
+        { target: 'Load', rule: 'winner', passed: false, message: 'expected hunt to win, got lauda' },
+      ],
+    };
+    const md = buildMarkdownSummary(makeSummary({ budgets }));
+    expect(md).toContain('### Budgets');
+    expect(md).toContain('**1 failed**, 1 passed.');
+    expect(md).toContain('| Load | winner | expected hunt to win, got lauda | ✗ |');
+    expect(buildMarkdownSummary(makeSummary())).not.toContain('### Budgets');
+  });
+
+  it('omits racer conditions without per-racer settings', () => {
+    expect(buildMarkdownSummary(makeSummary())).not.toContain('Racer Conditions');
+  });
+
+  it('omits engine notes when every feature is supported', () => {
+    expect(buildMarkdownSummary(makeSummary())).not.toContain('Unsupported on this engine');
+  });
+
   it('handles missing measurement for one racer', () => {
     const summary = makeSummary({
       comparisons: [{
@@ -264,6 +346,88 @@ describe('buildMarkdownSummary', () => {
   });
 });
 
+describe('buildSummary start order', () => {
+  it('records the order racers ran in', () => {
+    const results = [{ measurements: [] }, { measurements: [] }];
+    expect(buildSummary(['a', 'b'], results, {}, '/tmp/results', ['b', 'a']).startOrder).toEqual(['b', 'a']);
+    expect(buildSummary(['a', 'b'], results, {}, '/tmp/results').startOrder).toBeNull();
+  });
+});
+
+describe('buildSummary bundle efficiency', () => {
+  const usage = (totalBytes, usedBytes) => ({ totalBytes, usedBytes, unusedBytes: totalBytes - usedBytes, usedPercent: totalBytes > 0 ? usedBytes / totalBytes * 100 : null });
+  const coverage = (js, css) => ({ js, css, total: usage(js.totalBytes + css.totalBytes, js.usedBytes + css.usedBytes) });
+
+  it('is null without coverage', () => {
+    const results = [{ measurements: [] }, { measurements: [] }];
+    expect(buildSummary(['a', 'b'], results, {}, '/tmp/results').bundleEfficiency).toBeNull();
+  });
+
+  it('names the racer with the least unused code and reports it in markdown', () => {
+    const results = [
+      { measurements: [], coverage: coverage(usage(409600, 102400), usage(20480, 5120)) },
+      { measurements: [], coverage: coverage(usage(204800, 153600), usage(0, 0)) },
+      { measurements: [] },
+    ];
+    const summary = buildSummary(['bloated', 'lean', 'webkit'], results, {}, '/tmp/results');
+    expect(summary.bundleEfficiency.leanest).toBe('lean');
+    expect(summary.bundleEfficiency.racers.webkit).toBeNull();
+    expect(summary.bundleEfficiency.racers.lean.total.unusedBytes).toBe(51200);
+
+    const md = buildMarkdownSummary(summary);
+    expect(md).toContain('### Bundle Efficiency');
+    expect(md).toContain('| bloated | 100.0 KB of 400.0 KB (25%) | 5.0 KB of 20.0 KB (25%) | 315.0 KB |');
+    expect(md).toContain('| lean | 150.0 KB of 200.0 KB (75%) | - | 50.0 KB |');
+    expect(md).toContain('| webkit | - | - | - |');
+    expect(md).toContain('**Leanest:** lean');
+  });
+});
+
+describe('buildSummary memory', () => {
+  const KB = 1024;
+  const series = (name, iterations, firstSize, lastSize, leak) => ({
+    name, iterations, firstSize, lastSize, growth: lastSize - firstSize,
+    growthPerIteration: iterations > 1 ? (lastSize - firstSize) / (iterations - 1) : null, leak,
+  });
+
+  it('is null without repeated measurements or snapshots', () => {
+    const results = [
+      { measurements: [] },
+      { measurements: [], heap: { series: [series('load', 1, 100 * KB, 100 * KB, false)], leak: false, snapshots: [] } },
+    ];
+    expect(buildSummary(['a', 'b'], results, {}, '/tmp/results').memory).toBeNull();
+  });
+
+  it('flags likely leaks and links heap snapshots in markdown', () => {
+    const results = [
+      { measurements: [], heap: { series: [series('open modal', 5, 1024 * KB, 3072 * KB, true)], leak: true, snapshots: ['after.heapsnapshot'] } },
+      { measurements: [], heap: { series: [series('open modal', 5, 1024 * KB, 1064 * KB, false)], leak: false, snapshots: [] } },
+    ];
+    const summary = buildSummary(['leaky', 'tidy'], results, {}, '/tmp/results');
+    expect(summary.memory.leaks).toEqual([{ racer: 'leaky', name: 'open modal', iterations: 5, growth: 2048 * KB, growthPerIteration: 512 * KB }]);
+
+    const md = buildMarkdownSummary(summary);
+    expect(md).toContain('### Memory');
+    expect(md).toContain('> ⚠ **Likely leak:** leaky — "open modal" +2.0 MB over 5 iterations (+512.0 KB each)');
+    expect(md).toContain('| leaky | open modal | 5 | 1.0 MB → 3.0 MB | +512.0 KB | ⚠ likely leak |');
+    expect(md).toContain('| tidy | open modal | 5 | 1.0 MB → 1.0 MB | +10.0 KB |  |');
+    expect(md).toContain('Heap snapshots: [leaky/after.heapsnapshot](./leaky/after.heapsnapshot)');
+  });
+
+  it('marks growth without --force-gc as unconfirmed, not a leak', () => {
+    const growing = { ...series('open modal', 5, 1024 * KB, 3072 * KB, false), unconfirmed: true };
+    const results = [
+      { measurements: [], heap: { series: [growing], leak: false, snapshots: [] } },
+      { measurements: [] },
+    ];
+    const summary = buildSummary(['a', 'b'], results, {}, '/tmp/results');
+    expect(summary.memory.leaks).toEqual([]);
+    const md = buildMarkdownSummary(summary);
+    expect(md).not.toContain('Likely leak');
+    expect(md).toContain('| a | open modal | 5 | 1.0 MB → 3.0 MB | +512.0 KB | ? growing, confirm with --force-gc |');
+  });
+});
+
 describe('buildMedianSummary', () => {
   function makeSummaries() {
     return [
@@ -300,12 +464,80 @@ describe('buildMedianSummary', () => {
     expect(median.comparisons[0].racers[1].duration).toBe(4.0);
   });
 
-  it('computes winner from median values', () => {
-    const median = buildMedianSummary(makeSummaries(), '/tmp/results');
+  const runsOf = (pairs) => pairs.map(([a, b]) => ({
+    racers: ['a', 'b'],
+    settings: {},
+    comparisons: [{ name: 'Load', racers: [{ duration: a }, { duration: b }] }],
+    errors: [],
+  }));
+
+  it('computes winner from median values when the difference is significant', () => {
+    const median = buildMedianSummary(runsOf([[1.0, 2.0], [1.1, 2.1], [1.2, 2.2], [1.3, 2.3], [1.4, 2.4]]), '/tmp/results');
     expect(median.comparisons[0].winner).toBe('a');
+    expect(median.comparisons[0].significance.significant).toBe(true);
+    expect(median.comparisons[0].significance.against).toBe('b');
     expect(median.overallWinner).toBe('a');
   });
 
+  it('declares a tie when the difference is within noise', () => {
+    const median = buildMedianSummary(runsOf([[1.0, 1.1], [1.2, 1.0], [1.1, 1.2], [1.3, 1.15], [1.05, 1.25]]), '/tmp/results');
+    const comp = median.comparisons[0];
+    expect(comp.winner).toBeNull();
+    expect(comp.significance.significant).toBe(false);
+    expect(comp.rankings).toHaveLength(2);
+    expect(median.overallWinner).toBe('tie');
+  });
+
+  it('keeps the median winner with three runs, labelled underpowered', () => {
+    const median = buildMedianSummary(makeSummaries(), '/tmp/results');
+    const comp = median.comparisons[0];
+    expect(comp.significance).toMatchObject({ significant: false, underpowered: true });
+    expect(comp.winner).toBe('a');
+    expect(median.overallWinner).toBe('a');
+    expect(isWithinNoise(comp)).toBe(false);
+    expect(isUnderpowered(comp)).toBe(true);
+    expect(formatSignificance(comp.significance)).toMatch(/^underpowered \(p = /);
+  });
+
+  it('records per-racer samples and spread', () => {
+    const median = buildMedianSummary(makeSummaries(), '/tmp/results');
+    const a = median.comparisons[0].racers[0];
+    expect(a.samples).toEqual([1.0, 2.0, 3.0]);
+    expect(a.stats).toMatchObject({ n: 3, min: 1.0, max: 3.0, mean: 2.0, median: 2.0, stddev: 1.0 });
+    expect(a.stats.p90).toBeCloseTo(2.8);
+  });
+
+  it('records the order racers ran in for each run', () => {
+    const summaries = makeSummaries().map((s, i) => ({
+      ...s,
+      settings: { runOrder: 'shuffle', seed: 7 },
+      startOrder: i % 2 === 0 ? ['a', 'b'] : ['b', 'a'],
+    }));
+    const median = buildMedianSummary(summaries, '/tmp/results');
+    expect(median.runOrder).toEqual({ strategy: 'shuffle', seed: 7, runs: [['a', 'b'], ['b', 'a'], ['a', 'b']] });
+    expect(buildMarkdownSummary({ ...median, videos: {} }, null)).toContain('| **Run Order** | shuffle (seed 7) |');
+    const runs = summaries.map(s => ({ ...s, comparisons: [] }));
+    expect(buildMultiRunMarkdown({ ...median, videos: {} }, runs)).toContain('Order: b → a');
+  });
+
+  it('notes discarded warm-up runs in the markdown report', () => {
+    const median = buildMedianSummary(makeSummaries().map(s => ({ ...s, settings: { warmup: 2 } })), '/tmp/results');
+    expect(buildMarkdownSummary({ ...median, videos: {} }, null)).toContain('| **Warm-up** | 2 run(s), discarded |');
+  });
+
+  it('has no run order for parallel races', () => {
+    expect(buildMedianSummary(makeSummaries(), '/tmp/results').runOrder).toBeNull();
+  });
+
+  it('shows spread and significance in the markdown report', () => {
+    const md = buildMarkdownSummary({ ...buildMedianSummary(makeSummaries(), '/tmp/results'), videos: {} }, null);
+    expect(md).toContain('### Run Statistics');
+    expect(md).toContain('| Load | a | 3 | 1.000s | 2.000s | 2.000s | 3.000s | 1.000s | 2.800s |');
+    expect(md).toContain('| Load | 2.000s | 4.000s | a |');
+    expect(md).toContain('- **Load**: a vs b — underpowered (p = 0.200');
+    expect(md).toContain('too few runs to ever reach significance');
+  });
+
   it('records the number of runs', () => {
     const median = buildMedianSummary(makeSummaries(), '/tmp/results');
     expect(median.runs).toBe(3);
@@ -601,3 +833,18 @@ describe('findMedianRunIndex', () => {
     expect(findMedianRunIndex(summaries, median)).toBe(0);
   });
 });
+
+describe('formatConditions', () => {
+  it('returns default when nothing is throttled or emulated', () => {
+    expect(formatConditions({ network: 'none', cpuThrottle: 1, viewport: null, userAgent: null, locale: null })).toBe('default');
+  });
+
+  it('lists non-default conditions', () => {
+    expect(formatConditions({ network: 'slow-3g', cpuThrottle: 4, viewport: { width: 390, height: 844 }, userAgent: 'x', locale: 'de-DE' }))
+      .toBe('slow-3g · 4x CPU · 390×844 · de-DE · custom UA');
+  });
+
+  it('names an emulated device', () => {
+    expect(formatConditions({ network: 'none', cpuThrottle: 4, viewport: null, device: 'Pixel 7' })).toBe('4x CPU · Pixel 7');
+  });
+});
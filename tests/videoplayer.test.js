@@ -4,7 +4,7 @@ import os from 'os';
 import path from 'path';
 import { buildPlayerHtml } from '../cli/videoplayer.js';
 import { buildProfileComparison } from '../cli/profile-analysis.js';
-import { copyFFmpegFiles } from '../cli/results.js';
+import { copyFFmpegFiles, loadNetworkLogs, loadCoverageReports } from '../cli/results.js';
 
 const makeSummary = (overrides = {}) => ({
   racers: ['lauda', 'hunt'],
@@ -107,6 +107,13 @@ describe('buildPlayerHtml', () => {
     expect(html).toContain('Results');
   });
 
+  it('gives racers recorded on a phone viewport a narrow column', () => {
+    const html = withSummary({ viewports: { lauda: { width: 412, height: 839 }, hunt: { width: 1280, height: 720 } } });
+    expect(html).toContain('<div class="racer racer-portrait">');
+    expect(html).toContain('<div class="racer">');
+    expect(defaultHtml).not.toContain('<div class="racer racer-portrait">');
+  });
+
   it('supports 3 racers', () => {
     const summary = makeSummary({
       racers: ['alpha', 'beta', 'gamma'],
@@ -249,6 +256,12 @@ describe('buildPlayerHtml', () => {
     expect(html).toContain('Results');
   });
 
+  it('builds a results-only page without video files', () => {
+    const html = buildPlayerHtml(makeSummary(), null);
+    expect(html).not.toContain('<video');
+    expect(html).toContain('Results');
+  });
+
   it('shows median page with videos and source note', () => {
     const html = buildPlayerHtml(makeSummary(), ['2/lauda/lauda.race.webm', '2/hunt/hunt.race.webm'], null, null, {
       runNavigation: { currentRun: 'median', totalRuns: 3, pathPrefix: '' },
@@ -286,9 +299,30 @@ describe('buildPlayerHtml race info', () => {
     expect(html).toContain('4x');
   });
 
+  it('shows per-racer conditions when settings define them', () => {
+    const html = buildPlayerHtml(abSummary({
+      settings: { racers: { b: { network: 'slow-3g' } } },
+      conditions: { a: { network: '4g', cpuThrottle: 1 }, b: { network: 'slow-3g', cpuThrottle: 1 } },
+    }), abVideoFiles);
+    expect(html).toContain('a conditions');
+    expect(html).toContain('b conditions');
+    expect(html).toContain('slow-3g');
+  });
+
   it('defaults mode to parallel', () => {
     expect(buildPlayerHtml(abSummary(), abVideoFiles)).toContain('parallel');
   });
+
+  it('shows the run order strategy on the median page', () => {
+    const html = buildPlayerHtml(abSummary({ runOrder: { strategy: 'shuffle', seed: 42, runs: [['a', 'b'], ['b', 'a']] } }), abVideoFiles);
+    expect(html).toContain('Run Order');
+    expect(html).toContain('shuffle (seed 42)');
+  });
+
+  it('shows which racer went first in a single run of a multi-run race', () => {
+    const html = buildPlayerHtml(abSummary({ settings: { runs: 2 }, startOrder: ['b', 'a'] }), abVideoFiles);
+    expect(html).toContain('b → a');
+  });
 });
 
 // --- Machine Info section ---
@@ -344,6 +378,71 @@ describe('buildPlayerHtml errors', () => {
   });
 });
 
+// --- Engine notes ---
+
+describe('buildPlayerHtml engine notes', () => {
+  const engineSummary = () => abSummary({
+    engines: { a: 'chromium', b: 'webkit' },
+    unsupported: { b: ['network throttling'] },
+  });
+
+  it('shows unsupported features for non-Chromium racers', () => {
+    const html = buildPlayerHtml(engineSummary(), abVideoFiles);
+    expect(html).toContain('class="engine-notes"');
+    expect(html).toContain('b (webkit): network throttling unsupported on this engine');
+  });
+
+  it('labels racers with their engine in race info', () => {
+    expect(buildPlayerHtml(engineSummary(), abVideoFiles)).toContain('b (webkit)');
+  });
+
+  it('omits engine notes when nothing is unsupported', () => {
+    expect(buildPlayerHtml(abSummary(), abVideoFiles)).not.toContain('class="engine-notes"');
+  });
+});
+
+describe('buildPlayerHtml run statistics', () => {
+  const stats = (median) => ({ n: 5, min: median - 0.1, max: median + 0.1, mean: median, median, stddev: 0.05, p90: median + 0.08 });
+  const significance = (significant) => ({
+    test: 'mann-whitney', p: significant ? 0.008 : 0.4, alpha: 0.05, significant, underpowered: false,
+    ci: { low: -0.05, high: 0.12, confidence: 0.95 }, against: 'hunt',
+  });
+  const multiRunSummary = (significant) => makeSummary({
+    overallWinner: significant ? 'lauda' : 'tie',
+    comparisons: [{
+      name: 'Load',
+      racers: [{ duration: 1, stats: stats(1) }, { duration: 1.05, stats: stats(1.05) }],
+      winner: significant ? 'lauda' : null,
+      rankings: ['lauda', 'hunt'],
+      significance: significance(significant),
+    }],
+  });
+
+  it('shows each racer\'s spread across runs', () => {
+    const html = buildPlayerHtml(multiRunSummary(true), videoFiles);
+    expect(html).toContain('class="run-stats"');
+    expect(html).toContain('min 0.900s · mean 1.000s · max 1.100s · σ 0.050s · p90 1.080s');
+  });
+
+  it('marks significant differences', () => {
+    const html = buildPlayerHtml(multiRunSummary(true), videoFiles);
+    expect(html).toContain('class="significance significant"');
+    expect(html).toContain('statistically significant (p = 0.008, 95% CI -0.050s … +0.120s)');
+  });
+
+  it('reports differences within noise as a tie', () => {
+    const html = buildPlayerHtml(multiRunSummary(false), videoFiles);
+    expect(html).toContain('class="significance noise"');
+    expect(html).toContain('within noise (p = 0.400');
+    expect(html).toContain("It's a Tie!");
+  });
+
+  it('omits run statistics for single runs', () => {
+    expect(defaultHtml).not.toContain('class="run-stats"');
+    expect(defaultHtml).not.toContain('class="significance');
+  });
+});
+
 // --- Click counts in results ---
 
 describe('buildPlayerHtml click counts', () => {
@@ -836,6 +935,128 @@ describe('buildPlayerHtml clip alignment', () => {
   });
 });
 
+describe('buildPlayerHtml network waterfall', () => {
+  const request = (overrides) => ({
+    url: 'https://example.com/app.js', method: 'GET', type: 'script', status: 200, priority: 'High',
+    startTime: 0.5, endTime: 1.5, duration: 1000, transferSize: 2048, cache: null, failed: null,
+    timing: { blocked: 5, dns: 10, connect: 0, ssl: 0, send: 1, wait: 300, receive: 684 },
+    initiator: { type: 'parser', url: 'https://example.com/', line: 12 }, redirectedTo: null,
+    ...overrides,
+  });
+
+  it('leaves the waterfall out without network logs', () => {
+    expect(defaultHtml).not.toContain('Network Waterfall');
+  });
+
+  it('draws each racer on a shared time axis with request details', () => {
+    const html = withOptions({
+      networkLogs: [
+        [request(), request({ url: 'https://example.com/hero.webp?w=800', type: 'image', startTime: 1, endTime: 2, cache: 'disk' })],
+        [request({ url: 'https://ads.example.com/tag.js', startTime: 0, endTime: 4, failed: 'net::ERR_FAILED' })],
+      ],
+      networkFiles: ['lauda/network.json', 'hunt/network.json'],
+    });
+    expect(html).toContain('Network Waterfall');
+    expect(html).toContain('data-racer="lauda" data-span="4"');
+    expect(html).toContain('data-racer="hunt" data-span="4"');
+    expect(html).toContain('class="wf-bar wf-script" style="left: 12.50%; width: 25.00%"');
+    expect(html).toContain('wf-image wf-cached');
+    expect(html).toContain('wf-script wf-failed');
+    expect(html).toContain('hero.webp?w=800');
+    expect(html).toContain('2 requests · 4.0 KB · 1 cached');
+    expect(html).toContain('priority High');
+    expect(html).toContain('initiator: https://example.com/:12');
+    expect(html).toContain('href="lauda/network.json"');
+    expect(html).toContain('updateWaterfallPlayheads');
+  });
+
+  it('caps very long request lists', () => {
+    const log = Array.from({ length: 260 }, (_, i) => request({ url: `https://example.com/${i}.js` }));
+    const html = withOptions({ networkLogs: [log, null] });
+    expect(html).toContain('10 more requests in lauda/network.json');
+    expect(html).not.toContain('data-racer="hunt"');
+  });
+});
+
+describe('loadNetworkLogs', () => {
+  it('reads network.json per racer and returns null when none exist', () => {
+    withTmpDir(tmpDir => {
+      expect(loadNetworkLogs(tmpDir, ['lauda', 'hunt'])).toBeNull();
+      fs.mkdirSync(path.join(tmpDir, 'hunt'));
+      fs.writeFileSync(path.join(tmpDir, 'hunt', 'network.json'), JSON.stringify([{ url: 'https://example.com/' }]));
+      expect(loadNetworkLogs(tmpDir, ['lauda', 'hunt'])).toEqual([null, [{ url: 'https://example.com/' }]]);
+    });
+  });
+});
+
+describe('buildPlayerHtml bundle efficiency', () => {
+  const usage = (totalBytes, usedBytes) => ({ totalBytes, usedBytes, unusedBytes: totalBytes - usedBytes, usedPercent: totalBytes > 0 ? usedBytes / totalBytes * 100 : null });
+  const report = (files) => ({
+    js: usage(4096, 1024),
+    css: usage(0, 0),
+    total: usage(4096, 1024),
+    files,
+  });
+
+  it('leaves the section out without coverage', () => {
+    expect(defaultHtml).not.toContain('Bundle Efficiency');
+  });
+
+  it('shows used vs unused code per racer and the files with the most unused code', () => {
+    const html = withOptions({
+      coverageReports: [report([{ url: 'https://example.com/vendor.js?v=2', type: 'js', ...usage(4096, 1024) }]), null],
+      coverageFiles: ['lauda/coverage.json', null],
+    });
+    expect(html).toContain('Bundle Efficiency');
+    expect(html).toContain('3.0 KB unused of 4.0 KB');
+    expect(html).toContain('class="cov-used" style="width: 25.0%"');
+    expect(html).toContain('vendor.js?v=2');
+    expect(html).toContain('1.0 KB of 4.0 KB (25%)');
+    expect(html).not.toContain('>CSS<');
+    expect(html).toContain('href="lauda/coverage.json"');
+  });
+
+  it('points to coverage.json when not every file is listed', () => {
+    const files = Array.from({ length: 12 }, (_, i) => ({ url: `https://example.com/${i}.js`, type: 'js', ...usage(100, 50) }));
+    const html = withOptions({ coverageReports: [null, report(files)] });
+    expect(html).toContain('All 12 files in hunt/coverage.json');
+    expect(html).not.toContain('10.js');
+  });
+});
+
+describe('buildPlayerHtml memory', () => {
+  const memory = {
+    racers: {
+      lauda: { series: [{ name: 'open modal', iterations: 4, firstSize: 1048576, lastSize: 2621440, growth: 1572864, growthPerIteration: 524288, leak: true }], leak: true, snapshots: ['after.heapsnapshot'] },
+      hunt: null,
+    },
+    leaks: [{ racer: 'lauda', name: 'open modal', iterations: 4, growth: 1572864, growthPerIteration: 524288 }],
+  };
+
+  it('leaves the section out without a memory report', () => {
+    expect(defaultHtml).not.toContain('<h2>Memory</h2>');
+  });
+
+  it('shows heap growth per iteration, flags leaks and links heap snapshots', () => {
+    const html = withOptions({}, makeSummary({ memory }));
+    expect(html).toContain('<details class="section" open>\n  <summary><h2>Memory</h2></summary>');
+    expect(html).toContain('4× · 1.0 MB → 2.5 MB');
+    expect(html).toContain('class="mem-leak">+512.0 KB per iteration — likely leak');
+    expect(html).toContain('href="lauda/after.heapsnapshot" download title="Load in DevTools → Memory"');
+  });
+});
+
+describe('loadCoverageReports', () => {
+  it('reads coverage.json per racer and returns null when none exist', () => {
+    withTmpDir(tmpDir => {
+      expect(loadCoverageReports(tmpDir, ['lauda', 'hunt'])).toBeNull();
+      fs.mkdirSync(path.join(tmpDir, 'lauda'));
+      fs.writeFileSync(path.join(tmpDir, 'lauda', 'coverage.json'), JSON.stringify({ files: [] }));
+      expect(loadCoverageReports(tmpDir, ['lauda', 'hunt'])).toEqual([{ files: [] }, null]);
+    });
+  });
+});
+
 // --- copyFFmpegFiles ---
 
 describe('copyFFmpegFiles', () => {
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isWatchedFile, watchRaceDir, createRerunQueue, createWatchServer, RELOAD_PATH } from '../cli/watch.js';
+
+async function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-watch-'));
+  try { await fn(tmpDir); } finally { fs.rmSync(tmpDir, { recursive: true, force: true }); }
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('isWatchedFile', () => {
+  it('watches racer scripts and settings.json', () => {
+    expect(isWatchedFile('lauda.spec.js')).toBe(true);
+    expect(isWatchedFile('hunt.js')).toBe(true);
+    expect(isWatchedFile('settings.json')).toBe(true);
+  });
+
+  it('ignores results, editor temp files and everything else', () => {
+    expect(isWatchedFile('results-2024-01-01_00-00-00')).toBe(false);
+    expect(isWatchedFile('.lauda.spec.js.swp')).toBe(false);
+    expect(isWatchedFile('lauda.spec.js~')).toBe(false);
+    expect(isWatchedFile('notes.md')).toBe(false);
+  });
+});
+
+describe('watchRaceDir', () => {
+  it('reports a burst of saves once, after they settle', async () => {
+    await withTmpDir(async dir => {
+      const calls = [];
+      const watcher = watchRaceDir(dir, files => calls.push(files), { debounceMs: 100 });
+      try {
+        fs.writeFileSync(path.join(dir, 'b.spec.js'), '1');
+        fs.writeFileSync(path.join(dir, 'a.spec.js'), '1');
+        fs.writeFileSync(path.join(dir, 'settings.json'), '{}');
+        fs.mkdirSync(path.join(dir, 'results-x'));
+        await sleep(400);
+        expect(calls).toEqual([['a.spec.js', 'b.spec.js', 'settings.json']]);
+      } finally {
+        watcher.close();
+      }
+    });
+  });
+});
+
+describe('createRerunQueue', () => {
+  it('never overlaps runs and collapses requests made during one', async () => {
+    let runs = 0;
+    let active = 0;
+    let overlapped = false;
+    const request = createRerunQueue(async () => {
+      runs++;
+      active++;
+      if (active > 1) overlapped = true;
+      await sleep(20);
+      active--;
+    });
+    request();
+    request();
+    request();
+    await sleep(100);
+    expect(runs).toBe(2);
+    expect(overlapped).toBe(false);
+    request();
+    await sleep(50);
+    expect(runs).toBe(3);
+  });
+});
+
+describe('createWatchServer', () => {
+  it('serves the race directory with the live reload script in pages', async () => {
+    await withTmpDir(async dir => {
+      fs.mkdirSync(path.join(dir, 'results-1'));
+      fs.writeFileSync(path.join(dir, 'results-1', 'index.html'), '<h1>run</h1>');
+      fs.writeFileSync(path.join(dir, 'results-1', 'summary.json'), '{}');
+      const { server, reload } = createWatchServer(dir, { 'X-Test': 'yes' });
+      const base = await listen(server);
+      try {
+        const page = await fetch(`${base}/results-1/`);
+        expect(page.headers.get('x-test')).toBe('yes');
+        const html = await page.text();
+        expect(html.startsWith('<h1>run</h1>')).toBe(true);
+        expect(html).toContain(RELOAD_PATH);
+        expect(await (await fetch(`${base}/results-1/summary.json`)).text()).toBe('{}');
+
+        reload(path.join(dir, 'results-1'));
+        const home = await fetch(`${base}/`, { redirect: 'manual' });
+        expect(home.status).toBe(302);
+        expect(home.headers.get('location')).toBe('/results-1/');
+      } finally {
+        server.close();
+        server.closeAllConnections();
+      }
+    });
+  });
+
+  it('sends open players to the newest results', async () => {
+    await withTmpDir(async dir => {
+      const { server, reload } = createWatchServer(dir);
+      const base = await listen(server);
+      const controller = new AbortController();
+      try {
+        const res = await fetch(`${base}${RELOAD_PATH}`, { signal: controller.signal });
+        expect(res.headers.get('content-type')).toBe('text/event-stream');
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let received = decoder.decode((await reader.read()).value);
+        reload(path.join(dir, 'results-2'));
+        while (!received.includes('data:')) received += decoder.decode((await reader.read()).value);
+        expect(received).toContain('data: {"url":"/results-2/"}');
+      } finally {
+        controller.abort();
+        server.close();
+        server.closeAllConnections();
+      }
+    });
+  });
+});
@@ -165,4 +165,4 @@ function deriveTraceTiming(traceText) {
   };
 }
 
-module.exports = { deriveTraceTiming };
+module.exports = { deriveTraceTiming, toTraceObject };